@@ -0,0 +1,411 @@
+// Arc signal analytics
+// Works on sampled arc voltage and current waveforms, at the kHz rates a
+// welding power source's shunt and voltage tap give, rather than the slow
+// sensor samples of sensors.js. It estimates the arc length from the arc
+// voltage, picks out short circuits (the rod touching the puddle) and
+// outages (the arc going out), measures how steady the arc is, and flags an
+// AC arc that wanders from one half-cycle to the next. The result reads as
+// the arcStability observable plus a techniques.arcGap category, ready to
+// pass to getRecommendations as observedStability and observedArcGap.
+
+import { weldingKnowledge } from './knowledge.js';
+import { seededRandom } from './random.js';
+
+// Waveform events
+export const ArcEvent = Object.freeze({
+  SHORT_CIRCUIT: 'shortCircuit',
+  OUTAGE: 'outage'
+});
+
+// Where a signal stops being a steady arc. Below shortCircuitVoltage with
+// current flowing the rod is touching the puddle; below outageCurrent the arc
+// is out. Runs shorter than the minimum durations (ms) are left out of the
+// event counts: an AC current passes through zero every half-cycle.
+// The max* limits mark an unstable arc.
+const DEFAULT_THRESHOLDS = {
+  shortCircuitVoltage: 10,
+  outageCurrent: 5,
+  minShortCircuit: 1,
+  minOutage: 2,
+  maxVoltageVariation: 0.1,
+  maxShortCircuitRate: 5,
+  maxOutageRate: 0.5,
+  maxAcWander: 0.06
+};
+
+// Open-circuit voltage of the synthetic power source
+const OPEN_CIRCUIT_VOLTAGE = 70;
+
+/**
+ * Arc voltage for a current and an arc length: rising with both, the arc
+ * length being a multiple of the core-wire diameter as ARC_LENGTHS has it.
+ * @param {number} amperage A
+ * @param {number} arcLength multiple of the core diameter
+ * @param {number} diameter core diameter, inches
+ * @returns {number} volts
+ */
+export function arcVoltage(amperage, arcLength, diameter) {
+  return 18 + 0.02 * amperage + 40 * arcLength * diameter;
+}
+
+/**
+ * The arc length that arcVoltage puts at a measured voltage and current.
+ * @param {number} voltage V
+ * @param {number} amperage A
+ * @param {number} diameter core diameter, inches
+ * @returns {number} multiple of the core diameter, never below zero
+ */
+export function arcLengthFromVoltage(voltage, amperage, diameter) {
+  return Math.max((voltage - 18 - 0.02 * amperage) / (40 * diameter), 0);
+}
+
+/**
+ * The techniques.arcGap entry an arc length falls in.
+ * @param {number} arcLength multiple of the core diameter
+ * @returns {string} "Short", "Medium" or "Long"
+ */
+export function arcGapCategory(arcLength) {
+  return arcLength < 1 ? 'Short' : arcLength <= 1.5 ? 'Medium' : 'Long';
+}
+
+/**
+ * Slowest sample rate analyzeArcSignals can judge a waveform at: one sample
+ * must be no longer than the shortest short circuit or outage it counts, or a
+ * single low reading passes for a whole event.
+ * @param {object} [thresholds] overrides, as for analyzeArcSignals
+ * @returns {number} samples per second
+ */
+export function minimumSampleRate(thresholds = {}) {
+  const { minShortCircuit, minOutage } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  return 1000 / Math.min(minShortCircuit, minOutage);
+}
+
+/**
+ * @typedef {object} ArcWaveform
+ * @property {number} sampleRate samples per second
+ * @property {ArrayLike<number>} voltage V, one per sample
+ * @property {ArrayLike<number>} current A, one per sample; negative half-cycles for AC
+ */
+
+/**
+ * @typedef {object} ArcWaveformEvent
+ * @property {string} type an ArcEvent
+ * @property {number} start ms from the first sample
+ * @property {number} duration ms
+ */
+
+/**
+ * @typedef {object} StabilityReason
+ * @property {string} metric "voltageVariation", "shortCircuitRate", "outageRate" or "acWander"
+ * @property {number} value
+ * @property {number} limit
+ * @property {string} message
+ * @property {string} source the arcStability.Unstable cause it points to
+ */
+
+/**
+ * @typedef {object} ArcAnalysis
+ * @property {number} duration ms
+ * @property {number} current rms current while arcing, A
+ * @property {{mean: number, stdDev: number, variation: number}|null} voltage
+ *   arc voltage magnitude while arcing; variation is stdDev / mean
+ * @property {{value: number, category: string, source: string}|null} arcLength
+ *   estimated multiple of the core diameter and its techniques.arcGap entry;
+ *   null without an electrode size or any arcing
+ * @property {ArcWaveformEvent[]} events short circuits and outages in time order
+ * @property {{count: number, rate: number, meanDuration: number}} shortCircuits rate per second, duration ms
+ * @property {{count: number, rate: number, longest: number}} outages rate per second, longest ms
+ * @property {{frequency: number, halfCycles: number, wander: number, wandering: boolean}|null} ac
+ *   for AC: wander is the variation of the mean arc voltage between half-cycles
+ * @property {string} stability "Stable" or "Unstable", an arcStability state
+ * @property {StabilityReason[]} reasons the limits an unstable arc went past
+ * @property {{observedStability: string, observedArcGap?: string}} observations
+ *   getRecommendations inputs
+ */
+
+/**
+ * Analyse a stretch of arc voltage and current.
+ * @param {ArcWaveform} waveform
+ * @param {object} [options]
+ * @param {string} [options.electrodeSize] e.g. '1/8"'; needed for the arc length
+ * @param {string} [options.machineType] "AC" looks for arc wander; by default
+ *   AC is recognised by current flowing both ways
+ * @param {object} [options.thresholds] overrides of the default thresholds and limits
+ * @param {object} [options.knowledge]
+ * @returns {ArcAnalysis}
+ * @throws {Error} for a missing sample rate, no samples, mismatched channels or an
+ *   unknown electrode size
+ */
+export function analyzeArcSignals(waveform, options = {}) {
+  const { knowledge = weldingKnowledge, electrodeSize, machineType } = options;
+  const limits = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+  const { sampleRate, voltage, current } = waveform;
+  if (!(sampleRate > 0)) throw new Error('Arc waveform needs a positive sampleRate');
+  // No samples is no evidence either way, not an unstable arc
+  if (!voltage || !current || !voltage.length || !current.length) {
+    throw new Error('Arc waveform needs voltage and current samples to analyse');
+  }
+  if (voltage.length !== current.length) {
+    throw new Error(`Arc waveform has ${voltage.length} voltage samples but ${current.length} current samples`);
+  }
+  let diameter = null;
+  if (electrodeSize !== undefined) {
+    if (!knowledge.electrodeSize[electrodeSize]) throw new Error(`Unknown electrode size "${electrodeSize}"`);
+    diameter = knowledge.electrodeSize[electrodeSize].diameter;
+  }
+
+  const count = voltage.length;
+  const step = 1000 / sampleRate;
+  const duration = count * step;
+  const seconds = duration / 1000;
+  const states = sampleStates(voltage, current, limits);
+  const events = findEvents(states, step, limits);
+  // Only samples of a burning arc count towards its voltage and current
+  const arcing = [];
+  for (let i = 0; i < count; i++) if (states[i] === 'arc') arcing.push(i);
+
+  let arcCurrent = 0;
+  let voltageStats = null;
+  if (arcing.length) {
+    arcCurrent = Math.sqrt(arcing.reduce((sum, i) => sum + current[i] * current[i], 0) / arcing.length);
+    voltageStats = spread(arcing.map(i => Math.abs(voltage[i])));
+  }
+
+  const shorts = events.filter(event => event.type === ArcEvent.SHORT_CIRCUIT);
+  const outages = events.filter(event => event.type === ArcEvent.OUTAGE);
+  const shortCircuits = {
+    count: shorts.length,
+    rate: round(seconds ? shorts.length / seconds : 0, 2),
+    meanDuration: round(shorts.length ? shorts.reduce((sum, event) => sum + event.duration, 0) / shorts.length : 0, 2)
+  };
+  const outageSummary = {
+    count: outages.length,
+    rate: round(seconds ? outages.length / seconds : 0, 2),
+    longest: round(Math.max(0, ...outages.map(event => event.duration)), 2)
+  };
+
+  const alternating = machineType ? machineType === 'AC' : flowsBothWays(current, limits.outageCurrent);
+  const ac = alternating ? halfCycleWander(voltage, current, states, step, limits) : null;
+
+  let arcLength = null;
+  if (diameter !== null && voltageStats) {
+    const value = arcLengthFromVoltage(voltageStats.mean, arcCurrent, diameter);
+    const category = arcGapCategory(value);
+    arcLength = { value: round(value, 2), category, source: `techniques.arcGap.${category}` };
+  }
+
+  // Voltage swings and shorts mean the gap isn't being held; AC wander comes
+  // from the current type not suiting the rod
+  const reasons = [];
+  const check = (metric, value, limit, message, cause) => {
+    if (value > limit) {
+      reasons.push({ metric, value: round(value, 4), limit, message, source: `observables.arcStability.Unstable.causes[${cause}]` });
+    }
+  };
+  if (voltageStats) {
+    check('voltageVariation', voltageStats.variation, limits.maxVoltageVariation,
+      `Arc voltage varies ${percent(voltageStats.variation)} (limit ${percent(limits.maxVoltageVariation)})`, 1);
+  }
+  check('shortCircuitRate', shortCircuits.rate, limits.maxShortCircuitRate,
+    `${shortCircuits.rate} short circuits/s (limit ${limits.maxShortCircuitRate}/s)`, 1);
+  check('outageRate', outageSummary.rate, limits.maxOutageRate,
+    `Arc went out ${outageSummary.rate}/s (limit ${limits.maxOutageRate}/s)`, 1);
+  if (ac) {
+    check('acWander', ac.wander, limits.maxAcWander,
+      `Arc voltage wanders ${percent(ac.wander)} between half-cycles (limit ${percent(limits.maxAcWander)})`, 0);
+  }
+  // An arc that never burned isn't stable either
+  const stability = reasons.length || !arcing.length ? 'Unstable' : 'Stable';
+
+  const observations = { observedStability: stability };
+  if (arcLength) observations.observedArcGap = arcLength.category;
+
+  return {
+    duration: round(duration, 2),
+    current: round(arcCurrent, 1),
+    voltage: voltageStats && {
+      mean: round(voltageStats.mean, 2),
+      stdDev: round(voltageStats.stdDev, 3),
+      variation: round(voltageStats.variation, 4)
+    },
+    arcLength,
+    events,
+    shortCircuits,
+    outages: outageSummary,
+    ac,
+    stability,
+    reasons,
+    observations
+  };
+}
+
+// "short", "out" or "arc" for each sample
+function sampleStates(voltage, current, limits) {
+  const states = new Array(voltage.length);
+  for (let i = 0; i < voltage.length; i++) {
+    const amps = Math.abs(current[i]);
+    states[i] = amps < limits.outageCurrent ? 'out'
+      : Math.abs(voltage[i]) < limits.shortCircuitVoltage ? 'short' : 'arc';
+  }
+  return states;
+}
+
+// Runs of short-circuit and outage samples long enough to be events
+function findEvents(states, step, limits) {
+  const events = [];
+  let start = 0;
+  for (let i = 1; i <= states.length; i++) {
+    if (i < states.length && states[i] === states[start]) continue;
+    const duration = (i - start) * step;
+    if (states[start] === 'short' && duration >= limits.minShortCircuit) {
+      events.push({ type: ArcEvent.SHORT_CIRCUIT, start: round(start * step, 2), duration: round(duration, 2) });
+    } else if (states[start] === 'out' && duration >= limits.minOutage) {
+      events.push({ type: ArcEvent.OUTAGE, start: round(start * step, 2), duration: round(duration, 2) });
+    }
+    start = i;
+  }
+  return events;
+}
+
+function flowsBothWays(current, threshold) {
+  let positive = false;
+  let negative = false;
+  for (let i = 0; i < current.length && !(positive && negative); i++) {
+    if (current[i] > threshold) positive = true;
+    if (current[i] < -threshold) negative = true;
+  }
+  return positive && negative;
+}
+
+// Split an AC waveform into half-cycles at the current's sign changes and
+// compare their mean arc voltages. Partial half-cycles at either end are
+// dropped.
+function halfCycleWander(voltage, current, states, step, limits) {
+  const means = [];
+  const crossings = [];
+  let sign = 0;
+  let sum = 0;
+  let samples = 0;
+  for (let i = 0; i < current.length; i++) {
+    if (Math.abs(current[i]) < limits.outageCurrent) continue;
+    const next = Math.sign(current[i]);
+    if (next !== sign) {
+      if (crossings.length && samples) means.push(sum / samples);
+      if (sign !== 0) crossings.push(i);
+      sign = next;
+      sum = 0;
+      samples = 0;
+    }
+    if (states[i] === 'arc') {
+      sum += Math.abs(voltage[i]);
+      samples++;
+    }
+  }
+  const wander = means.length >= 3 ? spread(means).variation : 0;
+  // Two crossings a cycle
+  const span = crossings.length > 1 ? (crossings.at(-1) - crossings[0]) * step : 0;
+  return {
+    frequency: round(span ? (crossings.length - 1) * 500 / span : 0, 1),
+    halfCycles: means.length,
+    wander: round(wander, 4),
+    wandering: wander > limits.maxAcWander
+  };
+}
+
+function spread(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  const stdDev = Math.sqrt(variance);
+  return { mean, stdDev, variation: mean ? stdDev / mean : 0 };
+}
+
+/**
+ * A made-up arc waveform for tests and demonstrations: a steady arc of the
+ * given length with the gap wavering by gapJitter, plus evenly spaced short
+ * circuits, outages at given times, and for AC a sine current whose arc
+ * voltage can wander from one half-cycle to the next. Deterministic for a
+ * given seed.
+ * @param {object} [options]
+ * @param {number} [options.duration] ms
+ * @param {number} [options.sampleRate] samples per second
+ * @param {number} [options.current] A, rms for AC
+ * @param {number} [options.arcLength] multiple of the core diameter
+ * @param {number} [options.diameter] core diameter, inches
+ * @param {number} [options.gapJitter] slow swing of the arc length, as a fraction of it
+ * @param {number} [options.noise] random noise on each sample, as a fraction
+ * @param {number} [options.shortCircuitRate] short circuits per second
+ * @param {number} [options.shortCircuitDuration] ms
+ * @param {{start: number, duration: number}[]} [options.outages] ms
+ * @param {string} [options.machineType] "AC", "DC+" or "DC-"
+ * @param {number} [options.frequency] AC mains frequency, Hz
+ * @param {number} [options.wander] AC half-cycle voltage swing, as a fraction
+ * @param {number} [options.seed]
+ * @returns {ArcWaveform}
+ */
+export function syntheticArcWaveform(options = {}) {
+  const {
+    duration = 1000,
+    sampleRate = 10000,
+    current = 120,
+    arcLength = 1,
+    diameter = 0.125,
+    gapJitter = 0,
+    noise = 0.01,
+    shortCircuitRate = 0,
+    shortCircuitDuration = 3,
+    outages = [],
+    machineType = 'DC+',
+    frequency = 60,
+    wander = 0,
+    seed = 1
+  } = options;
+  const random = seededRandom(seed);
+  const jitter = amount => 1 + (random() - 0.5) * 2 * amount;
+  const count = Math.round(duration * sampleRate / 1000);
+  const voltage = new Float64Array(count);
+  const amps = new Float64Array(count);
+  const ac = machineType === 'AC';
+  const polarity = machineType === 'DC-' ? -1 : 1;
+  const shortEvery = shortCircuitRate > 0 ? 1000 / shortCircuitRate : Infinity;
+  let halfCycle = -1;
+  let halfCycleFactor = 1;
+
+  for (let i = 0; i < count; i++) {
+    const time = (i * 1000) / sampleRate;
+    const gap = arcLength * (1 + gapJitter * Math.sin(2 * Math.PI * 4 * time / 1000));
+    let volts = arcVoltage(current, gap, diameter);
+    let flow = current;
+    if (ac) {
+      const phase = 2 * frequency * time / 1000;
+      if (Math.floor(phase) !== halfCycle) {
+        halfCycle = Math.floor(phase);
+        halfCycleFactor = jitter(wander);
+      }
+      flow = current * Math.SQRT2 * Math.sin(Math.PI * phase);
+      volts *= halfCycleFactor;
+    }
+    // Short circuits sit mid-interval, so none starts at the very first sample
+    const intoShort = (time + shortEvery / 2) % shortEvery;
+    if (intoShort < shortCircuitDuration) {
+      volts = 2;
+      flow *= 1.3;
+    }
+    if (outages.some(outage => time >= outage.start && time < outage.start + outage.duration)) {
+      volts = OPEN_CIRCUIT_VOLTAGE;
+      flow = 0;
+    }
+    const sign = ac ? Math.sign(flow) || 1 : polarity;
+    voltage[i] = sign * volts * jitter(noise);
+    amps[i] = (ac ? flow : sign * flow) * jitter(noise);
+  }
+  return { sampleRate, voltage, current: amps };
+}
+
+function percent(fraction) {
+  return `${Math.round(fraction * 1000) / 10}%`;
+}
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
@@ -0,0 +1,238 @@
+// Weld bead model
+// A simplified, physics-inspired estimate of the bead a set of technique
+// parameters leaves behind: width, crown, penetration, ripple spacing, how
+// fluid the puddle runs, and the defects that go with the extremes. The
+// numbers are illustrative rather than predictive; what matters is that they
+// move the way the techniques and metalThickness entries say they should, and
+// every effect and defect cites the entry it comes from.
+
+import { weldingKnowledge } from './knowledge.js';
+import { thicknessPreset } from './geometry.js';
+import { MotionPattern, MOTION_PATTERNS, rodAngleCategory } from './technique.js';
+import { arcVoltage, arcGapCategory } from './arcSignals.js';
+
+// Defects the model can show
+export const BeadDefect = Object.freeze({
+  BURN_THROUGH: 'burnThrough',
+  UNDERCUT: 'undercut',
+  LACK_OF_FUSION: 'lackOfFusion',
+  INCOMPLETE_PENETRATION: 'incompletePenetration',
+  EXCESS_REINFORCEMENT: 'excessReinforcement'
+});
+
+// Reference travel speed, in/min: the middle of TRAVEL_SPEEDS.MEDIUM
+const REFERENCE_SPEED = 6.5;
+
+// Deposited cross-section per amp at one inch per minute, in²; 120 A at the
+// reference speed lays down passPlanning's 1/8" bead area
+const DEPOSIT_PER_AMP = 0.02 * REFERENCE_SPEED / 120;
+
+// Bead width relative to a straight stringer for each motion pattern
+const WEAVE_WIDTH = {
+  STRAIGHT: 1,
+  WHIP_STEP: 1.1,
+  SLIGHT_SIDE_TO_SIDE: 1.3,
+  CIRCULAR: 1.35,
+  ZIGZAG: 1.7,
+  SIDE_TO_SIDE: 1.7
+};
+
+// Depth of fusion relative to a "Moderate" electrode
+const PENETRATION_CLASS = { Deep: 1.3, Moderate: 1, Shallow: 0.75 };
+
+/**
+ * @typedef {object} BeadSettings
+ * @property {string} electrode
+ * @property {string} electrodeSize
+ * @property {number} amperage amps
+ * @property {number} arcLength multiple of the core-wire diameter, as ARC_LENGTHS
+ * @property {number} travelSpeed inches per minute
+ * @property {number} travelAngle degrees from perpendicular, as ROD_ANGLES
+ * @property {number} [workAngle] degrees from the workpiece surface; 90 by default
+ * @property {string} motionPattern a MotionPattern
+ * @property {number} [thickness] plate thickness, inches; burn-through is only
+ *   checked when it's given
+ */
+
+/**
+ * @typedef {object} BeadEffect
+ * @property {string} dimension "arcGap", "travelSpeed", "rodAngle",
+ *   "motionPattern" or "metalThickness"
+ * @property {string} option entry name, e.g. "Long"
+ * @property {string} source knowledge path of the entry
+ * @property {object} notes the entry's descriptive fields, e.g. effect and puddle
+ */
+
+/**
+ * @typedef {object} BeadDefectReport
+ * @property {string} type a BeadDefect
+ * @property {number} severity 0 (just showing) to 1 (severe)
+ * @property {string} message
+ * @property {string} source knowledge path the defect is described at
+ */
+
+/**
+ * @typedef {object} BeadProfile
+ * @property {number} width bead width, inches
+ * @property {number} reinforcement crown height above the plate, inches
+ * @property {number} penetration fusion depth below the plate surface, inches
+ * @property {number} area deposited cross-section, in²
+ * @property {number} heatInput kJ/in
+ * @property {number} rippleSpacing distance between ripples, inches
+ * @property {{length: number, width: number, fluidity: string}} puddle size in
+ *   inches; fluidity is an observables.puddleFluid value
+ * @property {{arcGap: string, travelSpeed: string, rodAngle: string, motionPattern: string}} categories
+ *   the techniques entry each parameter falls in
+ * @property {BeadEffect[]} effects
+ * @property {BeadDefectReport[]} defects most severe first
+ */
+
+/**
+ * Estimate the bead a set of parameters lays down.
+ * @param {BeadSettings} settings
+ * @param {object} [options]
+ * @param {object} [options.knowledge]
+ * @returns {BeadProfile}
+ * @throws {Error} for an unknown electrode, size or motion pattern
+ */
+export function simulateBead(settings, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const { electrode, electrodeSize, amperage, arcLength, travelSpeed, travelAngle,
+    workAngle = 90, motionPattern, thickness } = settings;
+  const electrodeData = knowledge.electrodes[electrode];
+  const sizeData = knowledge.electrodeSize[electrodeSize];
+  if (!electrodeData) throw new Error(`Unknown electrode "${electrode}"`);
+  if (!sizeData || !sizeData.amperage[electrode]) {
+    throw new Error(`No amperage range for ${electrode} at ${electrodeSize}`);
+  }
+  if (!MOTION_PATTERNS[motionPattern]) throw new Error(`Unknown motion pattern "${motionPattern}"`);
+
+  const range = sizeData.amperage[electrode];
+  const nominal = (range.min + range.max) / 2;
+  const diameter = sizeData.diameter;
+  const speed = Math.max(travelSpeed, 0.5);
+  const lean = Math.min(Math.max(90 - workAngle, Math.abs(travelAngle)), 85);
+
+  const heatInput = 0.06 * arcVoltage(amperage, arcLength, diameter) * amperage / speed;
+  const shape = beadShape({ amperage, arcLength, speed, lean, motionPattern, diameter, nominal,
+    penetrationClass: PENETRATION_CLASS[electrodeData.penetration] || 1, thickness });
+  // The same electrode at its nominal current and reference settings
+  const reference = beadShape({ amperage: nominal, arcLength: 1, speed: REFERENCE_SPEED, lean: 0,
+    motionPattern: MotionPattern.STRAIGHT, diameter, nominal, penetrationClass: 1 });
+  const { width, reinforcement, penetration, area, heat } = shape;
+
+  const categories = {
+    arcGap: arcGapCategory(arcLength),
+    travelSpeed: speed < 5 ? 'Slow' : speed <= 8 ? 'Medium' : 'Fast',
+    rodAngle: rodAngleCategory(workAngle, travelAngle),
+    motionPattern: MOTION_PATTERNS[motionPattern].technique
+  };
+  const preset = thickness === undefined ? undefined : thicknessPreset(thickness, knowledge);
+
+  const effects = Object.entries(categories).map(([dimension, option]) => ({
+    dimension,
+    option,
+    source: `techniques.${dimension}.${option}`,
+    notes: pick(knowledge.techniques[dimension][option], ['effect', 'puddle', 'appearance', 'issues'])
+  }));
+  if (preset) {
+    effects.push({
+      dimension: 'metalThickness',
+      option: preset,
+      source: `metalThickness.${preset}`,
+      notes: pick(knowledge.metalThickness[preset], ['penetration', 'heatDissipation'])
+    });
+  }
+
+  const profile = {
+    width: round(width),
+    reinforcement: round(reinforcement),
+    penetration: round(penetration),
+    area: round(area),
+    heatInput: Math.round(heatInput * 10) / 10,
+    rippleSpacing: round(motionPattern === MotionPattern.WHIP_STEP ? 1.5 * diameter : speed / 240),
+    puddle: {
+      length: round(width * (0.8 + 0.3 * Math.min(heat, 2))),
+      width: round(width),
+      fluidity: heat < 0.8 ? 'Stiff' : heat > 1.3 ? 'VeryFluid' : 'Moderate'
+    },
+    categories,
+    effects,
+    defects: []
+  };
+  profile.defects = findDefects({ ...profile, heat, amperage, range, speed, arcLength, thickness, preset,
+    referenceHeight: reference.reinforcement }, knowledge);
+  return profile;
+}
+
+// Bead geometry in inches, plus heat relative to the electrode's nominal
+// current at the reference speed
+function beadShape({ amperage, arcLength, speed, lean, motionPattern, diameter, nominal, penetrationClass, thickness }) {
+  // Stepping lets the puddle freeze between movements
+  const heat = (arcVoltage(amperage, arcLength, diameter) * amperage / speed)
+    / (arcVoltage(nominal, 1, diameter) * nominal / REFERENCE_SPEED)
+    * (motionPattern === MotionPattern.WHIP_STEP ? 0.85 : 1);
+  const area = DEPOSIT_PER_AMP * amperage / speed;
+  const weave = WEAVE_WIDTH[motionPattern];
+  // A longer arc spreads the metal wider and flatter, a hotter puddle wets out
+  // further, and leaning the rod stacks metal rather than driving it in
+  const width = 1.2 * Math.pow(area, 0.35) * weave * (0.85 + 0.15 * arcLength) * Math.pow(heat, 0.15);
+  const stacking = (1 + lean / 90) * (1.15 - 0.15 * arcLength);
+  const reinforcement = 1.3 * (area / width) * stacking;
+  // Thin plate can't carry the heat away, so the arc digs further into it
+  const heatSink = thickness === undefined ? 1 : Math.min(Math.max(Math.pow(0.25 / thickness, 0.3), 0.85), 1.4);
+  const penetration = 0.06 * Math.pow(amperage / 120, 1.5) * Math.pow(REFERENCE_SPEED / speed, 0.3)
+    * Math.max(1.45 - 0.45 * arcLength, 0.3) * Math.cos(lean * Math.PI / 180)
+    * penetrationClass * heatSink / Math.sqrt(weave);
+  return { width, reinforcement, penetration, area, heat };
+}
+
+// Defects from the extremes of the profile, each cited to the entry that
+// describes it
+function findDefects({ width, reinforcement, penetration, heat, amperage, range, speed, arcLength,
+  thickness, preset, categories, referenceHeight }, knowledge) {
+  const defects = [];
+  const add = (type, severity, message, source) => {
+    if (severity > 0) defects.push({ type, severity: Math.round(Math.min(severity, 1) * 100) / 100, message, source });
+  };
+
+  if (thickness !== undefined) {
+    const thinnest = Object.keys(knowledge.metalThickness)[0];
+    add(BeadDefect.BURN_THROUGH, (penetration / thickness - 0.85) / 0.3,
+      'Fusion reaches the back of the plate; the puddle may fall through',
+      preset === thinnest ? `metalThickness.${preset}.penetration` : 'techniques.travelSpeed.Slow.issues');
+  }
+
+  // Hot, fast or long-arc runs melt the toes faster than metal fills them
+  const overcurrent = Math.max((amperage - range.max) / (range.max - range.min), 0);
+  add(BeadDefect.UNDERCUT,
+    overcurrent * 2 + Math.max(speed / REFERENCE_SPEED - 1.3, 0) + Math.max(arcLength - 1.5, 0),
+    'Grooves melted along the toes are left unfilled',
+    'techniques.travelSpeed.Fast.issues');
+
+  add(BeadDefect.LACK_OF_FUSION, (0.75 - heat) / 0.35,
+    'Too little heat to wet the toes; the bead sits on the surface',
+    'observables.edgeTie.Poor.diagnosis');
+
+  const needed = Math.min(thickness === undefined ? Infinity : thickness / 4, 0.04);
+  const shallowCause = categories.arcGap === 'Long' ? 'techniques.arcGap.Long.effect'
+    : categories.rodAngle === 'Shallow' ? 'techniques.rodAngle.Shallow.effect'
+      : 'observables.puddleFluid.Stiff.diagnosis';
+  add(BeadDefect.INCOMPLETE_PENETRATION, (needed - penetration) / needed,
+    'Shallow fusion into the base metal', shallowCause);
+
+  add(BeadDefect.EXCESS_REINFORCEMENT,
+    Math.max((reinforcement / width - 0.4) / 0.2, (reinforcement / referenceHeight - 1.3) / 0.5),
+    'A tall, ropy crown piled on the plate',
+    categories.rodAngle === 'Shallow' ? 'techniques.rodAngle.Shallow.effect' : 'techniques.travelSpeed.Slow.issues');
+
+  return defects.sort((a, b) => b.severity - a.severity);
+}
+
+function pick(entry, keys) {
+  return Object.fromEntries(keys.filter(key => entry[key]).map(key => [key, entry[key]]));
+}
+
+function round(inches) {
+  return Math.round(inches * 10000) / 10000;
+}
@@ -0,0 +1,337 @@
+// Closed-loop weld control
+// A controller for robotic welding that turns a stream of measurements into
+// setpoint changes for amperage, travel speed and arc length, instead of the
+// advice text getRecommendations gives a welder. It starts from the
+// recommendation's nominal setpoints and keeps the puddle at the width the
+// bead model expects of them, trading heat between amperage and travel
+// speed, while holding the arc length that arc voltage reads. Every change is
+// rate-limited and bounded: amperage never leaves the electrodeSize table's
+// window for the rod, nor the output of the machine when one is given. When
+// measurements stop, it eases back to the recommended setpoints.
+//
+// createWeldPlant simulates the other side of the loop from the bead model,
+// so the controller can be run and tested offline.
+
+import { weldingKnowledge } from './knowledge.js';
+import { getRecommendations } from './recommendations.js';
+import { getMachine } from './lookups.js';
+import { clampRange } from './machines.js';
+import { resolveGeometry } from './geometry.js';
+import { simulateBead } from './beadModel.js';
+import { arcVoltage, arcLengthFromVoltage } from './arcSignals.js';
+import { ARC_LENGTHS, TRAVEL_SPEEDS, MotionPattern } from './technique.js';
+import { seededRandom } from './random.js';
+
+// Controller modes
+export const ControllerMode = Object.freeze({
+  // Correcting towards the measured targets
+  TRACKING: 'tracking',
+  // Measurements lost: easing back to the recommended setpoints
+  FALLBACK: 'fallback'
+});
+
+export const SETPOINT_FIELDS = ['amperage', 'travelSpeed', 'arcLength'];
+
+// Largest change per second: amps, in/min and multiples of the core diameter
+const DEFAULT_RATE_LIMITS = { amperage: 15, travelSpeed: 2, arcLength: 0.5 };
+
+// Travel speed and arc length bounds: the extremes of the technique presets
+const TRAVEL_SPEED_LIMITS = presetBounds(TRAVEL_SPEEDS);
+const ARC_LENGTH_LIMITS = presetBounds(ARC_LENGTHS);
+
+/**
+ * @typedef {object} Setpoints
+ * @property {number} amperage A
+ * @property {number} travelSpeed in/min
+ * @property {number} arcLength multiple of the core-wire diameter
+ */
+
+/**
+ * @typedef {object} ControlMeasurement
+ * @property {number} [puddleWidth] in; drives amperage and travel speed
+ * @property {number} [voltage] arc voltage, V; with current, drives arc length
+ * @property {number} [current] A
+ */
+
+/**
+ * @typedef {object} ControlOutput
+ * @property {number} time ms
+ * @property {string} mode a ControllerMode
+ * @property {Setpoints} setpoints to command now
+ * @property {Setpoints} deltas change from the previous output
+ * @property {string[]} limited fields held back by a rate limit or a bound
+ * @property {{width: number|null, arcLength: number|null}} errors relative width
+ *   shortfall (positive: too narrow) and arc length shortfall in multiples of the
+ *   core, from the latest measurement; null when not measured
+ */
+
+/**
+ * Create a controller for one weld.
+ * @param {object} inputs getRecommendations inputs for the scenario
+ * @param {object} [options]
+ * @param {number} [options.proportional] heat change per unit of relative width error
+ * @param {number} [options.integral] heat change per unit of relative width error per second
+ * @param {number} [options.split] share of a heat change taken by amperage; travel
+ *   speed takes the rest
+ * @param {number} [options.arcGain] arc length correction per second, per multiple of
+ *   the core it is off
+ * @param {number} [options.smoothing] time constant of the measurement smoothing, ms
+ * @param {number} [options.sensorTimeout] ms without a usable measurement before
+ *   falling back
+ * @param {Setpoints} [options.rateLimits] largest change per second of each setpoint
+ * @param {object} [options.knowledge]
+ * @returns {{update: function(number, ?(ControlMeasurement)): ControlOutput, reset: function(): void,
+ *   baseline: Setpoints, limits: {amperage: {min: number, max: number}, travelSpeed: {min: number, max: number},
+ *   arcLength: {min: number, max: number}}, targets: {puddleWidth: number, arcLength: number}}}
+ * @throws {Error} when the inputs can't be recommended
+ */
+export function createWeldController(inputs, options = {}) {
+  const {
+    proportional = 0.6,
+    integral = 0.8,
+    split = 0.6,
+    arcGain = 2,
+    smoothing = 300,
+    sensorTimeout = 500,
+    knowledge = weldingKnowledge
+  } = options;
+  const rateLimits = { ...DEFAULT_RATE_LIMITS, ...options.rateLimits };
+  const scenario = weldScenario(inputs, knowledge);
+  const { baseline, diameter } = scenario;
+  const limits = {
+    amperage: scenario.amperageWindow,
+    travelSpeed: TRAVEL_SPEED_LIMITS,
+    arcLength: ARC_LENGTH_LIMITS
+  };
+  const targets = { puddleWidth: scenario.width, arcLength: baseline.arcLength };
+  let state;
+
+  const reset = () => {
+    state = {
+      time: null,
+      // Measurements are only missed once the first update has waited for them
+      lastMeasured: null,
+      mode: ControllerMode.TRACKING,
+      setpoints: { ...baseline },
+      width: null,
+      integral: 0,
+      errors: { width: null, arcLength: null }
+    };
+  };
+  reset();
+
+  return {
+    baseline: { ...baseline },
+    limits,
+    targets,
+    reset,
+
+    /**
+     * Take a measurement, or null when none arrived, and return the setpoints
+     * to command.
+     */
+    update(time, measurement) {
+      const dt = state.time === null ? 0 : Math.max(time - state.time, 0) / 1000;
+      if (state.time === null) state.lastMeasured = time;
+      state.time = time;
+      const width = measurement && Number.isFinite(measurement.puddleWidth) ? measurement.puddleWidth : null;
+      const arc = measurement && Number.isFinite(measurement.voltage) && Number.isFinite(measurement.current)
+        ? arcLengthFromVoltage(measurement.voltage, Math.abs(measurement.current), diameter)
+        : null;
+      if (width !== null || arc !== null) state.lastMeasured = time;
+
+      const lost = time - state.lastMeasured > sensorTimeout;
+      const desired = { ...state.setpoints };
+      if (lost) {
+        // Safe defaults: the recommendation, with the corrections forgotten
+        state.mode = ControllerMode.FALLBACK;
+        state.integral = 0;
+        state.width = null;
+        state.errors = { width: null, arcLength: null };
+        Object.assign(desired, baseline);
+      } else {
+        state.mode = ControllerMode.TRACKING;
+        if (width !== null) {
+          const weight = state.width === null ? 1 : 1 - Math.exp(-(dt * 1000) / smoothing);
+          state.width = state.width === null ? width : state.width + (width - state.width) * weight;
+          const error = (targets.puddleWidth - state.width) / targets.puddleWidth;
+          state.errors.width = round(error, 4);
+          // PI on the width error; the integral stops growing while the heat
+          // it asks for can't be delivered
+          const heat = proportional * error + integral * (state.integral + error * dt);
+          const amperage = baseline.amperage * (1 + split * heat);
+          const travelSpeed = baseline.travelSpeed * (1 - (1 - split) * heat);
+          const saturated = !within(amperage, limits.amperage) || !within(travelSpeed, limits.travelSpeed);
+          if (!saturated) state.integral += error * dt;
+          desired.amperage = amperage;
+          desired.travelSpeed = travelSpeed;
+        }
+        if (arc !== null) {
+          const error = targets.arcLength - arc;
+          state.errors.arcLength = round(error, 3);
+          desired.arcLength = state.setpoints.arcLength + arcGain * error * dt;
+        }
+      }
+
+      // Rate-limit the move towards the desired setpoints, then bound it
+      const previous = state.setpoints;
+      const next = {};
+      const limited = [];
+      for (const field of SETPOINT_FIELDS) {
+        const step = rateLimits[field] * dt;
+        const move = desired[field] - previous[field];
+        const value = previous[field] + clamp(move, -step, step);
+        next[field] = clamp(value, limits[field].min, limits[field].max);
+        if (Math.abs(move) > step || next[field] !== value) limited.push(field);
+      }
+      state.setpoints = next;
+
+      return {
+        time,
+        mode: state.mode,
+        setpoints: roundSetpoints(next),
+        deltas: Object.fromEntries(SETPOINT_FIELDS.map(field => [field, round(next[field] - previous[field], 3)])),
+        limited,
+        errors: { ...state.errors }
+      };
+    }
+  };
+}
+
+/**
+ * Simulate the weld a controller drives: the puddle width the bead model
+ * gives for the commanded setpoints, reached with a lag and read with noise,
+ * and the arc voltage of the arc length plus any standoff drift.
+ * @param {object} inputs getRecommendations inputs for the scenario
+ * @param {object} [options]
+ * @param {number} [options.lag] time constant of the puddle's response, ms
+ * @param {number} [options.noise] measurement noise, as a fraction
+ * @param {number} [options.seed]
+ * @param {object} [options.knowledge]
+ * @returns {{step: function(Setpoints, number): {time: number, current: number, voltage: number,
+ *   travelSpeed: number, puddleWidth: number}, disturb: function({widthFactor?: number, standoff?: number}): void}}
+ *   disturb changes the plate: widthFactor scales the puddle width (a heavier
+ *   section or a cold plate narrows it), and standoff lengthens the arc past its
+ *   setpoint, in multiples of the core
+ * @throws {Error} when the inputs can't be recommended
+ */
+export function createWeldPlant(inputs, options = {}) {
+  const { lag = 400, noise = 0.01, seed = 1, knowledge = weldingKnowledge } = options;
+  const { settings, diameter, width } = weldScenario(inputs, knowledge);
+  const random = seededRandom(seed);
+  const jitter = () => 1 + (random() - 0.5) * 2 * noise;
+  const disturbance = { widthFactor: 1, standoff: 0 };
+  let time = 0;
+  let puddleWidth = width;
+
+  return {
+    disturb(change) {
+      Object.assign(disturbance, change);
+    },
+
+    // Advance dt ms at the given setpoints and measure
+    step(setpoints, dt) {
+      time += dt;
+      const arcLength = Math.max(setpoints.arcLength + disturbance.standoff, 0.1);
+      const steady = simulateBead({
+        ...settings,
+        amperage: setpoints.amperage,
+        travelSpeed: setpoints.travelSpeed,
+        arcLength
+      }, { knowledge }).width * disturbance.widthFactor;
+      puddleWidth += (steady - puddleWidth) * (1 - Math.exp(-dt / lag));
+      return {
+        time,
+        current: round(setpoints.amperage * jitter(), 1),
+        voltage: round(arcVoltage(setpoints.amperage, arcLength, diameter) * jitter(), 2),
+        travelSpeed: round(setpoints.travelSpeed * jitter(), 2),
+        puddleWidth: round(puddleWidth * jitter(), 4)
+      };
+    }
+  };
+}
+
+/**
+ * Run a controller against a plant at a fixed interval.
+ * @param {ReturnType<typeof createWeldController>} controller
+ * @param {ReturnType<typeof createWeldPlant>} plant
+ * @param {object} [options]
+ * @param {number} [options.duration] ms
+ * @param {number} [options.interval] ms between measurements
+ * @param {{start: number, duration: number}[]} [options.dropouts] ms spans in
+ *   which measurements are lost
+ * @param {{at: number, widthFactor?: number, standoff?: number}[]} [options.disturbances]
+ *   plate changes at given times, ms
+ * @returns {{output: ControlOutput, measurement: object|null}[]} one entry per interval
+ */
+export function runClosedLoop(controller, plant, options = {}) {
+  const { duration = 10000, interval = 100, dropouts = [], disturbances = [] } = options;
+  const history = [];
+  let output = controller.update(0, null);
+  for (let time = interval; time <= duration; time += interval) {
+    disturbances.filter(change => change.at > time - interval && change.at <= time)
+      .forEach(({ at, ...change }) => plant.disturb(change));
+    const measured = plant.step(output.setpoints, interval);
+    const lost = dropouts.some(span => time >= span.start && time < span.start + span.duration);
+    const measurement = lost ? null : measured;
+    output = controller.update(time, measurement);
+    history.push({ output, measurement });
+  }
+  return history;
+}
+
+// The recommendation's nominal setpoints for the inputs, the bead settings
+// they go with, and the width of the bead they lay down
+function weldScenario(inputs, knowledge) {
+  const recommendation = getRecommendations(inputs, { knowledge });
+  if (!recommendation.valid) {
+    throw new Error(`Cannot control a weld that can't be recommended: ${recommendation.errors.map(error => error.message).join('; ')}`);
+  }
+  const sizeData = knowledge.electrodeSize[inputs.electrodeSize];
+  // The rod's window, cut to what the machine can deliver
+  const window = { ...sizeData.amperage[inputs.electrode] };
+  const machine = inputs.machine ? getMachine(inputs.machine, knowledge) : null;
+  const baseline = {
+    amperage: recommendation.amperage.nominal,
+    travelSpeed: recommendation.travelSpeed.nominal,
+    arcLength: recommendation.arcLength ? recommendation.arcLength.nominal : 1
+  };
+  const settings = {
+    ...baseline,
+    electrode: inputs.electrode,
+    electrodeSize: inputs.electrodeSize,
+    workAngle: recommendation.workAngle ? recommendation.workAngle.nominal : 90,
+    travelAngle: recommendation.travelAngle ? recommendation.travelAngle.nominal : 0,
+    motionPattern: recommendation.motionPatterns[0] || MotionPattern.STRAIGHT,
+    thickness: resolveGeometry(inputs, knowledge).thickness
+  };
+  return {
+    baseline,
+    settings,
+    diameter: sizeData.diameter,
+    amperageWindow: machine ? clampRange(window, machine.amperage) : window,
+    width: simulateBead(settings, { knowledge }).width
+  };
+}
+
+function presetBounds(presets) {
+  const ranges = Object.values(presets);
+  return { min: Math.min(...ranges.map(range => range.min)), max: Math.max(...ranges.map(range => range.max)) };
+}
+
+function within(value, { min, max }) {
+  return value >= min && value <= max;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function roundSetpoints(setpoints) {
+  return { amperage: round(setpoints.amperage, 1), travelSpeed: round(setpoints.travelSpeed, 2), arcLength: round(setpoints.arcLength, 3) };
+}
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
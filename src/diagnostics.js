@@ -0,0 +1,151 @@
+// Puddle diagnostics
+// Reads the observables table and combines several symptoms into a ranked
+// list of likely causes and the adjustments that address them. All of the
+// welding knowledge lives in the data: adding a cause, an adjustment or a
+// whole new observable needs no code change here.
+
+import { weldingKnowledge } from './knowledge.js';
+import { OBSERVATION_FIELDS } from './lookups.js';
+import { moistureSuspected } from './electrodeStorage.js';
+
+// Adjustment text marking an observable state as normal rather than a fault
+const NORMAL_ADJUSTMENT = 'Maintain settings';
+
+/**
+ * @typedef {object} Symptom
+ * @property {string} observable observables table key, e.g. "puddleFluid"
+ * @property {string} state e.g. "Stiff"
+ * @property {string} diagnosis
+ * @property {string} source e.g. "observables.puddleFluid.Stiff"
+ */
+
+/**
+ * @typedef {object} Cause
+ * @property {string} cause canonical cause, e.g. "Amperage too low"
+ * @property {number} confidence 0-1: how strongly the observed symptoms
+ *   agree on this cause, weighting each symptom's first-listed causes highest
+ * @property {string[]} symptoms sources of the symptoms pointing at it
+ * @property {string[]} sources causes[] entries it was read from
+ */
+
+/**
+ * @typedef {object} Adjustment
+ * @property {string} action e.g. "Increase amperage"
+ * @property {string} cause the Cause it addresses
+ * @property {number} confidence the confidence of that cause
+ * @property {string} source adjustments[] entry the action was read from
+ * @property {{field: string, to: string}|null} change the techniques option
+ *   the cause moves to, from causeChanges, if it is a technique change
+ */
+
+/**
+ * @typedef {object} Diagnosis
+ * @property {Symptom[]} symptoms abnormal observations, in input order
+ * @property {Cause[]} causes most likely first
+ * @property {Adjustment[]} adjustments one per cause, deduplicated, most likely first
+ */
+
+/**
+ * Diagnose the observed puddle and arc.
+ * @param {object} observations observable states, keyed either like the
+ *   getRecommendations inputs (observedPuddle: "Stiff") or by observables
+ *   table key (puddleFluid: "Stiff"). With the electrode and rodExposure
+ *   (hours out of the oven) past its storage limit, the symptoms damp rods
+ *   cause put moisture in the coating first.
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @returns {Diagnosis}
+ */
+export function diagnose(observations, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const aliases = knowledge.causeAliases || {};
+  const changes = knowledge.causeChanges || {};
+  const symptoms = [];
+  const causes = new Map();
+  const moisture = moistureSuspected(observations, knowledge) ? knowledge.electrodeStorage.moisture : null;
+
+  for (const [observable, state] of observedStates(observations, knowledge)) {
+    const entry = knowledge.observables[observable][state];
+    if (!entry || isNormal(entry)) continue;
+
+    const symptomSource = `observables.${observable}.${state}`;
+    symptoms.push({ observable, state, diagnosis: entry.diagnosis, source: symptomSource });
+
+    const listed = entry.causes.map((text, i) => ({
+      text,
+      source: `${symptomSource}.causes[${i}]`,
+      action: entry.adjustments[i],
+      actionSource: `${symptomSource}.adjustments[${i}]`
+    }));
+    if (moisture && moisture.indicates.includes(symptomSource)) {
+      listed.unshift({
+        text: moisture.cause,
+        source: 'electrodeStorage.moisture',
+        action: moisture.adjustment,
+        actionSource: 'electrodeStorage.moisture.adjustment'
+      });
+    }
+
+    listed.forEach(({ text, source, action, actionSource }, i) => {
+      const name = aliases[text] || text;
+      const weight = 1 - i / (2 * listed.length);
+      const cause = causes.get(name) || { cause: name, score: 0, symptoms: [], sources: [], actions: [] };
+
+      cause.score += weight;
+      cause.symptoms.push(symptomSource);
+      cause.sources.push(source);
+      if (action) cause.actions.push({ action, weight, source: actionSource });
+      causes.set(name, cause);
+    });
+  }
+
+  // Highest score first; Array.prototype.sort is stable, so ties keep the
+  // order in which the causes were first observed
+  const ranked = [...causes.values()]
+    .map(cause => ({ ...cause, confidence: round(cause.score / symptoms.length) }))
+    .sort((a, b) => b.score - a.score);
+
+  const adjustments = [];
+  const seen = new Set();
+  for (const cause of ranked) {
+    // Strongest phrasing of the fix for this cause, skipping advice already given
+    const best = [...cause.actions].sort((a, b) => b.weight - a.weight).find(a => !seen.has(a.action));
+    if (!best) continue;
+    seen.add(best.action);
+    adjustments.push({
+      action: best.action,
+      cause: cause.cause,
+      confidence: cause.confidence,
+      source: best.source,
+      change: changes[cause.cause] || null
+    });
+  }
+
+  return {
+    symptoms,
+    causes: ranked.map(({ cause, confidence, symptoms: from, sources }) => ({
+      cause, confidence, symptoms: from, sources
+    })),
+    adjustments
+  };
+}
+
+// [observable, state] pairs named by the observations object
+function observedStates(observations, knowledge) {
+  const states = [];
+  for (const [key, state] of Object.entries(observations)) {
+    const observable = OBSERVATION_FIELDS[key] || key;
+    if (knowledge.observables[observable] && state) {
+      states.push([observable, state]);
+    }
+  }
+  return states;
+}
+
+function isNormal(entry) {
+  return entry.adjustments.length === 1 && entry.adjustments[0] === NORMAL_ADJUSTMENT;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
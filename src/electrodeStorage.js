@@ -0,0 +1,308 @@
+// Electrode storage
+// Low-hydrogen and stainless coatings pick up moisture from shop air, and a
+// damp rod puts hydrogen into the weld: porosity, an unsteady arc and, on
+// hardenable steel, cracking. This tracks lots of rods through sealed cans,
+// the holding oven and the shop floor, times their exposure against the
+// electrodeStorage limits for their class, and says when a lot needs a
+// rebake or should be thrown away. An inventory round-trips through JSON so
+// it can be kept between visits.
+
+import { weldingKnowledge } from './knowledge.js';
+
+export const INVENTORY_VERSION = 1;
+
+// Where a lot of rods is kept
+export const StorageState = Object.freeze({
+  SEALED: 'sealed',
+  OVEN: 'oven',
+  OPEN: 'open'
+});
+
+// What a lot is fit for
+export const RodCondition = Object.freeze({
+  DRY: 'dry',
+  EXPOSED: 'exposed',
+  NEEDS_REBAKE: 'needsRebake',
+  DISCARD: 'discard'
+});
+
+const STATES = Object.values(StorageState);
+const MS_PER_HOUR = 3600000;
+
+/**
+ * @typedef {object} RodLot
+ * @property {string} id unique within the inventory, e.g. "lot-3"
+ * @property {string} electrode e.g. "E7018"
+ * @property {string|null} size electrodeSize key, e.g. '1/8"'
+ * @property {string} lotNumber the maker's lot or heat number
+ * @property {number|null} quantity lb
+ * @property {string} state a StorageState
+ * @property {number} since when it entered that state, ms since the epoch
+ * @property {number} exposure hours in shop air before `since`
+ * @property {number} rebakes times it has been rebaked
+ */
+
+/**
+ * @typedef {object} LotAssessment
+ * @property {string} condition a RodCondition
+ * @property {string} storageClass electrodeStorage class name
+ * @property {number} exposure hours in shop air that count against the limit
+ * @property {number|null} limit the class's exposureLimit
+ * @property {number|null} remaining hours left before the limit; null
+ *   without one
+ * @property {string} message e.g. "2.5 of 4 h out of the oven"
+ * @property {string} source e.g. "electrodeStorage.classes.Low hydrogen E70"
+ */
+
+/**
+ * The storage class an electrode belongs to.
+ * @param {string} electrode
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the class entry with its `name` and `source`
+ */
+export function storageClass(electrode, knowledge = weldingKnowledge) {
+  const classes = (knowledge.electrodeStorage && knowledge.electrodeStorage.classes) || {};
+  const name = Object.keys(classes).find(key => classes[key].electrodes.includes(electrode));
+  return name && { ...classes[name], name, source: `electrodeStorage.classes.${name}` };
+}
+
+/**
+ * Whether a scenario's rods have been out longer than their class allows, so
+ * moisture in the coating is a likely cause of trouble.
+ * @param {{electrode?: string, rodExposure?: number}} inputs rodExposure is
+ *   hours out of the can or oven
+ * @param {object} [knowledge]
+ * @returns {boolean}
+ */
+export function moistureSuspected(inputs, knowledge = weldingKnowledge) {
+  const entry = storageClass(inputs.electrode, knowledge);
+  return Boolean(entry && entry.exposureLimit !== null && typeof inputs.rodExposure === 'number' &&
+    inputs.rodExposure > entry.exposureLimit);
+}
+
+/**
+ * Hours a lot has spent in shop air that still count against its limit. Time
+ * in the oven doesn't add to it, and clears it once the lot has been back
+ * for its class's reissueAfter hours within the limit.
+ * @param {RodLot} lot
+ * @param {number} now ms since the epoch
+ * @param {object} [knowledge]
+ * @returns {number}
+ */
+export function exposureHours(lot, now, knowledge = weldingKnowledge) {
+  const elapsed = Math.max(0, now - lot.since) / MS_PER_HOUR;
+  if (lot.state === StorageState.SEALED) return 0;
+  if (lot.state === StorageState.OPEN) return lot.exposure + elapsed;
+
+  const entry = storageClass(lot.electrode, knowledge);
+  const reissued = entry && entry.exposureLimit !== null && entry.reissueAfter !== null &&
+    lot.exposure <= entry.exposureLimit && elapsed >= entry.reissueAfter;
+  return reissued ? 0 : lot.exposure;
+}
+
+/**
+ * Judge a lot against its class's exposure limit.
+ * @param {RodLot} lot
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @param {number} [options.now] ms since the epoch, default the current time
+ * @returns {LotAssessment}
+ * @throws {Error} for an electrode no storage class lists
+ */
+export function assessLot(lot, options = {}) {
+  const { knowledge = weldingKnowledge, now = Date.now() } = options;
+  const entry = requireClass(lot.electrode, knowledge);
+  const exposure = round(exposureHours(lot, now, knowledge));
+  const limit = entry.exposureLimit;
+  const base = { storageClass: entry.name, exposure, limit, remaining: null, source: entry.source };
+
+  if (limit === null) return { ...base, condition: RodCondition.DRY, message: entry.storage };
+  const remaining = round(Math.max(0, limit - exposure));
+  if (exposure <= limit) {
+    return {
+      ...base,
+      condition: exposure === 0 ? RodCondition.DRY : RodCondition.EXPOSED,
+      remaining,
+      message: exposure === 0 ? 'Dry' : `${exposure} of ${limit} h out of the oven`
+    };
+  }
+
+  const past = `Out ${exposure} h, past the ${limit} h limit`;
+  if (canRebake(lot, entry)) {
+    const { min, max, hours } = entry.rebake;
+    return { ...base, condition: RodCondition.NEEDS_REBAKE, remaining, message: `${past}: rebake at ${min}-${max}°F for ${hours} h` };
+  }
+  const rebaked = entry.rebake ? ` and rebaked ${times(lot.rebakes)} already` : '';
+  return { ...base, condition: RodCondition.DISCARD, remaining, message: `${past}${rebaked}: discard` };
+}
+
+/**
+ * Keep track of rod lots. Lots move between a sealed can, the holding oven
+ * and the shop floor; each move banks the exposure so far, so assessing a lot
+ * later only needs the clock.
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @param {function(): number} [options.now] clock in milliseconds
+ * @param {RodLot[]} [options.lots] lots to start from, e.g. from parseInventory
+ * @returns {{addLot: function(object): RodLot, setState: function(string, string): RodLot,
+ *   rebake: function(string): RodLot, remove: function(string): void,
+ *   lots: function(): RodLot[], assess: function(string): LotAssessment}}
+ */
+export function createElectrodeInventory(options = {}) {
+  const { knowledge = weldingKnowledge, now = () => Date.now() } = options;
+  const lots = (options.lots || []).map(lot => ({ ...lot }));
+  let nextId = lots.reduce((max, lot) => Math.max(max, Number(String(lot.id).replace(/\D/g, '')) || 0), 0) + 1;
+
+  const find = id => {
+    const lot = lots.find(entry => entry.id === id);
+    if (!lot) throw new Error(`Unknown rod lot "${id}"`);
+    return lot;
+  };
+
+  return {
+    /**
+     * @param {{electrode: string, size?: string, lotNumber?: string, quantity?: number, state?: string}} details
+     *   state defaults to sealed
+     * @returns {RodLot}
+     * @throws {Error} for an unknown electrode, size or state
+     */
+    addLot(details) {
+      const { electrode, size = null, lotNumber = '', quantity = null, state = StorageState.SEALED } = details;
+      requireClass(electrode, knowledge);
+      if (size !== null && !knowledge.electrodeSize[size]) throw new Error(`Unknown electrode size "${size}"`);
+      requireState(state);
+      const lot = { id: `lot-${nextId++}`, electrode, size, lotNumber, quantity, state, since: now(), exposure: 0, rebakes: 0 };
+      lots.push(lot);
+      return { ...lot };
+    },
+
+    /**
+     * Move a lot, banking its exposure so far. An opened can can't be
+     * resealed.
+     * @param {string} id
+     * @param {string} state a StorageState
+     * @returns {RodLot}
+     */
+    setState(id, state) {
+      const lot = find(id);
+      requireState(state);
+      if (state === lot.state) return { ...lot };
+      if (state === StorageState.SEALED) throw new Error(`Lot ${lot.lotNumber || lot.id} has been opened and can't be resealed`);
+      const time = now();
+      lot.exposure = exposureHours(lot, time, knowledge);
+      lot.state = state;
+      lot.since = time;
+      return { ...lot };
+    },
+
+    /**
+     * Rebake a lot, clearing its exposure, and put it in the holding oven.
+     * @param {string} id
+     * @returns {RodLot}
+     * @throws {Error} for rods that must not be baked, or have been rebaked
+     *   as often as their class allows
+     */
+    rebake(id) {
+      const lot = find(id);
+      const entry = requireClass(lot.electrode, knowledge);
+      if (!entry.rebake) throw new Error(`${lot.electrode} rods must not be rebaked: ${entry.storage}`);
+      if (!canRebake(lot, entry)) {
+        throw new Error(`Lot ${lot.lotNumber || lot.id} has been rebaked ${times(lot.rebakes)} already; discard it`);
+      }
+      Object.assign(lot, { state: StorageState.OVEN, since: now(), exposure: 0, rebakes: lot.rebakes + 1 });
+      return { ...lot };
+    },
+
+    remove(id) {
+      lots.splice(lots.indexOf(find(id)), 1);
+    },
+
+    /**
+     * @returns {RodLot[]} in the order they were added
+     */
+    lots() {
+      return lots.map(lot => ({ ...lot }));
+    },
+
+    /**
+     * @param {string} id
+     * @returns {LotAssessment}
+     */
+    assess(id) {
+      return assessLot(find(id), { knowledge, now: now() });
+    }
+  };
+}
+
+/**
+ * @param {RodLot[]} lots
+ * @returns {string} JSON
+ */
+export function serializeInventory(lots) {
+  return `${JSON.stringify({ version: INVENTORY_VERSION, lots }, null, 2)}\n`;
+}
+
+/**
+ * Read an inventory saved by serializeInventory.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base whose storage classes
+ *   the lots' electrodes must be in
+ * @returns {RodLot[]}
+ * @throws {Error} when the text isn't an inventory this version can read, or
+ *   a lot's electrode has no storage class to time it against
+ */
+export function parseInventory(text, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  let inventory;
+  try {
+    inventory = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Inventory is not valid JSON: ${error.message}`);
+  }
+  if (!inventory || typeof inventory !== 'object') throw new Error('Inventory must be a JSON object');
+  if (inventory.version !== INVENTORY_VERSION) {
+    throw new Error(`Unsupported inventory version ${JSON.stringify(inventory.version)}; expected ${INVENTORY_VERSION}`);
+  }
+  if (!Array.isArray(inventory.lots)) throw new Error('Inventory needs a "lots" list');
+
+  inventory.lots.forEach((lot, index) => {
+    const where = `Inventory lot ${index + 1}`;
+    if (!lot || typeof lot !== 'object') throw new Error(`${where} must be an object`);
+    if (typeof lot.id !== 'string' || typeof lot.electrode !== 'string') {
+      throw new Error(`${where} needs an "id" and an "electrode"`);
+    }
+    if (!storageClass(lot.electrode, knowledge)) {
+      throw new Error(`${where} (${lot.lotNumber || lot.id}) is electrode "${lot.electrode}", which no storage class lists`);
+    }
+    if (!STATES.includes(lot.state)) throw new Error(`${where} has unknown state ${JSON.stringify(lot.state)}`);
+    for (const field of ['since', 'exposure', 'rebakes']) {
+      if (typeof lot[field] !== 'number' || !Number.isFinite(lot[field]) || lot[field] < 0) {
+        throw new Error(`${where} needs a non-negative number "${field}"`);
+      }
+    }
+  });
+  return inventory.lots;
+}
+
+function requireClass(electrode, knowledge) {
+  const entry = storageClass(electrode, knowledge);
+  if (!entry) throw new Error(`No storage class lists electrode "${electrode}"`);
+  return entry;
+}
+
+function requireState(state) {
+  if (!STATES.includes(state)) throw new Error(`Unknown storage state "${state}"; expected one of ${STATES.join(', ')}`);
+}
+
+function canRebake(lot, entry) {
+  return Boolean(entry.rebake) && (entry.maxRebakes === null || lot.rebakes < entry.maxRebakes);
+}
+
+function times(count) {
+  return count === 1 ? 'once' : `${count} times`;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,156 @@
+// Human-readable strings for structured recommendations
+// The structured fields are the source of truth; everything shown to a
+// person is derived from them here.
+
+import { MOTION_PATTERNS } from './technique.js';
+
+function trim(value, digits) {
+  return String(Number(value.toFixed(digits)));
+}
+
+/**
+ * "75-130A" style range, or a single value when min and max agree.
+ * @param {{min: number, max: number, unit?: string}} range
+ * @param {number} [digits] decimal places to keep
+ * @returns {string}
+ */
+export function formatRange(range, digits = 0) {
+  const min = trim(range.min, digits);
+  const max = trim(range.max, digits);
+  return (min === max ? min : `${min}-${max}`) + (range.unit ? formatUnit(range.unit) : '');
+}
+
+function formatUnit(unit) {
+  if (unit === 'deg') return '°';
+  if (unit === 'degF' || unit === 'degC') return `°${unit[3]}`;
+  return unit === 'A' ? unit : ` ${unit}`;
+}
+
+export function formatAmperage(amperage) {
+  return amperage ? formatRange(amperage) : '';
+}
+
+export function formatArcLength(arcLength) {
+  if (!arcLength) return '';
+  const label = arcLength.label || arcLength.category;
+  const multiple = `${trim(arcLength.min, 2)}-${trim(arcLength.max, 2)}× core`;
+  if (!arcLength.coreDiameter) return `${label} (${multiple})`;
+
+  const { value, unit } = arcLength.coreDiameter;
+  const digits = unit === 'mm' ? 1 : 2;
+  const length = formatRange({ min: arcLength.min * value, max: arcLength.max * value, unit }, digits);
+  return `${label} (${multiple}, ${length})`;
+}
+
+export function formatRodAngle(workAngle, travelAngle, note) {
+  if (!workAngle || !travelAngle) return '';
+  const direction = travelAngle.nominal < 0 ? 'push' : 'drag';
+  const lean = [Math.abs(travelAngle.min), Math.abs(travelAngle.max)].sort((x, y) => x - y);
+  const travel = formatRange({ min: lean[0], max: lean[1], unit: 'deg' });
+  const pose = `work ${formatRange(workAngle)}, ${travel} ${direction}`;
+  return note ? `${note} (${pose})` : pose;
+}
+
+export function formatTravelSpeed(travelSpeed) {
+  if (!travelSpeed) return '';
+  const digits = travelSpeed.unit === 'mm/s' ? 1 : 0;
+  return `${travelSpeed.label || travelSpeed.category} (${formatRange(travelSpeed, digits)})`;
+}
+
+/**
+ * "Preheat 300°F min, interpass 600°F max" from a recommendation's thermal field.
+ * @param {{preheatMin: number|null, interpassMax: number|null, unit: string}|null} thermal
+ * @returns {string}
+ */
+export function formatThermal(thermal) {
+  if (!thermal) return '';
+  const temperature = value => formatRange({ min: value, max: value, unit: thermal.unit });
+  const parts = [];
+  if (thermal.preheatMin !== null) parts.push(`preheat ${temperature(thermal.preheatMin)} min`);
+  if (thermal.interpassMax !== null) parts.push(`interpass ${temperature(thermal.interpassMax)} max`);
+  if (!parts.length) return 'No preheat or interpass limit';
+  const text = parts.join(', ');
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * "0.25 in" for a numeric thickness, "0.156 in (Medium (1/8"-3/16") preset)"
+ * when it stands for a preset.
+ * @param {{value: number, unit: string, preset: string, source: string}|null} thickness
+ * @returns {string}
+ */
+export function formatThickness(thickness) {
+  if (!thickness) return '';
+  const value = `${trim(thickness.value, thickness.unit === 'mm' ? 1 : 3)} ${thickness.unit}`;
+  return thickness.source === 'preset' ? `${value} (${thickness.preset} preset)` : value;
+}
+
+/**
+ * "22.4 kJ/in at 23.5 V, t8/5 51 s" from a recommendation's heat field.
+ * @param {{arcVoltage: number, heatInput: {value: number, unit: string},
+ *   coolingTime: number}|null} heat
+ * @returns {string}
+ */
+export function formatHeat(heat) {
+  if (!heat) return '';
+  const { value, unit } = heat.heatInput;
+  return `${trim(value, unit === 'kJ/mm' ? 2 : 1)} ${unit} at ${trim(heat.arcVoltage, 1)} V, ` +
+    `t8/5 ${trim(heat.coolingTime, 0)} s`;
+}
+
+/**
+ * "AC buzz box on AC: 22% duty cycle at 215 A" from a recommendation's
+ * machine field, followed by its arc force and hot start settings if it has
+ * those dials.
+ * @param {{name: string, output: string, dutyCycle: number, amperage: number,
+ *   arcForce: number|null, hotStart: number|null}|null} machine
+ * @returns {string}
+ */
+export function formatMachine(machine) {
+  if (!machine) return '';
+  const dials = [['arc force', machine.arcForce], ['hot start', machine.hotStart]]
+    .filter(([, value]) => value !== null)
+    .map(([dial, value]) => `${dial} ${value}%`);
+  return `${machine.name} on ${machine.output}: ${trim(machine.dutyCycle, 0)}% duty cycle at ${machine.amperage} A` +
+    (dials.length ? `, ${dials.join(', ')}` : '');
+}
+
+export function formatMotionPatterns(motionPatterns) {
+  return motionPatterns.map(pattern => MOTION_PATTERNS[pattern].label).join(', ');
+}
+
+/**
+ * Text for any knowledge base value, as shown by the node inspector: lists
+ * joined with commas, {min, max} ranges as "40-80" (or "0.1875+" when
+ * open-ended) and nested entries as "key: value" pairs.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatKnowledgeValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length ? value.map(formatKnowledgeValue).join(', ') : '—';
+  if (typeof value === 'object') {
+    if (typeof value.min === 'number' && typeof value.max === 'number') {
+      return value.max === Infinity ? `${trim(value.min, 4)}+` : `${trim(value.min, 4)}-${trim(value.max, 4)}`;
+    }
+    return Object.entries(value).map(([key, entry]) => `${key}: ${formatKnowledgeValue(entry)}`).join('; ');
+  }
+  if (typeof value === 'number') return trim(value, 4);
+  return String(value);
+}
+
+/**
+ * Short text for a trace step's before/after value: amperage ranges, preset
+ * names, pattern lists.
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatTraceValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object' && 'min' in value && 'max' in value) {
+    return formatRange({ min: Math.round(value.min), max: Math.round(value.max), unit: 'A' });
+  }
+  if (typeof value === 'number') return String(Math.round(value * 10) / 10);
+  return String(value);
+}
@@ -0,0 +1,141 @@
+// Plate thickness and joint geometry
+// Numeric thickness and joint dimensions, in inches or mm, mapped onto the
+// knowledge base: the metalThickness bucket they fall in, an amperage window
+// and the electrode sizes that suit them. The buckets remain as presets,
+// each standing for its nominal thickness.
+
+import { weldingKnowledge } from './knowledge.js';
+
+export const MM_PER_IN = 25.4;
+
+// Units accepted by the lengthUnit input
+export const LENGTH_UNITS = ['in', 'mm'];
+
+// Numeric inputs given in lengthUnit
+export const LENGTH_INPUTS = ['thickness', 'rootOpening', 'rootFace', 'filletLeg'];
+
+/**
+ * @typedef {object} Geometry
+ * @property {number} thickness plate thickness, inches
+ * @property {string} preset the metalThickness bucket it falls in
+ * @property {"input"|"preset"} source whether thickness was given as a number
+ *   or taken from the preset's nominal value
+ * @property {number} [bevelAngle] degrees per plate
+ * @property {number} [rootOpening] inches
+ * @property {number} [rootFace] inches
+ * @property {number} [filletLeg] inches
+ */
+
+/**
+ * Resolve the thickness and joint geometry of a getRecommendations input set.
+ * A numeric `thickness` takes precedence over `metalThickness`.
+ * @param {object} inputs
+ * @param {object} [knowledge]
+ * @returns {Geometry|null} null when neither thickness nor a known preset is given
+ */
+export function resolveGeometry(inputs, knowledge = weldingKnowledge) {
+  const toInches = value => (inputs.lengthUnit === 'mm' ? value / MM_PER_IN : value);
+  const geometry = {};
+
+  for (const field of LENGTH_INPUTS) {
+    if (isGiven(inputs[field])) geometry[field] = toInches(inputs[field]);
+  }
+  if (isGiven(inputs.bevelAngle)) geometry.bevelAngle = inputs.bevelAngle;
+
+  if (geometry.thickness !== undefined) {
+    return { ...geometry, preset: thicknessPreset(geometry.thickness, knowledge), source: 'input' };
+  }
+
+  const bucket = knowledge.metalThickness[inputs.metalThickness];
+  if (!bucket || !bucket.thickness) return null;
+  return { ...geometry, thickness: bucket.thickness.nominal, preset: inputs.metalThickness, source: 'preset' };
+}
+
+/**
+ * The metalThickness bucket a thickness falls in.
+ * @param {number} thickness inches
+ * @param {object} [knowledge]
+ * @returns {string|undefined}
+ */
+export function thicknessPreset(thickness, knowledge = weldingKnowledge) {
+  const buckets = Object.entries(knowledge.metalThickness).filter(([, bucket]) => bucket.thickness);
+  const match = buckets.find(([, bucket]) => thickness >= bucket.thickness.min && thickness < bucket.thickness.max);
+  if (match) return match[0];
+  // Outside every range: the nearest end
+  return thickness < buckets[0][1].thickness.min ? buckets[0][0] : buckets.at(-1)[0];
+}
+
+/**
+ * Fraction of the electrode's amperage range that suits a thickness, e.g.
+ * [0.6, 1] for the upper part.
+ * @param {number} thickness inches
+ * @param {object} [knowledge]
+ * @returns {[number, number]}
+ */
+export function amperageWindow(thickness, knowledge = weldingKnowledge) {
+  const points = knowledge.thicknessModel.amperageWindow;
+  return [0, 1].map(end => interpolate(points.map(([t, window]) => [t, window[end]]), thickness));
+}
+
+/**
+ * Electrode sizes for a thickness and, for fillets, a leg size. The size
+ * nearest the ideal diameter is recommended; smaller sizes and the next size
+ * up are acceptable, anything larger is too large.
+ * @param {number} thickness inches
+ * @param {number} [filletLeg] inches
+ * @param {object} [knowledge]
+ * @returns {{recommended: string[], acceptable: string[], idealDiameter: number}}
+ */
+export function electrodeSizesFor(thickness, filletLeg, knowledge = weldingKnowledge) {
+  const model = knowledge.thicknessModel;
+  const idealDiameter = Math.max(
+    interpolate(model.electrodeDiameter, thickness),
+    filletLeg ? filletLeg / model.filletLegPerDiameter : 0
+  );
+
+  const sizes = Object.entries(knowledge.electrodeSize)
+    .map(([size, data]) => [size, data.diameter])
+    .sort((a, b) => a[1] - b[1]);
+  let best = 0;
+  sizes.forEach(([, diameter], i) => {
+    if (Math.abs(diameter - idealDiameter) < Math.abs(sizes[best][1] - idealDiameter)) best = i;
+  });
+
+  return {
+    recommended: [sizes[best][0]],
+    acceptable: sizes.filter((_, i) => i !== best && i <= best + 1).map(([size]) => size),
+    idealDiameter
+  };
+}
+
+/**
+ * Electrode sizes for a resolved geometry: the thickness model for a numeric
+ * thickness or a fillet leg size, otherwise the preset's own lists.
+ * @param {Geometry} geometry
+ * @param {object} [knowledge]
+ * @returns {{recommended: string[], acceptable: string[]}|undefined}
+ */
+export function suitableElectrodeSizes(geometry, knowledge = weldingKnowledge) {
+  if (geometry.source === 'input' || geometry.filletLeg) {
+    const { recommended, acceptable } = electrodeSizesFor(geometry.thickness, geometry.filletLeg, knowledge);
+    return { recommended, acceptable };
+  }
+  return knowledge.metalThickness[geometry.preset].electrodeSizes;
+}
+
+// Piecewise-linear interpolation over [x, y] points sorted by x
+function interpolate(points, x) {
+  if (x <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return points.at(-1)[1];
+}
+
+function isGiven(value) {
+  return value !== undefined && value !== null && value !== '';
+}
@@ -0,0 +1,523 @@
+// Knowledge graph contents
+// Two views of the knowledge base as a graph. The scenario view is the
+// property nodes the 3D view hangs off each category for a set of inputs,
+// with a diff so a view can add, relabel and remove just the nodes that
+// changed. The full view is every entity in the knowledge base as a typed
+// node, joined by typed edges read from the tables: electrode positions and
+// technique options, amperage tables, base-metal electrode lists, the
+// techniques' "suitable" text, the observables' causes and adjustments, the
+// defects table, which also ties each parameter change to the technique
+// option it moves to, and the damp-rod cause from the storage rules.
+
+import { weldingKnowledge } from './knowledge.js';
+import { resolveGeometry } from './geometry.js';
+import { MOTION_PATTERNS } from './technique.js';
+import { OBSERVATION_FIELDS, DEFAULT_BASE_METAL, getKnowledgeEntry } from './lookups.js';
+
+// Kinds of entity in the full knowledge graph
+export const NodeType = Object.freeze({
+  ELECTRODE: 'electrode',
+  ELECTRODE_SIZE: 'electrodeSize',
+  POSITION: 'position',
+  THICKNESS: 'metalThickness',
+  BASE_METAL: 'baseMetal',
+  JOINT: 'jointType',
+  TECHNIQUE: 'technique',
+  OBSERVATION: 'observation',
+  CAUSE: 'cause',
+  ADJUSTMENT: 'adjustment',
+  DEFECT: 'defect'
+});
+
+// Kinds of relationship between them
+export const EdgeType = Object.freeze({
+  // electrode -> position it runs in; technique -> electrode, position,
+  // joint or thickness its "suitable" text names; size -> thickness
+  SUITABLE_FOR: 'suitableFor',
+  // electrode -> motion pattern among its technique options
+  USES: 'uses',
+  // electrode -> size it has an amperage range for
+  AVAILABLE_IN: 'availableIn',
+  // base metal -> electrode it lists
+  WELDED_WITH: 'weldedWith',
+  // observation or defect -> cause it points to
+  INDICATES: 'indicates',
+  // cause -> adjustment that addresses it
+  CORRECTED_BY: 'correctedBy',
+  // adjustment -> technique option it changes to
+  SETS: 'sets'
+});
+
+// Technique dimensions shown in the scenario view, as [techniques key, label]
+const TECHNIQUE_DIMENSIONS = [
+  ['arcGap', 'Arc Gap'],
+  ['rodAngle', 'Rod Angle'],
+  ['travelSpeed', 'Travel Speed'],
+  ['motionPattern', 'Motion Pattern']
+];
+
+// Fields of a technique option carried on its node
+const OPTION_DETAILS = ['effect', 'puddle', 'appearance', 'issues'];
+
+/**
+ * @typedef {object} PropertyNode
+ * @property {string} id "<category>.<key>", or "technique.<key>.<option>" for
+ *   a technique option; unique within a graph
+ * @property {string} category electrode, position, metal, joint or technique
+ * @property {string} key the knowledge property shown; for technique nodes,
+ *   the techniques dimension
+ * @property {string} label
+ * @property {string} [entity] id of the full-graph node whose property it is,
+ *   e.g. "electrode:E7018"; technique dimension nodes have none
+ * @property {string} [option] a technique option's key, e.g. "Short"
+ * @property {string} [parent] id of the property node it hangs off, when that
+ *   isn't the category node
+ * @property {{effect?: string, puddle?: string, appearance?: string, issues?: string}} [details]
+ *   a technique option's description
+ */
+
+/**
+ * Property nodes for a set of getRecommendations inputs, in display order
+ * within each category, parents before their children. A category whose
+ * input is unknown has no nodes; the technique nodes are always present.
+ * @param {object} inputs
+ * @param {object} [knowledge]
+ * @returns {PropertyNode[]}
+ */
+export function propertyNodes(inputs, knowledge = weldingKnowledge) {
+  const nodes = [];
+  const add = (category, entity, properties) => {
+    properties.forEach(([key, label, own = entity]) => {
+      nodes.push({ id: `${category}.${key}`, category, key, label, ...(own ? { entity: own } : {}) });
+    });
+  };
+
+  const electrode = knowledge.electrodes[inputs.electrode];
+  if (electrode) {
+    add('electrode', nodeId(NodeType.ELECTRODE, inputs.electrode), [
+      ['current', 'Current: ' + electrode.current],
+      ['penetration', 'Penetration: ' + electrode.penetration],
+      ['positions', 'Positions: ' + electrode.positions.length],
+      ['arcForce', 'Arc Force: ' + electrode.arcForce],
+      ['puddleVisibility', 'Puddle Vis: ' + electrode.puddleVisibility]
+    ]);
+  }
+
+  const position = knowledge.positions[inputs.position];
+  if (position) {
+    add('position', nodeId(NodeType.POSITION, inputs.position), [
+      ['rodAngle', 'Rod Angle: ' + position.rodAngle],
+      ['challenges', 'Challenges: ' + position.challenges],
+      ['techniques', 'Techniques: ' + position.techniques]
+    ]);
+  }
+
+  // A numeric thickness shows the preset it falls in
+  const geometry = resolveGeometry(inputs, knowledge);
+  const thickness = geometry && knowledge.metalThickness[geometry.preset];
+  if (thickness) {
+    const baseMetal = inputs.baseMetal || DEFAULT_BASE_METAL;
+    add('metal', nodeId(NodeType.THICKNESS, geometry.preset), [
+      ['baseMetal', 'Base: ' + baseMetal, nodeId(NodeType.BASE_METAL, baseMetal)],
+      ['amperage', 'Recommended A: ' + thickness.amperage],
+      ['heatDissipation', 'Heat: ' + thickness.heatDissipation],
+      ['rodSelection', 'Rod: ' + thickness.rodSelection]
+    ]);
+  }
+
+  const joint = knowledge.jointTypes[inputs.jointType];
+  if (joint) {
+    add('joint', nodeId(NodeType.JOINT, inputs.jointType), [
+      ['preparation', 'Prep: ' + joint.preparation],
+      ['penetration', 'Focus: ' + joint.penetration],
+      ['rodAngle', 'Rod Angle: ' + joint.rodAngle]
+    ]);
+  }
+
+  // Parameters adjusted while welding, each with its options from the
+  // techniques table hanging off it
+  add('technique', undefined, TECHNIQUE_DIMENSIONS);
+  for (const [key] of TECHNIQUE_DIMENSIONS) {
+    for (const [option, entry] of Object.entries(knowledge.techniques[key] || {})) {
+      nodes.push({
+        id: `technique.${key}.${option}`,
+        category: 'technique',
+        key,
+        option,
+        label: option,
+        parent: `technique.${key}`,
+        entity: nodeId(NodeType.TECHNIQUE, `${key}.${option}`),
+        details: pick(entry, OPTION_DETAILS)
+      });
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Compare two node sets by id. A node whose label or entity differs counts
+ * as updated.
+ * @param {PropertyNode[]} previous
+ * @param {PropertyNode[]} next
+ * @returns {{added: PropertyNode[], updated: PropertyNode[], removed: PropertyNode[], unchanged: PropertyNode[]}}
+ *   added, updated and unchanged hold nodes from next; removed holds nodes from previous
+ */
+export function diffNodes(previous, next) {
+  const before = new Map(previous.map(node => [node.id, node]));
+  const after = new Set(next.map(node => node.id));
+  const diff = { added: [], updated: [], removed: [], unchanged: [] };
+
+  for (const node of next) {
+    const old = before.get(node.id);
+    if (!old) diff.added.push(node);
+    else if (old.label !== node.label || old.entity !== node.entity) diff.updated.push(node);
+    else diff.unchanged.push(node);
+  }
+  diff.removed = previous.filter(node => !after.has(node.id));
+  return diff;
+}
+
+/**
+ * @typedef {object} KnowledgeNode
+ * @property {string} id "<type>:<name>", unique within the graph
+ * @property {string} type a NodeType
+ * @property {string} name the knowledge base key, e.g. "E7018", or
+ *   "motionPattern.Whip/Step" for a technique
+ * @property {string} label display text, e.g. "Whip/Step motion pattern"
+ * @property {string} [source] knowledge entry it stands for
+ */
+
+/**
+ * @typedef {object} KnowledgeEdge
+ * @property {string} from node id
+ * @property {string} to node id
+ * @property {string} type an EdgeType
+ * @property {string} source knowledge entry the relationship was read from
+ * @property {"recommended"|"acceptable"} [compatibility] on weldedWith and
+ *   size suitableFor edges
+ * @property {{min: number, max: number}} [amperage] on availableIn edges
+ */
+
+/**
+ * The whole knowledge base as a graph. Nodes and edges come out in table
+ * order, so the same knowledge always gives the same graph.
+ * @param {object} [knowledge]
+ * @returns {{nodes: KnowledgeNode[], edges: KnowledgeEdge[]}}
+ */
+export function buildKnowledgeGraph(knowledge = weldingKnowledge) {
+  const nodes = new Map();
+  const edges = [];
+  const edgeKeys = new Set();
+  const node = (type, name, label = name, source) => {
+    const id = nodeId(type, name);
+    if (!nodes.has(id)) nodes.set(id, { id, type, name, label, ...(source ? { source } : {}) });
+    return id;
+  };
+  const edge = (from, to, type, source, extra = {}) => {
+    const key = `${from} ${type} ${to}`;
+    if (edgeKeys.has(key)) return;
+    edgeKeys.add(key);
+    edges.push({ from, to, type, source, ...extra });
+  };
+
+  for (const name of Object.keys(knowledge.electrodes)) node(NodeType.ELECTRODE, name, name, `electrodes.${name}`);
+  for (const name of Object.keys(knowledge.electrodeSize)) node(NodeType.ELECTRODE_SIZE, name, `${name} rod`, `electrodeSize.${name}`);
+  for (const name of Object.keys(knowledge.positions)) node(NodeType.POSITION, name, name, `positions.${name}`);
+  for (const name of Object.keys(knowledge.metalThickness)) node(NodeType.THICKNESS, name, name, `metalThickness.${name}`);
+  for (const name of Object.keys(knowledge.baseMetals || {})) node(NodeType.BASE_METAL, name, name, `baseMetals.${name}`);
+  for (const name of Object.keys(knowledge.jointTypes)) node(NodeType.JOINT, name, `${name} joint`, `jointTypes.${name}`);
+  for (const [category, options] of Object.entries(knowledge.techniques)) {
+    for (const name of Object.keys(options)) {
+      node(NodeType.TECHNIQUE, `${category}.${name}`, `${name} ${words(category)}`, `techniques.${category}.${name}`);
+    }
+  }
+
+  // Electrodes: positions, motion patterns and sizes
+  for (const [name, electrode] of Object.entries(knowledge.electrodes)) {
+    const from = nodeId(NodeType.ELECTRODE, name);
+    for (const position of electrode.positions) {
+      if (knowledge.positions[position]) {
+        edge(from, nodeId(NodeType.POSITION, position), EdgeType.SUITABLE_FOR, `electrodes.${name}.positions`);
+      }
+    }
+    for (const option of electrode.techniqueOptions || []) {
+      const pattern = Object.values(MOTION_PATTERNS).find(entry => entry.label === option);
+      const technique = pattern && nodeId(NodeType.TECHNIQUE, `motionPattern.${pattern.technique}`);
+      if (technique && nodes.has(technique)) {
+        edge(from, technique, EdgeType.USES, `electrodes.${name}.techniqueOptions`);
+      }
+    }
+  }
+  for (const [size, entry] of Object.entries(knowledge.electrodeSize)) {
+    for (const [name, amperage] of Object.entries(entry.amperage)) {
+      if (knowledge.electrodes[name]) {
+        edge(nodeId(NodeType.ELECTRODE, name), nodeId(NodeType.ELECTRODE_SIZE, size), EdgeType.AVAILABLE_IN,
+          `electrodeSize.${size}.amperage.${name}`, { amperage });
+      }
+    }
+  }
+
+  // Sizes that suit each thickness preset
+  for (const [name, bucket] of Object.entries(knowledge.metalThickness)) {
+    for (const compatibility of ['recommended', 'acceptable']) {
+      for (const size of (bucket.electrodeSizes && bucket.electrodeSizes[compatibility]) || []) {
+        edge(nodeId(NodeType.ELECTRODE_SIZE, size), nodeId(NodeType.THICKNESS, name), EdgeType.SUITABLE_FOR,
+          `metalThickness.${name}.electrodeSizes.${compatibility}`, { compatibility });
+      }
+    }
+  }
+
+  // Base metals and their electrodes
+  for (const [name, metal] of Object.entries(knowledge.baseMetals || {})) {
+    for (const compatibility of ['recommended', 'acceptable']) {
+      for (const electrode of metal.electrodes[compatibility]) {
+        edge(nodeId(NodeType.BASE_METAL, name), nodeId(NodeType.ELECTRODE, electrode), EdgeType.WELDED_WITH,
+          `baseMetals.${name}.electrodes.${compatibility}`, { compatibility });
+      }
+    }
+  }
+
+  // What each technique option's "suitable" text names
+  const mentions = mentionPatterns(knowledge);
+  for (const [category, options] of Object.entries(knowledge.techniques)) {
+    for (const [name, option] of Object.entries(options)) {
+      if (!option.suitable) continue;
+      for (const { id, pattern } of mentions) {
+        if (pattern.test(option.suitable)) {
+          edge(nodeId(NodeType.TECHNIQUE, `${category}.${name}`), id, EdgeType.SUITABLE_FOR,
+            `techniques.${category}.${name}.suitable`);
+        }
+      }
+    }
+  }
+
+  // Observations, the causes they point to and the adjustments for them;
+  // cause aliases merge different wordings into one node
+  const aliases = knowledge.causeAliases || {};
+  for (const [observable, states] of Object.entries(knowledge.observables)) {
+    for (const [state, entry] of Object.entries(states)) {
+      const source = `observables.${observable}.${state}`;
+      const from = node(NodeType.OBSERVATION, `${observable}.${state}`, `${capitalize(words(observable))}: ${state}`, source);
+      entry.causes.forEach((text, i) => {
+        const cause = node(NodeType.CAUSE, aliases[text] || text);
+        edge(from, cause, EdgeType.INDICATES, `${source}.causes[${i}]`);
+        if (entry.adjustments[i]) {
+          edge(cause, node(NodeType.ADJUSTMENT, entry.adjustments[i]), EdgeType.CORRECTED_BY, `${source}.adjustments[${i}]`);
+        }
+      });
+    }
+  }
+
+  // Defects work the same way, from the weld back to the cause
+  for (const [defect, entry] of Object.entries(knowledge.defects || {})) {
+    const from = node(NodeType.DEFECT, defect, defect, `defects.${defect}`);
+    entry.causes.forEach((item, i) => {
+      const source = `defects.${defect}.causes[${i}]`;
+      const cause = node(NodeType.CAUSE, aliases[item.cause] || item.cause);
+      const adjustment = node(NodeType.ADJUSTMENT, item.adjustment);
+      edge(from, cause, EdgeType.INDICATES, source);
+      edge(cause, adjustment, EdgeType.CORRECTED_BY, source);
+      const technique = item.change && item.change.to && nodeId(NodeType.TECHNIQUE, `${item.change.field}.${item.change.to}`);
+      if (technique && nodes.has(technique)) edge(adjustment, technique, EdgeType.SETS, `${source}.change`);
+    });
+  }
+
+  // Damp rods, for the observations and defects they explain once the rods
+  // have been out too long
+  const moisture = knowledge.electrodeStorage && knowledge.electrodeStorage.moisture;
+  if (moisture) {
+    const cause = node(NodeType.CAUSE, moisture.cause);
+    edge(cause, node(NodeType.ADJUSTMENT, moisture.adjustment), EdgeType.CORRECTED_BY, 'electrodeStorage.moisture.adjustment');
+    for (const source of moisture.indicates) {
+      const from = [...nodes.values()].find(entry => entry.source === source);
+      if (from) edge(from.id, cause, EdgeType.INDICATES, 'electrodeStorage.moisture');
+    }
+  }
+
+  return { nodes: [...nodes.values()], edges };
+}
+
+/**
+ * @typedef {object} ChainNode
+ * @property {string} id
+ * @property {string} type
+ * @property {string} name
+ * @property {string} label
+ * @property {string} [source]
+ * @property {number} layer 0 for defects, 1 causes, 2 adjustments and 3 the
+ *   technique options they set
+ * @property {number} weight the confidence of the cause it belongs to; 1 for
+ *   defects
+ */
+
+/**
+ * The part of the full graph a troubleshootDefects result runs through:
+ * defects, their ranked causes, the adjustment chosen for each and the
+ * technique options those set. Only the edges the result used are kept, so a
+ * cause that didn't apply to a defect isn't joined to it.
+ * @param {import('./troubleshooting.js').Troubleshooting} troubleshooting
+ * @param {object} [knowledge]
+ * @returns {{nodes: ChainNode[], edges: KnowledgeEdge[]}}
+ */
+export function defectChain(troubleshooting, knowledge = weldingKnowledge) {
+  const graph = buildKnowledgeGraph(knowledge);
+  const byId = new Map(graph.nodes.map(node => [node.id, node]));
+  const chain = new Map();
+  const add = (id, layer, weight) => {
+    const node = byId.get(id);
+    if (node && !chain.has(id)) chain.set(id, { ...node, layer, weight });
+  };
+
+  const sources = new Set();
+  troubleshooting.defects.forEach(({ defect }) => add(nodeId(NodeType.DEFECT, defect), 0, 1));
+  for (const cause of troubleshooting.causes) {
+    add(nodeId(NodeType.CAUSE, cause.cause), 1, cause.confidence);
+    cause.sources.forEach(source => sources.add(source));
+  }
+  const chosen = new Set();
+  for (const adjustment of troubleshooting.adjustments) {
+    const id = nodeId(NodeType.ADJUSTMENT, adjustment.action);
+    add(id, 2, adjustment.confidence);
+    chosen.add(`${nodeId(NodeType.CAUSE, adjustment.cause)} ${id}`);
+    const { change } = adjustment;
+    if (change && change.to) add(nodeId(NodeType.TECHNIQUE, `${change.field}.${change.to}`), 3, adjustment.confidence);
+  }
+
+  const edges = graph.edges.filter(edge => {
+    if (!chain.has(edge.from) || !chain.has(edge.to)) return false;
+    if (edge.type === EdgeType.INDICATES) return sources.has(edge.source);
+    if (edge.type === EdgeType.CORRECTED_BY) return chosen.has(`${edge.from} ${edge.to}`);
+    return edge.type === EdgeType.SETS;
+  });
+  return { nodes: [...chain.values()], edges };
+}
+
+/**
+ * Ids of the full-graph nodes a set of getRecommendations inputs selects:
+ * electrode, size, position, thickness preset, base metal, joint and the
+ * observed states.
+ * @param {object} inputs
+ * @param {object} [knowledge]
+ * @returns {string[]}
+ */
+export function scenarioNodeIds(inputs, knowledge = weldingKnowledge) {
+  const geometry = resolveGeometry(inputs, knowledge);
+  const ids = [
+    inputs.electrode && nodeId(NodeType.ELECTRODE, inputs.electrode),
+    inputs.electrodeSize && nodeId(NodeType.ELECTRODE_SIZE, inputs.electrodeSize),
+    inputs.position && nodeId(NodeType.POSITION, inputs.position),
+    geometry && nodeId(NodeType.THICKNESS, geometry.preset),
+    nodeId(NodeType.BASE_METAL, inputs.baseMetal || DEFAULT_BASE_METAL),
+    inputs.jointType && nodeId(NodeType.JOINT, inputs.jointType)
+  ];
+  for (const [field, observable] of Object.entries(OBSERVATION_FIELDS)) {
+    if (inputs[field]) ids.push(nodeId(NodeType.OBSERVATION, `${observable}.${inputs[field]}`));
+  }
+  return ids.filter(Boolean);
+}
+
+/**
+ * @typedef {object} NodeDetail
+ * @property {KnowledgeNode} node
+ * @property {{key: string, label: string, value: *}[]} fields the fields of
+ *   the knowledge entry the node stands for; empty for causes and adjustments
+ * @property {{node: KnowledgeNode, edge: KnowledgeEdge, direction: "out"|"in"}[]} related
+ *   every node one edge away, with the edge and whether it points away from
+ *   this node or towards it
+ * @property {{field: string, value: string}|null} input the getRecommendations
+ *   input the node's value can be applied as, if any
+ */
+
+/**
+ * Everything the knowledge base says about one full-graph node.
+ * @param {string} id
+ * @param {object} [knowledge]
+ * @returns {NodeDetail|undefined} undefined for an unknown id
+ */
+export function inspectNode(id, knowledge = weldingKnowledge) {
+  const graph = buildKnowledgeGraph(knowledge);
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const node = nodes.get(id);
+  if (!node) return undefined;
+
+  const entry = node.source ? getKnowledgeEntry(node.source, knowledge) : undefined;
+  const fields = entry && typeof entry === 'object'
+    ? Object.entries(entry).map(([key, value]) => ({ key, label: capitalize(words(key)), value }))
+    : [];
+  const related = graph.edges
+    .filter(edge => edge.from === id || edge.to === id)
+    .map(edge => ({
+      node: nodes.get(edge.from === id ? edge.to : edge.from),
+      edge,
+      direction: edge.from === id ? 'out' : 'in'
+    }));
+
+  return { node, fields, related, input: inputFor(node) };
+}
+
+/**
+ * Full-graph node id for a knowledge base entry.
+ * @param {string} type a NodeType
+ * @param {string} name e.g. "E7018", or "motionPattern.Whip/Step" for a technique
+ * @returns {string}
+ */
+export function nodeId(type, name) {
+  return `${type}:${name}`;
+}
+
+// Node types named after the getRecommendations input they set
+const INPUT_TYPES = [
+  NodeType.ELECTRODE,
+  NodeType.ELECTRODE_SIZE,
+  NodeType.POSITION,
+  NodeType.THICKNESS,
+  NodeType.BASE_METAL,
+  NodeType.JOINT
+];
+
+function inputFor(node) {
+  if (INPUT_TYPES.includes(node.type)) return { field: node.type, value: node.name };
+  if (node.type === NodeType.OBSERVATION) {
+    const [observable, state] = node.name.split('.');
+    const field = Object.keys(OBSERVATION_FIELDS).find(key => OBSERVATION_FIELDS[key] === observable);
+    return field ? { field, value: state } : null;
+  }
+  return null;
+}
+
+// Patterns matching the ways a techniques "suitable" text names an entity:
+// "E6010/E6011", "vertical" (either vertical position), "all positions",
+// "butt joints", "thin metals"
+function mentionPatterns(knowledge) {
+  const terms = [
+    ...Object.keys(knowledge.electrodes).map(name => [nodeId(NodeType.ELECTRODE, name), [escape(name)]]),
+    ...Object.keys(knowledge.positions).map(name => [
+      nodeId(NodeType.POSITION, name),
+      [escape(name), 'all positions', ...(name.startsWith('Vertical') ? ['vertical(?! up| down)'] : [])]
+    ]),
+    ...Object.keys(knowledge.jointTypes).map(name => [nodeId(NodeType.JOINT, name), [`${escape(name)} joints?`]]),
+    ...Object.keys(knowledge.metalThickness).map(name => [
+      nodeId(NodeType.THICKNESS, name),
+      [`${escape(name.split(' ')[0])} metals?`]
+    ])
+  ];
+  return terms.map(([id, patterns]) => ({ id, pattern: new RegExp(`\\b(?:${patterns.join('|')})\\b`, 'i') }));
+}
+
+function escape(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "motionPattern" -> "motion pattern"
+function words(key) {
+  return key.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+function pick(entry, keys) {
+  return Object.fromEntries(keys.filter(key => entry[key]).map(key => [key, entry[key]]));
+}
+
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
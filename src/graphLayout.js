@@ -0,0 +1,85 @@
+// Force-directed graph layout
+// Fruchterman-Reingold in three dimensions: every pair of nodes pushes apart,
+// every edge pulls its ends together, a pull towards the origin keeps
+// separate clusters in view, and a cooling step limit lets the layout
+// settle. Starting positions come from a seeded generator, so the same graph
+// always lays out the same way.
+
+import { seededRandom } from './random.js';
+
+// Pull towards the origin per unit of distance from it, in multiples of the
+// spacing; enough to hold loosely linked clusters within a screen
+const GRAVITY = 0.3;
+
+/**
+ * Lay out a graph in 3D.
+ * @param {{nodes: {id: string}[], edges: {from: string, to: string}[]}} graph
+ * @param {object} [options]
+ * @param {number} [options.iterations] simulation steps
+ * @param {number} [options.spacing] ideal distance between linked nodes
+ * @param {number} [options.seed] seed for the starting positions
+ * @returns {Map<string, {x: number, y: number, z: number}>} node id -> position,
+ *   centred on the origin
+ */
+export function forceLayout(graph, options = {}) {
+  const { iterations = 300, spacing = 4, seed = 1 } = options;
+  const random = seededRandom(seed);
+  const count = graph.nodes.length;
+  const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  const links = graph.edges
+    .map(edge => [index.get(edge.from), index.get(edge.to)])
+    .filter(([a, b]) => a !== undefined && b !== undefined && a !== b);
+
+  const extent = spacing * Math.cbrt(count || 1);
+  const positions = graph.nodes.map(() => [0, 1, 2].map(() => (random() - 0.5) * extent));
+  const k2 = spacing * spacing;
+
+  for (let step = 0; step < iterations; step++) {
+    const temperature = (extent / 4) * (1 - step / iterations);
+    const moves = positions.map(() => [0, 0, 0]);
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const delta = subtract(positions[i], positions[j]);
+        const distance = Math.max(length(delta), 0.01);
+        const force = k2 / distance;
+        for (let axis = 0; axis < 3; axis++) {
+          moves[i][axis] += (delta[axis] / distance) * force;
+          moves[j][axis] -= (delta[axis] / distance) * force;
+        }
+      }
+    }
+
+    for (const [a, b] of links) {
+      const delta = subtract(positions[a], positions[b]);
+      const distance = Math.max(length(delta), 0.01);
+      const force = (distance * distance) / spacing;
+      for (let axis = 0; axis < 3; axis++) {
+        moves[a][axis] -= (delta[axis] / distance) * force;
+        moves[b][axis] += (delta[axis] / distance) * force;
+      }
+    }
+
+    positions.forEach((position, i) => {
+      const move = moves[i].map((value, axis) => value - position[axis] * GRAVITY * spacing);
+      const distance = length(move);
+      if (distance === 0) return;
+      const limited = Math.min(distance, temperature);
+      for (let axis = 0; axis < 3; axis++) position[axis] += (move[axis] / distance) * limited;
+    });
+  }
+
+  const centre = [0, 1, 2].map(axis => positions.reduce((sum, position) => sum + position[axis], 0) / (count || 1));
+  return new Map(graph.nodes.map((node, i) => {
+    const [x, y, z] = subtract(positions[i], centre);
+    return [node.id, { x, y, z }];
+  }));
+}
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function length(v) {
+  return Math.hypot(v[0], v[1], v[2]);
+}
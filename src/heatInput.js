@@ -0,0 +1,135 @@
+// Heat input and cooling
+// What the recommended settings put into the plate: the arc energy per inch
+// of weld, how fast the heat-affected zone then cools through 800-500°C, and
+// the preheat a steel of a given carbon equivalent needs to cool slowly
+// enough not to harden and crack. Thin plate also gets a burn-through index,
+// the heat input against what its thickness can carry.
+
+import { weldingKnowledge } from './knowledge.js';
+import { arcVoltage } from './arcSignals.js';
+import { MM_PER_IN } from './geometry.js';
+
+// Preheat temperatures are searched in steps of this many °F
+const PREHEAT_STEP = 25;
+
+const toCelsius = value => (value - 32) * 5 / 9;
+
+/**
+ * Arc energy delivered per inch of weld.
+ * @param {{voltage: number, amperage: number, travelSpeed: number}} settings
+ *   volts, amps and inches per minute
+ * @param {number} [efficiency] fraction of the arc's power reaching the work
+ * @returns {number} kJ/in
+ */
+export function heatInput({ voltage, amperage, travelSpeed }, efficiency = 1) {
+  if (!(travelSpeed > 0)) throw new Error(`Travel speed must be above 0 in/min, got ${travelSpeed}`);
+  return efficiency * voltage * amperage * 60 / (1000 * travelSpeed);
+}
+
+/**
+ * Time the heat-affected zone takes to cool from 800 to 500°C (t8/5), by the
+ * EN 1011-2 formulas: heat flows through the plate's depth (3D) when it is
+ * thicker than the transition thickness for this heat input, and only
+ * sideways (2D) when it is thinner.
+ * @param {number} heat heat input, kJ/in
+ * @param {number} thickness plate thickness, inches
+ * @param {object} [options]
+ * @param {number} [options.preheat] starting temperature, °F (default 70)
+ * @param {{thin: number, thick: number}} [options.jointFactor] shape factors
+ *   for 2D and 3D flow (default 1)
+ * @returns {{seconds: number, flow: "2D"|"3D", transitionThickness: number}}
+ *   transitionThickness in inches
+ */
+export function coolingTime(heat, thickness, options = {}) {
+  const { preheat = 70, jointFactor = { thin: 1, thick: 1 } } = options;
+  const t0 = toCelsius(preheat);
+  const q = heat / MM_PER_IN;
+  const d = thickness * MM_PER_IN;
+  const upper = 1 / (500 - t0);
+  const lower = 1 / (800 - t0);
+
+  const transition = Math.sqrt((4300 - 4.3 * t0) / (6700 - 5 * t0) * 1e5 * q * (upper + lower));
+  const seconds = d >= transition
+    ? (6700 - 5 * t0) * q * (upper - lower) * jointFactor.thick
+    : (4300 - 4.3 * t0) * 1e5 * (q / d) ** 2 * (upper ** 2 - lower ** 2) * jointFactor.thin;
+  return { seconds, flow: d >= transition ? '3D' : '2D', transitionThickness: transition / MM_PER_IN };
+}
+
+/**
+ * @typedef {object} HeatEstimate
+ * @property {number} arcVoltage V
+ * @property {number} efficiency thermalModel.arcEfficiency
+ * @property {number} heatInput kJ/in, after efficiency
+ * @property {number} coolingTime t8/5 in seconds, at the preheat given
+ * @property {"2D"|"3D"} flow
+ * @property {number} coolingRate average °F/s from 800 to 500°C
+ * @property {number|null} carbonEquivalent
+ * @property {number|null} criticalCoolingTime the shortest t8/5 that keeps
+ *   the heat-affected zone soft, seconds
+ * @property {number|null} preheat lowest preheat in °F giving at least the
+ *   critical cooling time; null when ambient is enough or the metal isn't
+ *   a rated steel
+ * @property {boolean} preheatReached false when even thermalModel.maxPreheat
+ *   cools too fast
+ * @property {number} burnThrough heat input over thermalModel.burnThrough
+ *   times thickness squared; 1 and above risks burning through
+ */
+
+/**
+ * Estimate heat input, cooling and preheat for a set of weld settings.
+ * @param {object} settings
+ * @param {number} settings.amperage A
+ * @param {number} settings.travelSpeed in/min
+ * @param {number} settings.arcLength multiple of the core diameter
+ * @param {number} settings.diameter core diameter, inches
+ * @param {number} settings.thickness plate thickness, inches
+ * @param {string} [settings.jointType] a thermalModel.jointFactors key
+ * @param {number|null} [settings.carbonEquivalent] null skips the preheat
+ *   estimate
+ * @param {number} [settings.preheat] °F the plate starts at, default ambient
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @returns {HeatEstimate}
+ */
+export function estimateHeat(settings, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const model = knowledge.thermalModel;
+  const { amperage, travelSpeed, arcLength, diameter, thickness, jointType, carbonEquivalent = null } = settings;
+  const preheat = settings.preheat === undefined ? model.ambient : settings.preheat;
+  if (!(thickness > 0)) throw new Error(`Thickness must be above 0 in, got ${thickness}`);
+
+  const voltage = arcVoltage(amperage, arcLength, diameter);
+  const heat = heatInput({ voltage, amperage, travelSpeed }, model.arcEfficiency);
+  const jointFactor = model.jointFactors[jointType] || { thin: 1, thick: 1 };
+  const cooling = coolingTime(heat, thickness, { preheat, jointFactor });
+
+  let critical = null;
+  let needed = null;
+  let reached = true;
+  if (carbonEquivalent !== null) {
+    const { carbonEquivalent: soft, secondsPerTenth } = model.criticalCoolingTime;
+    critical = Math.max(carbonEquivalent - soft, 0) * 10 * secondsPerTenth;
+    if (coolingTime(heat, thickness, { preheat: model.ambient, jointFactor }).seconds < critical) {
+      const tooFast = temperature => coolingTime(heat, thickness, { preheat: temperature, jointFactor }).seconds < critical;
+      needed = Math.min(Math.floor(model.ambient / PREHEAT_STEP + 1) * PREHEAT_STEP, model.maxPreheat);
+      while (needed < model.maxPreheat && tooFast(needed)) {
+        needed = Math.min(needed + PREHEAT_STEP, model.maxPreheat);
+      }
+      reached = !tooFast(needed);
+    }
+  }
+
+  return {
+    arcVoltage: voltage,
+    efficiency: model.arcEfficiency,
+    heatInput: heat,
+    coolingTime: cooling.seconds,
+    flow: cooling.flow,
+    coolingRate: 540 / cooling.seconds,
+    carbonEquivalent,
+    criticalCoolingTime: critical,
+    preheat: needed,
+    preheatReached: reached,
+    burnThrough: heat / (model.burnThrough * thickness ** 2)
+  };
+}
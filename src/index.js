@@ -0,0 +1,149 @@
+// Headless welding knowledge API
+// Everything here runs without three.js or a DOM; the 3D visualization in
+// weldingKnowledge.js is just one consumer of it.
+
+export { weldingKnowledge } from './knowledge.js';
+export { getRecommendations, recommendationRules } from './recommendations.js';
+export { evaluateRules, matchesCondition, parseRules, checkRule, EFFECT_OPS } from './ruleEngine.js';
+export { planPasses, PassType } from './passPlanner.js';
+export { buildWps, formatWps, WPS_FORMATS } from './wps.js';
+export { diagnose } from './diagnostics.js';
+export {
+  propertyNodes,
+  diffNodes,
+  buildKnowledgeGraph,
+  scenarioNodeIds,
+  inspectNode,
+  defectChain,
+  nodeId,
+  NodeType,
+  EdgeType
+} from './graph.js';
+export { forceLayout } from './graphLayout.js';
+export { simulateBead, BeadDefect } from './beadModel.js';
+export { torchPose } from './torchPose.js';
+export {
+  normalizeSample,
+  parseSensorLog,
+  createReplayAdapter,
+  createJsonLinesAdapter,
+  syntheticSamples,
+  SAMPLE_FIELDS,
+  SENSOR_LOG_FORMATS
+} from './sensors.js';
+export { createObservationClassifier } from './observationClassifier.js';
+export {
+  analyzeArcSignals,
+  minimumSampleRate,
+  syntheticArcWaveform,
+  arcVoltage,
+  arcLengthFromVoltage,
+  arcGapCategory,
+  ArcEvent
+} from './arcSignals.js';
+export {
+  createWeldController,
+  createWeldPlant,
+  runClosedLoop,
+  ControllerMode,
+  SETPOINT_FIELDS
+} from './controller.js';
+export {
+  createSessionRecorder,
+  summarizeRecommendation,
+  sessionStateAt,
+  sessionDuration,
+  serializeSession,
+  parseSession,
+  SessionEntryType,
+  SESSION_VERSION
+} from './session.js';
+export {
+  analyzePuddleFrame,
+  summarizePuddleFrames,
+  puddleOverlay,
+  decodeNetpbm,
+  encodePpm,
+  syntheticPuddleFrame,
+  DEFAULT_PUDDLE_REFERENCE
+} from './puddleVision.js';
+export { heatInput, coolingTime, estimateHeat } from './heatInput.js';
+export { troubleshootDefects } from './troubleshooting.js';
+export {
+  checkMachine,
+  withMachines,
+  dutyCycleAt,
+  machineSettings,
+  machineOutput,
+  assessMachine
+} from './machines.js';
+export {
+  createElectrodeInventory,
+  assessLot,
+  exposureHours,
+  storageClass,
+  moistureSuspected,
+  serializeInventory,
+  parseInventory,
+  StorageState,
+  RodCondition,
+  INVENTORY_VERSION
+} from './electrodeStorage.js';
+export {
+  resolveGeometry,
+  thicknessPreset,
+  amperageWindow,
+  electrodeSizesFor,
+  suitableElectrodeSizes,
+  LENGTH_UNITS,
+  MM_PER_IN
+} from './geometry.js';
+export { validateInputs, ValidationCode, currentTypes, supportsPosition } from './validation.js';
+export {
+  MotionPattern,
+  MOTION_PATTERNS,
+  ARC_LENGTHS,
+  TRAVEL_SPEEDS,
+  ROD_ANGLES,
+  MM_PER_SEC_PER_IN_PER_MIN,
+  rodAngleCategory
+} from './technique.js';
+export {
+  formatRange,
+  formatAmperage,
+  formatArcLength,
+  formatRodAngle,
+  formatTravelSpeed,
+  formatThermal,
+  formatHeat,
+  formatThickness,
+  formatMachine,
+  formatMotionPatterns,
+  formatKnowledgeValue,
+  formatTraceValue
+} from './format.js';
+export {
+  MACHINE_TYPES,
+  OBSERVATION_FIELDS,
+  DEFAULT_BASE_METAL,
+  getElectrode,
+  getElectrodeSize,
+  getPosition,
+  getThickness,
+  getJoint,
+  getBaseMetal,
+  getMachine,
+  getElectrodeCompatibility,
+  getAmperageRange,
+  getKnowledgeEntry,
+  listElectrodes,
+  listElectrodeSizes,
+  listPositions,
+  listThicknesses,
+  listBaseMetals,
+  listJointTypes,
+  listMachines,
+  listMachineTypes,
+  listObservationValues,
+  listDefects
+} from './lookups.js';
@@ -0,0 +1,895 @@
+// Welding knowledge base
+// Structured data from Steve Bleile's videos. Pure data only: no DOM, no
+// three.js, so it can be imported from Node scripts, controllers and tests.
+
+export const weldingKnowledge = {
+  electrodes: {
+    "E6010": {
+      current: "DC+",
+      penetration: "Deep",
+      slag: "Light, fast-freeze",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
+      bestUse: "Root passes, dirty metal, repair work",
+      tensileStrength: "60,000 psi",
+      arcForce: "Strong",
+      puddleVisibility: "Excellent",
+      techniqueOptions: ["Circular", "Zigzag", "Whip/Step"]
+    },
+    "E6011": {
+      current: "AC or DC+",
+      penetration: "Deep",
+      slag: "Light, fast-freeze",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
+      bestUse: "Similar to 6010 but works on AC",
+      tensileStrength: "60,000 psi",
+      arcForce: "Strong",
+      puddleVisibility: "Excellent",
+      techniqueOptions: ["Circular", "Zigzag", "Whip/Step"]
+    },
+    "E6013": {
+      current: "AC, DC+ or DC-",
+      penetration: "Moderate",
+      slag: "Medium",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
+      bestUse: "General purpose, sheet metal, easier to use",
+      tensileStrength: "60,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Partial (top edge covered)",
+      techniqueOptions: ["Straight", "Slight side-to-side"]
+    },
+    "E7018": {
+      current: "AC or DC+",
+      penetration: "Moderate",
+      slag: "Heavy with iron powder",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "High quality, low hydrogen, stress applications",
+      tensileStrength: "70,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Limited (mostly covered by slag)",
+      techniqueOptions: ["Straight", "Side-to-side"]
+    },
+    "E7024": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Very heavy",
+      positions: ["Flat", "Horizontal fillet"],
+      bestUse: "High deposition rate, flat work",
+      tensileStrength: "70,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Limited",
+      techniqueOptions: ["Straight"]
+    },
+    "E308L-16": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Light, self-releasing",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "304/304L stainless, low-carbon to resist corrosion",
+      tensileStrength: "75,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Good",
+      techniqueOptions: ["Straight", "Slight side-to-side"]
+    },
+    "E309L-16": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Light, self-releasing",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "Stainless to mild steel, buffer layers, 309 stainless",
+      tensileStrength: "75,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Good",
+      techniqueOptions: ["Straight", "Slight side-to-side"]
+    },
+    "E316L-16": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Light, self-releasing",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "316/316L stainless, molybdenum for pitting resistance",
+      tensileStrength: "70,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Good",
+      techniqueOptions: ["Straight", "Slight side-to-side"]
+    },
+    "ENi-CI": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Light",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "Cast iron repair, machinable deposit, thin castings",
+      tensileStrength: "50,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Good",
+      techniqueOptions: ["Straight"]
+    },
+    "ENiFe-CI": {
+      current: "AC or DC+",
+      penetration: "Shallow",
+      slag: "Light",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "Cast iron to steel, heavy sections, ductile iron",
+      tensileStrength: "60,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Good",
+      techniqueOptions: ["Straight"]
+    },
+    "E8018-B2": {
+      current: "AC or DC+",
+      penetration: "Moderate",
+      slag: "Heavy with iron powder",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "1¼Cr-½Mo chrome-moly piping and pressure vessels, low hydrogen",
+      tensileStrength: "80,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Limited (mostly covered by slag)",
+      techniqueOptions: ["Straight", "Side-to-side"]
+    },
+    "E9018-M": {
+      current: "DC+",
+      penetration: "Moderate",
+      slag: "Heavy with iron powder",
+      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
+      bestUse: "High-strength low-alloy structural steels, low hydrogen",
+      tensileStrength: "90,000 psi",
+      arcForce: "Mild",
+      puddleVisibility: "Limited (mostly covered by slag)",
+      techniqueOptions: ["Straight", "Side-to-side"]
+    }
+  },
+  
+  electrodeSize: {
+    "3/32\"": {
+      diameter: 0.09375, // inches
+      amperage: {
+        "E6010": { min: 40, max: 80 },
+        "E6011": { min: 40, max: 80 },
+        "E6013": { min: 40, max: 80 },
+        "E7018": { min: 65, max: 110 },
+        "E7024": { min: 100, max: 145 },
+        "E308L-16": { min: 45, max: 75 },
+        "E309L-16": { min: 45, max: 75 },
+        "E316L-16": { min: 45, max: 75 },
+        "ENi-CI": { min: 45, max: 80 },
+        "ENiFe-CI": { min: 50, max: 80 },
+        "E8018-B2": { min: 70, max: 110 },
+        "E9018-M": { min: 70, max: 110 }
+      },
+      control: "Excellent",
+      deposition: "Low",
+      bestFor: "Thin metal, out-of-position, root passes"
+    },
+    "1/8\"": {
+      diameter: 0.125, // inches
+      amperage: {
+        "E6010": { min: 75, max: 130 },
+        "E6011": { min: 75, max: 130 },
+        "E6013": { min: 70, max: 110 },
+        "E7018": { min: 100, max: 150 },
+        "E7024": { min: 140, max: 190 },
+        "E308L-16": { min: 75, max: 110 },
+        "E309L-16": { min: 75, max: 110 },
+        "E316L-16": { min: 75, max: 110 },
+        "ENi-CI": { min: 65, max: 105 },
+        "ENiFe-CI": { min: 80, max: 110 },
+        "E8018-B2": { min: 90, max: 150 },
+        "E9018-M": { min: 100, max: 150 }
+      },
+      control: "Good",
+      deposition: "Medium",
+      bestFor: "General purpose, most common size"
+    },
+    "5/32\"": {
+      diameter: 0.15625, // inches
+      amperage: {
+        "E6010": { min: 110, max: 170 },
+        "E6011": { min: 100, max: 160 },
+        "E6013": { min: 110, max: 160 },
+        "E7018": { min: 140, max: 215 },
+        "E7024": { min: 180, max: 250 },
+        "E308L-16": { min: 100, max: 145 },
+        "E309L-16": { min: 100, max: 145 },
+        "E316L-16": { min: 100, max: 145 },
+        "ENi-CI": { min: 90, max: 140 },
+        "ENiFe-CI": { min: 100, max: 140 },
+        "E8018-B2": { min: 130, max: 200 },
+        "E9018-M": { min: 140, max: 200 }
+      },
+      control: "Fair",
+      deposition: "High",
+      bestFor: "Thicker metal, flat position, filling passes"
+    }
+  },
+
+  // Storing and reconditioning rods, by coating class, after AWS D1.1 and the
+  // makers' data sheets. exposureLimit is hours in shop air, out of a sealed
+  // can or holding oven, before the coating has taken on too much moisture;
+  // null where ordinary air does no harm. Rods back in the holding oven
+  // (holdingOven, °F minimum) within their limit may be reissued after
+  // reissueAfter hours. Past it they need a rebake (°F range and hours), at
+  // most maxRebakes times (null for no limit). Classes without a rebake must
+  // not be oven-dried. `moisture` is the cause a damp rod adds to the
+  // symptoms and defects it lists.
+  electrodeStorage: {
+    classes: {
+      "Low hydrogen E70": {
+        electrodes: ["E7018"],
+        exposureLimit: 4,
+        holdingOven: 250,
+        reissueAfter: 4,
+        rebake: { min: 500, max: 800, hours: 2 },
+        maxRebakes: 1,
+        storage: "Sealed can, or a holding oven once opened"
+      },
+      "Low hydrogen E80": {
+        electrodes: ["E8018-B2"],
+        exposureLimit: 2,
+        holdingOven: 250,
+        reissueAfter: 4,
+        rebake: { min: 700, max: 800, hours: 1 },
+        maxRebakes: 1,
+        storage: "Sealed can, or a holding oven once opened"
+      },
+      "Low hydrogen E90": {
+        electrodes: ["E9018-M"],
+        exposureLimit: 1,
+        holdingOven: 250,
+        reissueAfter: 4,
+        rebake: { min: 700, max: 800, hours: 1 },
+        maxRebakes: 1,
+        storage: "Sealed can, or a holding oven once opened"
+      },
+      "Stainless": {
+        electrodes: ["E308L-16", "E309L-16", "E316L-16"],
+        exposureLimit: 8,
+        holdingOven: 250,
+        reissueAfter: 1,
+        rebake: { min: 500, max: 600, hours: 1 },
+        maxRebakes: 3,
+        storage: "Sealed can, or a holding oven once opened"
+      },
+      "Cellulosic": {
+        electrodes: ["E6010", "E6011"],
+        exposureLimit: null,
+        holdingOven: null,
+        reissueAfter: null,
+        rebake: null,
+        maxRebakes: null,
+        storage: "Dry, at room temperature; the coating needs its moisture, so never oven-dry"
+      },
+      "Rutile": {
+        electrodes: ["E6013", "E7024"],
+        exposureLimit: null,
+        holdingOven: null,
+        reissueAfter: null,
+        rebake: { min: 250, max: 300, hours: 1 },
+        maxRebakes: null,
+        storage: "Dry, at room temperature; re-dry rods that got damp"
+      },
+      "Nickel": {
+        electrodes: ["ENi-CI", "ENiFe-CI"],
+        exposureLimit: null,
+        holdingOven: null,
+        reissueAfter: null,
+        rebake: { min: 250, max: 300, hours: 1 },
+        maxRebakes: null,
+        storage: "Dry, at room temperature; re-dry rods that got damp"
+      }
+    },
+    moisture: {
+      cause: "Suspected moisture in the coating",
+      adjustment: "Rebake the rods or open a fresh can",
+      indicates: ["observables.arcStability.Unstable", "defects.Porosity", "defects.Cracking"]
+    }
+  },
+
+  // Welding power sources, after typical makers' ratings. outputs are the
+  // machineType values a machine supplies and amperage its output range. Its
+  // duty cycle is the percent of a machineModel period it can weld at the
+  // rated amperage before the thermal overload trips. openCircuitVoltage is
+  // volts between the terminals with no arc. arcForce and hotStart are the
+  // dial ranges, in percent, of machines that have those controls; null for
+  // those that don't.
+  machines: {
+    "AC buzz box": {
+      outputs: ["AC"],
+      amperage: { min: 40, max: 225 },
+      dutyCycle: { percent: 20, amperage: 225 },
+      openCircuitVoltage: 80,
+      arcForce: null,
+      hotStart: null,
+      description: "Transformer welder on a 240 V outlet; AC only, no arc controls"
+    },
+    "Inverter": {
+      outputs: ["DC+", "DC-"],
+      amperage: { min: 10, max: 200 },
+      dutyCycle: { percent: 35, amperage: 200 },
+      openCircuitVoltage: 65,
+      arcForce: { min: 0, max: 100 },
+      hotStart: { min: 0, max: 100 },
+      description: "Portable DC inverter with adjustable arc force and hot start"
+    },
+    "Engine drive": {
+      outputs: ["AC", "DC+", "DC-"],
+      amperage: { min: 40, max: 300 },
+      dutyCycle: { percent: 100, amperage: 250 },
+      openCircuitVoltage: 80,
+      arcForce: { min: 0, max: 100 },
+      hotStart: null,
+      description: "Gas or diesel welder-generator for field work, with an arc control (dig) dial"
+    }
+  },
+
+  // How the machines table is applied. Duty cycle is rated over periodMinutes,
+  // and below the rated amperage it rises with the square of rated / actual
+  // amps, up to 100%. A long run, rod after rod, keeps the arc lit for
+  // arcShare of the time once stubbing out, chipping and fitting a new rod are
+  // allowed for. settings are where to set arc force and hot start, as a
+  // percent of the dial, by the electrode's arcForce: cellulosic rods want a
+  // digging arc, the smoother rods a hot start against sticking. AC needs at
+  // least minOpenCircuitVoltage to strike and hold the arc of the rods listed.
+  machineModel: {
+    periodMinutes: 10,
+    arcShare: 0.5,
+    settings: {
+      "Strong": { arcForce: 70, hotStart: 30 },
+      "Mild": { arcForce: 30, hotStart: 50 }
+    },
+    minOpenCircuitVoltage: {
+      "E6011": 70,
+      "E7018": 70,
+      "E8018-B2": 70,
+      "E9018-M": 70
+    }
+  },
+  
+  positions: {
+    "Flat": {
+      gravity: "Helps control puddle",
+      amperage: "Standard/high range",
+      techniques: "All techniques viable",
+      challenges: "Minimal",
+      rodAngle: "45-90° from horizontal"
+    },
+    "Horizontal": {
+      gravity: "Causes puddle to sag downward",
+      amperage: "Standard range",
+      techniques: "Control puddle with angle and speed",
+      challenges: "Preventing excessive buildup on bottom",
+      rodAngle: "Point up slightly, nearly perpendicular to weld"
+    },
+    "Vertical Down": {
+      gravity: "Pulls puddle in direction of travel",
+      amperage: "Standard/slightly higher",
+      techniques: "Fast travel, control with angle",
+      challenges: "Ensuring adequate penetration",
+      rodAngle: "Angle up slightly"
+    },
+    "Vertical Up": {
+      gravity: "Pulls puddle against direction of travel",
+      amperage: "Slightly lower",
+      techniques: "Side-to-side, step, or weave",
+      challenges: "Preventing puddle fallout",
+      rodAngle: "Angle up to prevent blowout"
+    },
+    "Overhead": {
+      gravity: "Pulls puddle away from workpiece",
+      amperage: "Standard range",
+      techniques: "Short arc, consistent motion",
+      challenges: "Keeping puddle in place, spatter",
+      rodAngle: "Nearly perpendicular, slight angle into travel"
+    }
+  },
+  
+  metalThickness: {
+    "Thin (<1/8\")": {
+      amperage: "Lower end of range",
+      penetration: "Watch for burn-through",
+      heatDissipation: "Quick to overheat",
+      rodSelection: "Smaller diameter",
+      technique: "Fast travel, possibly vertical down",
+      // Plate thickness the bucket covers, in inches; the nominal value maps
+      // the bucket onto thicknessModel
+      thickness: { min: 0, max: 0.125, nominal: 0.09375 },
+      // Sizes that suit this thickness: recommended, acceptable with a
+      // warning, anything else rejected by validateInputs
+      electrodeSizes: { recommended: ["3/32\""], acceptable: ["1/8\""] }
+    },
+    "Medium (1/8\"-3/16\")": {
+      amperage: "Mid-range",
+      penetration: "Good balance available",
+      heatDissipation: "Moderate",
+      rodSelection: "Standard 1/8\" works well",
+      technique: "Standard approach for position",
+      thickness: { min: 0.125, max: 0.1875, nominal: 0.15625 },
+      electrodeSizes: { recommended: ["1/8\""], acceptable: ["3/32\"", "5/32\""] }
+    },
+    "Thick (>3/16\")": {
+      amperage: "Upper range",
+      penetration: "May require beveling/multiple passes",
+      heatDissipation: "Slow, acts as heat sink",
+      rodSelection: "Larger diameter advantageous",
+      technique: "Slower travel, possible weave",
+      thickness: { min: 0.1875, max: Infinity, nominal: 0.25 },
+      electrodeSizes: { recommended: ["5/32\"", "1/8\""], acceptable: ["3/32\""] }
+    }
+  },
+
+  // Numeric thickness model, in inches. Amperage windows are fractions of the
+  // electrode's range and electrode diameters are ideal values, both
+  // interpolated linearly between points and held flat beyond the ends. At
+  // each bucket's nominal thickness they agree with the bucket's rules.
+  thicknessModel: {
+    amperageWindow: [
+      [0.0625, [0, 0.25]],
+      [0.09375, [0, 0.4]],
+      [0.15625, [0, 1]],
+      [0.25, [0.6, 1]],
+      [0.5, [0.85, 1]]
+    ],
+    electrodeDiameter: [
+      [0.0625, 0.0625],
+      [0.125, 0.09375],
+      [0.15625, 0.125],
+      [0.25, 0.15625]
+    ],
+    // A single-pass fillet leg is about twice the core diameter
+    filletLegPerDiameter: 2
+  },
+
+  jointGeometry: {
+    bevelAngle: {
+      typical: "30-37.5° per plate for V-grooves",
+      effect: "Square edges only fuse through about 1/8\" from each side; thicker plate needs a bevel"
+    },
+    rootOpening: {
+      typical: "1/16-1/8\"",
+      effect: "Wider openings need less amperage to bridge without burning through"
+    },
+    rootFace: {
+      typical: "0-1/8\"",
+      effect: "A thicker land needs more amperage to penetrate"
+    },
+    filletLeg: {
+      typical: "Equal to the thinner plate, 1/4\" for most structural work",
+      effect: "Larger legs need a larger rod or multiple passes"
+    }
+  },
+
+  // Multi-pass planning. Bead areas are the cross-section one stringer
+  // deposits, in square inches; a layer wider than maxBeadWidth core
+  // diameters is split into several stringers.
+  passPlanning: {
+    beadArea: { "3/32\"": 0.012, "1/8\"": 0.02, "5/32\"": 0.03 },
+    maxBeadWidth: 3,
+    // A closed square-edged butt is fused, not filled: one pass reaches about
+    // this far into the plate, in inches, so thicker plate is welded from both
+    // sides and plate more than twice as thick needs a bevel
+    squareButtPenetration: 0.125,
+    // Longest plan given; past it a larger rod or another process suits better
+    maxPasses: 150,
+    passes: {
+      root: {
+        purpose: "Fuse both root faces and form the back bead",
+        // Preferred for an open butt root, first one that suits the scenario
+        electrodes: ["E6010", "E6011"],
+        maxElectrodeSize: "1/8\"",
+        amperageWindow: [0, 0.5],
+        motionPatterns: ["WHIP_STEP", "STRAIGHT"]
+      },
+      hot: {
+        purpose: "Burn out slag trapped along the root and reinforce it",
+        // Only follows a root run with one of these
+        after: ["E6010", "E6011"],
+        amperageWindow: [0.5, 1],
+        motionPatterns: ["STRAIGHT", "WHIP_STEP"]
+      },
+      fill: {
+        purpose: "Build the joint up to just below the surface",
+        amperageWindow: [0, 1],
+        motionPatterns: ["SIDE_TO_SIDE", "SLIGHT_SIDE_TO_SIDE", "ZIGZAG", "STRAIGHT"]
+      },
+      cap: {
+        purpose: "Even reinforcement, tied into both toes",
+        amperageWindow: [0.25, 0.75],
+        motionPatterns: ["SIDE_TO_SIDE", "SLIGHT_SIDE_TO_SIDE", "ZIGZAG", "CIRCULAR", "STRAIGHT"]
+      },
+      back: {
+        purpose: "Fuse a square edge from the far side, into the root pass",
+        amperageWindow: [0.5, 1],
+        motionPatterns: ["STRAIGHT"]
+      }
+    }
+  },
+
+  // Heat input and cooling, with temperatures in °F. SMAW delivers about
+  // arcEfficiency of the arc's power to the work. Cooling from 800 to 500°C
+  // (t8/5) follows the thin- and thick-plate heat flow formulas of EN 1011-2,
+  // with their shape factor for each joint. A steel's heat-affected zone stays
+  // soft when t8/5 is at least criticalCoolingTime, which grows by
+  // secondsPerTenth for each 0.1 of carbon equivalent above carbonEquivalent.
+  // Plate risks burning through once the heat input (kJ/in) per square inch of
+  // plate thickness passes burnThrough.
+  thermalModel: {
+    arcEfficiency: 0.8,
+    ambient: 70,
+    maxPreheat: 600,
+    jointFactors: {
+      "Butt": { thin: 0.9, thick: 0.9 },
+      "Lap": { thin: 0.67, thick: 0.67 },
+      "T": { thin: 0.67, thick: 0.67 },
+      "Corner": { thin: 0.9, thick: 0.67 }
+    },
+    criticalCoolingTime: { carbonEquivalent: 0.3, secondsPerTenth: 3 },
+    burnThrough: 1500
+  },
+
+  // Base metals. `electrodes` lists filler metals that match the base metal
+  // (recommended) or will do with a warning (acceptable); validateInputs
+  // rejects any other electrode. Steels give a typical IIW carbon equivalent
+  // for the preheat estimate.
+  baseMetals: {
+    "Mild steel": {
+      family: "Carbon steel",
+      carbonEquivalent: 0.4,
+      preheat: "None below 1\" thick",
+      interpass: "No limit in practice",
+      procedure: "Standard approach for position",
+      electrodes: {
+        recommended: ["E6010", "E6011", "E6013", "E7018", "E7024"],
+        acceptable: ["E8018-B2", "E9018-M"]
+      }
+    },
+    "Stainless 304/304L": {
+      family: "Stainless",
+      preheat: "None",
+      interpass: "350°F max",
+      procedure: "Low heat, stringers or narrow weave, keep it clean",
+      electrodes: { recommended: ["E308L-16"], acceptable: ["E316L-16", "E309L-16"] }
+    },
+    "Stainless 316/316L": {
+      family: "Stainless",
+      preheat: "None",
+      interpass: "350°F max",
+      procedure: "Low heat, stringers or narrow weave, keep it clean",
+      electrodes: { recommended: ["E316L-16"], acceptable: [] }
+    },
+    "Stainless to mild steel": {
+      family: "Stainless",
+      preheat: "None",
+      interpass: "350°F max",
+      procedure: "Minimize dilution, aim the arc at the stainless side",
+      electrodes: { recommended: ["E309L-16"], acceptable: [] }
+    },
+    "Cast iron": {
+      family: "Cast iron",
+      preheat: "None for the cold method, or 500-1200°F for the whole casting",
+      interpass: "Hand-warm (about 150°F) between stringers",
+      procedure: "Short 1\" stringers, peen each bead while hot, let cool between beads",
+      electrodes: { recommended: ["ENi-CI", "ENiFe-CI"], acceptable: [] }
+    },
+    "Chrome-moly (1¼Cr-½Mo)": {
+      family: "Low-alloy",
+      carbonEquivalent: 0.55,
+      preheat: "300°F min",
+      interpass: "600°F max",
+      procedure: "Hold preheat through welding, post-weld heat treatment usually required",
+      electrodes: { recommended: ["E8018-B2"], acceptable: [] }
+    },
+    "High-strength low-alloy": {
+      family: "Low-alloy",
+      carbonEquivalent: 0.45,
+      preheat: "150°F min, more on thick sections",
+      interpass: "300°F max",
+      procedure: "Control heat input to protect heat-affected zone toughness",
+      electrodes: { recommended: ["E9018-M"], acceptable: ["E7018"] }
+    }
+  },
+  
+  jointTypes: {
+    "Butt": {
+      preparation: "Square edges or beveled for thick metal",
+      penetration: "Critical for strength",
+      technique: "Focus on root fusion",
+      commonIssues: "Burn-through, lack of penetration",
+      rodAngle: "Nearly perpendicular"
+    },
+    "Lap": {
+      preparation: "Clean mating surfaces",
+      penetration: "Focus on fusing to bottom piece",
+      technique: "Balance heat between pieces",
+      commonIssues: "Insufficient fusion to bottom piece",
+      rodAngle: "45° pointing into corner"
+    },
+    "T": {
+      preparation: "Clean mating surfaces",
+      penetration: "Focus on root fusion",
+      technique: "Angle to balance heat",
+      commonIssues: "Lack of fusion at root",
+      rodAngle: "45° pointing into corner"
+    },
+    "Corner": {
+      preparation: "Can be open or closed corner",
+      penetration: "Must reach inner corner",
+      technique: "Balance heat between pieces",
+      commonIssues: "Inside corner penetration",
+      rodAngle: "Bisect the angle"
+    }
+  },
+  
+  // Dynamic factors - adjustable during welding
+  techniques: {
+    "arcGap": {
+      "Short": {
+        effect: "More direct heat, deeper penetration",
+        puddle: "Less fluid, more directed",
+        suitable: "Root passes, harder to reach spots",
+        appearance: "Narrower bead, higher crown"
+      },
+      "Medium": {
+        effect: "Balanced heat distribution",
+        puddle: "Moderate fluidity and spread",
+        suitable: "General purpose",
+        appearance: "Even bead formation"
+      },
+      "Long": {
+        effect: "More distributed heat, less penetration",
+        puddle: "More fluid, wider spread",
+        suitable: "Thin metals, wider coverage",
+        appearance: "Flatter, wider bead"
+      }
+    },
+    
+    "travelSpeed": {
+      "Slow": {
+        effect: "More heat input to base metal",
+        puddle: "Wider, more fluid",
+        suitable: "Thick metal, needs preheat",
+        issues: "Excessive build-up, potential burn-through"
+      },
+      "Medium": {
+        effect: "Balanced heat input",
+        puddle: "Controlled spread and fluidity",
+        suitable: "Most general welding",
+        issues: "Minimal if other parameters balanced"
+      },
+      "Fast": {
+        effect: "Less heat input, quicker cooling",
+        puddle: "Narrower, less fluid",
+        suitable: "Thin metals, vertical down",
+        issues: "Potential lack of fusion, undercut"
+      }
+    },
+    
+    "rodAngle": {
+      "Perpendicular": {
+        effect: "Maximum penetration, less build-up",
+        puddle: "Penetrates deeper, spreads wider",
+        suitable: "Root passes, butt joints, flat position",
+        appearance: "Flatter bead profile"
+      },
+      "45°": {
+        effect: "Balanced penetration and build-up",
+        puddle: "Moderate penetration and stacking",
+        suitable: "General purpose, fillet welds",
+        appearance: "Moderate crown"
+      },
+      "Shallow": {
+        effect: "Less penetration, more build-up",
+        puddle: "Stacks more, penetrates less",
+        suitable: "Fill passes, building up metal",
+        appearance: "Higher crown, potentially less fusion"
+      }
+    },
+    
+    "motionPattern": {
+      "Straight": {
+        effect: "Consistent heat input, uniform bead",
+        puddle: "Even, predictable formation",
+        suitable: "Simple joints, production work, E7018/E7024",
+        appearance: "Even, uniform bead"
+      },
+      "Circular": {
+        effect: "Controls puddle width, moderate heat",
+        puddle: "Contained spread, good edge tie-in",
+        suitable: "General purpose, all positions",
+        appearance: "Slightly scalloped edges"
+      },
+      "Zigzag": {
+        effect: "Wider heat distribution, good control",
+        puddle: "Wider bead, controlled fluidity",
+        suitable: "Wider joints, good edge tie-in",
+        appearance: "Wide bead with even edges"
+      },
+      "Whip/Step": {
+        effect: "Controls heat input, cools between steps",
+        puddle: "Solidifies between movements",
+        suitable: "E6010/E6011, vertical, poor fit-up",
+        appearance: "Distinct ripple pattern"
+      }
+    }
+  },
+  
+  // Observable feedback during welding
+  observables: {
+    "puddleFluid": {
+      "Stiff": {
+        diagnosis: "Insufficient heat",
+        causes: ["Amperage too low", "Travel too fast", "Arc too short"],
+        adjustments: ["Increase amperage", "Slow travel speed", "Lengthen arc slightly"]
+      },
+      "Moderate": {
+        diagnosis: "Proper heat input",
+        causes: ["Parameters balanced"],
+        adjustments: ["Maintain settings"]
+      },
+      "VeryFluid": {
+        diagnosis: "Excessive heat",
+        causes: ["Amperage too high", "Travel too slow", "Arc too long"],
+        adjustments: ["Decrease amperage", "Increase travel speed", "Shorten arc"]
+      }
+    },
+    
+    "puddleSpread": {
+      "Narrow": {
+        diagnosis: "Insufficient heat or distribution",
+        causes: ["Amperage too low", "Travel too fast", "Angle too shallow"],
+        adjustments: ["Increase amperage", "Slow travel", "Adjust to more perpendicular angle"]
+      },
+      "Moderate": {
+        diagnosis: "Good heat distribution",
+        causes: ["Parameters balanced"],
+        adjustments: ["Maintain settings"]
+      },
+      "Wide": {
+        diagnosis: "Excessive heat input",
+        causes: ["Amperage too high", "Travel too slow", "Angle too perpendicular for application"],
+        adjustments: ["Decrease amperage", "Speed up travel", "Adjust angle"]
+      }
+    },
+    
+    "edgeTie": {
+      "Poor": {
+        diagnosis: "Inadequate fusion at edges",
+        causes: ["Insufficient heat at edges", "Travel too fast", "Poor angle"],
+        adjustments: ["Adjust angle to direct more heat to edges", "Slow travel", "Weave slightly"]
+      },
+      "Adequate": {
+        diagnosis: "Sufficient edge fusion",
+        causes: ["Heat distribution adequate"],
+        adjustments: ["Maintain settings"]
+      },
+      "Excellent": {
+        diagnosis: "Perfect edge fusion",
+        causes: ["Ideal parameter balance"],
+        adjustments: ["Maintain settings"]
+      }
+    },
+    
+    "arcStability": {
+      "Unstable": {
+        diagnosis: "Poor arc control",
+        causes: ["Wrong current type for electrode", "Inconsistent arc gap", "Damaged coating"],
+        adjustments: ["Check polarity", "Maintain steady hand", "Check electrode condition"]
+      },
+      "Stable": {
+        diagnosis: "Good arc control",
+        causes: ["Correct parameters"],
+        adjustments: ["Maintain settings"]
+      }
+    }
+  },
+
+  // Defects found in a finished weld, for working back to their causes.
+  // Causes are listed most common first, each with the adjustment that
+  // addresses it and, where it is a parameter change, the `change`: an
+  // amperage `direction`, or the techniques option (or machineType) to move
+  // `to`. `when` limits a cause to scenarios matching a rule condition (see
+  // ruleEngine.js); `likelyWhen` moves it to the front for them.
+  defects: {
+    "Porosity": {
+      appearance: "Round or elongated gas holes on or just under the bead surface",
+      causes: [
+        { cause: "Arc too long", adjustment: "Shorten arc", change: { field: "arcGap", to: "Short" },
+          likelyWhen: { electrode: ["E7018", "E8018-B2", "E9018-M"] } },
+        { cause: "Damaged coating", adjustment: "Use dry rods straight from the oven",
+          likelyWhen: { electrode: ["E7018", "E8018-B2", "E9018-M"] } },
+        { cause: "Contaminated base metal", adjustment: "Grind off rust, oil, paint and galvanizing" },
+        { cause: "Travel too fast", adjustment: "Slow travel speed", change: { field: "travelSpeed", to: "Medium" } },
+        { cause: "Amperage too high", adjustment: "Decrease amperage", change: { field: "amperage", direction: "decrease" } }
+      ]
+    },
+    "Undercut": {
+      appearance: "A groove melted into the plate along the toe of the weld and left unfilled",
+      causes: [
+        { cause: "Amperage too high", adjustment: "Decrease amperage", change: { field: "amperage", direction: "decrease" } },
+        { cause: "Arc too long", adjustment: "Shorten arc", change: { field: "arcGap", to: "Short" } },
+        { cause: "Poor angle", adjustment: "Point the rod into the joint at 45°", change: { field: "rodAngle", to: "45°" },
+          likelyWhen: { any: [{ jointType: ["T", "Lap"] }, { position: "Horizontal" }] } },
+        { cause: "Travel too fast", adjustment: "Slow travel speed", change: { field: "travelSpeed", to: "Medium" } },
+        { cause: "No pause at the toes", adjustment: "Pause at each side of the weave",
+          change: { field: "motionPattern", to: "Zigzag" },
+          likelyWhen: { position: ["Vertical Up", "Overhead"] } }
+      ]
+    },
+    "Slag inclusions": {
+      appearance: "Slag trapped between passes or along the sidewalls, showing on X-ray or a cut",
+      causes: [
+        { cause: "Slag left between passes", adjustment: "Chip and wire-brush every pass clean" },
+        { cause: "Slag running ahead of the puddle", adjustment: "Keep arc in puddle, don't let slag get ahead",
+          change: { field: "rodAngle", to: "45°" },
+          likelyWhen: { electrode: ["E7018", "E7024"] } },
+        { cause: "Travel too slow", adjustment: "Increase travel speed", change: { field: "travelSpeed", to: "Medium" } },
+        { cause: "Amperage too low", adjustment: "Increase amperage", change: { field: "amperage", direction: "increase" } },
+        { cause: "Angle too shallow", adjustment: "Adjust to more perpendicular angle",
+          change: { field: "rodAngle", to: "Perpendicular" } }
+      ]
+    },
+    "Cold lap": {
+      appearance: "Weld metal rolled over onto the plate at the toe without fusing to it",
+      causes: [
+        { cause: "Amperage too low", adjustment: "Increase amperage", change: { field: "amperage", direction: "increase" } },
+        { cause: "Travel too slow", adjustment: "Increase travel speed", change: { field: "travelSpeed", to: "Medium" },
+          likelyWhen: { position: ["Vertical Up", "Overhead"] } },
+        { cause: "Angle too shallow", adjustment: "Adjust to more perpendicular angle",
+          change: { field: "rodAngle", to: "Perpendicular" } },
+        { cause: "No pause at the toes", adjustment: "Pause at each side of the weave",
+          change: { field: "motionPattern", to: "Zigzag" } },
+        { cause: "Arc too long", adjustment: "Shorten arc", change: { field: "arcGap", to: "Short" } }
+      ]
+    },
+    "Cracking": {
+      appearance: "Cracks along or across the bead, in the crater or in the plate beside it",
+      causes: [
+        { cause: "Cooling too fast for the steel", adjustment: "Preheat and keep to the interpass temperature",
+          likelyWhen: { any: [{ baseMetalFamily: ["Low-alloy", "Cast iron"] }, { metalThickness: "Thick (>3/16\")" }] } },
+        { cause: "Hydrogen from damp rods", adjustment: "Use dry rods straight from the oven",
+          likelyWhen: { electrode: ["E7018", "E8018-B2", "E9018-M"] } },
+        { cause: "Crater left unfilled", adjustment: "Pause to fill the crater before breaking the arc" },
+        { cause: "Travel too fast", adjustment: "Slow travel speed", change: { field: "travelSpeed", to: "Medium" } },
+        { cause: "Filler does not match the base metal", adjustment: "Use an electrode listed for the base metal",
+          when: { baseMetal: { ne: "Mild steel" } } }
+      ]
+    },
+    "Excess spatter": {
+      appearance: "Beads of metal stuck to the plate around the weld",
+      causes: [
+        { cause: "Amperage too high", adjustment: "Decrease amperage", change: { field: "amperage", direction: "decrease" } },
+        { cause: "Arc too long", adjustment: "Shorten arc", change: { field: "arcGap", to: "Short" } },
+        { cause: "Wrong current type for electrode", adjustment: "Check polarity" },
+        { cause: "Magnetic arc blow", adjustment: "Move the ground clamp closer to the weld",
+          when: { machineType: { ne: "AC" } } },
+        { cause: "Damaged coating", adjustment: "Use dry rods straight from the oven" }
+      ]
+    },
+    "Arc blow": {
+      appearance: "The arc wanders off the joint, worst near plate ends, corners and the ground clamp",
+      causes: [
+        { cause: "Magnetic arc blow", adjustment: "Switch to AC", change: { field: "machineType", to: "AC" },
+          when: { machineType: { ne: "AC" } } },
+        { cause: "Ground clamp placement", adjustment: "Move the ground clamp closer to the weld" },
+        { cause: "Arc too long", adjustment: "Shorten arc", change: { field: "arcGap", to: "Short" } },
+        { cause: "Rod not angled against the blow", adjustment: "Lean the rod against the direction the arc blows" },
+        { cause: "Amperage too high", adjustment: "Decrease amperage", change: { field: "amperage", direction: "decrease" } }
+      ]
+    }
+  },
+
+  // Different wordings of the same underlying cause across observables, so
+  // diagnose() can see that several symptoms agree
+  causeAliases: {
+    "Insufficient heat at edges": "Amperage too low"
+  },
+
+  // The techniques option each puddle cause moves to, in the defects table's
+  // `change` shape, so a diagnosis can say which technique to aim for
+  causeChanges: {
+    "Travel too fast": { field: "travelSpeed", to: "Slow" },
+    "Travel too slow": { field: "travelSpeed", to: "Fast" },
+    "Arc too short": { field: "arcGap", to: "Medium" },
+    "Arc too long": { field: "arcGap", to: "Short" },
+    "Angle too shallow": { field: "rodAngle", to: "Perpendicular" },
+    "Angle too perpendicular for application": { field: "rodAngle", to: "45°" },
+    "Poor angle": { field: "rodAngle", to: "45°" }
+  }
+};
@@ -0,0 +1,181 @@
+// Lookups and enumerations over the knowledge base
+// Every function takes an optional knowledge object so callers can run the
+// same queries against an edited or extended copy of the data.
+
+import { weldingKnowledge } from './knowledge.js';
+
+// Machine output types offered by the GUI and accepted by getRecommendations
+export const MACHINE_TYPES = ['AC', 'DC+', 'DC-'];
+
+// Base metal assumed when getRecommendations inputs don't name one
+export const DEFAULT_BASE_METAL = 'Mild steel';
+
+// Maps getRecommendations observation inputs onto their observables table
+export const OBSERVATION_FIELDS = {
+  observedPuddle: 'puddleFluid',
+  observedSpread: 'puddleSpread',
+  observedTieIn: 'edgeTie',
+  observedStability: 'arcStability'
+};
+
+/**
+ * Look up an electrode classification, e.g. getElectrode("E7018").
+ * @param {string} name
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the electrodes table entry
+ */
+export function getElectrode(name, knowledge = weldingKnowledge) {
+  return knowledge.electrodes[name];
+}
+
+/**
+ * Look up an electrode diameter, e.g. getElectrodeSize('1/8"').
+ * @param {string} size
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the electrodeSize table entry
+ */
+export function getElectrodeSize(size, knowledge = weldingKnowledge) {
+  return knowledge.electrodeSize[size];
+}
+
+/**
+ * Look up a welding position, e.g. getPosition("Vertical Up").
+ * @param {string} position
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the positions table entry
+ */
+export function getPosition(position, knowledge = weldingKnowledge) {
+  return knowledge.positions[position];
+}
+
+/**
+ * Look up a metal thickness bucket, e.g. getThickness('Thin (<1/8")').
+ * @param {string} thickness
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the metalThickness table entry
+ */
+export function getThickness(thickness, knowledge = weldingKnowledge) {
+  return knowledge.metalThickness[thickness];
+}
+
+/**
+ * Look up a joint type, e.g. getJoint("T").
+ * @param {string} jointType
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the jointTypes table entry
+ */
+export function getJoint(jointType, knowledge = weldingKnowledge) {
+  return knowledge.jointTypes[jointType];
+}
+
+/**
+ * Look up a base metal, e.g. getBaseMetal("Stainless 304/304L").
+ * @param {string} baseMetal
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the baseMetals table entry
+ */
+export function getBaseMetal(baseMetal, knowledge = weldingKnowledge) {
+  return knowledge.baseMetals[baseMetal];
+}
+
+/**
+ * Look up a power source profile, e.g. getMachine("Inverter").
+ * @param {string} machine
+ * @param {object} [knowledge]
+ * @returns {object|undefined} the machines table entry
+ */
+export function getMachine(machine, knowledge = weldingKnowledge) {
+  return (knowledge.machines || {})[machine];
+}
+
+/**
+ * How well an electrode suits a base metal, read from the base metal's
+ * `electrodes` lists.
+ * @param {string} electrode
+ * @param {string} baseMetal
+ * @param {object} [knowledge]
+ * @returns {"recommended"|"acceptable"|"incompatible"|undefined} undefined
+ *   for an unknown base metal
+ */
+export function getElectrodeCompatibility(electrode, baseMetal, knowledge = weldingKnowledge) {
+  const metal = getBaseMetal(baseMetal, knowledge);
+  if (!metal) return undefined;
+  if (metal.electrodes.recommended.includes(electrode)) return 'recommended';
+  if (metal.electrodes.acceptable.includes(electrode)) return 'acceptable';
+  return 'incompatible';
+}
+
+/**
+ * Amperage range for an electrode at a given size, e.g. { min: 75, max: 130 }.
+ * @param {string} electrode
+ * @param {string} size
+ * @param {object} [knowledge]
+ * @returns {{min: number, max: number}|undefined} amps
+ */
+export function getAmperageRange(electrode, size, knowledge = weldingKnowledge) {
+  const sizeData = getElectrodeSize(size, knowledge);
+  return sizeData ? sizeData.amperage[electrode] : undefined;
+}
+
+/**
+ * Resolve a dotted knowledge path such as "positions.Vertical Up.amperage" or
+ * "observables.puddleFluid.Stiff.causes[0]", as cited by rules, traces and
+ * diagnostics.
+ * @param {string} path
+ * @param {object} [knowledge]
+ * @returns {*} the entry, or undefined when the path doesn't exist
+ */
+export function getKnowledgeEntry(path, knowledge = weldingKnowledge) {
+  return path.replace(/\[(\d+)\]/g, '.$1').split('.')
+    .reduce((entry, key) => (entry == null ? undefined : entry[key]), knowledge);
+}
+
+// Enumerations of valid input values, in knowledge-base order
+
+export function listElectrodes(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.electrodes);
+}
+
+export function listElectrodeSizes(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.electrodeSize);
+}
+
+export function listPositions(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.positions);
+}
+
+export function listThicknesses(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.metalThickness);
+}
+
+export function listBaseMetals(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.baseMetals);
+}
+
+export function listJointTypes(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.jointTypes);
+}
+
+export function listDefects(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.defects || {});
+}
+
+export function listMachines(knowledge = weldingKnowledge) {
+  return Object.keys(knowledge.machines || {});
+}
+
+export function listMachineTypes() {
+  return [...MACHINE_TYPES];
+}
+
+/**
+ * Valid values for one of the observation inputs, e.g.
+ * listObservationValues("observedPuddle") -> ["Stiff", "Moderate", "VeryFluid"].
+ * @param {string} field one of the OBSERVATION_FIELDS keys
+ * @param {object} [knowledge]
+ * @returns {string[]}
+ */
+export function listObservationValues(field, knowledge = weldingKnowledge) {
+  const observable = knowledge.observables[OBSERVATION_FIELDS[field]];
+  return observable ? Object.keys(observable) : [];
+}
@@ -0,0 +1,198 @@
+// Machine profiles
+// A machineType says which output the welder is set to; a machine profile
+// says what the power source behind it can do. The AC buzz box in the garage
+// has no DC, tops out at 225 A and needs a rest after two minutes at full
+// output; an engine drive runs all day. These helpers check user-defined
+// profiles against the machines table's shape, and work out what a
+// recommendation asks of a machine: the output it runs on, its duty cycle at
+// that amperage against the arc time of the run, and where to set its arc
+// force and hot start for the electrode.
+
+import { weldingKnowledge } from './knowledge.js';
+import { MACHINE_TYPES } from './lookups.js';
+import { currentTypes } from './validation.js';
+
+// Arc force and hot start, the dials some machines have
+const CONTROLS = ['arcForce', 'hotStart'];
+
+/**
+ * @typedef {object} MachineAssessment
+ * @property {string} name machines table key
+ * @property {string} output the machineType it runs this electrode on
+ * @property {number} amperage A the duty cycle is worked out at
+ * @property {number} dutyCycle percent of a period it can weld at that
+ *   amperage
+ * @property {number} weldMinutes minutes of arc per period the duty cycle allows
+ * @property {number} arcMinutes minutes of arc the run needs in its busiest period
+ * @property {number} periodMinutes the duty cycle's rating period
+ * @property {boolean} overloaded whether arcMinutes is past weldMinutes
+ * @property {number|null} arcForce dial setting, null for a machine without one
+ * @property {number|null} hotStart dial setting, null for a machine without one
+ * @property {number} openCircuitVoltage V
+ * @property {string} source e.g. "machines.AC buzz box"
+ */
+
+/**
+ * Check a user-defined machine profile, filling in the optional fields.
+ * @param {string} name
+ * @param {object} profile same shape as a machines table entry
+ * @returns {object} the profile, with arcForce, hotStart and description
+ *   defaulted
+ * @throws {Error} naming the first field that is missing or out of range
+ */
+export function checkMachine(name, profile) {
+  const fail = message => { throw new Error(`Machine "${name}" ${message}`); };
+  if (!name || typeof name !== 'string') throw new Error('A machine needs a name');
+  if (!profile || typeof profile !== 'object') fail('must be an object');
+
+  const { outputs, amperage, dutyCycle, openCircuitVoltage, arcForce = null, hotStart = null, description = '' } = profile;
+  if (!Array.isArray(outputs) || !outputs.length || !outputs.every(output => MACHINE_TYPES.includes(output))) {
+    fail(`needs "outputs" from ${MACHINE_TYPES.join(', ')}`);
+  }
+  if (!isRange(amperage) || amperage.min <= 0) fail('needs an "amperage" range above 0 A');
+  if (!dutyCycle || !(dutyCycle.percent > 0 && dutyCycle.percent <= 100)) {
+    fail('needs a "dutyCycle" percent between 0 and 100');
+  }
+  if (!(dutyCycle.amperage >= amperage.min && dutyCycle.amperage <= amperage.max)) {
+    fail(`is rated for its duty cycle at ${dutyCycle.amperage} A, outside its ${amperage.min}-${amperage.max} A output`);
+  }
+  if (!(openCircuitVoltage > 0 && openCircuitVoltage < Infinity)) fail('needs a positive "openCircuitVoltage"');
+  for (const [field, range] of [['arcForce', arcForce], ['hotStart', hotStart]]) {
+    if (range !== null && !isRange(range)) fail(`has an "${field}" that is neither null nor a {min, max} range`);
+  }
+
+  return {
+    outputs: [...outputs],
+    amperage: { min: amperage.min, max: amperage.max },
+    dutyCycle: { percent: dutyCycle.percent, amperage: dutyCycle.amperage },
+    openCircuitVoltage,
+    arcForce: arcForce && { min: arcForce.min, max: arcForce.max },
+    hotStart: hotStart && { min: hotStart.min, max: hotStart.max },
+    description
+  };
+}
+
+/**
+ * A copy of the knowledge base with user-defined machines added to the
+ * machines table, for passing to getRecommendations and the rest as
+ * options.knowledge.
+ * @param {Object<string, object>} profiles by name
+ * @param {object} [knowledge]
+ * @returns {object}
+ * @throws {Error} for a profile checkMachine rejects, or a name already taken
+ */
+export function withMachines(profiles, knowledge = weldingKnowledge) {
+  const machines = { ...knowledge.machines };
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (machines[name]) throw new Error(`Machine "${name}" is already defined`);
+    machines[name] = checkMachine(name, profile);
+  }
+  return { ...knowledge, machines };
+}
+
+/**
+ * Duty cycle at an amperage, from the rating: it rises with the square of
+ * rated / actual amps, up to 100%.
+ * @param {object} machine a machines table entry
+ * @param {number} amperage A
+ * @returns {number} percent
+ */
+export function dutyCycleAt(machine, amperage) {
+  const { percent, amperage: rated } = machine.dutyCycle;
+  return Math.min(100, percent * (rated / amperage) ** 2);
+}
+
+/**
+ * Where to set a machine's arc force and hot start for an electrode, from
+ * machineModel.settings scaled onto the machine's dials.
+ * @param {object} machine a machines table entry
+ * @param {object} electrodeData an electrodes table entry
+ * @param {object} [knowledge]
+ * @returns {{arcForce: number|null, hotStart: number|null}} null for a dial
+ *   the machine doesn't have
+ */
+export function machineSettings(machine, electrodeData, knowledge = weldingKnowledge) {
+  const settings = knowledge.machineModel.settings[electrodeData.arcForce] || {};
+  const result = {};
+  for (const control of CONTROLS) {
+    const dial = machine[control];
+    result[control] = dial && settings[control] !== undefined
+      ? Math.round(dial.min + (dial.max - dial.min) * settings[control] / 100)
+      : null;
+  }
+  return result;
+}
+
+/**
+ * The output a machine runs an electrode on: the machineType if one is set,
+ * otherwise the first the electrode takes that the machine supplies.
+ * @param {object} machine a machines table entry
+ * @param {object} electrodeData an electrodes table entry
+ * @param {string} [machineType]
+ * @returns {string|undefined} undefined when the two have none in common
+ */
+export function machineOutput(machine, electrodeData, machineType) {
+  if (machineType) return machine.outputs.includes(machineType) ? machineType : undefined;
+  return currentTypes(electrodeData).find(type => machine.outputs.includes(type));
+}
+
+/**
+ * What welding at an amperage asks of a machine. Without a run time the run
+ * is taken to be a long one, arc lit for machineModel.arcShare of every
+ * period.
+ * @param {string} name machines table key
+ * @param {object} run
+ * @param {string} run.electrode
+ * @param {number} run.amperage A
+ * @param {string} [run.machineType]
+ * @param {number} [run.runMinutes] arc time the whole run takes
+ * @param {object} [knowledge]
+ * @returns {MachineAssessment}
+ * @throws {Error} for an unknown machine
+ */
+export function assessMachine(name, run, knowledge = weldingKnowledge) {
+  const machine = (knowledge.machines || {})[name];
+  if (!machine) throw new Error(`Unknown machine "${name}"`);
+  const { periodMinutes, arcShare } = knowledge.machineModel;
+  const electrodeData = knowledge.electrodes[run.electrode];
+
+  const dutyCycle = dutyCycleAt(machine, run.amperage);
+  const weldMinutes = dutyCycle * periodMinutes / 100;
+  const longest = arcShare * periodMinutes;
+  const arcMinutes = run.runMinutes === undefined ? longest : Math.min(run.runMinutes, longest);
+  return {
+    name,
+    output: machineOutput(machine, electrodeData, run.machineType),
+    amperage: run.amperage,
+    dutyCycle: round(dutyCycle),
+    weldMinutes: round(weldMinutes),
+    arcMinutes: round(arcMinutes),
+    periodMinutes,
+    overloaded: arcMinutes > weldMinutes,
+    ...machineSettings(machine, electrodeData, knowledge),
+    openCircuitVoltage: machine.openCircuitVoltage,
+    source: `machines.${name}`
+  };
+}
+
+/**
+ * A range moved inside limits, e.g. an amperage range inside a machine's
+ * output. Both ends are clamped, so the range keeps its order; one wholly
+ * outside the limits collapses onto the nearer end.
+ * @param {{min: number, max: number}} range
+ * @param {{min: number, max: number}} limits
+ * @returns {{min: number, max: number}}
+ */
+export function clampRange(range, limits) {
+  const clamp = value => Math.min(limits.max, Math.max(limits.min, value));
+  return { min: clamp(range.min), max: clamp(range.max) };
+}
+
+function isRange(range) {
+  return Boolean(range) && typeof range.min === 'number' && typeof range.max === 'number' &&
+    Number.isFinite(range.min) && Number.isFinite(range.max) && range.min < range.max;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
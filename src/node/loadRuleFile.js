@@ -0,0 +1,17 @@
+// Node-only rule file loader
+// Kept out of src/index.js so the browser bundle never pulls in node:fs.
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+
+import { parseRules } from '../ruleEngine.js';
+
+/**
+ * Read and check a .json, .yaml or .yml rule file.
+ * @param {string} path
+ * @returns {Promise<object[]>} rules, ready to pass as getRecommendations' options.rules
+ */
+export async function loadRuleFile(path) {
+  const text = await readFile(path, 'utf8');
+  return parseRules(text, extname(path).slice(1).toLowerCase());
+}
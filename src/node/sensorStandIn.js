@@ -0,0 +1,127 @@
+// Stand-in sensor process
+// A small WebSocket server that streams samples as JSON lines, one per
+// message, at their recorded pace: from a sensor log when given one, or a
+// made-up run otherwise. It lets the visualization's JSON-lines adapter be
+// tried without welding hardware. Only the server side of the protocol that
+// this needs is implemented: the handshake, unmasked text frames out, and
+// honouring a close frame in.
+//
+//   node src/node/sensorStandIn.js [log.csv|log.json|log.jsonl] [--port 8765] [--speed 1]
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { parseSensorLog, syntheticSamples, createReplayAdapter } from '../sensors.js';
+
+// Fixed key suffix from RFC 6455, hashed into the handshake response
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Start serving samples. Every client gets its own replay from the start,
+ * looping until it disconnects.
+ * @param {object} [options]
+ * @param {import('../sensors.js').SensorSample[]} [options.samples] syntheticSamples() by default
+ * @param {number} [options.port] 0 picks a free port
+ * @param {number} [options.speed] playback rate
+ * @returns {Promise<{port: number, close: function(): Promise<void>}>}
+ */
+export async function startSensorStandIn(options = {}) {
+  const { samples = syntheticSamples(), port = 8765, speed = 1 } = options;
+  const sockets = new Set();
+  const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('Connect with a WebSocket for JSON-lines sensor samples\n');
+  });
+
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+
+    const replay = createReplayAdapter(samples, { speed, loop: true });
+    const close = () => {
+      replay.stop();
+      sockets.delete(socket);
+      socket.destroy();
+    };
+    sockets.add(socket);
+    socket.on('data', data => {
+      // Opcode 8 is a close frame
+      if ((data[0] & 0x0f) === 8) close();
+    });
+    socket.on('error', close);
+    socket.on('close', close);
+    replay.start({ sample: sample => socket.write(textFrame(JSON.stringify(sample))) });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  return {
+    port: server.address().port,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    })
+  };
+}
+
+/**
+ * Encode a server-to-client text frame.
+ * @param {string} text
+ * @returns {Buffer}
+ */
+export function textFrame(text) {
+  const payload = Buffer.from(text);
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x81, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+async function main(args) {
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : Number(args[index + 1]);
+  };
+  const file = args.find((arg, i) => !arg.startsWith('--') && (i === 0 || !args[i - 1].startsWith('--')));
+  const samples = file
+    ? parseSensorLog(await readFile(file, 'utf8'), extname(file).slice(1).toLowerCase())
+    : syntheticSamples();
+  const { port } = await startSensorStandIn({ samples, port: option('port', 8765), speed: option('speed', 1) });
+  console.log(`Streaming ${samples.length} ${file ? `samples from ${file}` : 'made-up samples'} on ws://localhost:${port}`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
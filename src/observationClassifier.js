@@ -0,0 +1,202 @@
+// Sensor signals to observations
+// Turns a stream of sensor samples into the observables categories the
+// recommendations take as observedPuddle, observedSpread, observedTieIn and
+// observedStability. Signals are smoothed, compared with what the current
+// settings should produce, and given hysteresis: a category only changes
+// once its signal is clearly past a threshold and stays there for a while,
+// so noise near a boundary doesn't flicker the recommendation. A stream fast
+// enough to be an arc waveform (kHz, not the usual 10 Hz) also goes through
+// analyzeArcSignals a second or so at a time, which then sets
+// observedStability and, given the electrode size, observedArcGap.
+
+import { weldingKnowledge } from './knowledge.js';
+import { listObservationValues } from './lookups.js';
+import { analyzeArcSignals, minimumSampleRate } from './arcSignals.js';
+
+// Each observation's signal and the thresholds between its categories, in
+// the knowledge base's order (e.g. Stiff < 0.8 < Moderate < 1.25 < VeryFluid).
+// heat and width are ratios to the reference; tieIn drops as either falls
+// short of it, the way edgeTie.Poor's causes have it; steadiness is 1 minus
+// the arc voltage's coefficient of variation.
+const SIGNALS = {
+  observedPuddle: { signal: 'heat', thresholds: [0.8, 1.25] },
+  observedSpread: { signal: 'width', thresholds: [0.8, 1.2] },
+  observedTieIn: { signal: 'tieIn', thresholds: [0.75, 0.92] },
+  observedStability: { signal: 'steadiness', thresholds: [0.9] }
+};
+
+/**
+ * @typedef {object} SignalReference
+ * @property {number} current amps the settings call for
+ * @property {number} travelSpeed in/min the settings call for
+ * @property {number} [voltage] expected arc voltage; heat leaves voltage out without it
+ * @property {number} [puddleWidth] expected width, inches; spread and tie-in
+ *   are only classified with it
+ * @property {string} [electrodeSize] e.g. '1/8"'; the arc analysis only
+ *   reads the arc gap with it
+ */
+
+/**
+ * @typedef {object} Classification
+ * @property {object} observations observation field -> category, for every
+ *   field with enough signal so far
+ * @property {string[]} changed fields whose category changed with this sample
+ * @property {object} signals the smoothed heat, width, tieIn and steadiness
+ */
+
+/**
+ * Create a classifier for one stream of samples.
+ * @param {object} options
+ * @param {SignalReference} options.reference
+ * @param {object} [options.initial] observation field -> category to start from
+ * @param {number} [options.smoothing] time constant of the signal smoothing, ms
+ * @param {number} [options.band] hysteresis: how far past a threshold, as a
+ *   fraction of it, a signal must go to change category
+ * @param {number} [options.hold] ms a new category must persist before it's taken
+ * @param {number} [options.arcWindow] ms of voltage and current each arc
+ *   analysis covers
+ * @param {object} [options.arcThresholds] analyzeArcSignals thresholds; their
+ *   shortest event sets how fast samples must come to be analysed
+ * @param {object} [options.knowledge]
+ * @returns {{update: function(import('./sensors.js').SensorSample): Classification,
+ *   setReference: function(SignalReference): void, reset: function(): void}}
+ */
+export function createObservationClassifier(options) {
+  const {
+    smoothing = 500, band = 0.05, hold = 600, arcWindow = 1000, arcThresholds, knowledge = weldingKnowledge
+  } = options;
+  const arcRate = minimumSampleRate(arcThresholds);
+  let reference = options.reference;
+  const levels = Object.fromEntries(Object.keys(SIGNALS)
+    .map(field => [field, listObservationValues(field, knowledge)]));
+  let state;
+
+  const reset = () => {
+    state = {
+      time: null,
+      averages: {},
+      voltageVariance: 0,
+      arcSamples: [],
+      // Whether the last window came fast enough to analyse as a waveform
+      waveform: false,
+      observations: { ...(options.initial || {}) },
+      pending: {}
+    };
+  };
+  reset();
+
+  // Exponential moving average with a time constant, so uneven sample
+  // spacing weighs samples by the time they cover
+  const smooth = (key, value, dt) => {
+    const previous = state.averages[key];
+    const weight = previous === undefined ? 1 : 1 - Math.exp(-dt / smoothing);
+    state.averages[key] = previous === undefined ? value : previous + (value - previous) * weight;
+    return weight;
+  };
+
+  const signals = () => {
+    const { current, travelSpeed, voltage, puddleWidth } = state.averages;
+    const result = {};
+    if (current !== undefined && travelSpeed !== undefined) {
+      result.heat = (current / reference.current) * (reference.travelSpeed / Math.max(travelSpeed, 0.1));
+      if (voltage !== undefined && reference.voltage) result.heat *= voltage / reference.voltage;
+    }
+    if (puddleWidth !== undefined && reference.puddleWidth) result.width = puddleWidth / reference.puddleWidth;
+    if (result.heat !== undefined && result.width !== undefined) {
+      result.tieIn = 1 - Math.max(0, 1 - result.heat, 1 - result.width);
+    }
+    if (voltage !== undefined) result.steadiness = 1 - Math.sqrt(state.voltageVariance) / voltage;
+    return result;
+  };
+
+  // Category the signal sits in, staying put until it is a band past the
+  // threshold into the next one
+  const classify = (field, value) => {
+    const { thresholds } = SIGNALS[field];
+    const names = levels[field];
+    const current = names.indexOf(state.observations[field]);
+    const plain = thresholds.filter(threshold => value >= threshold).length;
+    if (current === -1) return names[plain];
+    let index = current;
+    while (index < thresholds.length && value >= thresholds[index] * (1 + band)) index++;
+    while (index > 0 && value < thresholds[index - 1] * (1 - band)) index--;
+    return names[index];
+  };
+
+  // Collect voltage and current until they span arcWindow, then analyse them
+  // as a waveform sampled at their average rate. A window slower than the
+  // thresholds can judge isn't analysed: at 10 Hz one low reading would count
+  // as a 100 ms short circuit. Null until a window is analysed.
+  const analyseArc = sample => {
+    if (sample.voltage === undefined || sample.current === undefined) return null;
+    const samples = state.arcSamples;
+    samples.push(sample);
+    const span = sample.time - samples[0].time;
+    if (span < arcWindow) return null;
+    state.arcSamples = [];
+    const sampleRate = (samples.length - 1) * 1000 / span;
+    state.waveform = sampleRate >= arcRate;
+    if (!state.waveform) return null;
+    const waveform = { sampleRate, voltage: samples.map(s => s.voltage), current: samples.map(s => s.current) };
+    return analyzeArcSignals(waveform, { electrodeSize: reference.electrodeSize, thresholds: arcThresholds, knowledge })
+      .observations;
+  };
+
+  return {
+    update(sample) {
+      const dt = state.time === null ? 0 : Math.max(sample.time - state.time, 0);
+      state.time = sample.time;
+      for (const key of ['current', 'travelSpeed', 'voltage', 'puddleWidth']) {
+        if (sample[key] === undefined) continue;
+        const previousVoltage = state.averages.voltage;
+        const weight = smooth(key, sample[key], dt);
+        if (key === 'voltage' && previousVoltage !== undefined) {
+          const deviation = sample.voltage - previousVoltage;
+          state.voltageVariance += (deviation * deviation - state.voltageVariance) * weight;
+        }
+      }
+
+      const values = signals();
+      const changed = [];
+      // A waveform's analysis, not the steadiness signal, decides stability
+      for (const [field, { signal }] of Object.entries(SIGNALS)) {
+        if (values[signal] === undefined || (state.waveform && field === 'observedStability')) continue;
+        const category = classify(field, values[signal]);
+        if (state.observations[field] === undefined) {
+          state.observations[field] = category;
+          changed.push(field);
+        } else if (category === state.observations[field]) {
+          delete state.pending[field];
+        } else {
+          // The new category has to hold before it is taken
+          const pending = state.pending[field];
+          if (!pending || pending.category !== category) {
+            state.pending[field] = { category, since: sample.time };
+          } else if (sample.time - pending.since >= hold) {
+            state.observations[field] = category;
+            delete state.pending[field];
+            changed.push(field);
+          }
+        }
+      }
+      // An analysis already covers a whole window, so it is taken as it comes
+      const analysed = analyseArc(sample);
+      for (const [field, category] of Object.entries(analysed || {})) {
+        if (state.observations[field] === category) continue;
+        state.observations[field] = category;
+        delete state.pending[field];
+        changed.push(field);
+      }
+      return { observations: { ...state.observations }, changed, signals: values };
+    },
+
+    // New settings change what the signals are measured against; samples
+    // taken against the old ones aren't analysed
+    setReference(next) {
+      reference = next;
+      state.arcSamples = [];
+    },
+
+    reset
+  };
+}
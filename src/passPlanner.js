@@ -0,0 +1,275 @@
+// Multi-pass procedure planner
+// Splits a joint's cross-section into root, hot, fill and cap passes, with a
+// back weld for a closed square-edged butt, and gives each pass its own
+// electrode, size, amperage and motion. Every pass is a getRecommendations
+// call, so validation and all the rules apply to it, and the plan depends on
+// nothing but the inputs: the same joint always gets the same sequence.
+
+import { weldingKnowledge } from './knowledge.js';
+import { getRecommendations } from './recommendations.js';
+import { resolveGeometry, MM_PER_IN } from './geometry.js';
+import { MotionPattern } from './technique.js';
+import { ValidationCode } from './validation.js';
+
+// Pass types in welding order
+export const PassType = Object.freeze({
+  ROOT: 'root',
+  HOT: 'hot',
+  FILL: 'fill',
+  CAP: 'cap',
+  BACK: 'back'
+});
+
+// Joints welded with a fillet rather than a groove
+const FILLET_JOINTS = ['Lap', 'T', 'Corner'];
+
+// Thinnest root land a root pass is recommended for, inches
+const MIN_ROOT_LAND = 0.0625;
+
+/**
+ * @typedef {object} Pass
+ * @property {number} number 1-based, in welding order
+ * @property {string} type a PassType
+ * @property {number} layer 1-based, counted from the root
+ * @property {string} electrode
+ * @property {string} electrodeSize
+ * @property {import('./recommendations.js').Range} amperage
+ * @property {string} motionPattern a MotionPattern
+ * @property {import('./recommendations.js').Range} arcLength
+ * @property {import('./recommendations.js').Range} workAngle
+ * @property {import('./recommendations.js').Range} travelAngle
+ * @property {import('./recommendations.js').Range} travelSpeed
+ * @property {{value: number, unit: string}} beadArea estimated cross-section
+ *   the pass deposits, "in²" or "mm²"
+ */
+
+/**
+ * @typedef {object} PassPlan
+ * @property {boolean} valid false when the inputs fail validation or the joint
+ *   takes more than passPlanning.maxPasses beads; passes is then empty
+ * @property {import('./validation.js').ValidationIssue[]} errors
+ * @property {import('./validation.js').ValidationIssue[]} warnings
+ * @property {{value: number, unit: string}|null} jointArea cross-section to fill
+ * @property {Pass[]} passes
+ * @property {string[]} notes procedure notes from every pass, without repeats
+ */
+
+/**
+ * Plan the passes for a joint. The inputs are those of getRecommendations;
+ * their electrode and size are used for the fill and cap, while an open butt
+ * root gets the knowledge base's preferred root electrode where it suits. A
+ * square-edged butt with no root opening has nothing to fill, so it gets a
+ * back weld once the plate is thicker than one pass penetrates, and a warning
+ * once it is thicker than two.
+ * @param {object} inputs
+ * @param {object} [options] as for getRecommendations: knowledge, units, rules
+ * @returns {PassPlan}
+ */
+export function planPasses(inputs, options = {}) {
+  const { knowledge = weldingKnowledge, units = 'imperial' } = options;
+  const planning = knowledge.passPlanning;
+  const recommendations = new Map();
+  // Passes at the root of a groove only fuse the root land, so they are
+  // recommended for that thickness instead of the plate's
+  let rootInputs = inputs;
+  const recommend = (electrode, electrodeSize, atRoot = false) => {
+    const key = `${electrode} ${electrodeSize}${atRoot ? ' root' : ''}`;
+    if (!recommendations.has(key)) {
+      const passInputs = { ...(atRoot ? rootInputs : inputs), electrode, electrodeSize };
+      recommendations.set(key, getRecommendations(passInputs, { ...options, trace: false }));
+    }
+    return recommendations.get(key);
+  };
+
+  const main = recommend(inputs.electrode, inputs.electrodeSize);
+  if (!main.valid) {
+    return { valid: false, errors: main.errors, warnings: main.warnings, jointArea: null, passes: [], notes: [] };
+  }
+
+  const geometry = resolveGeometry(inputs, knowledge);
+  const groove = crossSection(geometry, inputs.jointType);
+  if (!FILLET_JOINTS.includes(inputs.jointType) && groove.slope) {
+    rootInputs = {
+      ...inputs,
+      lengthUnit: 'in',
+      thickness: Math.max(groove.face + groove.opening, MIN_ROOT_LAND),
+      rootOpening: geometry.rootOpening,
+      rootFace: geometry.rootFace,
+      filletLeg: undefined
+    };
+  }
+  const warnings = [...main.warnings];
+  const closedSquareButt = !FILLET_JOINTS.includes(inputs.jointType) && !groove.slope && !groove.opening;
+  if (closedSquareButt && groove.depth > 2 * planning.squareButtPenetration) {
+    warnings.push({
+      code: ValidationCode.PARTIAL_PENETRATION,
+      field: 'bevelAngle',
+      message: `Square edges fuse about ${formatDepth(planning.squareButtPenetration, units)} from each side, ` +
+        `short of ${formatDepth(groove.depth, units)} plate; bevel the joint or leave a root opening`,
+      suggestions: []
+    });
+  }
+  const totalArea = areaAt(groove, groove.depth);
+  const beads = [];
+  let filled = 0;
+  const deposit = (type, layer, electrode, electrodeSize, stringers, atRoot = false) => {
+    beads.push({ type, layer, electrode, electrodeSize, stringers, atRoot });
+    filled += planning.beadArea[electrodeSize];
+  };
+
+  // Root, and a hot pass to clean up after a cellulosic root
+  const root = chooseRoot(inputs, planning.passes.root, knowledge, recommend);
+  deposit(PassType.ROOT, 1, root.electrode, root.electrodeSize, false, root.atRoot);
+  let layer = 1;
+  if (planning.passes.hot.after.includes(root.electrode) && filled < totalArea) {
+    deposit(PassType.HOT, ++layer, root.electrode, root.electrodeSize, false, root.atRoot);
+  }
+
+  // Fill layer by layer, splitting wide layers into stringers
+  const { electrode, electrodeSize } = inputs;
+  const maxWidth = planning.maxBeadWidth * knowledge.electrodeSize[electrodeSize].diameter;
+  const firstFillLayer = layer + 1;
+  while (filled < totalArea) {
+    const top = heightAt(groove, Math.min(totalArea, filled + planning.beadArea[electrodeSize]));
+    const count = Math.max(1, Math.ceil(widthAt(groove, top) / maxWidth));
+    layer++;
+    for (let i = 0; i < count; i++) deposit(PassType.FILL, layer, electrode, electrodeSize, count > 1);
+    if (beads.length > planning.maxPasses) {
+      return {
+        valid: false,
+        errors: [tooManyPasses(planning, knowledge, electrodeSize)],
+        warnings,
+        jointArea: area(totalArea, units === 'metric'),
+        passes: [],
+        notes: []
+      };
+    }
+  }
+  // The top layer is the cap
+  if (layer >= firstFillLayer) {
+    beads.filter(bead => bead.layer === layer).forEach(bead => { bead.type = PassType.CAP; });
+  }
+  // The far side of a square edge, run after the face side is done
+  if (closedSquareButt && groove.depth > planning.squareButtPenetration) {
+    deposit(PassType.BACK, 1, electrode, electrodeSize, false);
+  }
+
+  const metric = units === 'metric';
+  const passes = beads.map((bead, i) => {
+    const recommendation = recommend(bead.electrode, bead.electrodeSize, bead.atRoot);
+    const passType = planning.passes[bead.type];
+    return {
+      number: i + 1,
+      type: bead.type,
+      layer: bead.layer,
+      electrode: bead.electrode,
+      electrodeSize: bead.electrodeSize,
+      amperage: narrow(recommendation.amperage, passType.amperageWindow),
+      motionPattern: chooseMotion(recommendation.motionPatterns, passType.motionPatterns, bead.stringers),
+      arcLength: recommendation.arcLength,
+      workAngle: recommendation.workAngle,
+      travelAngle: recommendation.travelAngle,
+      travelSpeed: recommendation.travelSpeed,
+      beadArea: area(planning.beadArea[bead.electrodeSize], metric)
+    };
+  });
+
+  return {
+    valid: true,
+    errors: [],
+    warnings,
+    jointArea: area(totalArea, metric),
+    passes,
+    notes: [...new Set([...recommendations.values()].filter(r => r.valid).flatMap(r => r.notes))]
+  };
+}
+
+// Root electrode and size: the preferred open-root electrode for a butt
+// joint, otherwise the scenario's own, no larger than the root maximum.
+// Falls back to the scenario's electrode at plate thickness when nothing
+// suits the root land.
+function chooseRoot(inputs, rootPass, knowledge, recommend) {
+  const sizes = Object.keys(knowledge.electrodeSize);
+  const electrodeSize = sizes.indexOf(inputs.electrodeSize) > sizes.indexOf(rootPass.maxElectrodeSize)
+    ? rootPass.maxElectrodeSize
+    : inputs.electrodeSize;
+
+  const candidates = inputs.jointType === 'Butt' ? rootPass.electrodes : [];
+  const electrode = [...candidates, inputs.electrode].find(name => recommend(name, electrodeSize, true).valid);
+  return electrode
+    ? { electrode, electrodeSize, atRoot: true }
+    : { electrode: inputs.electrode, electrodeSize: inputs.electrodeSize, atRoot: false };
+}
+
+// First preferred pattern the recommendation allows; straight stringers when
+// a layer is split into several beads
+function chooseMotion(allowed, preferred, stringers) {
+  const order = stringers ? [MotionPattern.STRAIGHT, ...preferred] : preferred;
+  return order.find(pattern => allowed.includes(pattern)) || allowed[0];
+}
+
+// Error for a joint past the pass limit, suggesting rod sizes that deposit more
+function tooManyPasses(planning, knowledge, electrodeSize) {
+  const larger = Object.keys(planning.beadArea)
+    .filter(size => planning.beadArea[size] > planning.beadArea[electrodeSize] && knowledge.electrodeSize[size]);
+  return {
+    code: ValidationCode.TOO_MANY_PASSES,
+    field: 'electrodeSize',
+    message: `This joint takes more than ${planning.maxPasses} passes with ${electrodeSize} rod; ` +
+      'use a larger rod, a narrower bevel or another process',
+    suggestions: larger.map(size => ({ field: 'electrodeSize', value: size }))
+  };
+}
+
+function formatDepth(inches, units) {
+  return units === 'metric' ? `${Math.round(inches * MM_PER_IN * 10) / 10} mm` : `${inches}"`;
+}
+
+function narrow(amperage, [from, to]) {
+  const span = amperage.max - amperage.min;
+  const min = Math.round(amperage.min + span * from);
+  const max = Math.round(amperage.min + span * to);
+  return { min, max, nominal: Math.round((min + max) / 2), unit: amperage.unit };
+}
+
+function area(squareInches, metric) {
+  return metric
+    ? { value: Math.round(squareInches * MM_PER_IN ** 2 * 10) / 10, unit: 'mm²' }
+    : { value: Math.round(squareInches * 10000) / 10000, unit: 'in²' };
+}
+
+// Joint cross-section as a groove: depth, root opening, root face and bevel
+// per side, all in inches. A fillet is a 90° groove as deep as its throat.
+function crossSection(geometry, jointType) {
+  if (FILLET_JOINTS.includes(jointType)) {
+    const leg = geometry.filletLeg || geometry.thickness;
+    return { depth: leg / Math.SQRT2, opening: 0, face: 0, slope: 1 };
+  }
+  const bevel = geometry.bevelAngle || 0;
+  return {
+    depth: geometry.thickness,
+    opening: geometry.rootOpening || 0,
+    face: bevel ? geometry.rootFace || 0 : 0,
+    slope: Math.tan(bevel * Math.PI / 180)
+  };
+}
+
+function areaAt(groove, height) {
+  const beveled = Math.max(0, height - groove.face);
+  return groove.opening * height + beveled * beveled * groove.slope;
+}
+
+function widthAt(groove, height) {
+  return groove.opening + 2 * Math.max(0, height - groove.face) * groove.slope;
+}
+
+// Height at which the groove holds a given area, by bisection
+function heightAt(groove, target) {
+  let low = 0;
+  let high = groove.depth;
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (areaAt(groove, mid) < target) low = mid; else high = mid;
+  }
+  return high;
+}
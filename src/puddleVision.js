@@ -0,0 +1,497 @@
+// Camera frames to observations
+// Finds the weld puddle in a still frame from a helmet or fixed camera,
+// measures its width, length, brightness and the wetting of its edges, looks
+// for slag running ahead of it, and maps what it sees onto the observables
+// categories a welder would pick by eye. Plain loops over the pixels, so it
+// runs on the CPU anywhere: on canvas ImageData in the browser, or on decoded
+// frames (e.g. frames exported from a video as PPM) in Node.
+
+import { weldingKnowledge } from './knowledge.js';
+import { listObservationValues } from './lookups.js';
+import { seededRandom } from './random.js';
+
+// Each observation's signal and the thresholds between its categories, in the
+// knowledge base's order. heat is the puddle's brightness and width its
+// width, each as a ratio to the reference; wetting is how gradually the
+// puddle's sides fade into the plate (1 minus their contrast), since a
+// puddle that washes into the toes has no hard edge and a cold one sits on
+// the plate with a sharp one.
+const SIGNALS = {
+  observedPuddle: { signal: 'heat', thresholds: [0.85, 1.15] },
+  observedSpread: { signal: 'width', thresholds: [0.8, 1.2] },
+  observedTieIn: { signal: 'wetting', thresholds: [0.35, 0.55] }
+};
+
+// Relative luminance weights (Rec. 709)
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+// Direction of travel in the frame -> conversions between frame x and y and
+// a position u along the travel and v across it
+const TRAVEL_AXES = {
+  right: { toFrame: (u, v) => [u, v], toTravel: (x, y) => [x, y] },
+  left: { toFrame: (u, v) => [-u, v], toTravel: (x, y) => [-x, y] },
+  down: { toFrame: (u, v) => [v, u], toTravel: (x, y) => [y, x] },
+  up: { toFrame: (u, v) => [v, -u], toTravel: (x, y) => [-y, x] }
+};
+
+/**
+ * @typedef {object} Frame
+ * @property {number} width pixels
+ * @property {number} height pixels
+ * @property {Uint8ClampedArray|Uint8Array|number[]} data 1 (grey), 3 (RGB) or
+ *   4 (RGBA, as in canvas ImageData) values of 0-255 per pixel, row by row
+ */
+
+/**
+ * @typedef {object} PuddleReference what a good puddle looks like
+ * @property {number} [brightness] mean puddle brightness, 0-1, for the
+ *   camera's exposure; see DEFAULT_PUDDLE_REFERENCE
+ * @property {number} [puddleWidth] inches; spread is only classified with it
+ *   and the frame's pixelsPerInch
+ */
+
+export const DEFAULT_PUDDLE_REFERENCE = Object.freeze({ brightness: 0.62 });
+
+/**
+ * Find and measure the puddle in one frame.
+ * @param {Frame} frame
+ * @param {object} [options]
+ * @param {PuddleReference} [options.reference]
+ * @param {number} [options.pixelsPerInch] scale at the plate; widths are only
+ *   given in inches with it
+ * @param {string} [options.travel] direction the electrode moves in the frame:
+ *   "right" (default), "left", "up" or "down"
+ * @param {number} [options.threshold] puddle brightness cut-off, 0-1; found
+ *   from the frame's histogram (Otsu) when left out
+ * @param {number} [options.minThreshold] lowest cut-off the histogram may
+ *   choose, so a frame of dark plate doesn't make a puddle of its own
+ * @param {number} [options.minArea] fewest pixels that count as a puddle
+ * @param {number} [options.slagCoverage] fraction of the area ahead of the
+ *   puddle that must be glowing slag to report it running ahead
+ * @param {string} [options.electrode] cited for slag running ahead
+ * @param {object} [options.knowledge]
+ * @returns {object} found, the measurements, slagAhead, signals and the
+ *   observations they map to, plus the puddle and slag masks for puddleOverlay
+ * @throws {Error} when the frame's size and data don't agree
+ */
+export function analyzePuddleFrame(frame, options = {}) {
+  const {
+    reference = DEFAULT_PUDDLE_REFERENCE,
+    pixelsPerInch,
+    travel = 'right',
+    minThreshold = 0.35,
+    minArea = 20,
+    slagCoverage = 0.2,
+    electrode = 'E7018',
+    knowledge = weldingKnowledge
+  } = options;
+  if (!TRAVEL_AXES[travel]) throw new Error(`Unknown travel direction "${travel}"; expected one of ${Object.keys(TRAVEL_AXES).join(', ')}`);
+  const { toFrame, toTravel } = TRAVEL_AXES[travel];
+  const { width, height } = frame;
+  const { luminance, red, green } = channels(frame);
+  const threshold = options.threshold === undefined
+    ? Math.max(otsuThreshold(luminance), minThreshold)
+    : options.threshold;
+
+  const mask = largestComponent(luminance, width, height, threshold);
+  const result = { found: false, threshold: round(threshold), mask, slagMask: new Uint8Array(width * height) };
+  const area = mask.reduce((sum, value) => sum + value, 0);
+  if (area < minArea) return { ...result, observations: {}, signals: {} };
+
+  // Pixel at a travel position, or -1 off the frame
+  const index = (u, v) => {
+    const [x, y] = toFrame(u, v);
+    return x < 0 || y < 0 || x >= width || y >= height ? -1 : y * width + x;
+  };
+
+  // Extent across the travel at each position along it
+  const columns = new Map();
+  let brightness = 0;
+  let sumU = 0;
+  let sumV = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!mask[i]) continue;
+      const [u, v] = toTravel(x, y);
+      const column = columns.get(u);
+      if (column) {
+        column.min = Math.min(column.min, v);
+        column.max = Math.max(column.max, v);
+      } else {
+        columns.set(u, { min: v, max: v });
+      }
+      brightness += luminance[i];
+      sumU += u;
+      sumV += v;
+    }
+  }
+  brightness /= area;
+  const positions = [...columns.keys()].sort((a, b) => a - b);
+  const back = positions[0];
+  const front = positions[positions.length - 1];
+  const length = front - back + 1;
+  let widest = back;
+  positions.forEach(u => {
+    const { min, max } = columns.get(u);
+    if (max - min > columns.get(widest).max - columns.get(widest).min) widest = u;
+  });
+  const across = columns.get(widest);
+  const widthPx = across.max - across.min + 1;
+
+  // Edge contrast a little way either side of each side of the puddle, over
+  // the middle of its length where the sides are roughly parallel. The step
+  // scales with the puddle so the reading doesn't depend on the camera's zoom.
+  const step = Math.max(1, Math.round(widthPx / 12));
+  const contrasts = [];
+  positions.filter(u => u > back + length * 0.2 && u < front - length * 0.2).forEach(u => {
+    const { min, max } = columns.get(u);
+    for (const [edge, outward] of [[min, -1], [max, 1]]) {
+      const inside = index(u, edge - outward * step);
+      const outside = index(u, edge + outward * step);
+      if (inside !== -1 && outside !== -1) contrasts.push((luminance[inside] - luminance[outside]) / brightness);
+    }
+  });
+  const edgeContrast = contrasts.length ? clamp(median(contrasts), 0, 1) : null;
+
+  // Glowing slag (dimmer than the puddle, brighter than the plate, and red)
+  // in the stretch of the puddle's own width just ahead of its leading edge
+  const slagMask = result.slagMask;
+  const slagFloor = Math.min(threshold * 0.5, 0.2);
+  const reach = Math.max(Math.round(length * 0.75), 4);
+  let region = 0;
+  let slag = 0;
+  for (let u = front + 1; u <= front + reach; u++) {
+    for (let v = across.min; v <= across.max; v++) {
+      const i = index(u, v);
+      if (i === -1) continue;
+      region++;
+      if (luminance[i] >= slagFloor && luminance[i] < threshold && red[i] > green[i] * 1.3) {
+        slagMask[i] = 1;
+        slag++;
+      }
+    }
+  }
+  const coverage = region ? slag / region : 0;
+  const slagAhead = {
+    detected: coverage >= slagCoverage,
+    coverage: round(coverage),
+    advice: "Keep arc in puddle, don't let slag get ahead",
+    source: `electrodes.${electrode}.slag`
+  };
+
+  const signals = { heat: brightness / (reference.brightness || DEFAULT_PUDDLE_REFERENCE.brightness) };
+  const widthIn = pixelsPerInch ? widthPx / pixelsPerInch : null;
+  if (widthIn !== null && reference.puddleWidth) signals.width = widthIn / reference.puddleWidth;
+  if (edgeContrast !== null) signals.wetting = 1 - edgeContrast;
+
+  const observations = {};
+  for (const [field, { signal, thresholds }] of Object.entries(SIGNALS)) {
+    if (signals[signal] === undefined) continue;
+    observations[field] = listObservationValues(field, knowledge)[thresholds.filter(limit => signals[signal] >= limit).length];
+  }
+
+  const [cx, cy] = toFrame(Math.round(sumU / area), Math.round(sumV / area));
+  return {
+    ...result,
+    found: true,
+    area,
+    centroid: { x: cx, y: cy },
+    width: { px: widthPx, in: widthIn === null ? null : round(widthIn) },
+    length: { px: length, in: pixelsPerInch ? round(length / pixelsPerInch) : null },
+    aspect: round(length / widthPx),
+    brightness: round(brightness),
+    edgeContrast: edgeContrast === null ? null : round(edgeContrast),
+    widest: {
+      from: toFrame(widest, across.min),
+      to: toFrame(widest, across.max)
+    },
+    slagAhead,
+    signals: Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, round(value)])),
+    observations
+  };
+}
+
+/**
+ * Settle on one set of observations for a run of frames, e.g. the last few of
+ * a video: each field takes the category most of the frames that found a
+ * puddle agree on, the latest one breaking a tie.
+ * @param {object[]} analyses from analyzePuddleFrame, oldest first
+ * @returns {{observations: object, slagAhead: boolean, frames: number}}
+ *   slagAhead when most of the frames see it
+ */
+export function summarizePuddleFrames(analyses) {
+  const found = analyses.filter(analysis => analysis.found);
+  const observations = {};
+  for (const field of Object.keys(SIGNALS)) {
+    const counts = new Map();
+    found.forEach(({ observations: seen }) => {
+      if (seen[field] !== undefined) counts.set(seen[field], (counts.get(seen[field]) || 0) + 1);
+    });
+    let best = null;
+    // Later frames win ties: >= over frames walked oldest first
+    found.forEach(({ observations: seen }) => {
+      const category = seen[field];
+      if (category !== undefined && (best === null || counts.get(category) >= counts.get(best))) best = category;
+    });
+    if (best !== null) observations[field] = best;
+  }
+  const slag = found.filter(analysis => analysis.slagAhead.detected).length;
+  return { observations, slagAhead: found.length > 0 && slag * 2 > found.length, frames: found.length };
+}
+
+/**
+ * Draw what the analysis saw over a copy of the frame: the frame dimmed, the
+ * puddle's outline in green, its widest cross-section in cyan and slag ahead
+ * of it in magenta.
+ * @param {Frame} frame
+ * @param {object} analysis from analyzePuddleFrame on the same frame
+ * @returns {Frame} RGBA, ready for a canvas's putImageData
+ */
+export function puddleOverlay(frame, analysis) {
+  const { width, height } = frame;
+  const stride = frame.data.length / (width * height);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const { mask, slagMask } = analysis;
+  const paint = (i, [r, g, b]) => {
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+  };
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < 3; c++) data[i * 4 + c] = frame.data[i * stride + (stride < 3 ? 0 : c)] * 0.6;
+    data[i * 4 + 3] = 255;
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (slagMask[i]) paint(i, [255, 0, 255]);
+      const edge = mask[i] && (x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+        !mask[i - 1] || !mask[i + 1] || !mask[i - width] || !mask[i + width]);
+      if (edge) paint(i, [0, 255, 0]);
+    }
+  }
+  if (analysis.found) {
+    const [[x0, y0], [x1, y1]] = [analysis.widest.from, analysis.widest.to];
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0));
+    for (let s = 0; s <= steps; s++) {
+      const x = Math.round(x0 + (x1 - x0) * s / (steps || 1));
+      const y = Math.round(y0 + (y1 - y0) * s / (steps || 1));
+      paint(y * width + x, [0, 255, 255]);
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Decode a binary PGM (P5) or PPM (P6) image, the simplest format a video
+ * tool exports frames as (e.g. `ffmpeg -i run.mp4 -vf fps=5 frame%04d.ppm`).
+ * @param {Uint8Array} bytes
+ * @returns {Frame} RGBA
+ * @throws {Error} for other formats or truncated data
+ */
+export function decodeNetpbm(bytes) {
+  let offset = 0;
+  const token = () => {
+    for (;;) {
+      while (offset < bytes.length && /\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+      if (bytes[offset] !== 0x23) break;
+      while (offset < bytes.length && bytes[offset] !== 0x0a) offset++;
+    }
+    const start = offset;
+    while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+    return String.fromCharCode(...bytes.subarray(start, offset));
+  };
+  const magic = token();
+  if (magic !== 'P5' && magic !== 'P6') throw new Error(`Unsupported image format "${magic}"; expected binary PGM (P5) or PPM (P6)`);
+  const [width, height, maxval] = [token(), token(), token()].map(Number);
+  if (![width, height, maxval].every(Number.isInteger) || maxval < 1 || maxval > 255) {
+    throw new Error('Image header needs a width, height and a maximum value of 255 or less');
+  }
+  offset++;
+  const stride = magic === 'P6' ? 3 : 1;
+  if (bytes.length - offset < width * height * stride) throw new Error(`Image data is shorter than ${width}×${height}`);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < 3; c++) data[i * 4 + c] = bytes[offset + i * stride + (stride === 3 ? c : 0)] * 255 / maxval;
+    data[i * 4 + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+/**
+ * Encode a frame as a binary PPM (P6), e.g. to save a synthetic frame.
+ * @param {Frame} frame
+ * @returns {Uint8Array}
+ */
+export function encodePpm(frame) {
+  const { width, height } = frame;
+  const stride = frame.data.length / (width * height);
+  const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+  const bytes = new Uint8Array(header.length + width * height * 3);
+  bytes.set(header);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < 3; c++) bytes[header.length + i * 3 + c] = frame.data[i * stride + (stride < 3 ? 0 : c)];
+  }
+  return bytes;
+}
+
+/**
+ * A made-up camera frame of a puddle travelling right, for tests and demos:
+ * a bright teardrop on dark plate with the cooling bead behind it, edges as
+ * hard or soft as asked, and optionally glowing slag run out ahead.
+ * @param {object} [options]
+ * @param {number} [options.width] frame width, pixels
+ * @param {number} [options.height] frame height, pixels
+ * @param {number} [options.puddleWidth] pixels
+ * @param {number} [options.puddleLength] pixels
+ * @param {number} [options.brightness] puddle centre brightness, 0-1
+ * @param {number} [options.edgeSoftness] how far the sides fade into the plate,
+ *   as a fraction of the puddle's width: 0.4 or more for a puddle wetting
+ *   into the toes, under 0.15 for a cold one sitting on top
+ * @param {number} [options.slagAhead] length of slag ahead of the puddle as a
+ *   fraction of the puddle's length; 0 for none
+ * @param {number} [options.noise] standard deviation of pixel noise, 0-1
+ * @param {number} [options.seed]
+ * @returns {Frame} RGBA
+ */
+export function syntheticPuddleFrame(options = {}) {
+  const {
+    width = 160,
+    height = 120,
+    puddleWidth = 40,
+    puddleLength = 56,
+    brightness = 0.8,
+    edgeSoftness = 0.3,
+    slagAhead = 0,
+    noise = 0.02,
+    seed = 1
+  } = options;
+  const random = seededRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const cx = width / 2;
+  const cy = height / 2;
+  const a = puddleLength / 2;
+  const b = puddleWidth / 2;
+  const soft = Math.max(edgeSoftness * puddleWidth, 0.5) / b;
+  const slagLength = slagAhead * puddleLength;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Teardrop: the tail behind the centre is drawn out half again
+      const dx = (x + 0.5 - cx) / (x < cx ? a * 1.5 : a);
+      const dy = (y + 0.5 - cy) / b;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      const inside = clamp((1 + soft / 2 - d) / soft, 0, 1);
+      // Plate, with the cooling bead trailing off to the left
+      const bead = x < cx && Math.abs(dy) < 0.9 ? 0.1 * (1 - (cx - x) / cx) : 0;
+      const plate = 0.1 + bead;
+      const level = brightness * (1 - 0.15 * Math.min(d, 1) ** 2);
+      let rgb = [1, 0.93, 0.8].map(c => plate + (level * c - plate) * inside);
+
+      // Slag covers the puddle's leading edge and runs on ahead of it
+      const sx = (x + 0.5 - (cx + a + slagLength / 2 - 2)) / (slagLength / 2 + 2);
+      if (slagLength > 0 && sx * sx + dy * dy / 0.8 < 1) rgb = [0.6, 0.28, 0.12];
+
+      const n = noise * gaussian();
+      rgb.forEach((value, c) => { data[(y * width + x) * 4 + c] = clamp(value + n, 0, 1) * 255; });
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+// Luminance and the red and green channels, 0-1 per pixel
+function channels(frame) {
+  const { width, height, data } = frame;
+  const pixels = width * height;
+  const stride = data.length / pixels;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || ![1, 3, 4].includes(stride)) {
+    throw new Error(`Frame data of ${data.length} values doesn't fit ${width}×${height} pixels of 1, 3 or 4 channels`);
+  }
+  const luminance = new Float32Array(pixels);
+  const red = new Float32Array(pixels);
+  const green = new Float32Array(pixels);
+  for (let i = 0; i < pixels; i++) {
+    const [r, g, b] = stride === 1
+      ? [data[i], data[i], data[i]]
+      : [data[i * stride], data[i * stride + 1], data[i * stride + 2]];
+    luminance[i] = (LUMA[0] * r + LUMA[1] * g + LUMA[2] * b) / 255;
+    red[i] = r / 255;
+    green[i] = g / 255;
+  }
+  return { luminance, red, green };
+}
+
+// Cut-off between dark and bright that best separates the two (Otsu's method
+// over a 256-bin histogram)
+function otsuThreshold(luminance) {
+  const bins = new Float64Array(256);
+  luminance.forEach(value => { bins[Math.min(255, Math.floor(value * 256))]++; });
+  const total = luminance.length;
+  const sum = bins.reduce((acc, count, bin) => acc + count * bin, 0);
+  let below = 0;
+  let sumBelow = 0;
+  let best = 0;
+  let threshold = 0;
+  for (let bin = 0; bin < 256; bin++) {
+    below += bins[bin];
+    if (!below || below === total) continue;
+    sumBelow += bins[bin] * bin;
+    const meanBelow = sumBelow / below;
+    const meanAbove = (sum - sumBelow) / (total - below);
+    const between = below * (total - below) * (meanBelow - meanAbove) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = bin + 1;
+    }
+  }
+  return threshold / 256;
+}
+
+// Mask of the largest 4-connected region at or above the threshold
+function largestComponent(luminance, width, height, threshold) {
+  const labels = new Int32Array(width * height);
+  const stack = [];
+  let label = 0;
+  let bestLabel = 0;
+  let bestSize = 0;
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] || luminance[start] < threshold) continue;
+    label++;
+    let size = 0;
+    labels[start] = label;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      size++;
+      const x = i % width;
+      const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, i - width, i + width];
+      for (const n of neighbours) {
+        if (n < 0 || n >= labels.length || labels[n] || luminance[n] < threshold) continue;
+        labels[n] = label;
+        stack.push(n);
+      }
+    }
+    if (size > bestSize) {
+      bestSize = size;
+      bestLabel = label;
+    }
+  }
+  return Uint8Array.from(labels, value => (value && value === bestLabel ? 1 : 0));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,18 @@
+// Seeded random numbers, for layouts and made-up data that come out the same
+// on every run
+
+/**
+ * Small deterministic generator (mulberry32).
+ * @param {number} seed
+ * @returns {function(): number} values in [0, 1)
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,700 @@
+// Recommendation engine
+// Turns a set of welding inputs into amperage, technique and real-time
+// adjustment advice using the knowledge base.
+
+import { weldingKnowledge } from './knowledge.js';
+import { getKnowledgeEntry, getMachine, DEFAULT_BASE_METAL } from './lookups.js';
+import {
+  MotionPattern,
+  MOTION_PATTERNS,
+  ARC_LENGTHS,
+  TRAVEL_SPEEDS,
+  ROD_ANGLES,
+  rodAngleCategory,
+  MM_PER_SEC_PER_IN_PER_MIN
+} from './technique.js';
+import {
+  formatAmperage,
+  formatArcLength,
+  formatRodAngle,
+  formatTravelSpeed,
+  formatRange,
+  formatThermal,
+  formatHeat,
+  formatThickness,
+  formatMachine,
+  formatMotionPatterns
+} from './format.js';
+import { validateInputs, ValidationCode } from './validation.js';
+import { diagnose } from './diagnostics.js';
+import { evaluateRules } from './ruleEngine.js';
+import { estimateHeat } from './heatInput.js';
+import { assessMachine, dutyCycleAt, clampRange } from './machines.js';
+import { resolveGeometry, amperageWindow, suitableElectrodeSizes, MM_PER_IN } from './geometry.js';
+import baseRules from './rules/recommendation-rules.json' with { type: 'json' };
+import geometryRules from './rules/geometry-rules.json' with { type: 'json' };
+import materialRules from './rules/material-rules.json' with { type: 'json' };
+
+// Built-in rule set: thickness, position, joint and electrode rules, joint
+// geometry rules, then the base-metal rules for stainless, cast iron and
+// low-alloy steels
+export const recommendationRules = [...baseRules, ...geometryRules, ...materialRules];
+
+/**
+ * @typedef {object} Range
+ * @property {number} min
+ * @property {number} max
+ * @property {number} nominal
+ * @property {string} unit
+ */
+
+/**
+ * @typedef {object} Thermal
+ * @property {number|null} preheatMin minimum preheat, null when none is needed
+ * @property {number|null} interpassMax maximum interpass temperature, null for no limit
+ * @property {string} unit "degF" or "degC"
+ */
+
+/**
+ * @typedef {object} Heat
+ * @property {number} arcVoltage V at the nominal amperage and arc length
+ * @property {number} efficiency fraction of the arc's power reaching the work
+ * @property {{value: number, unit: string}} heatInput "kJ/in" or "kJ/mm"
+ * @property {number} coolingTime t8/5, seconds from 800 to 500°C at the
+ *   recommended preheat
+ * @property {"2D"|"3D"} flow heat flow through thin or thick plate
+ * @property {{value: number, unit: string}} coolingRate "degF/s" or "degC/s"
+ * @property {number|null} carbonEquivalent of the base metal, null for
+ *   metals without one
+ * @property {number|null} preheat estimated minimum preheat, in the thermal
+ *   unit; null when none is needed
+ * @property {number} burnThrough heat input against what the plate
+ *   thickness carries; 1 and above risks burning through
+ */
+
+/**
+ * @typedef {object} Recommendation
+ * @property {boolean} valid false when validation errors block the
+ *   recommendation; every parameter field is then empty
+ * @property {import('./validation.js').ValidationIssue[]} errors
+ * @property {import('./validation.js').ValidationIssue[]} warnings
+ * @property {{value: number, unit: string, preset: string, source: string}|null} thickness
+ *   plate thickness in "in" or "mm", the metalThickness preset it falls in, and
+ *   whether it was given as a number ("input") or is the preset's nominal value
+ * @property {{recommended: string[], acceptable: string[]}|null} electrodeSizes
+ *   sizes that suit the thickness and fillet leg
+ * @property {Range|null} amperage unit "A"
+ * @property {Range|null} arcLength unit "xCore" (multiple of core-wire
+ *   diameter), plus category and the coreDiameter it applies to
+ * @property {Range|null} workAngle unit "deg", from the workpiece surface
+ * @property {Range|null} travelAngle unit "deg", positive = drag, negative = push
+ * @property {Range|null} travelSpeed unit "in/min" or "mm/s", plus category
+ * @property {string[]} motionPatterns MotionPattern values, preferred first
+ * @property {Thermal|null} thermal preheat and interpass limits for the base metal,
+ *   the preheat raised to the heat estimate's when that is higher
+ * @property {Heat|null} heat what the nominal settings put into the plate;
+ *   null without an amperage, core diameter or thickness
+ * @property {import('./machines.js').MachineAssessment|null} machine what the
+ *   nominal amperage asks of the machine; null without one or an amperage
+ * @property {string[]} notes procedure notes for the base metal and electrode,
+ *   e.g. peening cast iron
+ * @property {{arcGap?: string, rodAngle?: string, travelSpeed: string, motionPattern?: string}} technique
+ *   keys into weldingKnowledge.techniques for each dimension
+ * @property {{arcGap?: string, rodAngle?: string, travelSpeed?: string, motionPattern?: string}} techniqueTargets
+ *   the technique to aim for while welding: technique, with each dimension
+ *   a diagnosed cause changes moved to the option its most likely such
+ *   cause calls for
+ * @property {{fired: string[], overridden: {ruleId: string, field: string, by: string}[]}} rules
+ *   ids of the rules that matched, and of those whose effects a
+ *   higher-priority rule replaced
+ * @property {TraceStep[]} [trace] provenance of every value, with options.trace
+ * @property {string[]} adjustments real-time advice: electrode tips, then the
+ *   diagnosis adjustments in ranked order
+ * @property {import('./diagnostics.js').Diagnosis} diagnosis ranked causes of
+ *   the observed puddle behaviour, read from the observables table
+ * @property {{amperage: string, arcLength: string, rodAngle: string, travelSpeed: string,
+ *   motionPattern: string, thermal: string, heat: string, thickness: string, machine: string}} display
+ *   human-readable strings derived from the fields above
+ */
+
+/**
+ * Recommend welding parameters for a scenario.
+ * @param {object} inputs
+ * @param {string} inputs.electrode e.g. "E7018"
+ * @param {string} inputs.electrodeSize e.g. '1/8"'
+ * @param {string} inputs.position e.g. "Vertical Up"
+ * @param {string} [inputs.metalThickness] a metalThickness key, required
+ *   unless a numeric thickness is given
+ * @param {number} [inputs.thickness] plate thickness in lengthUnit; takes
+ *   precedence over metalThickness
+ * @param {string} [inputs.lengthUnit] "in" (default) or "mm", for thickness,
+ *   rootOpening, rootFace and filletLeg
+ * @param {number} [inputs.bevelAngle] degrees per plate
+ * @param {number} [inputs.rootOpening]
+ * @param {number} [inputs.rootFace]
+ * @param {number} [inputs.filletLeg]
+ * @param {string} inputs.jointType "Butt", "Lap", "T" or "Corner"
+ * @param {string} [inputs.baseMetal] a baseMetals key, default "Mild steel"
+ * @param {number} [inputs.carbonEquivalent] of the base metal, overriding the
+ *   baseMetals entry's
+ * @param {string} [inputs.machineType] "AC", "DC+" or "DC-"
+ * @param {string} [inputs.machine] a machines table key; the amperage is
+ *   kept within the machine's output and checked against its duty cycle
+ * @param {number} [inputs.runLength] length of the weld run in lengthUnit,
+ *   for the duty cycle check; without it the run is taken to be a long one
+ * @param {number} [inputs.rodExposure] hours the rods have been out of the
+ *   sealed can or holding oven; past the electrode's storage limit it warns
+ *   and puts damp rods first in the diagnosis
+ * @param {string} [inputs.observedPuddle] puddleFluid state, default "Moderate"
+ * @param {string} [inputs.observedSpread] puddleSpread state, default "Moderate"
+ * @param {string} [inputs.observedTieIn] edgeTie state, default "Adequate"
+ * @param {string} [inputs.observedStability] arcStability state, default "Stable"
+ * @param {string} [inputs.observedArcGap] measured techniques.arcGap entry,
+ *   e.g. from analyzeArcSignals; advice to correct it when it isn't the
+ *   recommended one
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @param {string} [options.units] "imperial" (default) or "metric"
+ * @param {object[]} [options.rules] rule set to evaluate instead of the
+ *   built-in recommendationRules (see ruleEngine.js for the format)
+ * @param {boolean} [options.trace] also return `trace`, the provenance of
+ *   every recommended value
+ * @returns {Recommendation}
+ */
+export function getRecommendations(inputs, options = {}) {
+  const { knowledge = weldingKnowledge, units = 'imperial', rules = recommendationRules, trace = false } = options;
+
+  // Input parameters
+  const { electrode, electrodeSize } = inputs;
+
+  // Refuse to recommend anything for combinations that won't weld
+  const validation = validateInputs(inputs, { knowledge });
+  if (!validation.valid) {
+    return blockedRecommendation(validation);
+  }
+
+  // Get electrode size data
+  const sizeData = knowledge.electrodeSize[electrodeSize];
+  const baseAmperage = sizeData && sizeData.amperage[electrode];
+
+  // A numeric thickness narrows the range by interpolation; presets are left
+  // to the thickness rules
+  const geometry = resolveGeometry(inputs, knowledge);
+  const numeric = geometry && geometry.source === 'input';
+  const startAmperage = baseAmperage && (numeric
+    ? applyWindow(baseAmperage, amperageWindow(geometry.thickness, knowledge))
+    : { min: baseAmperage.min, max: baseAmperage.max });
+
+  // Rules can test the base metal and its family, the thickness preset and
+  // the geometry in inches as well as the inputs
+  const baseMetal = inputs.baseMetal || DEFAULT_BASE_METAL;
+  const baseMetalData = knowledge.baseMetals && knowledge.baseMetals[baseMetal];
+  const facts = {
+    ...inputs,
+    ...(geometry && { ...geometry, metalThickness: geometry.preset }),
+    thickness: numeric ? geometry.thickness : undefined,
+    baseMetal,
+    baseMetalFamily: baseMetalData ? baseMetalData.family : undefined
+  };
+
+  // Apply the rules to the base amperage range and default technique; the
+  // rules pick presets by name, converted to numbers at the end
+  const evaluation = evaluateRules(rules, facts, {
+    amperage: startAmperage,
+    arcLength: null,
+    rodAngle: null,
+    travelSpeed: 'MEDIUM',
+    motionPatterns: [],
+    thermal: { preheatMin: null, interpassMax: null },
+    adjustments: [],
+    notes: []
+  });
+  const { state } = evaluation;
+  const adjustments = [...state.adjustments];
+
+  // Adjust based on observed puddle behavior
+  const diagnosis = diagnose(inputs, { knowledge });
+  diagnosis.adjustments.forEach(adjustment => adjustments.push(adjustment.action));
+
+  const rounded = state.amperage && { min: Math.round(state.amperage.min), max: Math.round(state.amperage.max) };
+  // Nothing the machine can't deliver
+  const machineData = inputs.machine ? getMachine(inputs.machine, knowledge) : null;
+  const amperage = rounded && machineData ? clampRange(rounded, machineData.amperage) : rounded;
+  const limited = Boolean(rounded && (amperage.min !== rounded.min || amperage.max !== rounded.max));
+  const arcLength = resolvePreset(ARC_LENGTHS, 'arcLength', state.arcLength);
+  const travelSpeed = resolvePreset(TRAVEL_SPEEDS, 'travelSpeed', state.travelSpeed);
+
+  // Heat input and cooling at the nominal settings, from the rules' preheat.
+  // A hardenable steel cooling too fast raises that preheat.
+  const carbonEquivalent = inputs.carbonEquivalent !== undefined && inputs.carbonEquivalent !== null
+    ? inputs.carbonEquivalent
+    : (baseMetalData && baseMetalData.carbonEquivalent !== undefined ? baseMetalData.carbonEquivalent : null);
+  const heatSettings = amperage && arcLength && sizeData && geometry && knowledge.thermalModel && {
+    amperage: (amperage.min + amperage.max) / 2,
+    travelSpeed: travelSpeed.nominal,
+    arcLength: arcLength.nominal,
+    diameter: sizeData.diameter,
+    thickness: geometry.thickness,
+    jointType: inputs.jointType,
+    carbonEquivalent,
+    ...(state.thermal.preheatMin !== null && { preheat: state.thermal.preheatMin })
+  };
+  let heatEstimate = heatSettings ? estimateHeat(heatSettings, { knowledge }) : null;
+  const preheatRaised = Boolean(heatEstimate && heatEstimate.preheat !== null &&
+    (state.thermal.preheatMin === null || heatEstimate.preheat > state.thermal.preheatMin));
+  const thermal = preheatRaised ? { ...state.thermal, preheatMin: heatEstimate.preheat } : state.thermal;
+  if (preheatRaised) heatEstimate = estimateHeat({ ...heatSettings, preheat: thermal.preheatMin }, { knowledge });
+
+  // A measured arc gap off the recommended one comes before the puddle
+  // diagnosis: it is read directly rather than inferred
+  const arcGapAdjustment = measuredArcGapAdjustment(inputs.observedArcGap, arcLength, knowledge);
+  if (arcGapAdjustment) adjustments.splice(state.adjustments.length, 0, arcGapAdjustment.action);
+
+  // The run's arc time comes from its length at the nominal travel speed
+  const runLength = inputs.runLength && (inputs.lengthUnit === 'mm' ? inputs.runLength / MM_PER_IN : inputs.runLength);
+  const machine = machineData && amperage && assessMachine(inputs.machine, {
+    electrode,
+    amperage: Math.round((amperage.min + amperage.max) / 2),
+    machineType: inputs.machineType,
+    ...(runLength && { runMinutes: runLength / travelSpeed.nominal })
+  }, knowledge);
+
+  const recommendation = buildRecommendation({
+    amperage,
+    arcLength,
+    rodAngle: resolvePreset(ROD_ANGLES, 'rodAngle', state.rodAngle),
+    travelSpeed,
+    motionPatterns: state.motionPatterns.map(pattern => resolvePreset(MotionPattern, 'motionPatterns', pattern)),
+    thermal,
+    heatEstimate,
+    preheatRaised,
+    notes: state.notes,
+    geometry,
+    electrodeSizes: geometry ? suitableElectrodeSizes(geometry, knowledge) : null,
+    adjustments,
+    rules: { fired: evaluation.fired, overridden: evaluation.overridden },
+    diagnosis,
+    coreDiameter: sizeData ? sizeData.diameter : null,
+    smallerSizes: smallerElectrodeSizes(knowledge, electrode, sizeData),
+    machine,
+    machineWarnings: machineData ? machineWarnings(inputs.machine, machineData, rounded, limited, machine, {
+      knowledge, electrode, electrodeSize, sizeData
+    }) : [],
+    units,
+    validation
+  });
+
+  if (trace) {
+    recommendation.trace = buildTrace({
+      knowledge,
+      rules,
+      evaluation,
+      baseAmperageSource: baseAmperage ? `electrodeSize.${electrodeSize}.amperage.${electrode}` : null,
+      interpolated: numeric && startAmperage,
+      geometry,
+      amperage,
+      rounded,
+      machineLimit: limited && { machine: inputs.machine, before: rounded },
+      preheat: preheatRaised && { before: state.thermal.preheatMin, estimate: heatEstimate },
+      arcGapAdjustment,
+      diagnosis
+    });
+  }
+
+  return recommendation;
+}
+
+/**
+ * @typedef {object} TraceStep
+ * @property {string} field the value changed: "amperage", "amperage.max",
+ *   "arcLength", "rodAngle", "travelSpeed", "motionPatterns", "thermal.preheatMin",
+ *   "thermal.interpassMax", "notes" or "adjustments"
+ * @property {string} kind "base" (knowledge table), "interpolation" (numeric
+ *   thickness), "default", "rule", "rounding", "limit" (machine output),
+ *   "estimate" (heat input model), "measurement" or "diagnosis"
+ * @property {string} description
+ * @property {*} before
+ * @property {*} after
+ * @property {string} [source] knowledge entry the step came from
+ * @property {*} [sourceText] that entry's value, e.g. "Slightly lower"
+ * @property {string} [ruleId]
+ * @property {string} [overriddenBy] rule whose later `set` replaced this step
+ */
+
+// Every step that produced the recommendation, in the order applied
+function buildTrace({ knowledge, rules, evaluation, baseAmperageSource, interpolated, geometry, amperage, rounded,
+                      machineLimit, preheat, arcGapAdjustment, diagnosis }) {
+  const cite = source => (source ? { source, sourceText: getKnowledgeEntry(source, knowledge) } : {});
+  const descriptions = new Map(rules.map(rule => [rule.id, rule.description]));
+  const steps = [];
+
+  if (baseAmperageSource) {
+    steps.push({
+      field: 'amperage',
+      kind: 'base',
+      description: 'Amperage range for electrode and size',
+      before: null,
+      after: { ...getKnowledgeEntry(baseAmperageSource, knowledge) },
+      ...cite(baseAmperageSource)
+    });
+  }
+  if (interpolated) {
+    steps.push({
+      field: 'amperage',
+      kind: 'interpolation',
+      description: `Window for ${round(geometry.thickness, 3)} in plate`,
+      before: { ...getKnowledgeEntry(baseAmperageSource, knowledge) },
+      after: interpolated,
+      source: 'thicknessModel.amperageWindow'
+    });
+  }
+  steps.push({ field: 'travelSpeed', kind: 'default', description: 'Default travel speed', before: null, after: 'MEDIUM' });
+
+  for (const step of evaluation.steps) {
+    steps.push({
+      field: step.field,
+      kind: 'rule',
+      description: descriptions.get(step.ruleId) || step.ruleId,
+      before: step.before,
+      after: step.after,
+      ...cite(step.source),
+      ruleId: step.ruleId,
+      ...(step.overriddenBy && { overriddenBy: step.overriddenBy })
+    });
+  }
+
+  const unrounded = evaluation.state.amperage;
+  if (rounded && (unrounded.min !== rounded.min || unrounded.max !== rounded.max)) {
+    steps.push({
+      field: 'amperage',
+      kind: 'rounding',
+      description: 'Rounded to whole amps',
+      before: unrounded,
+      after: rounded
+    });
+  }
+
+  if (machineLimit) {
+    steps.push({
+      field: 'amperage',
+      kind: 'limit',
+      description: `Kept within the ${machineLimit.machine}'s output`,
+      before: machineLimit.before,
+      after: amperage,
+      ...cite(`machines.${machineLimit.machine}.amperage`)
+    });
+  }
+
+  if (preheat) {
+    const { estimate } = preheat;
+    steps.push({
+      field: 'thermal.preheatMin',
+      kind: 'estimate',
+      description: `Carbon equivalent ${estimate.carbonEquivalent} needs t8/5 of ${round(estimate.criticalCoolingTime, 1)} s ` +
+        `at ${round(estimate.heatInput, 1)} kJ/in`,
+      before: preheat.before,
+      after: estimate.preheat,
+      ...cite('thermalModel.criticalCoolingTime')
+    });
+  }
+
+  if (arcGapAdjustment) {
+    steps.push({
+      field: 'adjustments',
+      kind: 'measurement',
+      description: arcGapAdjustment.description,
+      before: null,
+      after: arcGapAdjustment.action,
+      ...cite(arcGapAdjustment.source)
+    });
+  }
+
+  for (const adjustment of diagnosis.adjustments) {
+    steps.push({
+      field: 'adjustments',
+      kind: 'diagnosis',
+      description: `${adjustment.cause} (${Math.round(adjustment.confidence * 100)}% confidence)`,
+      before: null,
+      after: adjustment.action,
+      ...cite(adjustment.source)
+    });
+  }
+
+  return steps;
+}
+
+// Convert the chosen presets into the structured Recommendation shape
+function buildRecommendation({ amperage, arcLength, rodAngle, travelSpeed, motionPatterns, thermal, heatEstimate,
+                               preheatRaised, notes, geometry, electrodeSizes, adjustments, rules, diagnosis,
+                               coreDiameter, smallerSizes, machine, machineWarnings: limits, units, validation }) {
+  const metric = units === 'metric';
+  const heat = convertHeat(heatEstimate, thermal, metric);
+  const technique = {
+    arcGap: arcLength ? arcLength.category : undefined,
+    rodAngle: rodAngle ? rodAngleCategory(rodAngle.work.nominal, rodAngle.travel.nominal) : undefined,
+    travelSpeed: travelSpeed.category,
+    motionPattern: motionPatterns.length ? MOTION_PATTERNS[motionPatterns[0]].technique : undefined
+  };
+  const recommendation = {
+    valid: true,
+    errors: [],
+    warnings: [
+      ...validation.warnings,
+      ...limits,
+      ...heatWarnings(heat, heatEstimate, preheatRaised, convertThermal(thermal, metric), smallerSizes)
+    ],
+    thickness: geometry && {
+      value: metric ? round(geometry.thickness * MM_PER_IN, 1) : round(geometry.thickness, 3),
+      unit: metric ? 'mm' : 'in',
+      preset: geometry.preset,
+      source: geometry.source
+    },
+    electrodeSizes,
+    amperage: amperage && {
+      min: amperage.min,
+      max: amperage.max,
+      nominal: Math.round((amperage.min + amperage.max) / 2),
+      unit: 'A'
+    },
+    arcLength: arcLength && {
+      min: arcLength.min,
+      max: arcLength.max,
+      nominal: arcLength.nominal,
+      unit: 'xCore',
+      category: arcLength.category,
+      label: arcLength.label,
+      coreDiameter: coreDiameter && {
+        value: metric ? round(coreDiameter * MM_PER_IN, 2) : coreDiameter,
+        unit: metric ? 'mm' : 'in'
+      }
+    },
+    workAngle: rodAngle && { ...rodAngle.work, unit: 'deg' },
+    travelAngle: rodAngle && { ...rodAngle.travel, unit: 'deg' },
+    travelSpeed: convertTravelSpeed(travelSpeed, metric),
+    motionPatterns,
+    thermal: convertThermal(thermal, metric),
+    heat,
+    machine: machine || null,
+    notes,
+    technique,
+    techniqueTargets: techniqueTargets(technique, diagnosis),
+    adjustments,
+    rules,
+    diagnosis
+  };
+
+  recommendation.display = {
+    amperage: formatAmperage(recommendation.amperage),
+    arcLength: formatArcLength(recommendation.arcLength),
+    rodAngle: rodAngle ? formatRodAngle(recommendation.workAngle, recommendation.travelAngle, rodAngle.note) : '',
+    travelSpeed: formatTravelSpeed(recommendation.travelSpeed),
+    motionPattern: formatMotionPatterns(motionPatterns),
+    thermal: formatThermal(recommendation.thermal),
+    heat: formatHeat(heat),
+    thickness: formatThickness(recommendation.thickness),
+    machine: recommendation.machine ? formatMachine(recommendation.machine) : 'No machine profile'
+  };
+
+  return recommendation;
+}
+
+// An amperage range the machine cut short, and a run longer than its duty
+// cycle allows at the nominal amperage, with machines that would cope
+function machineWarnings(name, machineData, rounded, limited, machine, { knowledge, electrode, electrodeSize, sizeData }) {
+  const warnings = [];
+  const others = accept => Object.keys(knowledge.machines)
+    .filter(other => other !== name && accept(knowledge.machines[other]))
+    .map(value => ({ field: 'machine', value }));
+
+  if (limited) {
+    const { min, max } = machineData.amperage;
+    warnings.push({
+      code: ValidationCode.AMPERAGE_LIMITED,
+      field: 'machine',
+      message: `${electrodeSize} ${electrode} runs at ${rounded.min}-${rounded.max} A, ` +
+        `but the ${name} only delivers ${min}-${max} A`,
+      suggestions: others(other => other.amperage.min <= rounded.min && other.amperage.max >= rounded.max)
+    });
+  }
+
+  if (machine && machine.overloaded) {
+    const { amperage, dutyCycle, weldMinutes, arcMinutes, periodMinutes } = machine;
+    warnings.push({
+      code: ValidationCode.DUTY_CYCLE_EXCEEDED,
+      field: 'machine',
+      message: `At ${amperage} A the ${name} can weld ${weldMinutes} of every ${periodMinutes} min ` +
+        `(${dutyCycle}% duty cycle), and this run keeps the arc lit for ${arcMinutes}; ` +
+        'rest it between rods before the thermal overload trips, or use a smaller rod',
+      suggestions: [
+        ...smallerElectrodeSizes(knowledge, electrode, sizeData).map(size => ({ field: 'electrodeSize', value: size })),
+        ...others(other => other.amperage.max >= amperage &&
+          dutyCycleAt(other, amperage) * periodMinutes / 100 >= arcMinutes)
+      ]
+    });
+  }
+
+  return warnings;
+}
+
+// Same shape as a normal recommendation, with every parameter left empty
+function blockedRecommendation(validation) {
+  return {
+    valid: false,
+    errors: validation.errors,
+    warnings: validation.warnings,
+    thickness: null,
+    electrodeSizes: null,
+    amperage: null,
+    arcLength: null,
+    workAngle: null,
+    travelAngle: null,
+    travelSpeed: null,
+    motionPatterns: [],
+    thermal: null,
+    heat: null,
+    machine: null,
+    notes: [],
+    technique: {},
+    techniqueTargets: {},
+    adjustments: [],
+    rules: { fired: [], overridden: [] },
+    diagnosis: { symptoms: [], causes: [], adjustments: [] },
+    display: {
+      amperage: '', arcLength: '', rodAngle: '', travelSpeed: '', motionPattern: '', thermal: '', heat: '', thickness: '', machine: ''
+    }
+  };
+}
+
+// The recommended technique with the diagnosis's changes made; adjustments
+// are most likely first, so the first to change a dimension decides it
+function techniqueTargets(technique, diagnosis) {
+  const targets = { ...technique };
+  const changed = new Set();
+  for (const { change } of diagnosis.adjustments) {
+    if (!change || !(change.field in targets) || changed.has(change.field)) continue;
+    targets[change.field] = change.to;
+    changed.add(change.field);
+  }
+  return targets;
+}
+
+// Advice to shorten or lengthen a measured arc gap towards the recommended
+// one, citing what the measured gap does
+function measuredArcGapAdjustment(observed, arcLength, knowledge) {
+  if (!observed || !arcLength || observed === arcLength.category) return null;
+  const order = Object.keys(knowledge.techniques.arcGap);
+  const direction = order.indexOf(observed) > order.indexOf(arcLength.category) ? 'Shorten' : 'Lengthen';
+  return {
+    action: `${direction} the arc to a ${arcLength.category.toLowerCase()} gap`,
+    description: `Measured arc gap is ${observed.toLowerCase()}`,
+    source: `techniques.arcGap.${observed}.effect`
+  };
+}
+
+// Burn-through on thin plate and a preheat the rules didn't ask for, as
+// warnings alongside the validation ones
+function heatWarnings(heat, estimate, preheatRaised, thermal, smallerSizes) {
+  if (!heat) return [];
+  const warnings = [];
+  const { value, unit } = heat.heatInput;
+  const energy = `${round(value, unit === 'kJ/mm' ? 2 : 1)} ${unit}`;
+
+  if (heat.burnThrough >= 1) {
+    warnings.push({
+      code: ValidationCode.BURN_THROUGH_RISK,
+      field: 'electrodeSize',
+      message: `${energy} is more heat than this plate carries and may burn through; ` +
+        'use a smaller rod, travel faster or stitch the weld',
+      suggestions: smallerSizes.map(size => ({ field: 'electrodeSize', value: size }))
+    });
+  }
+
+  if (preheatRaised) {
+    const temperature = formatRange({ min: heat.preheat, max: heat.preheat, unit: thermal.unit });
+    warnings.push({
+      code: ValidationCode.PREHEAT_NEEDED,
+      field: 'baseMetal',
+      message: estimate.preheatReached
+        ? `Preheat to ${temperature}: at ${energy}, carbon equivalent ${estimate.carbonEquivalent} ` +
+          `cools too fast to stay crack-free`
+        : `Even ${temperature} preheat leaves carbon equivalent ${estimate.carbonEquivalent} cooling too fast at ` +
+          `${energy}; raise the heat input and use low-hydrogen practice`,
+      suggestions: []
+    });
+  }
+
+  return warnings;
+}
+
+// Sizes below the one in use that the electrode comes in, largest first
+function smallerElectrodeSizes(knowledge, electrode, sizeData) {
+  if (!sizeData) return [];
+  return Object.entries(knowledge.electrodeSize)
+    .filter(([, data]) => data.diameter < sizeData.diameter && data.amperage[electrode])
+    .sort(([, a], [, b]) => b.diameter - a.diameter)
+    .map(([size]) => size);
+}
+
+function applyWindow(range, [from, to]) {
+  const span = range.max - range.min;
+  return { min: range.min + span * from, max: range.min + span * to };
+}
+
+// Rules name presets ("SHORT", "INTO_CORNER"); a rule may also give the
+// numbers inline as an object
+function resolvePreset(presets, field, value) {
+  if (value === null || typeof value === 'object') return value;
+  if (!(value in presets)) {
+    throw new Error(`Unknown ${field} preset "${value}"; expected one of ${Object.keys(presets).join(', ')}`);
+  }
+  return presets[value];
+}
+
+function convertTravelSpeed(speed, metric) {
+  const factor = metric ? MM_PER_SEC_PER_IN_PER_MIN : 1;
+  return {
+    min: round(speed.min * factor, 1),
+    max: round(speed.max * factor, 1),
+    nominal: round(speed.nominal * factor, 1),
+    unit: metric ? 'mm/s' : 'in/min',
+    category: speed.category,
+    label: speed.label
+  };
+}
+
+// Rules give temperatures in °F; metric rounds to the nearest 5°C
+function convertThermal(thermal, metric) {
+  const convert = value => (value === null || !metric ? value : Math.round((value - 32) * 5 / 9 / 5) * 5);
+  return {
+    preheatMin: convert(thermal.preheatMin),
+    interpassMax: convert(thermal.interpassMax),
+    unit: metric ? 'degC' : 'degF'
+  };
+}
+
+// Heat estimate in the recommendation's units; its preheat takes the thermal
+// unit, so °F converts like convertThermal's
+function convertHeat(estimate, thermal, metric) {
+  if (!estimate) return null;
+  const { preheatMin } = convertThermal({ preheatMin: estimate.preheat, interpassMax: null }, metric);
+  return {
+    arcVoltage: round(estimate.arcVoltage, 1),
+    efficiency: estimate.efficiency,
+    heatInput: metric
+      ? { value: round(estimate.heatInput / MM_PER_IN, 2), unit: 'kJ/mm' }
+      : { value: round(estimate.heatInput, 1), unit: 'kJ/in' },
+    coolingTime: round(estimate.coolingTime, 1),
+    flow: estimate.flow,
+    coolingRate: metric
+      ? { value: round(estimate.coolingRate * 5 / 9, 1), unit: 'degC/s' }
+      : { value: round(estimate.coolingRate, 1), unit: 'degF/s' },
+    carbonEquivalent: estimate.carbonEquivalent,
+    preheat: preheatMin,
+    burnThrough: round(estimate.burnThrough, 2)
+  };
+}
+
+function round(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
@@ -0,0 +1,226 @@
+// Declarative rule engine
+// Rules are plain data (JSON or YAML): a condition on the input facts, a list
+// of effects on the recommendation state, a priority and the knowledge entry
+// they come from. Knowledge from a new training video becomes a new rule
+// file rather than another if-branch.
+//
+// A rule looks like:
+//   {
+//     "id": "position.horizontal.technique",
+//     "description": "Horizontal: angle up slightly",
+//     "priority": 20,
+//     "when": { "position": "Horizontal", "electrode": ["E6010", "E6011"] },
+//     "then": [{ "field": "rodAngle", "op": "set", "value": "CONTROL_PUDDLE" }],
+//     "source": "positions.Horizontal.rodAngle",
+//     "citation": "optional free text, e.g. the video the rule came from"
+//   }
+//
+// Conditions: every key of `when` must match. A scalar must equal the fact,
+// an array must contain it, and an object applies operators (eq, ne, in, nin,
+// gt, gte, lt, lte, exists). The keys `any` (list of conditions, one must
+// match) and `not` (condition that must not match) combine conditions.
+//
+// Effects on `field` (dotted paths reach into objects, e.g. "amperage.max"):
+//   set     replace the value
+//   add     add a number
+//   window  narrow a {min, max} range to a fraction of itself, [from, to]
+//   append  push onto a list
+//
+// Matching rules apply in ascending priority, so higher priorities have the
+// last word; rules of equal priority apply in the order given. A `set`
+// overrides every earlier effect on the same field, and those overridden
+// rules are reported.
+
+import { parse as parseYaml } from 'yaml';
+
+export const EFFECT_OPS = ['set', 'add', 'window', 'append'];
+
+const CONDITION_OPS = {
+  eq: (fact, value) => fact === value,
+  ne: (fact, value) => fact !== value,
+  in: (fact, value) => value.includes(fact),
+  nin: (fact, value) => !value.includes(fact),
+  gt: (fact, value) => typeof fact === 'number' && fact > value,
+  gte: (fact, value) => typeof fact === 'number' && fact >= value,
+  lt: (fact, value) => typeof fact === 'number' && fact < value,
+  lte: (fact, value) => typeof fact === 'number' && fact <= value,
+  exists: (fact, value) => (fact !== undefined && fact !== null) === value
+};
+
+/**
+ * @typedef {object} RuleStep
+ * @property {string} ruleId
+ * @property {string} field
+ * @property {string} op
+ * @property {*} value the effect's operand
+ * @property {*} before field value before the effect
+ * @property {*} after field value after the effect
+ * @property {string} [source] knowledge entry the rule cites
+ * @property {string} [overriddenBy] id of a later rule whose `set` replaced this result
+ */
+
+/**
+ * Evaluate rules against a set of facts.
+ * @param {object[]} rules
+ * @param {object} facts input values the conditions test, e.g. getRecommendations inputs
+ * @param {object} initialState starting values for the fields effects change
+ * @returns {{state: object, fired: string[],
+ *   overridden: {ruleId: string, field: string, by: string}[], steps: RuleStep[]}}
+ */
+export function evaluateRules(rules, facts, initialState = {}) {
+  const state = structuredClone(initialState);
+  const matched = rules
+    .filter(rule => matchesCondition(rule.when || {}, facts))
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  const steps = [];
+  const overridden = [];
+
+  for (const rule of matched) {
+    for (const effect of rule.then) {
+      const before = getPath(state, effect.field);
+      const after = applyEffect(effect, before, rule.id);
+
+      if (effect.op === 'set') {
+        for (const step of steps) {
+          if (step.ruleId !== rule.id && !step.overriddenBy && coversField(effect.field, step.field)) {
+            step.overriddenBy = rule.id;
+            overridden.push({ ruleId: step.ruleId, field: step.field, by: rule.id });
+          }
+        }
+      }
+
+      if (after !== before) {
+        setPath(state, effect.field, after);
+      }
+      steps.push({
+        ruleId: rule.id,
+        field: effect.field,
+        op: effect.op,
+        value: effect.value,
+        // Snapshots, since later effects on child fields modify the state in place
+        before: structuredClone(before),
+        after: structuredClone(after),
+        source: rule.source
+      });
+    }
+  }
+
+  return {
+    state,
+    fired: matched.map(rule => rule.id),
+    overridden,
+    steps
+  };
+}
+
+/**
+ * Whether a `when` condition matches the facts.
+ * @param {object} condition
+ * @param {object} facts
+ * @returns {boolean}
+ */
+export function matchesCondition(condition, facts) {
+  return Object.entries(condition).every(([key, expected]) => {
+    if (key === 'any') return expected.some(sub => matchesCondition(sub, facts));
+    if (key === 'not') return !matchesCondition(expected, facts);
+
+    const fact = getPath(facts, key);
+    if (Array.isArray(expected)) return expected.includes(fact);
+    if (expected !== null && typeof expected === 'object') {
+      return Object.entries(expected).every(([op, value]) => CONDITION_OPS[op](fact, value));
+    }
+    return fact === expected;
+  });
+}
+
+/**
+ * Parse and check rules from JSON or YAML text.
+ * @param {string} text
+ * @param {string} [format] "json" (default) or "yaml"
+ * @returns {object[]} rules
+ * @throws {Error} when the text doesn't parse or a rule is malformed
+ */
+export function parseRules(text, format = 'json') {
+  const data = format === 'yaml' || format === 'yml' ? parseYaml(text) : JSON.parse(text);
+  const rules = Array.isArray(data) ? data : data && data.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Rule file must be a list of rules or an object with a "rules" list');
+  }
+  rules.forEach(checkRule);
+  return rules;
+}
+
+/**
+ * Throw if a rule is malformed: missing id or effects, unknown operators.
+ * @param {object} rule
+ * @throws {Error}
+ */
+export function checkRule(rule) {
+  const name = rule && rule.id ? `Rule "${rule.id}"` : 'Rule';
+  if (!rule || typeof rule.id !== 'string') {
+    throw new Error(`${name} needs a string "id"`);
+  }
+  if (!Array.isArray(rule.then) || !rule.then.length) {
+    throw new Error(`${name} needs a non-empty "then" list of effects`);
+  }
+  if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+    throw new Error(`${name} has a non-numeric priority`);
+  }
+  for (const effect of rule.then) {
+    if (typeof effect.field !== 'string' || !EFFECT_OPS.includes(effect.op)) {
+      throw new Error(`${name} has an effect without a field or with an unknown op "${effect.op}"`);
+    }
+  }
+  checkCondition(rule.when || {}, name);
+}
+
+function checkCondition(condition, name) {
+  for (const [key, expected] of Object.entries(condition)) {
+    if (key === 'any') {
+      expected.forEach(sub => checkCondition(sub, name));
+    } else if (key === 'not') {
+      checkCondition(expected, name);
+    } else if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+      const unknown = Object.keys(expected).find(op => !CONDITION_OPS[op]);
+      if (unknown) {
+        throw new Error(`${name} uses unknown condition operator "${unknown}" on "${key}"`);
+      }
+    }
+  }
+}
+
+function applyEffect(effect, current, ruleId) {
+  switch (effect.op) {
+    case 'set':
+      return structuredClone(effect.value);
+    case 'add':
+      return typeof current === 'number' ? current + effect.value : current;
+    case 'window': {
+      if (!current) return current;
+      const [from, to] = effect.value;
+      const span = current.max - current.min;
+      return { ...current, min: current.min + span * from, max: current.min + span * to };
+    }
+    case 'append':
+      return [...(current || []), ...[].concat(effect.value)];
+    default:
+      throw new Error(`Rule "${ruleId}" has an unknown op "${effect.op}"`);
+  }
+}
+
+// Whether writing `field` replaces the value at `path` (itself or a child)
+function coversField(field, path) {
+  return path === field || path.startsWith(`${field}.`);
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), object);
+  parent[last] = value;
+}
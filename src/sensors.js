@@ -0,0 +1,260 @@
+// Sensor ingestion
+// Timestamped samples of arc voltage, current, travel speed and puddle
+// width, and adapters that deliver them: a WebSocket carrying JSON lines from
+// a live source, and a replay of a recorded CSV or JSON log. Every adapter
+// has the same start/stop shape, so the visualization doesn't care where its
+// samples come from.
+
+import { seededRandom } from './random.js';
+
+// Measured signals: volts, amps, inches per minute and inches
+export const SAMPLE_FIELDS = ['voltage', 'current', 'travelSpeed', 'puddleWidth'];
+
+export const SENSOR_LOG_FORMATS = ['csv', 'json', 'jsonl'];
+
+/**
+ * @typedef {object} SensorSample
+ * @property {number} time milliseconds; only differences between samples matter
+ * @property {number} [voltage] arc voltage, V
+ * @property {number} [current] arc current, A
+ * @property {number} [travelSpeed] in/min
+ * @property {number} [puddleWidth] in
+ */
+
+/**
+ * @typedef {object} SensorHandlers
+ * @property {function(SensorSample): void} sample
+ * @property {function(Error): void} [error] a bad sample or a lost connection;
+ *   the adapter keeps going where it can
+ * @property {function(): void} [end] no more samples will come
+ */
+
+/**
+ * @typedef {object} SensorAdapter
+ * @property {function(SensorHandlers): void} start
+ * @property {function(): void} stop no handler is called after this
+ */
+
+/**
+ * Check a raw sample and coerce its values to numbers. Fields it doesn't
+ * carry, or leaves blank, are left out.
+ * @param {object} raw
+ * @returns {SensorSample}
+ * @throws {Error} without a numeric time, with a non-numeric reading, or
+ *   with no readings at all
+ */
+export function normalizeSample(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Sensor sample must be an object');
+  const time = Number(raw.time);
+  if (raw.time === undefined || raw.time === '' || !Number.isFinite(time)) {
+    throw new Error('Sensor sample needs a numeric "time"');
+  }
+  const sample = { time };
+  for (const field of SAMPLE_FIELDS) {
+    if (raw[field] === undefined || raw[field] === null || raw[field] === '') continue;
+    const value = Number(raw[field]);
+    if (!Number.isFinite(value)) throw new Error(`Sensor sample at ${time} ms has a non-numeric "${field}"`);
+    sample[field] = value;
+  }
+  if (Object.keys(sample).length === 1) {
+    throw new Error(`Sensor sample at ${time} ms has none of ${SAMPLE_FIELDS.join(', ')}`);
+  }
+  return sample;
+}
+
+/**
+ * Parse a recorded sensor log. CSV needs a header row naming "time" and any
+ * of the sample fields; JSON is a list of samples or an object with a
+ * "samples" list; JSON lines have one sample per line. Blank lines and lines
+ * starting with "#" are skipped in CSV and JSON lines.
+ * @param {string} text
+ * @param {string} [format] "csv", "json" or "jsonl"; guessed from the text
+ *   when left out
+ * @returns {SensorSample[]} in time order
+ * @throws {Error} when the log doesn't parse or holds a bad sample
+ */
+export function parseSensorLog(text, format = guessFormat(text)) {
+  let raw;
+  switch (format) {
+    case 'json': {
+      const data = JSON.parse(text);
+      raw = Array.isArray(data) ? data : data && data.samples;
+      if (!Array.isArray(raw)) throw new Error('Sensor log must be a list of samples or an object with a "samples" list');
+      break;
+    }
+    case 'jsonl':
+      raw = dataLines(text).map(([line, number]) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Sensor log line ${number}: ${error.message}`);
+        }
+      });
+      break;
+    case 'csv':
+      raw = parseCsv(text);
+      break;
+    default:
+      throw new Error(`Unknown sensor log format "${format}"; expected one of ${SENSOR_LOG_FORMATS.join(', ')}`);
+  }
+  return raw.map(normalizeSample).sort((a, b) => a.time - b.time);
+}
+
+function guessFormat(text) {
+  const start = text.trimStart();
+  if (start.startsWith('[') || /^\{\s*"samples"/.test(start)) return 'json';
+  return start.startsWith('{') ? 'jsonl' : 'csv';
+}
+
+// Non-blank, non-comment lines with their 1-based line numbers
+function dataLines(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line && !line.startsWith('#'));
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = dataLines(text);
+  if (!header) return [];
+  const columns = header[0].split(',').map(column => column.trim());
+  if (!columns.includes('time')) throw new Error('Sensor CSV header needs a "time" column');
+  return rows.map(([line, number]) => {
+    const cells = line.split(',');
+    if (cells.length > columns.length) throw new Error(`Sensor CSV line ${number} has more cells than the header`);
+    return Object.fromEntries(columns.map((column, i) => [column, cells[i] === undefined ? '' : cells[i].trim()]));
+  });
+}
+
+/**
+ * Replay recorded samples at their recorded pace.
+ * @param {SensorSample[]} samples in time order, e.g. from parseSensorLog
+ * @param {object} [options]
+ * @param {number} [options.speed] playback rate; 2 replays twice as fast
+ * @param {boolean} [options.loop] start over at the end instead of ending;
+ *   times keep increasing from one pass to the next
+ * @param {{setTimeout: Function, clearTimeout: Function}} [options.timers]
+ * @returns {SensorAdapter}
+ */
+export function createReplayAdapter(samples, options = {}) {
+  const { speed = 1, loop = false, timers = globalThis } = options;
+  const duration = samples.length ? samples.at(-1).time - samples[0].time : 0;
+  // A looped log restarts one average sample interval after its last sample
+  const gap = samples.length > 1 ? duration / (samples.length - 1) : 1000;
+  let timer = null;
+
+  return {
+    start({ sample, end = () => {} }) {
+      let index = 0;
+      let offset = 0;
+      const next = () => {
+        timer = null;
+        sample({ ...samples[index], time: samples[index].time + offset });
+        index++;
+        if (index === samples.length) {
+          if (!loop) {
+            end();
+            return;
+          }
+          index = 0;
+          offset += duration + gap;
+        }
+        const wait = index === 0 ? gap : samples[index].time - samples[index - 1].time;
+        timer = timers.setTimeout(next, wait / speed);
+      };
+      timer = timers.setTimeout(samples.length ? next : end, 0);
+    },
+    stop() {
+      if (timer !== null) timers.clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Receive samples over a WebSocket as JSON lines: each message holds one or
+ * more samples, one JSON object per line.
+ * @param {string} url e.g. "ws://localhost:8765"
+ * @param {object} [options]
+ * @param {Function} [options.WebSocket] constructor to use instead of the global one
+ * @returns {SensorAdapter}
+ */
+export function createJsonLinesAdapter(url, options = {}) {
+  const { WebSocket: Socket = globalThis.WebSocket } = options;
+  let socket = null;
+
+  return {
+    start({ sample, error = () => {}, end = () => {} }) {
+      if (!Socket) {
+        error(new Error('WebSocket is not available here'));
+        end();
+        return;
+      }
+      socket = new Socket(url);
+      socket.onmessage = event => {
+        for (const [line] of dataLines(String(event.data))) {
+          let parsed;
+          try {
+            parsed = normalizeSample(JSON.parse(line));
+          } catch (cause) {
+            error(new Error(`Bad sensor sample from ${url}: ${cause.message}`));
+            continue;
+          }
+          sample(parsed);
+        }
+      };
+      socket.onerror = () => error(new Error(`Sensor connection to ${url} failed`));
+      socket.onclose = () => {
+        socket = null;
+        end();
+      };
+    },
+    stop() {
+      if (!socket) return;
+      socket.onmessage = socket.onerror = socket.onclose = null;
+      socket.close();
+      socket = null;
+    }
+  };
+}
+
+/**
+ * A made-up run for demonstrations and the stand-in sensor process: noisy
+ * signals around a setpoint that run steady, then hot and slow, then cold
+ * and fast, then with an erratic arc. Deterministic for a given seed.
+ * @param {object} [options]
+ * @param {number} [options.duration] ms
+ * @param {number} [options.interval] ms between samples
+ * @param {{voltage: number, current: number, travelSpeed: number, puddleWidth: number}} [options.setpoint]
+ * @param {number} [options.seed]
+ * @returns {SensorSample[]}
+ */
+export function syntheticSamples(options = {}) {
+  const {
+    duration = 40000,
+    interval = 100,
+    setpoint = { voltage: 24, current: 120, travelSpeed: 6.5, puddleWidth: 0.3 },
+    seed = 1
+  } = options;
+  const random = seededRandom(seed);
+  const noise = amount => (random() - 0.5) * 2 * amount;
+  const samples = [];
+  for (let time = 0; time <= duration; time += interval) {
+    // Quarter by quarter: steady, running hot and slow, running cold and
+    // fast, then steady heat with an unstable arc
+    const phase = Math.floor((4 * time) / (duration + 1));
+    const drift = { 0: [1, 1], 1: [1.25, 0.75], 2: [0.75, 1.4], 3: [1, 1] }[phase];
+    const erratic = phase === 3 ? 0.3 : 0.03;
+    samples.push({
+      time,
+      voltage: round(setpoint.voltage * (1 + noise(erratic)), 2),
+      current: round(setpoint.current * drift[0] * (1 + noise(0.03)), 1),
+      travelSpeed: round(setpoint.travelSpeed * drift[1] * (1 + noise(0.03)), 2),
+      puddleWidth: round(setpoint.puddleWidth * Math.sqrt(drift[0] / drift[1]) * (1 + noise(0.04)), 4)
+    });
+  }
+  return samples;
+}
+
+function round(value, places) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
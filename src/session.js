@@ -0,0 +1,280 @@
+// Session recording
+// A practice weld as a timeline: the settings it started from, then every
+// parameter change, observation and resulting recommendation with the time it
+// happened. Sessions round-trip through JSON, so an instructor can load a
+// student's run and step through it afterwards.
+
+import { weldingKnowledge } from './knowledge.js';
+import {
+  OBSERVATION_FIELDS,
+  listElectrodes,
+  listElectrodeSizes,
+  listPositions,
+  listThicknesses,
+  listJointTypes,
+  listBaseMetals,
+  listMachines,
+  listMachineTypes,
+  listObservationValues
+} from './lookups.js';
+import { LENGTH_UNITS, LENGTH_INPUTS } from './geometry.js';
+
+export const SESSION_VERSION = 1;
+
+export const SessionEntryType = Object.freeze({
+  PARAMETERS: 'parameters',
+  OBSERVATION: 'observation',
+  RECOMMENDATION: 'recommendation'
+});
+
+const ENTRY_TYPES = Object.values(SessionEntryType);
+
+// The values a recorded field may take, for checking a session read from a
+// file. Blank means none for the machine and the observations.
+const FIELD_VALUES = {
+  electrode: listElectrodes,
+  electrodeSize: listElectrodeSizes,
+  position: listPositions,
+  metalThickness: listThicknesses,
+  jointType: listJointTypes,
+  baseMetal: listBaseMetals,
+  machineType: listMachineTypes,
+  machine: knowledge => ['', ...listMachines(knowledge)],
+  ...Object.fromEntries(Object.keys(OBSERVATION_FIELDS)
+    .map(field => [field, knowledge => ['', ...listObservationValues(field, knowledge)]])),
+  observedArcGap: knowledge => ['', ...Object.keys(knowledge.techniques.arcGap)],
+  lengthUnit: () => LENGTH_UNITS,
+  units: () => ['imperial', 'metric']
+};
+
+// Numeric fields: the joint geometry, and the rod lot's exposure, which is
+// null without a lot in use
+const NUMERIC_FIELDS = [...LENGTH_INPUTS, 'bevelAngle', 'rodExposure'];
+
+/**
+ * @typedef {object} RecommendationSummary what the recommendation panel showed
+ * @property {boolean} valid
+ * @property {object} display human-readable strings, as in the recommendation
+ * @property {string[]} adjustments
+ * @property {string[]} warnings messages
+ * @property {string[]} errors messages
+ */
+
+/**
+ * @typedef {object} SessionEntry
+ * @property {number} time milliseconds since the session started
+ * @property {string} type a SessionEntryType
+ * @property {object} [changes] parameters and observations: the fields that
+ *   changed and their new values
+ * @property {string} [source] observations: who made them, e.g. "manual" or
+ *   the sensor's name
+ * @property {RecommendationSummary} [recommendation]
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {number} version SESSION_VERSION
+ * @property {string} startedAt ISO date and time
+ * @property {object} initial every recorded field's value at the start
+ * @property {SessionEntry[]} entries in time order
+ */
+
+/**
+ * Reduce a recommendation to what a reader of the panel saw.
+ * @param {object} recommendation from getRecommendations
+ * @returns {RecommendationSummary}
+ */
+export function summarizeRecommendation(recommendation) {
+  return {
+    valid: recommendation.valid,
+    display: { ...recommendation.display },
+    adjustments: [...recommendation.adjustments],
+    warnings: recommendation.warnings.map(issue => issue.message),
+    errors: recommendation.errors.map(issue => issue.message)
+  };
+}
+
+/**
+ * Start recording a session. Each record() call is handed the full set of
+ * values and the recommendation they produced; only what changed since the
+ * last call is kept. Observation fields (the OBSERVATION_FIELDS keys and
+ * observedArcGap) are logged apart from the other parameters, with their
+ * source.
+ * @param {object} [options]
+ * @param {function(): number} [options.now] clock in milliseconds
+ * @returns {{record: function(object, object, object=): SessionEntry[],
+ *   session: function(): Session, clear: function(): void}}
+ */
+export function createSessionRecorder(options = {}) {
+  const { now = () => Date.now() } = options;
+  let start = null;
+  let session = null;
+  let current = null;
+  let shown = null;
+
+  return {
+    /**
+     * @param {object} values every recorded field, flat
+     * @param {object} recommendation what those values produced
+     * @param {{source: string}} [details] who changed the observations
+     * @returns {SessionEntry[]} the entries this call added
+     */
+    record(values, recommendation, details = {}) {
+      const { source = 'manual' } = details;
+      const summary = summarizeRecommendation(recommendation);
+      const added = [];
+
+      if (!session) {
+        start = now();
+        session = { version: SESSION_VERSION, startedAt: new Date(start).toISOString(), initial: { ...values }, entries: [] };
+        current = { ...values };
+      }
+      const time = now() - start;
+
+      const changed = Object.entries(values).filter(([field, value]) => current[field] !== value);
+      const observed = changed.filter(([field]) => isObservationField(field));
+      const parameters = changed.filter(([field]) => !isObservationField(field));
+      if (parameters.length) {
+        added.push({ time, type: SessionEntryType.PARAMETERS, changes: Object.fromEntries(parameters) });
+      }
+      if (observed.length) {
+        added.push({ time, type: SessionEntryType.OBSERVATION, changes: Object.fromEntries(observed), source });
+      }
+      const text = JSON.stringify(summary);
+      if (text !== shown) {
+        added.push({ time, type: SessionEntryType.RECOMMENDATION, recommendation: summary });
+        shown = text;
+      }
+
+      Object.assign(current, values);
+      session.entries.push(...added);
+      return added;
+    },
+
+    /**
+     * The session so far; null before anything is recorded.
+     * @returns {Session|null}
+     */
+    session() {
+      return session && { ...session, initial: { ...session.initial }, entries: [...session.entries] };
+    },
+
+    clear() {
+      start = session = current = shown = null;
+    }
+  };
+}
+
+function isObservationField(field) {
+  return field in OBSERVATION_FIELDS || field === 'observedArcGap';
+}
+
+/**
+ * Length of a session: the time of its last entry.
+ * @param {Session} session
+ * @returns {number} milliseconds
+ */
+export function sessionDuration(session) {
+  return session.entries.length ? session.entries[session.entries.length - 1].time : 0;
+}
+
+/**
+ * Replay a session up to a moment.
+ * @param {Session} session
+ * @param {number} time milliseconds since the start
+ * @returns {{values: object, recommendation: RecommendationSummary|null,
+ *   entry: SessionEntry|null}} every field's value at that time, the
+ *   recommendation shown then, and the last entry at or before it
+ */
+export function sessionStateAt(session, time) {
+  const values = { ...session.initial };
+  let recommendation = null;
+  let entry = null;
+  for (const next of session.entries) {
+    if (next.time > time) break;
+    if (next.changes) Object.assign(values, next.changes);
+    if (next.recommendation) recommendation = next.recommendation;
+    entry = next;
+  }
+  return { values, recommendation, entry };
+}
+
+/**
+ * @param {Session} session
+ * @returns {string} JSON, one entry per line
+ */
+export function serializeSession(session) {
+  const { entries, ...header } = session;
+  const head = JSON.stringify(header, null, 2).slice(0, -2);
+  if (!entries.length) return `${head},\n  "entries": []\n}\n`;
+  return `${head},\n  "entries": [\n${entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n')}\n  ]\n}\n`;
+}
+
+/**
+ * Read a session saved by serializeSession. Every recorded value is checked
+ * against the knowledge base, as a file from someone else's browser can hold
+ * anything.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the
+ *   built-in one, e.g. with user-defined machines
+ * @returns {Session}
+ * @throws {Error} when the text isn't a session this version can replay
+ */
+export function parseSession(text, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Session is not valid JSON: ${error.message}`);
+  }
+  if (!session || typeof session !== 'object') throw new Error('Session must be a JSON object');
+  if (session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${JSON.stringify(session.version)}; expected ${SESSION_VERSION}`);
+  }
+  if (typeof session.startedAt !== 'string') throw new Error('Session needs a "startedAt" time');
+  if (!session.initial || typeof session.initial !== 'object') throw new Error('Session needs an "initial" object');
+  if (!Array.isArray(session.entries)) throw new Error('Session needs an "entries" list');
+  checkValues(session.initial, 'Session start', knowledge);
+
+  session.entries.forEach((entry, index) => {
+    const where = `Session entry ${index + 1}`;
+    if (!entry || typeof entry !== 'object') throw new Error(`${where} must be an object`);
+    if (!Number.isFinite(entry.time) || entry.time < 0) throw new Error(`${where} needs a time of 0 ms or more`);
+    if (index && entry.time < session.entries[index - 1].time) throw new Error(`${where} is earlier than the one before it`);
+    if (!ENTRY_TYPES.includes(entry.type)) throw new Error(`${where} has unknown type ${JSON.stringify(entry.type)}`);
+    if (entry.type === SessionEntryType.RECOMMENDATION) {
+      checkSummary(entry.recommendation, where);
+    } else if (!entry.changes || typeof entry.changes !== 'object') {
+      throw new Error(`${where} needs "changes"`);
+    } else {
+      checkValues(entry.changes, where, knowledge);
+      if (entry.type === SessionEntryType.OBSERVATION && typeof entry.source !== 'string') {
+        throw new Error(`${where} needs a "source"`);
+      }
+    }
+  });
+  return session;
+}
+
+// Every field must be one a session records, holding a value it can take
+function checkValues(values, where, knowledge) {
+  for (const [field, value] of Object.entries(values)) {
+    const valid = FIELD_VALUES[field] ? FIELD_VALUES[field](knowledge).includes(value)
+      : NUMERIC_FIELDS.includes(field) ? Number.isFinite(value) || (field === 'rodExposure' && value === null)
+        : field === 'numericThickness' ? typeof value === 'boolean'
+          : null;
+    if (valid === null) throw new Error(`${where} records unknown field ${JSON.stringify(field)}`);
+    if (!valid) throw new Error(`${where} has ${field} ${JSON.stringify(value)}, which is not a value it can take`);
+  }
+}
+
+function checkSummary(summary, where) {
+  const strings = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+  if (!summary || typeof summary !== 'object' || typeof summary.valid !== 'boolean' ||
+      !summary.display || typeof summary.display !== 'object' || !strings(Object.values(summary.display)) ||
+      !strings(summary.adjustments) || !strings(summary.warnings) || !strings(summary.errors)) {
+    throw new Error(`${where} needs a "recommendation" with valid, display, adjustments, warnings and errors`);
+  }
+}
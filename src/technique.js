@@ -0,0 +1,105 @@
+// Numeric technique presets
+// Gives the qualitative technique vocabulary (short arc, fast travel, 45° into
+// corner, ...) concrete numbers a controller or data logger can use. Each
+// preset names the weldingKnowledge.techniques entry it corresponds to.
+
+// Motion patterns, as stable enum values for machine consumers
+export const MotionPattern = Object.freeze({
+  STRAIGHT: 'STRAIGHT',
+  CIRCULAR: 'CIRCULAR',
+  ZIGZAG: 'ZIGZAG',
+  WHIP_STEP: 'WHIP_STEP',
+  SIDE_TO_SIDE: 'SIDE_TO_SIDE',
+  SLIGHT_SIDE_TO_SIDE: 'SLIGHT_SIDE_TO_SIDE'
+});
+
+// Display label and techniques.motionPattern entry for each motion pattern
+export const MOTION_PATTERNS = {
+  STRAIGHT: { label: 'Straight', technique: 'Straight' },
+  CIRCULAR: { label: 'Circular', technique: 'Circular' },
+  ZIGZAG: { label: 'Zigzag', technique: 'Zigzag' },
+  WHIP_STEP: { label: 'Whip/Step', technique: 'Whip/Step' },
+  SIDE_TO_SIDE: { label: 'Side-to-side', technique: 'Zigzag' },
+  SLIGHT_SIDE_TO_SIDE: { label: 'Slight side-to-side', technique: 'Zigzag' }
+};
+
+// Arc length as a multiple of the electrode core-wire diameter
+export const ARC_LENGTHS = {
+  SHORT: { min: 0.5, max: 1, nominal: 0.75, category: 'Short' },
+  SHORT_TO_MEDIUM: { min: 0.75, max: 1.25, nominal: 1, category: 'Medium', label: 'Short to medium' },
+  MEDIUM: { min: 1, max: 1.25, nominal: 1, category: 'Medium' },
+  LONG: { min: 1.5, max: 2, nominal: 1.75, category: 'Long' }
+};
+
+// Travel speed in inches per minute
+export const TRAVEL_SPEEDS = {
+  SLOW: { min: 3, max: 5, nominal: 4, category: 'Slow' },
+  MEDIUM_SLOW: { min: 4, max: 6, nominal: 5, category: 'Slow', label: 'Medium-slow, steady' },
+  MEDIUM: { min: 5, max: 8, nominal: 6.5, category: 'Medium' },
+  MEDIUM_FAST: { min: 7, max: 10, nominal: 8.5, category: 'Fast', label: 'Medium-fast to prevent sagging' },
+  FAST: { min: 8, max: 12, nominal: 10, category: 'Fast' }
+};
+
+// Electrode pose in degrees. Work angle is measured from the workpiece
+// surface across the joint; travel angle from perpendicular along the joint,
+// positive when dragging (leaning back over the finished weld), negative
+// when pushing.
+export const ROD_ANGLES = {
+  PERPENDICULAR: {
+    work: { min: 85, max: 90, nominal: 90 },
+    travel: { min: 0, max: 10, nominal: 5 },
+    note: 'Perpendicular'
+  },
+  NEARLY_PERPENDICULAR: {
+    work: { min: 85, max: 90, nominal: 90 },
+    travel: { min: 5, max: 15, nominal: 10 },
+    note: 'Nearly perpendicular'
+  },
+  DRAG_45: {
+    work: { min: 85, max: 90, nominal: 90 },
+    travel: { min: 35, max: 45, nominal: 40 },
+    note: '45°'
+  },
+  ANGLED_UP: {
+    work: { min: 85, max: 90, nominal: 90 },
+    travel: { min: -15, max: -5, nominal: -10 },
+    note: '45° angled up slightly'
+  },
+  INTO_CORNER: {
+    work: { min: 40, max: 50, nominal: 45 },
+    travel: { min: 5, max: 15, nominal: 10 },
+    note: '45° into corner'
+  },
+  BISECT_CORNER: {
+    work: { min: 40, max: 50, nominal: 45 },
+    travel: { min: 5, max: 15, nominal: 10 },
+    note: 'Bisect the corner angle'
+  },
+  HOLD_PUDDLE: {
+    work: { min: 85, max: 90, nominal: 90 },
+    travel: { min: 10, max: 20, nominal: 15 },
+    note: 'Angle up slightly to hold puddle'
+  },
+  CONTROL_PUDDLE: {
+    work: { min: 75, max: 85, nominal: 80 },
+    travel: { min: 5, max: 15, nominal: 10 },
+    note: 'Angle up slightly to control puddle'
+  }
+};
+
+/**
+ * Classify a pose into a techniques.rodAngle entry: "Perpendicular", "45°" or
+ * "Shallow", by how far the rod leans from perpendicular to the weld.
+ * @param {number} workAngle degrees from the workpiece surface
+ * @param {number} travelAngle degrees from perpendicular
+ * @returns {string}
+ */
+export function rodAngleCategory(workAngle, travelAngle) {
+  const lean = Math.max(90 - workAngle, Math.abs(travelAngle));
+  if (lean <= 20) return 'Perpendicular';
+  if (lean <= 55) return '45°';
+  return 'Shallow';
+}
+
+// Travel speed unit conversion
+export const MM_PER_SEC_PER_IN_PER_MIN = 25.4 / 60;
@@ -0,0 +1,204 @@
+// Electrode pose geometry
+// Places a joint in a welding position and an electrode at given work and
+// travel angles, for drawing. The joint is built in its own frame: travel
+// along +x, the root on the x axis and the reference plate's surface at y = 0
+// running out along +z. The work angle is measured from that surface across
+// the joint, and the travel angle tilts the rod along the joint, as in
+// ROD_ANGLES. Each position then turns the joint so its weld faces the way
+// that position has it face. World space is y-up, and gravity points down -y.
+
+import { weldingKnowledge } from './knowledge.js';
+
+// Schematic plate dimensions in scene units: length along the joint, width
+// across it, thickness, and the root opening of a butt joint
+const PLATE = { length: 12, width: 5, thickness: 0.5, gap: 0.2 };
+
+// Electrode length and the arc gap left between its tip and the root
+const ELECTRODE_LENGTH = 8;
+const ARC_GAP = 0.3;
+
+// Radius of the work-angle arc; the travel-angle arc sits just outside it
+const ARC_RADIUS = 2.5;
+
+const FILLET_JOINTS = ['Lap', 'T', 'Corner'];
+
+// Plates of each joint in the joint frame, as boxes: centre and size along
+// the frame's axes
+const JOINT_PLATES = (() => {
+  const { length: L, width: W, thickness: T, gap: G } = PLATE;
+  return {
+    Butt: [
+      { center: [0, -T / 2, -(G + W) / 2], size: [L, T, W] },
+      { center: [0, -T / 2, (G + W) / 2], size: [L, T, W] }
+    ],
+    // Top plate's edge on the bottom plate's surface
+    Lap: [
+      { center: [0, -T / 2, W / 4], size: [L, T, 1.5 * W] },
+      { center: [0, T / 2, -W / 2], size: [L, T, W] }
+    ],
+    // Web standing in the middle of the flange
+    T: [
+      { center: [0, -T / 2, 0], size: [L, T, 2 * W] },
+      { center: [0, W / 2, -T / 2], size: [L, W, T] }
+    ],
+    // Upright on the flange's edge, welded in the inside corner
+    Corner: [
+      { center: [0, -T / 2, (W - T) / 2], size: [L, T, W + T] },
+      { center: [0, W / 2, -T / 2], size: [L, W, T] }
+    ]
+  };
+})();
+
+// World directions of travel and of the way the weld faces, for a groove
+// and for a fillet, in each position. A fillet's face is the bisector of its
+// corner; a horizontal fillet keeps its flange level, so it faces up and out.
+const HALF = Math.SQRT1_2;
+const POSITION_FRAMES = {
+  Flat: { travel: [1, 0, 0], groove: [0, 1, 0], fillet: [0, 1, 0] },
+  Horizontal: { travel: [1, 0, 0], groove: [0, 0, 1], fillet: [0, HALF, HALF] },
+  'Vertical Up': { travel: [0, 1, 0], groove: [0, 0, 1], fillet: [0, 0, 1] },
+  'Vertical Down': { travel: [0, -1, 0], groove: [0, 0, 1], fillet: [0, 0, 1] },
+  Overhead: { travel: [1, 0, 0], groove: [0, -1, 0], fillet: [0, -HALF, HALF] }
+};
+
+const GRAVITY = [0, -1, 0];
+
+/**
+ * @typedef {object} AngleArc
+ * @property {string} angle "work" or "travel"
+ * @property {number} degrees
+ * @property {string} label e.g. "Work 45°" or "Travel 10° drag"
+ * @property {number[][]} points polyline around the root, world space
+ * @property {number[]} labelPosition just beyond the middle of the arc
+ */
+
+/**
+ * @typedef {object} TorchPose
+ * @property {string} jointType
+ * @property {string} position
+ * @property {number[][]} basis world directions of the joint frame's x, y and z axes
+ * @property {{center: number[], size: number[]}[]} plates centres in world
+ *   space, sizes along the joint frame's axes
+ * @property {number[]} root a point on the root line, the world origin
+ * @property {number[]} travel unit travel direction
+ * @property {{direction: number[], description: string|undefined, source: string}} gravity
+ *   description is the position's gravity entry
+ * @property {{tip: number[], end: number[], direction: number[]}} electrode
+ *   direction runs from the tip back to the holder end
+ * @property {AngleArc[]} arcs the work angle, then the travel angle unless it is zero
+ */
+
+/**
+ * Lay out a joint in a position with the electrode at the given angles.
+ * @param {object} pose
+ * @param {string} pose.jointType "Butt", "Lap", "T" or "Corner"
+ * @param {string} pose.position a positions entry
+ * @param {number} pose.workAngle degrees from the workpiece surface, as ROD_ANGLES
+ * @param {number} pose.travelAngle degrees from perpendicular, positive when dragging
+ * @param {object} [options]
+ * @param {object} [options.knowledge]
+ * @returns {TorchPose}
+ * @throws {Error} for a joint type or position it has no layout for
+ */
+export function torchPose(pose, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const { jointType, position, workAngle, travelAngle } = pose;
+  const plates = JOINT_PLATES[jointType];
+  const frame = POSITION_FRAMES[position];
+  if (!plates) throw new Error(`No layout for joint type "${jointType}"`);
+  if (!frame) throw new Error(`No layout for position "${position}"`);
+
+  // Rotation taking the joint frame onto the position's travel and face
+  const fillet = FILLET_JOINTS.includes(jointType);
+  const localFace = fillet ? [0, HALF, HALF] : [0, 1, 0];
+  const worldFace = fillet ? frame.fillet : frame.groove;
+  const local = [[1, 0, 0], localFace, cross([1, 0, 0], localFace)];
+  const world = [frame.travel, worldFace, cross(frame.travel, worldFace)];
+  const toWorld = v => [0, 1, 2].reduce((sum, i) => add(sum, scale(world[i], dot(v, local[i]))), [0, 0, 0]);
+  const basis = [[1, 0, 0], [0, 1, 0], [0, 0, 1]].map(toWorld);
+
+  // Electrode without travel tilt, then tilted back over the finished weld
+  const work = radians(workAngle);
+  const travel = radians(travelAngle);
+  const surface = basis[2];
+  const upright = add(scale(surface, Math.cos(work)), scale(basis[1], Math.sin(work)));
+  const direction = add(scale(upright, Math.cos(travel)), scale(frame.travel, -Math.sin(travel)));
+  const tip = scale(direction, ARC_GAP);
+
+  const arcs = [angleArc('work', workAngle, `Work ${round(workAngle)}°`, surface, upright, ARC_RADIUS)];
+  if (Math.round(travelAngle) !== 0) {
+    const label = `Travel ${round(Math.abs(travelAngle))}° ${travelAngle > 0 ? 'drag' : 'push'}`;
+    arcs.push(angleArc('travel', travelAngle, label, upright, direction, ARC_RADIUS * 1.4));
+  }
+
+  return {
+    jointType,
+    position,
+    basis: basis.map(roundVector),
+    plates: plates.map(plate => ({ center: roundVector(toWorld(plate.center)), size: plate.size })),
+    root: [0, 0, 0],
+    travel: frame.travel,
+    gravity: {
+      direction: GRAVITY,
+      description: knowledge.positions[position] && knowledge.positions[position].gravity,
+      source: `positions.${position}.gravity`
+    },
+    electrode: {
+      tip: roundVector(tip),
+      end: roundVector(add(tip, scale(direction, ELECTRODE_LENGTH))),
+      direction: roundVector(direction)
+    },
+    arcs
+  };
+}
+
+// Arc between two unit vectors around the root, sampled every few degrees
+function angleArc(angle, degrees, label, from, to, radius) {
+  const sweep = Math.acos(Math.min(Math.max(dot(from, to), -1), 1));
+  const steps = Math.max(2, Math.ceil(sweep / radians(5)));
+  const points = [];
+  for (let i = 0; i <= steps; i++) points.push(roundVector(scale(slerp(from, to, sweep, i / steps), radius)));
+  return {
+    angle,
+    degrees,
+    label,
+    points,
+    labelPosition: roundVector(scale(slerp(from, to, sweep, 0.5), radius * 1.2))
+  };
+}
+
+function slerp(from, to, sweep, t) {
+  if (sweep < 1e-6) return from;
+  const a = Math.sin((1 - t) * sweep) / Math.sin(sweep);
+  const b = Math.sin(t * sweep) / Math.sin(sweep);
+  return add(scale(from, a), scale(to, b));
+}
+
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function scale(v, factor) {
+  return [v[0] * factor, v[1] * factor, v[2] * factor];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function radians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Rounded to 1e-4, with -0 folded into 0 so results compare cleanly
+function roundVector(v) {
+  return v.map(value => Math.round(value * 10000) / 10000 + 0);
+}
@@ -0,0 +1,212 @@
+// Defect troubleshooting
+// The reverse of the puddle diagnosis: start from defects found in a
+// finished weld (porosity, undercut, cold lap, ...) and work back through
+// the defects table to ranked root causes and the changes that fix them.
+// The scenario decides which causes apply and which come first, and, when it
+// makes a valid recommendation, turns each change into numbers to aim for.
+
+import { weldingKnowledge } from './knowledge.js';
+import { DEFAULT_BASE_METAL, getMachine } from './lookups.js';
+import { resolveGeometry } from './geometry.js';
+import { matchesCondition } from './ruleEngine.js';
+import { currentTypes } from './validation.js';
+import { getRecommendations } from './recommendations.js';
+import { moistureSuspected } from './electrodeStorage.js';
+import { ARC_LENGTHS, TRAVEL_SPEEDS, MOTION_PATTERNS } from './technique.js';
+
+// Presets a change of arc gap or travel speed moves to, by techniques option
+const ARC_GAP_TARGETS = { Short: ARC_LENGTHS.SHORT, Medium: ARC_LENGTHS.MEDIUM, Long: ARC_LENGTHS.LONG };
+const TRAVEL_SPEED_TARGETS = { Slow: TRAVEL_SPEEDS.SLOW, Medium: TRAVEL_SPEEDS.MEDIUM, Fast: TRAVEL_SPEEDS.FAST };
+
+/**
+ * @typedef {object} DefectEntry
+ * @property {string} defect defects table key, e.g. "Porosity"
+ * @property {string} appearance what it looks like
+ * @property {string} source e.g. "defects.Porosity"
+ */
+
+/**
+ * @typedef {object} DefectCause
+ * @property {string} cause e.g. "Arc too long"
+ * @property {number} confidence 0-1: how strongly the defects agree on this
+ *   cause, weighting each defect's first-listed causes highest
+ * @property {string[]} defects the defects it explains
+ * @property {string[]} sources causes[] entries it was read from
+ * @property {boolean} likely whether the scenario made it likelier
+ */
+
+/**
+ * @typedef {object} DefectChange
+ * @property {string} field "amperage", "arcGap", "rodAngle", "travelSpeed",
+ *   "motionPattern" or "machineType"
+ * @property {"increase"|"decrease"} [direction] for amperage
+ * @property {string} [to] techniques option, or machineType value
+ */
+
+/**
+ * @typedef {object} DefectAdjustment
+ * @property {string} action e.g. "Shorten arc"
+ * @property {string} cause the DefectCause it addresses
+ * @property {number} confidence the confidence of that cause
+ * @property {string} source causes[] entry the action was read from
+ * @property {DefectChange|null} change the parameter it moves, if any
+ * @property {object} [target] what to aim for once the change is made: an
+ *   amperage Range within the recommended one, an arcLength or travelSpeed
+ *   preset (in/min), or a MotionPattern value
+ */
+
+/**
+ * @typedef {object} Troubleshooting
+ * @property {DefectEntry[]} defects in input order
+ * @property {DefectCause[]} causes most likely first
+ * @property {DefectAdjustment[]} adjustments one per cause, deduplicated,
+ *   most likely first; a cause whose only fixes are already listed, or can't
+ *   be made with this electrode and machine, has none
+ */
+
+/**
+ * Work back from weld defects to their likely causes and fixes.
+ * @param {string[]} defects defects table keys
+ * @param {object} [scenario] getRecommendations inputs: electrode, position,
+ *   jointType and so on. Any of them may be left out; the causes that depend
+ *   on them are then taken as written. A rodExposure past the electrode's
+ *   storage limit puts moisture in the coating first.
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @returns {Troubleshooting}
+ * @throws {Error} for a defect the table doesn't have
+ */
+export function troubleshootDefects(defects, scenario = {}, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const table = knowledge.defects || {};
+  const aliases = knowledge.causeAliases || {};
+  const facts = scenarioFacts(scenario, knowledge);
+  const moisture = moistureSuspected(scenario, knowledge) ? knowledge.electrodeStorage.moisture : null;
+  const entries = [];
+  const causes = new Map();
+
+  for (const defect of defects) {
+    const entry = table[defect];
+    if (!entry) {
+      throw new Error(`Unknown defect "${defect}"; expected one of ${Object.keys(table).join(', ')}`);
+    }
+    const source = `defects.${defect}`;
+    entries.push({ defect, appearance: entry.appearance, source });
+
+    // Causes that apply here, the likelier ones moved to the front
+    const applicable = entry.causes
+      .map((item, i) => ({
+        item,
+        source: `${source}.causes[${i}]`,
+        likely: Boolean(item.likelyWhen && matchesCondition(item.likelyWhen, facts))
+      }))
+      .filter(({ item }) => !item.when || matchesCondition(item.when, facts));
+    const ordered = [...applicable.filter(c => c.likely), ...applicable.filter(c => !c.likely)];
+    if (moisture && moisture.indicates.includes(source)) {
+      ordered.unshift({
+        item: { cause: moisture.cause, adjustment: moisture.adjustment },
+        source: 'electrodeStorage.moisture',
+        likely: true
+      });
+    }
+
+    ordered.forEach(({ item, source: causeSource, likely }, i) => {
+      const name = aliases[item.cause] || item.cause;
+      const weight = 1 - i / (2 * ordered.length);
+      const cause = causes.get(name) || { cause: name, score: 0, defects: [], sources: [], likely: false, actions: [] };
+
+      cause.score += weight;
+      cause.defects.push(defect);
+      cause.sources.push(causeSource);
+      cause.likely = cause.likely || likely;
+      cause.actions.push({ action: item.adjustment, change: item.change || null, weight, source: causeSource });
+      causes.set(name, cause);
+    });
+  }
+
+  // Highest score first, ties in the order the causes were first met
+  const ranked = [...causes.values()]
+    .map(cause => ({ ...cause, confidence: round(cause.score / entries.length) }))
+    .sort((a, b) => b.score - a.score);
+
+  const recommendation = ranked.length ? scenarioRecommendation(scenario, knowledge) : null;
+  const adjustments = [];
+  const seen = new Set();
+  for (const cause of ranked) {
+    const best = [...cause.actions]
+      .sort((a, b) => b.weight - a.weight)
+      .find(a => !seen.has(a.action) && canChange(a.change, scenario, knowledge));
+    if (!best) continue;
+    seen.add(best.action);
+    const target = changeTarget(best.change, recommendation);
+    adjustments.push({
+      action: best.action,
+      cause: cause.cause,
+      confidence: cause.confidence,
+      source: best.source,
+      change: best.change,
+      ...(target && { target })
+    });
+  }
+
+  return {
+    defects: entries,
+    causes: ranked.map(({ cause, confidence, defects: from, sources, likely }) => ({
+      cause, confidence, defects: from, sources, likely
+    })),
+    adjustments
+  };
+}
+
+// What the conditions can test: the inputs, the base metal and its family,
+// and the thickness preset a numeric thickness falls in
+function scenarioFacts(scenario, knowledge) {
+  const baseMetal = scenario.baseMetal || DEFAULT_BASE_METAL;
+  const baseMetalData = knowledge.baseMetals && knowledge.baseMetals[baseMetal];
+  const geometry = resolveGeometry(scenario, knowledge);
+  return {
+    ...scenario,
+    baseMetal,
+    baseMetalFamily: baseMetalData ? baseMetalData.family : undefined,
+    metalThickness: geometry ? geometry.preset : scenario.metalThickness
+  };
+}
+
+// A change of machine output only helps if the electrode runs on it and the
+// machine, when there is one, supplies it
+function canChange(change, scenario, knowledge) {
+  if (!change || change.field !== 'machineType') return true;
+  const electrode = knowledge.electrodes[scenario.electrode];
+  const machine = scenario.machine && getMachine(scenario.machine, knowledge);
+  return (!electrode || currentTypes(electrode).includes(change.to)) && (!machine || machine.outputs.includes(change.to));
+}
+
+// The scenario's recommendation, for numeric targets; none while it is
+// incomplete or won't weld
+function scenarioRecommendation(scenario, knowledge) {
+  if (!scenario.electrode || !scenario.electrodeSize) return null;
+  const recommendation = getRecommendations(scenario, { knowledge });
+  return recommendation.valid && recommendation.amperage ? recommendation : null;
+}
+
+function changeTarget(change, recommendation) {
+  if (!change) return null;
+  if (change.field === 'amperage') {
+    if (!recommendation) return null;
+    const { min, max, nominal, unit } = recommendation.amperage;
+    return change.direction === 'increase'
+      ? { min: nominal, max, nominal: Math.round((nominal + max) / 2), unit }
+      : { min, max: nominal, nominal: Math.round((min + nominal) / 2), unit };
+  }
+  if (change.field === 'arcGap') return ARC_GAP_TARGETS[change.to] || null;
+  if (change.field === 'travelSpeed') return TRAVEL_SPEED_TARGETS[change.to] || null;
+  if (change.field === 'motionPattern') {
+    const pattern = Object.keys(MOTION_PATTERNS).find(key => MOTION_PATTERNS[key].label === change.to);
+    return pattern || null;
+  }
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
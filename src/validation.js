@@ -0,0 +1,354 @@
+// Input validation
+// Checks a scenario against what the knowledge base says each electrode can
+// do, so getRecommendations never gives confident advice for a combination
+// that won't weld: E7024 vertical, E6010 on an AC machine, a 5/32" rod on
+// sheet metal, mild steel rod on stainless, a 5/32" E7024 on a machine that
+// can't reach its amperage.
+
+import { weldingKnowledge } from './knowledge.js';
+import {
+  MACHINE_TYPES,
+  OBSERVATION_FIELDS,
+  DEFAULT_BASE_METAL,
+  getElectrodeCompatibility,
+  getMachine,
+  listObservationValues
+} from './lookups.js';
+import { LENGTH_UNITS, LENGTH_INPUTS, resolveGeometry, suitableElectrodeSizes } from './geometry.js';
+import { storageClass, moistureSuspected } from './electrodeStorage.js';
+import { machineOutput } from './machines.js';
+
+// Issue codes reported by validateInputs
+export const ValidationCode = Object.freeze({
+  MISSING_VALUE: 'MISSING_VALUE',
+  UNKNOWN_VALUE: 'UNKNOWN_VALUE',
+  POSITION_NOT_SUPPORTED: 'POSITION_NOT_SUPPORTED',
+  CURRENT_NOT_SUPPORTED: 'CURRENT_NOT_SUPPORTED',
+  ELECTRODE_TOO_LARGE: 'ELECTRODE_TOO_LARGE',
+  ELECTRODE_SIZE_NOT_IDEAL: 'ELECTRODE_SIZE_NOT_IDEAL',
+  ELECTRODE_NOT_COMPATIBLE: 'ELECTRODE_NOT_COMPATIBLE',
+  ELECTRODE_NOT_IDEAL: 'ELECTRODE_NOT_IDEAL',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  BURN_THROUGH_RISK: 'BURN_THROUGH_RISK',
+  PREHEAT_NEEDED: 'PREHEAT_NEEDED',
+  ROD_OVER_EXPOSED: 'ROD_OVER_EXPOSED',
+  OUTPUT_NOT_AVAILABLE: 'OUTPUT_NOT_AVAILABLE',
+  AMPERAGE_NOT_AVAILABLE: 'AMPERAGE_NOT_AVAILABLE',
+  AMPERAGE_LIMITED: 'AMPERAGE_LIMITED',
+  DUTY_CYCLE_EXCEEDED: 'DUTY_CYCLE_EXCEEDED',
+  OPEN_CIRCUIT_VOLTAGE_LOW: 'OPEN_CIRCUIT_VOLTAGE_LOW',
+  PARTIAL_PENETRATION: 'PARTIAL_PENETRATION',
+  TOO_MANY_PASSES: 'TOO_MANY_PASSES'
+});
+
+// Joints welded with a fillet, for electrodes rated "Horizontal fillet" only
+const FILLET_JOINTS = ['Lap', 'T'];
+
+// Largest bevel angle per plate accepted, in degrees
+const MAX_BEVEL_ANGLE = 60;
+
+// Largest carbon equivalent accepted; cast iron runs to about this
+const MAX_CARBON_EQUIVALENT = 1.5;
+
+// Inputs every scenario needs, with the knowledge table that defines them.
+// A numeric thickness stands in for metalThickness.
+const REQUIRED_INPUTS = {
+  electrode: 'electrodes',
+  electrodeSize: 'electrodeSize',
+  position: 'positions',
+  metalThickness: 'metalThickness',
+  jointType: 'jointTypes'
+};
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} code a ValidationCode
+ * @property {string} field the input the issue is about
+ * @property {string} message
+ * @property {{field: string, value: string}[]} suggestions substitute input
+ *   values that would resolve the issue, best first
+ */
+
+/**
+ * Check a getRecommendations input set for combinations the knowledge base
+ * rules out. Errors block a recommendation; warnings accompany one.
+ * @param {object} inputs same shape as getRecommendations inputs
+ * @param {object} [options]
+ * @param {object} [options.knowledge] knowledge base to use instead of the built-in one
+ * @returns {{valid: boolean, errors: ValidationIssue[], warnings: ValidationIssue[]}}
+ */
+export function validateInputs(inputs, options = {}) {
+  const { knowledge = weldingKnowledge } = options;
+  const errors = [];
+  const warnings = [];
+
+  for (const [field, table] of Object.entries(REQUIRED_INPUTS)) {
+    const value = inputs[field];
+    if (field === 'metalThickness' && isBlank(value) && !isBlank(inputs.thickness)) continue;
+    if (isBlank(value)) {
+      errors.push(issue(ValidationCode.MISSING_VALUE, field, `${field} is required`));
+    } else if (!knowledge[table][value]) {
+      errors.push(issue(ValidationCode.UNKNOWN_VALUE, field, `Unknown ${field} "${value}"`,
+        Object.keys(knowledge[table]).map(option => ({ field, value: option }))));
+    }
+  }
+
+  if (inputs.machineType && !MACHINE_TYPES.includes(inputs.machineType)) {
+    errors.push(issue(ValidationCode.UNKNOWN_VALUE, 'machineType', `Unknown machineType "${inputs.machineType}"`,
+      MACHINE_TYPES.map(value => ({ field: 'machineType', value }))));
+  }
+
+  // Observed puddle and arc states, and a measured arc gap, are optional but
+  // must be ones the knowledge base describes
+  const observations = Object.keys(OBSERVATION_FIELDS)
+    .map(field => [field, listObservationValues(field, knowledge)])
+    .concat([['observedArcGap', Object.keys(knowledge.techniques.arcGap)]]);
+  for (const [field, values] of observations) {
+    const value = inputs[field];
+    if (!isBlank(value) && !values.includes(value)) {
+      errors.push(issue(ValidationCode.UNKNOWN_VALUE, field, `Unknown ${field} "${value}"`,
+        values.map(option => ({ field, value: option }))));
+    }
+  }
+
+  if (!isBlank(inputs.machine) && !getMachine(inputs.machine, knowledge)) {
+    errors.push(issue(ValidationCode.UNKNOWN_VALUE, 'machine', `Unknown machine "${inputs.machine}"`,
+      Object.keys(knowledge.machines || {}).map(value => ({ field: 'machine', value }))));
+  }
+
+  errors.push(...checkGeometry(inputs));
+
+  if (inputs.baseMetal && knowledge.baseMetals && !knowledge.baseMetals[inputs.baseMetal]) {
+    errors.push(issue(ValidationCode.UNKNOWN_VALUE, 'baseMetal', `Unknown baseMetal "${inputs.baseMetal}"`,
+      Object.keys(knowledge.baseMetals).map(value => ({ field: 'baseMetal', value }))));
+  }
+
+  // Compatibility checks only make sense once the individual values are known
+  if (errors.length) {
+    return { valid: false, errors, warnings };
+  }
+
+  const { electrode, electrodeSize, position, metalThickness, jointType, machineType } = inputs;
+  const baseMetal = inputs.baseMetal || DEFAULT_BASE_METAL;
+  const electrodeData = knowledge.electrodes[electrode];
+  const machine = isBlank(inputs.machine) ? null : getMachine(inputs.machine, knowledge);
+  const weldable = e => supportsPosition(e, position, jointType) &&
+    (!machineType || currentTypes(e).includes(machineType)) &&
+    (!machine || machineOutput(machine, e, machineType) !== undefined);
+  // Substitutes must still suit the base metal
+  const suitsMetal = name => !knowledge.baseMetals ||
+    getElectrodeCompatibility(name, baseMetal, knowledge) !== 'incompatible';
+
+  if (knowledge.baseMetals) {
+    const compatibility = getElectrodeCompatibility(electrode, baseMetal, knowledge);
+    const { recommended, acceptable } = knowledge.baseMetals[baseMetal].electrodes;
+    // Matching electrodes that also suit the position and machine, recommended first
+    const suggestions = [...recommended, ...acceptable]
+      .filter(name => name !== electrode && knowledge.electrodes[name] && weldable(knowledge.electrodes[name]))
+      .map(value => ({ field: 'electrode', value }));
+
+    if (compatibility === 'incompatible') {
+      errors.push(issue(ValidationCode.ELECTRODE_NOT_COMPATIBLE, 'electrode',
+        `${electrode} is not a filler metal for ${baseMetal}; use ${recommended.join(' or ')}`,
+        suggestions));
+    } else if (compatibility === 'acceptable') {
+      warnings.push(issue(ValidationCode.ELECTRODE_NOT_IDEAL, 'electrode',
+        `${electrode} will weld ${baseMetal}, but ${recommended.join(' or ')} matches it better`,
+        suggestions));
+    }
+  }
+
+  if (!supportsPosition(electrodeData, position, jointType)) {
+    const fillet = electrodeData.positions.some(p => p.startsWith(position) && p !== position);
+    errors.push(issue(
+      ValidationCode.POSITION_NOT_SUPPORTED,
+      'position',
+      fillet
+        ? `${electrode} is only rated for ${position.toLowerCase()} fillet welds, not a ${jointType} joint`
+        : `${electrode} cannot be run ${position}; it is rated for ${electrodeData.positions.join(', ')}`,
+      substituteElectrodes(knowledge, electrode, (e, name) => weldable(e) && suitsMetal(name))
+    ));
+  }
+
+  if (machineType && !currentTypes(electrodeData).includes(machineType)) {
+    errors.push(issue(
+      ValidationCode.CURRENT_NOT_SUPPORTED,
+      'machineType',
+      `${electrode} requires ${electrodeData.current}; it will not run on ${machineType}`,
+      [
+        ...substituteElectrodes(knowledge, electrode, (e, name) => weldable(e) && suitsMetal(name)),
+        ...currentTypes(electrodeData).map(value => ({ field: 'machineType', value }))
+      ]
+    ));
+  }
+
+  if (machine) errors.push(...checkMachineFit(inputs, machine, knowledge, weldable, suitsMetal));
+
+  const geometry = resolveGeometry(inputs, knowledge);
+  const electrodeSizes = geometry && suitableElectrodeSizes(geometry, knowledge);
+  const metal = geometry && geometry.source === 'input'
+    ? `${inputs.thickness} ${inputs.lengthUnit || 'in'}`
+    : metalThickness;
+
+  if (electrodeSizes && !electrodeSizes.recommended.includes(electrodeSize)) {
+    const suggestions = electrodeSizes.recommended.map(value => ({ field: 'electrodeSize', value }));
+    if (electrodeSizes.acceptable.includes(electrodeSize)) {
+      warnings.push(issue(ValidationCode.ELECTRODE_SIZE_NOT_IDEAL, 'electrodeSize',
+        `${electrodeSize} is workable on ${metal} metal, but ${electrodeSizes.recommended.join(' or ')} suits it better`,
+        suggestions));
+    } else {
+      errors.push(issue(ValidationCode.ELECTRODE_TOO_LARGE, 'electrodeSize',
+        `${electrodeSize} is too large for ${metal} metal`,
+        suggestions));
+    }
+  }
+
+  // Low-hydrogen and stainless rods left out too long
+  if (moistureSuspected(inputs, knowledge)) {
+    const { exposureLimit, rebake } = storageClass(electrode, knowledge);
+    warnings.push(issue(ValidationCode.ROD_OVER_EXPOSED, 'rodExposure',
+      `${electrode} has been out of the oven ${inputs.rodExposure} h, past its ${exposureLimit} h limit; ` +
+      `rebake at ${rebake.min}-${rebake.max}°F for ${rebake.hours} h or open a fresh can`));
+  }
+
+  // Rods that need a harder arc to strike than the machine's AC gives
+  const strikeVoltage = machine && knowledge.machineModel.minOpenCircuitVoltage[electrode];
+  if (strikeVoltage && machineOutput(machine, electrodeData, machineType) === 'AC' &&
+      machine.openCircuitVoltage < strikeVoltage) {
+    warnings.push(issue(ValidationCode.OPEN_CIRCUIT_VOLTAGE_LOW, 'machine',
+      `${electrode} on AC wants ${strikeVoltage} V open-circuit; the ${inputs.machine}'s ` +
+      `${machine.openCircuitVoltage} V will make it hard to strike and keep lit`,
+      currentTypes(electrodeData).filter(type => type !== 'AC' && machine.outputs.includes(type))
+        .map(value => ({ field: 'machineType', value }))));
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+// The machine must supply an output the electrode runs on, the machineType
+// if one is set, and reach some of the amperage range for the rod size
+function checkMachineFit(inputs, machine, knowledge, weldable, suitsMetal) {
+  const { electrode, electrodeSize, machineType } = inputs;
+  const electrodeData = knowledge.electrodes[electrode];
+  const name = inputs.machine;
+  const errors = [];
+
+  if (machineOutput(machine, electrodeData) === undefined) {
+    errors.push(issue(ValidationCode.CURRENT_NOT_SUPPORTED, 'machine',
+      `${electrode} requires ${electrodeData.current}; the ${name} only supplies ${machine.outputs.join(', ')}`,
+      [
+        ...substituteElectrodes(knowledge, electrode, (e, substitute) => weldable(e) && suitsMetal(substitute)),
+        ...Object.keys(knowledge.machines)
+          .filter(other => machineOutput(knowledge.machines[other], electrodeData) !== undefined)
+          .map(value => ({ field: 'machine', value }))
+      ]));
+  } else if (machineType && !machine.outputs.includes(machineType)) {
+    errors.push(issue(ValidationCode.OUTPUT_NOT_AVAILABLE, 'machineType',
+      `The ${name} has no ${machineType} output; it supplies ${machine.outputs.join(', ')}`,
+      currentTypes(electrodeData).filter(type => machine.outputs.includes(type))
+        .map(value => ({ field: 'machineType', value }))));
+  }
+
+  const reachable = size => {
+    const range = knowledge.electrodeSize[size].amperage[electrode];
+    return !range || (range.min <= machine.amperage.max && range.max >= machine.amperage.min);
+  };
+  if (!reachable(electrodeSize)) {
+    const { min, max } = knowledge.electrodeSize[electrodeSize].amperage[electrode];
+    errors.push(issue(ValidationCode.AMPERAGE_NOT_AVAILABLE, 'electrodeSize',
+      `${electrodeSize} ${electrode} runs at ${min}-${max} A, out of the ${name}'s ` +
+      `${machine.amperage.min}-${machine.amperage.max} A`,
+      Object.keys(knowledge.electrodeSize).filter(reachable).map(value => ({ field: 'electrodeSize', value }))));
+  }
+
+  return errors;
+}
+
+/**
+ * Machine output types an electrode runs on, parsed from its `current` field,
+ * e.g. "AC, DC+ or DC-" -> ["AC", "DC+", "DC-"].
+ * @param {object} electrodeData an electrodes table entry
+ * @returns {string[]}
+ */
+export function currentTypes(electrodeData) {
+  return electrodeData.current.match(/AC|DC[+-]/g) || [];
+}
+
+/**
+ * Whether an electrode is rated for a position. Entries such as
+ * "Horizontal fillet" allow the position for fillet joints only.
+ * @param {object} electrodeData an electrodes table entry
+ * @param {string} position
+ * @param {string} [jointType]
+ * @returns {boolean}
+ */
+export function supportsPosition(electrodeData, position, jointType) {
+  return electrodeData.positions.some(rated =>
+    rated === position || (rated === `${position} fillet` && FILLET_JOINTS.includes(jointType)));
+}
+
+// Numeric thickness, joint geometry, carbon equivalent, rod exposure and run
+// length: known unit, sensible values
+function checkGeometry(inputs) {
+  const errors = [];
+  const unit = inputs.lengthUnit || 'in';
+
+  if (!LENGTH_UNITS.includes(unit)) {
+    errors.push(issue(ValidationCode.UNKNOWN_VALUE, 'lengthUnit', `Unknown lengthUnit "${unit}"`,
+      LENGTH_UNITS.map(value => ({ field: 'lengthUnit', value }))));
+  }
+
+  for (const field of LENGTH_INPUTS) {
+    const value = inputs[field];
+    if (isBlank(value)) continue;
+    const positive = field === 'thickness';
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+      errors.push(issue(ValidationCode.OUT_OF_RANGE, field,
+        `${field} must be a ${positive ? 'positive' : 'non-negative'} number of ${unit}`));
+    }
+  }
+
+  const { bevelAngle, rootFace, thickness } = inputs;
+  if (!isBlank(bevelAngle) &&
+      (typeof bevelAngle !== 'number' || !(bevelAngle >= 0 && bevelAngle <= MAX_BEVEL_ANGLE))) {
+    errors.push(issue(ValidationCode.OUT_OF_RANGE, 'bevelAngle',
+      `bevelAngle must be between 0 and ${MAX_BEVEL_ANGLE}° per plate`));
+  }
+  if (typeof rootFace === 'number' && typeof thickness === 'number' && rootFace > thickness) {
+    errors.push(issue(ValidationCode.OUT_OF_RANGE, 'rootFace', 'rootFace cannot exceed the plate thickness'));
+  }
+  const { carbonEquivalent } = inputs;
+  if (!isBlank(carbonEquivalent) &&
+      (typeof carbonEquivalent !== 'number' || !(carbonEquivalent >= 0 && carbonEquivalent <= MAX_CARBON_EQUIVALENT))) {
+    errors.push(issue(ValidationCode.OUT_OF_RANGE, 'carbonEquivalent',
+      `carbonEquivalent must be between 0 and ${MAX_CARBON_EQUIVALENT}`));
+  }
+  const { rodExposure } = inputs;
+  if (!isBlank(rodExposure) && (typeof rodExposure !== 'number' || !(rodExposure >= 0 && rodExposure < Infinity))) {
+    errors.push(issue(ValidationCode.OUT_OF_RANGE, 'rodExposure', 'rodExposure must be a non-negative number of hours'));
+  }
+  const { runLength } = inputs;
+  if (!isBlank(runLength) && (typeof runLength !== 'number' || !(runLength > 0 && runLength < Infinity))) {
+    errors.push(issue(ValidationCode.OUT_OF_RANGE, 'runLength', `runLength must be a positive number of ${unit}`));
+  }
+
+  return errors;
+}
+
+// Electrodes passing `accept`, closest in strength to the original first
+function substituteElectrodes(knowledge, electrode, accept) {
+  const original = knowledge.electrodes[electrode];
+  return Object.entries(knowledge.electrodes)
+    .filter(([name, data]) => name !== electrode && accept(data, name))
+    .sort(([, a], [, b]) =>
+      (b.tensileStrength === original.tensileStrength) - (a.tensileStrength === original.tensileStrength))
+    .map(([value]) => ({ field: 'electrode', value }));
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function issue(code, field, message, suggestions = []) {
+  return { code, field, message, suggestions };
+}
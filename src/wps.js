@@ -0,0 +1,278 @@
+// Welding Procedure Specification export
+// Collects the inputs, their recommendation and pass plan into a WPS-style
+// record, and writes it as JSON, Markdown or printable HTML. Nothing here
+// computes new values; it only arranges what getRecommendations and
+// planPasses already give.
+
+import { weldingKnowledge } from './knowledge.js';
+import { getRecommendations } from './recommendations.js';
+import { planPasses } from './passPlanner.js';
+import { resolveGeometry, MM_PER_IN } from './geometry.js';
+import { currentTypes } from './validation.js';
+import { DEFAULT_BASE_METAL } from './lookups.js';
+import { MotionPattern } from './technique.js';
+import {
+  formatRange,
+  formatAmperage,
+  formatArcLength,
+  formatRodAngle,
+  formatTravelSpeed,
+  formatThermal,
+  formatThickness,
+  formatMotionPatterns
+} from './format.js';
+
+// Machine output type -> AWS polarity designation
+const POLARITIES = { 'DC+': 'DCEP', 'DC-': 'DCEN', AC: 'AC' };
+
+export const WPS_FORMATS = ['html', 'markdown', 'json'];
+
+/**
+ * @typedef {object} Wps
+ * @property {string|null} wpsNumber
+ * @property {string|null} date
+ * @property {{code: string, name: string}} process
+ * @property {object} joint type, thickness and any bevelAngle, rootOpening,
+ *   rootFace and filletLeg given
+ * @property {{name: string, family: string}} baseMetal
+ * @property {{classification: string, size: string, diameter: {value: number, unit: string},
+ *   tensileStrength: string}} fillerMetal
+ * @property {string} position
+ * @property {{polarity: string[], amperage: import('./recommendations.js').Range}} electrical
+ *   polarity is the machine's, or every one the electrode runs on
+ * @property {object} technique arcLength, workAngle, travelAngle, travelSpeed,
+ *   motionPatterns and beadType ("Stringer" or "Weave")
+ * @property {import('./recommendations.js').Thermal} thermal
+ * @property {string[]} notes
+ * @property {import('./passPlanner.js').Pass[]} passes empty for a single-pass weld
+ * @property {string[]} warnings
+ */
+
+/**
+ * Build a WPS record for a scenario.
+ * @param {object} inputs getRecommendations inputs
+ * @param {object} [options] getRecommendations options, plus:
+ * @param {string} [options.wpsNumber]
+ * @param {string} [options.date] printed as given
+ * @returns {Wps}
+ * @throws {Error} when the inputs fail validation or the joint takes too many passes to plan
+ */
+export function buildWps(inputs, options = {}) {
+  const { knowledge = weldingKnowledge, units = 'imperial', wpsNumber = null, date = null } = options;
+  const recommendation = getRecommendations(inputs, { ...options, trace: false });
+  if (!recommendation.valid) {
+    throw new Error(`Cannot write a WPS for these inputs: ${recommendation.errors.map(e => e.message).join('; ')}`);
+  }
+
+  const metric = units === 'metric';
+  const plan = planPasses(inputs, options);
+  if (!plan.valid) {
+    throw new Error(`Cannot plan the passes for these inputs: ${plan.errors.map(e => e.message).join('; ')}`);
+  }
+  const electrode = knowledge.electrodes[inputs.electrode];
+  const baseMetal = inputs.baseMetal || DEFAULT_BASE_METAL;
+  const geometry = resolveGeometry(inputs, knowledge);
+  const length = inches => (inches === undefined ? null : {
+    value: metric ? Math.round(inches * MM_PER_IN * 10) / 10 : Math.round(inches * 1000) / 1000,
+    unit: metric ? 'mm' : 'in'
+  });
+
+  return {
+    wpsNumber,
+    date,
+    process: { code: 'SMAW', name: 'Shielded metal arc welding' },
+    joint: {
+      type: inputs.jointType,
+      thickness: recommendation.thickness,
+      bevelAngle: geometry.bevelAngle === undefined ? null : geometry.bevelAngle,
+      rootOpening: length(geometry.rootOpening),
+      rootFace: length(geometry.rootFace),
+      filletLeg: length(geometry.filletLeg)
+    },
+    baseMetal: {
+      name: baseMetal,
+      family: knowledge.baseMetals && knowledge.baseMetals[baseMetal] ? knowledge.baseMetals[baseMetal].family : null
+    },
+    fillerMetal: {
+      classification: inputs.electrode,
+      size: inputs.electrodeSize,
+      diameter: length(knowledge.electrodeSize[inputs.electrodeSize].diameter),
+      tensileStrength: electrode.tensileStrength
+    },
+    position: inputs.position,
+    electrical: {
+      polarity: (inputs.machineType ? [inputs.machineType] : currentTypes(electrode)).map(type => POLARITIES[type]),
+      amperage: recommendation.amperage
+    },
+    technique: {
+      arcLength: recommendation.arcLength,
+      workAngle: recommendation.workAngle,
+      travelAngle: recommendation.travelAngle,
+      travelSpeed: recommendation.travelSpeed,
+      motionPatterns: recommendation.motionPatterns,
+      beadType: recommendation.motionPatterns[0] === MotionPattern.STRAIGHT ? 'Stringer' : 'Weave'
+    },
+    thermal: recommendation.thermal,
+    notes: plan.passes.length > 1 ? plan.notes : recommendation.notes,
+    passes: plan.passes.length > 1 ? plan.passes : [],
+    warnings: plan.warnings.map(warning => warning.message)
+  };
+}
+
+/**
+ * Write a WPS record out.
+ * @param {Wps} wps
+ * @param {string} format "html", "markdown" or "json"
+ * @returns {string}
+ */
+export function formatWps(wps, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(wps, null, 2);
+    case 'markdown':
+      return wpsMarkdown(wps);
+    case 'html':
+      return wpsHtml(wps);
+    default:
+      throw new Error(`Unknown WPS format "${format}"; expected one of ${WPS_FORMATS.join(', ')}`);
+  }
+}
+
+// Labelled rows for each section, shared by the Markdown and HTML writers
+function wpsSections(wps) {
+  const { joint, technique } = wps;
+  const length = value => (value ? formatRange({ min: value.value, max: value.value, unit: value.unit }, 3) : null);
+
+  return [
+    { title: 'Process', rows: [['Process', `${wps.process.code} (${wps.process.name})`]] },
+    {
+      title: 'Joint',
+      rows: [
+        ['Joint type', joint.type],
+        ['Thickness', formatThickness(joint.thickness)],
+        ['Bevel angle', joint.bevelAngle === null ? null : `${joint.bevelAngle}° per plate`],
+        ['Root opening', length(joint.rootOpening)],
+        ['Root face', length(joint.rootFace)],
+        ['Fillet leg', length(joint.filletLeg)]
+      ]
+    },
+    {
+      title: 'Base Metal',
+      rows: [['Base metal', wps.baseMetal.family ? `${wps.baseMetal.name} (${wps.baseMetal.family})` : wps.baseMetal.name]]
+    },
+    {
+      title: 'Filler Metal',
+      rows: [
+        ['AWS classification', wps.fillerMetal.classification],
+        ['Diameter', `${wps.fillerMetal.size} (${length(wps.fillerMetal.diameter)})`],
+        ['Tensile strength', wps.fillerMetal.tensileStrength]
+      ]
+    },
+    { title: 'Position', rows: [['Position', wps.position]] },
+    {
+      title: 'Electrical Characteristics',
+      rows: [
+        ['Polarity', wps.electrical.polarity.join(' or ')],
+        ['Amperage', `${formatAmperage(wps.electrical.amperage)} (nominal ${wps.electrical.amperage.nominal}A)`]
+      ]
+    },
+    {
+      title: 'Technique',
+      rows: [
+        ['Bead type', technique.beadType],
+        ['Motion', formatMotionPatterns(technique.motionPatterns)],
+        ['Arc length', formatArcLength(technique.arcLength)],
+        ['Rod angle', formatRodAngle(technique.workAngle, technique.travelAngle)],
+        ['Travel speed', formatTravelSpeed(technique.travelSpeed)]
+      ]
+    },
+    { title: 'Preheat and Interpass', rows: [['Temperatures', formatThermal(wps.thermal)]] }
+  ].map(section => ({ ...section, rows: section.rows.filter(([, value]) => value) }));
+}
+
+function passRows(wps) {
+  return wps.passes.map(pass => [
+    String(pass.number),
+    pass.type[0].toUpperCase() + pass.type.slice(1),
+    String(pass.layer),
+    `${pass.electrode} ${pass.electrodeSize}`,
+    formatAmperage(pass.amperage),
+    formatMotionPatterns([pass.motionPattern])
+  ]);
+}
+
+const PASS_COLUMNS = ['Pass', 'Type', 'Layer', 'Filler', 'Amperage', 'Motion'];
+
+function heading(wps) {
+  return [wps.wpsNumber && `WPS No. ${wps.wpsNumber}`, wps.date && `Date: ${wps.date}`].filter(Boolean).join(' · ');
+}
+
+function wpsMarkdown(wps) {
+  const cell = text => String(text).replace(/\|/g, '\\|');
+  const table = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+
+  const lines = ['# Welding Procedure Specification', ''];
+  if (heading(wps)) lines.push(heading(wps), '');
+  for (const section of wpsSections(wps)) {
+    lines.push(`## ${section.title}`, '', table(['Item', 'Value'], section.rows), '');
+  }
+  if (wps.passes.length) {
+    lines.push('## Passes', '', table(PASS_COLUMNS, passRows(wps)), '');
+  }
+  if (wps.notes.length) {
+    lines.push('## Notes', '', ...wps.notes.map(note => `- ${note}`), '');
+  }
+  if (wps.warnings.length) {
+    lines.push('## Warnings', '', ...wps.warnings.map(warning => `- ${warning}`), '');
+  }
+  return lines.join('\n');
+}
+
+function wpsHtml(wps) {
+  const rowsHtml = rows => rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+  const list = (title, items) => (items.length
+    ? `<h2>${title}</h2>\n<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+    : '');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Welding Procedure Specification${wps.wpsNumber ? ` ${escapeHtml(wps.wpsNumber)}` : ''}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 2em; color: #111; }
+  h1 { font-size: 1.5em; border-bottom: 2px solid #111; padding-bottom: 0.3em; }
+  h2 { font-size: 1.1em; margin: 1.2em 0 0.4em; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { border: 1px solid #999; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  td:first-child { width: 30%; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Welding Procedure Specification</h1>
+${heading(wps) ? `<p>${escapeHtml(heading(wps))}</p>` : ''}
+${wpsSections(wps).map(section => `<h2>${section.title}</h2>
+<table>
+${rowsHtml(section.rows)}
+</table>`).join('\n')}
+${wps.passes.length ? `<h2>Passes</h2>
+<table>
+<tr>${PASS_COLUMNS.map(column => `<th>${column}</th>`).join('')}</tr>
+${rowsHtml(passRows(wps))}
+</table>` : ''}
+${list('Notes', wps.notes)}
+${list('Warnings', wps.warnings)}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  analyzeArcSignals,
+  syntheticArcWaveform,
+  arcVoltage,
+  arcLengthFromVoltage,
+  arcGapCategory,
+  ArcEvent,
+  getRecommendations
+} from '../src/index.js';
+
+const analyze = (waveform, options = {}) => analyzeArcSignals(waveform, { electrodeSize: '1/8"', ...options });
+
+test('arc length and arc voltage convert both ways', () => {
+  const volts = arcVoltage(120, 1.5, 0.125);
+
+  assert.equal(volts, 18 + 2.4 + 7.5);
+  assert.ok(Math.abs(arcLengthFromVoltage(volts, 120, 0.125) - 1.5) < 1e-9);
+  assert.equal(arcLengthFromVoltage(10, 120, 0.125), 0);
+  assert.deepEqual([0.75, 1, 1.5, 1.75].map(arcGapCategory), ['Short', 'Medium', 'Medium', 'Long']);
+});
+
+test('a steady DC arc is stable, with its arc length read from the voltage', () => {
+  const result = analyze(syntheticArcWaveform({ arcLength: 1.25 }));
+
+  assert.equal(result.stability, 'Stable');
+  assert.deepEqual(result.reasons, []);
+  assert.ok(Math.abs(result.arcLength.value - 1.25) <= 0.02);
+  assert.equal(result.arcLength.source, 'techniques.arcGap.Medium');
+  assert.ok(Math.abs(result.current - 120) < 1);
+  assert.equal(result.ac, null);
+  assert.deepEqual(result.observations, { observedStability: 'Stable', observedArcGap: 'Medium' });
+});
+
+test('short and long arcs fall in their arc gap entries', () => {
+  assert.equal(analyze(syntheticArcWaveform({ arcLength: 0.7 })).arcLength.category, 'Short');
+  assert.equal(analyze(syntheticArcWaveform({ arcLength: 1.8 })).arcLength.category, 'Long');
+  // A larger rod needs more voltage for the same multiple of its core
+  const larger = syntheticArcWaveform({ arcLength: 1.8, diameter: 5 / 32, current: 150 });
+  assert.equal(analyze(larger, { electrodeSize: '5/32"' }).arcLength.category, 'Long');
+});
+
+test('electrode reverse polarity reads the same as straight polarity', () => {
+  const straight = analyze(syntheticArcWaveform({ arcLength: 1.25 }));
+  const reverse = analyze(syntheticArcWaveform({ arcLength: 1.25, machineType: 'DC-' }));
+
+  assert.deepEqual(reverse.arcLength, straight.arcLength);
+  assert.equal(reverse.ac, null);
+});
+
+test('without an electrode size there is no arc length', () => {
+  const result = analyzeArcSignals(syntheticArcWaveform());
+
+  assert.equal(result.arcLength, null);
+  assert.deepEqual(result.observations, { observedStability: 'Stable' });
+});
+
+test('a wavering arc gap makes the arc unstable through its voltage variance', () => {
+  const result = analyze(syntheticArcWaveform({ gapJitter: 1 }));
+
+  assert.equal(result.stability, 'Unstable');
+  assert.deepEqual(result.reasons.map(reason => reason.metric), ['voltageVariation']);
+  assert.ok(result.voltage.variation > 0.1);
+  assert.equal(result.reasons[0].source, 'observables.arcStability.Unstable.causes[1]');
+});
+
+test('short circuits are detected and counted by the second', () => {
+  const result = analyze(syntheticArcWaveform({ shortCircuitRate: 8, shortCircuitDuration: 3 }));
+
+  assert.equal(result.shortCircuits.count, 8);
+  assert.equal(result.shortCircuits.rate, 8);
+  assert.ok(Math.abs(result.shortCircuits.meanDuration - 3) <= 0.2);
+  assert.ok(result.events.every(event => event.type === ArcEvent.SHORT_CIRCUIT));
+  assert.deepEqual(result.reasons.map(reason => reason.metric), ['shortCircuitRate']);
+  // The shorts don't drag the arc voltage down
+  assert.ok(Math.abs(result.arcLength.value - 1) <= 0.02);
+});
+
+test('occasional short circuits leave the arc stable', () => {
+  const result = analyze(syntheticArcWaveform({ shortCircuitRate: 2 }));
+
+  assert.equal(result.shortCircuits.count, 2);
+  assert.equal(result.stability, 'Stable');
+});
+
+test('an arc outage is found with its start and length', () => {
+  const result = analyze(syntheticArcWaveform({ outages: [{ start: 300, duration: 50 }] }));
+
+  assert.deepEqual(result.events, [{ type: ArcEvent.OUTAGE, start: 300, duration: 50 }]);
+  assert.equal(result.outages.longest, 50);
+  assert.equal(result.stability, 'Unstable');
+  assert.deepEqual(result.reasons.map(reason => reason.metric), ['outageRate']);
+});
+
+test('an AC arc passes through zero every half-cycle without counting as outages', () => {
+  const result = analyze(syntheticArcWaveform({ machineType: 'AC', arcLength: 1.25 }));
+
+  assert.equal(result.outages.count, 0);
+  assert.equal(result.ac.frequency, 60);
+  assert.ok(result.ac.halfCycles >= 118);
+  assert.equal(result.ac.wandering, false);
+  assert.equal(result.stability, 'Stable');
+  assert.equal(result.arcLength.category, 'Medium');
+});
+
+test('AC arc wander is flagged and pointed at the current type', () => {
+  const result = analyze(syntheticArcWaveform({ machineType: 'AC', wander: 0.15 }));
+
+  assert.ok(result.ac.wandering);
+  const wander = result.reasons.find(reason => reason.metric === 'acWander');
+  assert.equal(wander.source, 'observables.arcStability.Unstable.causes[0]');
+  assert.match(wander.message, /between half-cycles/);
+  assert.equal(result.stability, 'Unstable');
+});
+
+test('thresholds can be overridden', () => {
+  const waveform = syntheticArcWaveform({ shortCircuitRate: 8 });
+
+  assert.equal(analyze(waveform, { thresholds: { maxShortCircuitRate: 10 } }).stability, 'Stable');
+});
+
+test('a waveform with no arc at all is unstable', () => {
+  const waveform = syntheticArcWaveform({ duration: 100, outages: [{ start: 0, duration: 100 }] });
+
+  const result = analyze(waveform);
+
+  assert.equal(result.stability, 'Unstable');
+  assert.equal(result.voltage, null);
+  assert.equal(result.arcLength, null);
+});
+
+test('bad waveforms are rejected', () => {
+  assert.throws(() => analyze({ voltage: [], current: [] }), /positive sampleRate/);
+  assert.throws(() => analyze({ sampleRate: 1000, voltage: [], current: [] }), /needs voltage and current samples/);
+  assert.throws(() => analyze({ sampleRate: 1000 }), /needs voltage and current samples/);
+  assert.throws(() => analyze({ sampleRate: 1000, voltage: [1, 2], current: [1] }), /2 voltage samples but 1 current/);
+  assert.throws(() => analyzeArcSignals(syntheticArcWaveform(), { electrodeSize: '1/2"' }), /Unknown electrode size/);
+});
+
+test('the analysis feeds the recommendation as observations', () => {
+  const inputs = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: 'Medium (1/8"-3/16")', jointType: 'T' };
+  const analysis = analyze(syntheticArcWaveform({ arcLength: 1.8, gapJitter: 1 }));
+
+  const result = getRecommendations({ ...inputs, ...analysis.observations });
+
+  assert.ok(result.adjustments.includes('Shorten the arc to a short gap'));
+  assert.ok(result.diagnosis.symptoms.some(symptom => symptom.source === 'observables.arcStability.Unstable'));
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateBead, BeadDefect, getKnowledgeEntry } from '../src/index.js';
+
+const stringer = {
+  electrode: 'E7018',
+  electrodeSize: '1/8"',
+  amperage: 125,
+  arcLength: 1,
+  travelSpeed: 6.5,
+  travelAngle: 10,
+  motionPattern: 'STRAIGHT',
+  thickness: 0.25
+};
+
+const bead = changes => simulateBead({ ...stringer, ...changes });
+const defectTypes = profile => profile.defects.map(defect => defect.type);
+
+test('balanced settings lay a sound bead', () => {
+  const profile = bead({});
+
+  assert.deepEqual(profile.categories, {
+    arcGap: 'Medium',
+    travelSpeed: 'Medium',
+    rodAngle: 'Perpendicular',
+    motionPattern: 'Straight'
+  });
+  assert.equal(profile.puddle.fluidity, 'Moderate');
+  assert.deepEqual(profile.defects, []);
+  assert.ok(profile.width > profile.reinforcement);
+  assert.ok(profile.penetration > 0 && profile.penetration < stringer.thickness);
+});
+
+test('deposit area matches the pass planner at 120 A and medium travel', () => {
+  assert.equal(bead({ amperage: 120 }).area, 0.02);
+});
+
+test('a long arc gives a flatter, wider bead with less penetration', () => {
+  const medium = bead({});
+  const long = bead({ arcLength: 2 });
+
+  assert.equal(long.categories.arcGap, 'Long');
+  assert.ok(long.width > medium.width);
+  assert.ok(long.reinforcement < medium.reinforcement);
+  assert.ok(long.penetration < medium.penetration);
+});
+
+test('slow travel puts in more heat and builds up; fast travel leaves a stiff, narrow bead', () => {
+  const medium = bead({});
+  const slow = bead({ travelSpeed: 3 });
+  const fast = bead({ travelSpeed: 12 });
+
+  assert.ok(slow.heatInput > medium.heatInput && medium.heatInput > fast.heatInput);
+  assert.ok(slow.width > medium.width && medium.width > fast.width);
+  assert.equal(slow.puddle.fluidity, 'VeryFluid');
+  assert.ok(defectTypes(slow).includes(BeadDefect.EXCESS_REINFORCEMENT));
+  assert.equal(fast.puddle.fluidity, 'Stiff');
+  assert.ok(defectTypes(fast).includes(BeadDefect.UNDERCUT));
+  assert.ok(defectTypes(fast).includes(BeadDefect.LACK_OF_FUSION));
+});
+
+test('a shallow rod angle stacks metal instead of penetrating', () => {
+  const upright = bead({});
+  const shallow = bead({ travelAngle: 65 });
+
+  assert.equal(shallow.categories.rodAngle, 'Shallow');
+  assert.ok(shallow.reinforcement > upright.reinforcement);
+  assert.ok(shallow.penetration < upright.penetration);
+  assert.equal(shallow.defects.find(d => d.type === BeadDefect.EXCESS_REINFORCEMENT).source,
+    'techniques.rodAngle.Shallow.effect');
+});
+
+test('weaving widens the bead; whip and step spaces the ripples out', () => {
+  assert.ok(bead({ motionPattern: 'ZIGZAG' }).width > bead({}).width);
+  assert.equal(bead({ motionPattern: 'SIDE_TO_SIDE' }).categories.motionPattern, 'Zigzag');
+  assert.ok(bead({ motionPattern: 'WHIP_STEP' }).rippleSpacing > bead({}).rippleSpacing);
+});
+
+test('thin plate burns through where thick plate does not', () => {
+  const thin = bead({ thickness: 0.0625 });
+  const burn = thin.defects.find(d => d.type === BeadDefect.BURN_THROUGH);
+
+  assert.ok(burn);
+  assert.equal(burn.source, 'metalThickness.Thin (<1/8").penetration');
+  assert.ok(thin.penetration > bead({}).penetration);
+  assert.ok(!defectTypes(bead({ thickness: 0.5 })).includes(BeadDefect.BURN_THROUGH));
+  // Without a thickness there's nothing to burn through
+  assert.ok(!defectTypes(bead({ thickness: undefined, travelSpeed: 3 })).includes(BeadDefect.BURN_THROUGH));
+});
+
+test('a deep-penetrating electrode digs further than a shallow one', () => {
+  const e6010 = bead({ electrode: 'E6010', amperage: 100 });
+  const e6013 = bead({ electrode: 'E6013', amperage: 100 });
+  assert.ok(e6010.penetration > e6013.penetration);
+});
+
+test('effects and defects cite knowledge entries that exist', () => {
+  const profile = bead({ amperage: 170, travelSpeed: 12, arcLength: 2, thickness: 0.0625 });
+
+  assert.deepEqual(profile.effects.map(e => e.dimension),
+    ['arcGap', 'travelSpeed', 'rodAngle', 'motionPattern', 'metalThickness']);
+  assert.equal(profile.effects[0].notes.appearance, 'Flatter, wider bead');
+  assert.equal(profile.effects[4].notes.penetration, 'Watch for burn-through');
+  assert.ok(profile.defects.length > 0);
+  for (const { source } of [...profile.effects, ...profile.defects]) {
+    assert.notEqual(getKnowledgeEntry(source), undefined, source);
+  }
+  const severities = profile.defects.map(d => d.severity);
+  assert.deepEqual(severities, [...severities].sort((a, b) => b - a));
+  assert.ok(severities.every(severity => severity > 0 && severity <= 1));
+});
+
+test('unknown electrodes, sizes and motion patterns throw', () => {
+  assert.throws(() => bead({ electrode: 'E9999' }), /Unknown electrode/);
+  assert.throws(() => bead({ electrodeSize: '1/4"' }), /No amperage range/);
+  assert.throws(() => bead({ motionPattern: 'FIGURE_EIGHT' }), /Unknown motion pattern/);
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createWeldController,
+  createWeldPlant,
+  runClosedLoop,
+  ControllerMode,
+  SETPOINT_FIELDS,
+  weldingKnowledge
+} from '../src/index.js';
+
+const inputs = {
+  electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: 'Medium (1/8"-3/16")', jointType: 'T'
+};
+
+const loop = (options = {}, plantOptions = {}, controllerOptions = {}) =>
+  runClosedLoop(createWeldController(inputs, controllerOptions), createWeldPlant(inputs, plantOptions), options);
+
+test('the controller starts from the recommendation inside the electrode size window', () => {
+  const controller = createWeldController(inputs);
+
+  assert.deepEqual(controller.baseline, { amperage: 125, travelSpeed: 6.5, arcLength: 0.75 });
+  assert.deepEqual(controller.limits.amperage, weldingKnowledge.electrodeSize['1/8"'].amperage.E7018);
+  assert.deepEqual(controller.limits.travelSpeed, { min: 3, max: 12 });
+  assert.deepEqual(controller.limits.arcLength, { min: 0.5, max: 2 });
+  assert.ok(controller.targets.puddleWidth > 0);
+});
+
+test('an undisturbed weld stays near the recommended setpoints', () => {
+  const last = loop({ duration: 5000 }).at(-1).output;
+
+  assert.equal(last.mode, ControllerMode.TRACKING);
+  assert.ok(Math.abs(last.setpoints.amperage - 125) < 4, `${last.setpoints.amperage} A`);
+  assert.ok(Math.abs(last.setpoints.travelSpeed - 6.5) < 0.3, `${last.setpoints.travelSpeed} in/min`);
+  assert.ok(Math.abs(last.setpoints.arcLength - 0.75) < 0.05, `${last.setpoints.arcLength} x core`);
+});
+
+test('a narrowing puddle gets more amperage and slower travel until it is back on width', () => {
+  const history = loop({ duration: 15000, disturbances: [{ at: 1000, widthFactor: 0.9 }] }, { noise: 0 });
+  const last = history.at(-1).output;
+
+  assert.ok(last.setpoints.amperage > 130);
+  assert.ok(last.setpoints.travelSpeed < 6.4);
+  assert.ok(Math.abs(last.errors.width) < 0.01, `width error ${last.errors.width}`);
+});
+
+test('every change is rate-limited', () => {
+  const history = loop({ duration: 8000, interval: 100, disturbances: [{ at: 1000, widthFactor: 0.6, standoff: 0.6 }] });
+  const perStep = { amperage: 1.5, travelSpeed: 0.2, arcLength: 0.05 };
+
+  for (const { output } of history) {
+    SETPOINT_FIELDS.forEach(field => assert.ok(Math.abs(output.deltas[field]) <= perStep[field] + 1e-3,
+      `${field} moved ${output.deltas[field]} at ${output.time} ms`));
+  }
+  assert.ok(history.some(({ output }) => output.limited.includes('amperage')));
+});
+
+test('amperage never leaves the electrode size window, however cold the plate', () => {
+  const history = loop({ duration: 15000, disturbances: [{ at: 500, widthFactor: 0.5 }] });
+  const amps = history.map(({ output }) => output.setpoints.amperage);
+
+  assert.ok(Math.max(...amps) <= 150);
+  assert.equal(amps.at(-1), 150);
+  assert.ok(history.at(-1).output.limited.includes('amperage'));
+  assert.ok(history.every(({ output }) => output.setpoints.travelSpeed >= 3));
+});
+
+test('amperage stays within the machine when it tops out below the electrode size window', () => {
+  const buzzBox = { electrode: 'E7024', electrodeSize: '5/32"', position: 'Flat', metalThickness: 'Thick (>3/16")',
+    jointType: 'T', machineType: 'AC', machine: 'AC buzz box' };
+  const controller = createWeldController(buzzBox);
+  assert.deepEqual(controller.limits.amperage, { min: 180, max: 225 });
+
+  const history = runClosedLoop(controller, createWeldPlant(buzzBox), {
+    duration: 15000,
+    disturbances: [{ at: 500, widthFactor: 0.6 }]
+  });
+  const amps = history.map(({ output }) => output.setpoints.amperage);
+  assert.ok(Math.max(...amps) <= 225);
+  assert.equal(amps.at(-1), 225);
+  assert.ok(history.at(-1).output.limited.includes('amperage'));
+});
+
+test('the integral does not wind up while saturated', () => {
+  const history = loop({
+    duration: 20000,
+    disturbances: [{ at: 500, widthFactor: 0.5 }, { at: 10000, widthFactor: 1 }]
+  }, { noise: 0 });
+  const afterRelease = history.find(({ output }) => output.time === 14000).output;
+
+  // Back off the limit within a few seconds of the plate warming up
+  assert.ok(afterRelease.setpoints.amperage < 135, `${afterRelease.setpoints.amperage} A`);
+});
+
+test('a drifting standoff is taken out of the arc length setpoint', () => {
+  const last = loop({ duration: 8000, disturbances: [{ at: 1000, standoff: 0.2 }] }, { noise: 0 }).at(-1).output;
+
+  assert.ok(Math.abs(last.setpoints.arcLength - 0.55) < 0.02, `${last.setpoints.arcLength} x core`);
+  assert.ok(Math.abs(last.errors.arcLength) < 0.01);
+});
+
+test('losing the sensors holds briefly, then eases back to the recommendation', () => {
+  const history = loop({
+    duration: 12000,
+    disturbances: [{ at: 500, widthFactor: 0.85 }],
+    dropouts: [{ start: 6000, duration: 6000 }]
+  });
+  const at = time => history.find(({ output }) => output.time === time).output;
+
+  assert.equal(at(6000).mode, ControllerMode.TRACKING);
+  assert.equal(at(6400).mode, ControllerMode.TRACKING);
+  assert.deepEqual(at(6400).setpoints, at(5900).setpoints);
+  assert.equal(at(6600).mode, ControllerMode.FALLBACK);
+  assert.deepEqual(at(6600).errors, { width: null, arcLength: null });
+  assert.deepEqual(at(11900).setpoints, { amperage: 125, travelSpeed: 6.5, arcLength: 0.75 });
+});
+
+test('measurements coming back resume tracking', () => {
+  const history = loop({
+    duration: 8000,
+    disturbances: [{ at: 500, widthFactor: 0.85 }],
+    dropouts: [{ start: 2000, duration: 2000 }]
+  });
+
+  assert.equal(history.find(({ output }) => output.time === 3000).output.mode, ControllerMode.FALLBACK);
+  assert.equal(history.at(-1).output.mode, ControllerMode.TRACKING);
+  assert.ok(history.at(-1).output.setpoints.amperage > 130);
+});
+
+test('no measurement at all falls back once the timeout has passed', () => {
+  const controller = createWeldController(inputs, { sensorTimeout: 300 });
+
+  assert.equal(controller.update(1000, null).mode, ControllerMode.TRACKING);
+  assert.equal(controller.update(1300, {}).mode, ControllerMode.TRACKING);
+  assert.equal(controller.update(1400, { puddleWidth: NaN }).mode, ControllerMode.FALLBACK);
+
+  controller.reset();
+  assert.equal(controller.update(5000, null).mode, ControllerMode.TRACKING);
+});
+
+test('the plant settles on the bead model width at the recommended setpoints', () => {
+  const controller = createWeldController(inputs);
+  const plant = createWeldPlant(inputs, { noise: 0 });
+
+  const sample = plant.step(controller.baseline, 5000);
+
+  assert.ok(Math.abs(sample.puddleWidth - controller.targets.puddleWidth) < 1e-3);
+  assert.equal(sample.current, 125);
+  assert.equal(sample.time, 5000);
+});
+
+test('a weld that cannot be recommended cannot be controlled', () => {
+  assert.throws(() => createWeldController({ ...inputs, electrode: 'E7024', position: 'Vertical Up' }),
+    /Cannot control a weld that can't be recommended/);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diagnose, weldingKnowledge } from '../src/index.js';
+
+test('normal observations produce no symptoms', () => {
+  assert.deepEqual(diagnose({
+    observedPuddle: 'Moderate',
+    observedSpread: 'Moderate',
+    observedTieIn: 'Excellent',
+    observedStability: 'Stable'
+  }), { symptoms: [], causes: [], adjustments: [] });
+});
+
+test('agreeing symptoms rank their shared cause first', () => {
+  const result = diagnose({ observedPuddle: 'Stiff', observedSpread: 'Narrow', observedTieIn: 'Poor' });
+
+  assert.deepEqual(result.symptoms.map(s => s.source), [
+    'observables.puddleFluid.Stiff',
+    'observables.puddleSpread.Narrow',
+    'observables.edgeTie.Poor'
+  ]);
+  assert.equal(result.causes[0].cause, 'Amperage too low');
+  assert.equal(result.causes[0].confidence, 1);
+  assert.deepEqual(result.causes[0].sources, [
+    'observables.puddleFluid.Stiff.causes[0]',
+    'observables.puddleSpread.Narrow.causes[0]',
+    'observables.edgeTie.Poor.causes[0]'
+  ]);
+  assert.equal(result.causes[1].cause, 'Travel too fast');
+  assert.ok(result.causes[1].confidence < 1);
+});
+
+test('adjustments are ordered, deduplicated and cite their source', () => {
+  const result = diagnose({ puddleFluid: 'Stiff', puddleSpread: 'Narrow' });
+
+  assert.deepEqual(result.adjustments.map(a => a.action), [
+    'Increase amperage',
+    'Slow travel speed',
+    'Lengthen arc slightly',
+    'Adjust to more perpendicular angle'
+  ]);
+  assert.deepEqual(result.adjustments[0], {
+    action: 'Increase amperage',
+    cause: 'Amperage too low',
+    confidence: 1,
+    source: 'observables.puddleFluid.Stiff.adjustments[0]',
+    change: null
+  });
+  assert.deepEqual(result.adjustments.slice(1).map(a => a.change), [
+    { field: 'travelSpeed', to: 'Slow' },
+    { field: 'arcGap', to: 'Medium' },
+    { field: 'rodAngle', to: 'Perpendicular' }
+  ]);
+  const confidences = result.adjustments.map(a => a.confidence);
+  assert.deepEqual(confidences, [...confidences].sort((a, b) => b - a));
+});
+
+test('unknown observables and states are ignored', () => {
+  const result = diagnose({ electrode: 'E7018', puddleFluid: 'Boiling', observedColour: 'Red' });
+  assert.deepEqual(result.causes, []);
+});
+
+test('new observables in the data are diagnosed without code changes', () => {
+  const knowledge = {
+    ...weldingKnowledge,
+    observables: {
+      ...weldingKnowledge.observables,
+      slagBehavior: {
+        RunningAhead: {
+          diagnosis: 'Slag ahead of puddle',
+          causes: ['Travel too slow', 'Rod angle too steep'],
+          adjustments: ['Increase travel speed', 'Increase drag angle']
+        }
+      }
+    }
+  };
+
+  const result = diagnose({ slagBehavior: 'RunningAhead', puddleFluid: 'VeryFluid' }, { knowledge });
+  assert.equal(result.causes[0].cause, 'Travel too slow');
+  assert.deepEqual(result.causes[0].symptoms, ['observables.slagBehavior.RunningAhead', 'observables.puddleFluid.VeryFluid']);
+  assert.equal(result.causes[1].cause, 'Amperage too high');
+});
@@ -0,0 +1,194 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createElectrodeInventory,
+  assessLot,
+  storageClass,
+  moistureSuspected,
+  serializeInventory,
+  parseInventory,
+  StorageState,
+  RodCondition,
+  INVENTORY_VERSION,
+  getRecommendations,
+  troubleshootDefects,
+  buildKnowledgeGraph,
+  listElectrodes,
+  nodeId,
+  NodeType,
+  EdgeType,
+  ValidationCode
+} from '../src/index.js';
+
+const HOUR = 3600000;
+
+// A clock the tests move by hand
+function clock() {
+  let time = Date.UTC(2024, 0, 8, 7);
+  return { now: () => time, advance: hours => { time += hours * HOUR; } };
+}
+
+test('every electrode has a storage class', () => {
+  for (const electrode of listElectrodes()) {
+    assert.ok(storageClass(electrode), `no storage class for ${electrode}`);
+  }
+  const e7018 = storageClass('E7018');
+  assert.equal(e7018.name, 'Low hydrogen E70');
+  assert.equal(e7018.exposureLimit, 4);
+  assert.equal(e7018.source, 'electrodeStorage.classes.Low hydrogen E70');
+  assert.ok(storageClass('E9018-M').exposureLimit < storageClass('E8018-B2').exposureLimit);
+  assert.equal(storageClass('E6010').rebake, null);
+  assert.equal(storageClass('E9999'), undefined);
+});
+
+test('exposure runs while a lot is out and turns into a rebake past the limit', () => {
+  const time = clock();
+  const inventory = createElectrodeInventory({ now: time.now });
+  const lot = inventory.addLot({ electrode: 'E7018', size: '1/8"', lotNumber: 'L4471', quantity: 10 });
+
+  assert.equal(lot.state, StorageState.SEALED);
+  time.advance(100);
+  assert.equal(inventory.assess(lot.id).condition, RodCondition.DRY);
+
+  inventory.setState(lot.id, StorageState.OPEN);
+  time.advance(2.5);
+  const exposed = inventory.assess(lot.id);
+  assert.equal(exposed.condition, RodCondition.EXPOSED);
+  assert.equal(exposed.exposure, 2.5);
+  assert.equal(exposed.remaining, 1.5);
+  assert.equal(exposed.message, '2.5 of 4 h out of the oven');
+
+  time.advance(2);
+  const over = inventory.assess(lot.id);
+  assert.equal(over.condition, RodCondition.NEEDS_REBAKE);
+  assert.equal(over.remaining, 0);
+  assert.match(over.message, /rebake at 500-800°F for 2 h/);
+
+  // E7018 may be rebaked once; after that an over-exposed lot is scrap
+  inventory.rebake(lot.id);
+  assert.equal(inventory.assess(lot.id).condition, RodCondition.DRY);
+  inventory.setState(lot.id, StorageState.OPEN);
+  time.advance(5);
+  assert.equal(inventory.assess(lot.id).condition, RodCondition.DISCARD);
+  assert.match(inventory.assess(lot.id).message, /rebaked once already: discard/);
+  assert.throws(() => inventory.rebake(lot.id), /rebaked once already; discard it/);
+});
+
+test('the holding oven stops the clock, and clears it after the reissue time within the limit', () => {
+  const time = clock();
+  const inventory = createElectrodeInventory({ now: time.now });
+  const { id } = inventory.addLot({ electrode: 'E7018', state: StorageState.OPEN });
+
+  time.advance(3);
+  inventory.setState(id, StorageState.OVEN);
+  time.advance(2);
+  assert.equal(inventory.assess(id).exposure, 3);
+  // Taken out again too soon: the clock carries on from 3 h
+  inventory.setState(id, StorageState.OPEN);
+  time.advance(0.5);
+  assert.equal(inventory.assess(id).exposure, 3.5);
+
+  inventory.setState(id, StorageState.OVEN);
+  time.advance(4);
+  assert.equal(inventory.assess(id).condition, RodCondition.DRY);
+  inventory.setState(id, StorageState.OPEN);
+  time.advance(1);
+  assert.equal(inventory.assess(id).exposure, 1);
+
+  // Past the limit the oven alone doesn't help
+  time.advance(4);
+  inventory.setState(id, StorageState.OVEN);
+  time.advance(8);
+  assert.equal(inventory.assess(id).condition, RodCondition.NEEDS_REBAKE);
+});
+
+test('rods that shrug off shop air stay dry, and cellulosic rods are never baked', () => {
+  const time = clock();
+  const inventory = createElectrodeInventory({ now: time.now });
+  const { id } = inventory.addLot({ electrode: 'E6010', state: StorageState.OPEN });
+  time.advance(200);
+  const assessment = inventory.assess(id);
+  assert.equal(assessment.condition, RodCondition.DRY);
+  assert.equal(assessment.limit, null);
+  assert.match(assessment.message, /never oven-dry/);
+  assert.throws(() => inventory.rebake(id), /E6010 rods must not be rebaked/);
+});
+
+test('lots are checked as they are added and moved', () => {
+  const inventory = createElectrodeInventory();
+  assert.throws(() => inventory.addLot({ electrode: 'E9999' }), /No storage class lists electrode "E9999"/);
+  assert.throws(() => inventory.addLot({ electrode: 'E7018', size: '1/2"' }), /Unknown electrode size/);
+  assert.throws(() => inventory.addLot({ electrode: 'E7018', state: 'fridge' }), /Unknown storage state "fridge"/);
+  const { id } = inventory.addLot({ electrode: 'E7018', lotNumber: 'L1' });
+  inventory.setState(id, StorageState.OVEN);
+  assert.throws(() => inventory.setState(id, StorageState.SEALED), /L1 has been opened and can't be resealed/);
+  assert.throws(() => inventory.setState('lot-99', StorageState.OPEN), /Unknown rod lot "lot-99"/);
+  inventory.remove(id);
+  assert.deepEqual(inventory.lots(), []);
+});
+
+test('inventories round-trip through JSON and pick up where they left off', () => {
+  const time = clock();
+  const inventory = createElectrodeInventory({ now: time.now });
+  inventory.addLot({ electrode: 'E7018', size: '1/8"', lotNumber: 'L1', state: StorageState.OPEN });
+  inventory.addLot({ electrode: 'E6013', size: '3/32"', lotNumber: 'L2' });
+  time.advance(1);
+
+  const text = serializeInventory(inventory.lots());
+  assert.equal(JSON.parse(text).version, INVENTORY_VERSION);
+  const lots = parseInventory(text);
+  assert.deepEqual(lots, inventory.lots());
+
+  const restored = createElectrodeInventory({ now: time.now, lots });
+  assert.equal(restored.assess('lot-1').exposure, 1);
+  assert.equal(restored.addLot({ electrode: 'E7018' }).id, 'lot-3');
+  assert.equal(assessLot(lots[0], { now: time.now() + HOUR }).exposure, 2);
+
+  assert.throws(() => parseInventory('{'), /not valid JSON/);
+  assert.throws(() => parseInventory('{"version": 2, "lots": []}'), /Unsupported inventory version 2/);
+  assert.throws(() => parseInventory('{"version": 1}'), /needs a "lots" list/);
+  assert.throws(() => parseInventory(JSON.stringify({ version: 1, lots: [{ ...lots[0], state: 'wet' }] })),
+    /Inventory lot 1 has unknown state "wet"/);
+  assert.throws(() => parseInventory(JSON.stringify({ version: 1, lots: [{ ...lots[0], exposure: -1 }] })),
+    /non-negative number "exposure"/);
+  assert.throws(() => parseInventory(JSON.stringify({ version: 1, lots: [{ ...lots[0], lotNumber: 'A12', electrode: 'E6013X' }] })),
+    /Inventory lot 1 \(A12\) is electrode "E6013X", which no storage class lists/);
+});
+
+test('rods out past their limit warn, and put moisture first in the arc and porosity diagnosis', () => {
+  const inputs = {
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: 'Medium (1/8"-3/16")',
+    jointType: 'Butt', observedStability: 'Unstable'
+  };
+  assert.equal(moistureSuspected({ electrode: 'E7018', rodExposure: 4 }), false);
+  assert.equal(moistureSuspected({ electrode: 'E7018', rodExposure: 4.5 }), true);
+  assert.equal(moistureSuspected({ electrode: 'E6010', rodExposure: 100 }), false);
+
+  const fresh = getRecommendations({ ...inputs, rodExposure: 1 });
+  assert.ok(!fresh.warnings.some(w => w.code === ValidationCode.ROD_OVER_EXPOSED));
+  assert.notEqual(fresh.diagnosis.causes[0].cause, 'Suspected moisture in the coating');
+
+  const damp = getRecommendations({ ...inputs, rodExposure: 6 });
+  const warning = damp.warnings.find(w => w.code === ValidationCode.ROD_OVER_EXPOSED);
+  assert.equal(warning.field, 'rodExposure');
+  assert.match(warning.message, /E7018 has been out of the oven 6 h, past its 4 h limit/);
+  assert.deepEqual(damp.diagnosis.causes[0].sources, ['electrodeStorage.moisture']);
+  assert.equal(damp.diagnosis.adjustments[0].action, 'Rebake the rods or open a fresh can');
+  assert.equal(damp.diagnosis.adjustments[0].source, 'electrodeStorage.moisture.adjustment');
+
+  const porosity = troubleshootDefects(['Porosity', 'Undercut'], { ...inputs, rodExposure: 6 });
+  const moisture = porosity.causes.find(c => c.cause === 'Suspected moisture in the coating');
+  assert.deepEqual(moisture.defects, ['Porosity']);
+  assert.equal(moisture.likely, true);
+  assert.ok(!troubleshootDefects(['Porosity'], inputs).causes.some(c => c.cause === moisture.cause));
+
+  const bad = getRecommendations({ ...inputs, rodExposure: -1 });
+  assert.equal(bad.valid, false);
+  assert.equal(bad.errors[0].field, 'rodExposure');
+
+  const { edges } = buildKnowledgeGraph();
+  const cause = nodeId(NodeType.CAUSE, 'Suspected moisture in the coating');
+  assert.ok(edges.some(e => e.from === nodeId(NodeType.DEFECT, 'Cracking') && e.type === EdgeType.INDICATES && e.to === cause));
+  assert.ok(edges.some(e => e.from === nodeId(NodeType.OBSERVATION, 'arcStability.Unstable') && e.to === cause));
+});
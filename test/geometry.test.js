@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  weldingKnowledge,
+  resolveGeometry,
+  thicknessPreset,
+  amperageWindow,
+  electrodeSizesFor,
+  suitableElectrodeSizes,
+  listThicknesses
+} from '../src/index.js';
+
+test('numeric thickness falls into a preset', () => {
+  assert.equal(thicknessPreset(0.0625), 'Thin (<1/8")');
+  assert.equal(thicknessPreset(0.125), 'Medium (1/8"-3/16")');
+  assert.equal(thicknessPreset(0.1875), 'Thick (>3/16")');
+  assert.equal(thicknessPreset(2), 'Thick (>3/16")');
+});
+
+test('geometry is converted to inches', () => {
+  const geometry = resolveGeometry({ thickness: 12.7, lengthUnit: 'mm', rootOpening: 2.54, bevelAngle: 30 });
+  assert.equal(geometry.thickness, 0.5);
+  assert.equal(geometry.rootOpening, 0.1);
+  assert.equal(geometry.bevelAngle, 30);
+  assert.equal(geometry.source, 'input');
+
+  const preset = resolveGeometry({ metalThickness: 'Medium (1/8"-3/16")' });
+  assert.deepEqual(preset, { thickness: 0.15625, preset: 'Medium (1/8"-3/16")', source: 'preset' });
+  assert.equal(resolveGeometry({}), null);
+});
+
+test('amperage window is interpolated and held flat beyond the ends', () => {
+  assert.deepEqual(amperageWindow(0.25), [0.6, 1]);
+  assert.deepEqual(amperageWindow(0.375), [0.725, 1]);
+  assert.deepEqual(amperageWindow(1), [0.85, 1]);
+  assert.deepEqual(amperageWindow(0.01), [0, 0.25]);
+});
+
+test('electrode size follows thickness and fillet leg', () => {
+  assert.deepEqual(electrodeSizesFor(0.09375).recommended, ['3/32"']);
+  assert.deepEqual(electrodeSizesFor(0.5), {
+    recommended: ['5/32"'], acceptable: ['3/32"', '1/8"'], idealDiameter: 0.15625
+  });
+  // Thin plate, 1/4" fillet leg: the leg calls for a 1/8" rod
+  assert.deepEqual(electrodeSizesFor(0.09375, 0.25).recommended, ['1/8"']);
+});
+
+test('each preset recommends the same sizes as the model at its nominal thickness', () => {
+  for (const preset of listThicknesses()) {
+    const { nominal } = weldingKnowledge.metalThickness[preset].thickness;
+    const bucket = suitableElectrodeSizes(resolveGeometry({ metalThickness: preset }));
+    assert.ok(bucket.recommended.includes(electrodeSizesFor(nominal).recommended[0]), preset);
+  }
+});
@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  weldingKnowledge,
+  propertyNodes,
+  diffNodes,
+  buildKnowledgeGraph,
+  scenarioNodeIds,
+  inspectNode,
+  defectChain,
+  troubleshootDefects,
+  formatKnowledgeValue,
+  nodeId,
+  NodeType,
+  EdgeType
+} from '../src/index.js';
+
+const inputs = {
+  electrode: 'E6010',
+  electrodeSize: '1/8"',
+  position: 'Flat',
+  metalThickness: 'Medium (1/8"-3/16")',
+  baseMetal: 'Mild steel',
+  jointType: 'Butt'
+};
+
+test('property nodes follow the inputs', () => {
+  const nodes = propertyNodes(inputs);
+  const ids = nodes.map(node => node.id);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual([...new Set(nodes.map(node => node.category))], ['electrode', 'position', 'metal', 'joint', 'technique']);
+
+  const label = (list, id) => list.find(node => node.id === id).label;
+  assert.equal(label(nodes, 'electrode.current'), 'Current: DC+');
+  assert.equal(nodes.find(node => node.id === 'metal.baseMetal').entity, 'baseMetal:Mild steel');
+  assert.equal(nodes.find(node => node.id === 'metal.heatDissipation').entity, 'metalThickness:Medium (1/8"-3/16")');
+  assert.equal(nodes.find(node => node.id === 'technique.arcGap').entity, undefined);
+
+  // Each technique dimension carries its options
+  const arcGap = nodes.filter(node => node.parent === 'technique.arcGap');
+  assert.deepEqual(arcGap.map(node => node.option), ['Short', 'Medium', 'Long']);
+  assert.deepEqual(arcGap[0], {
+    id: 'technique.arcGap.Short',
+    category: 'technique',
+    key: 'arcGap',
+    option: 'Short',
+    label: 'Short',
+    parent: 'technique.arcGap',
+    entity: 'technique:arcGap.Short',
+    details: {
+      effect: 'More direct heat, deeper penetration',
+      puddle: 'Less fluid, more directed',
+      appearance: 'Narrower bead, higher crown'
+    }
+  });
+  assert.ok(nodes.find(node => node.id === 'technique.travelSpeed.Fast').details.issues);
+  for (const node of nodes.filter(node => node.parent)) {
+    assert.ok(ids.indexOf(node.parent) < ids.indexOf(node.id), `${node.id} comes before its parent`);
+  }
+  assert.equal(label(propertyNodes({ ...inputs, electrode: 'E7018' }), 'electrode.current'), 'Current: AC or DC+');
+
+  // A numeric thickness shows its preset's properties
+  const thick = propertyNodes({ ...inputs, thickness: 0.5, lengthUnit: 'in' });
+  assert.equal(label(thick, 'metal.rodSelection'), label(propertyNodes({ ...inputs, metalThickness: 'Thick (>3/16")' }), 'metal.rodSelection'));
+
+  // Unknown inputs drop their category
+  const unknown = propertyNodes({ ...inputs, electrode: 'E9999', jointType: undefined });
+  assert.ok(!unknown.some(node => node.category === 'electrode' || node.category === 'joint'));
+  assert.equal(unknown.filter(node => node.category === 'technique' && !node.parent).length, 4);
+});
+
+test('node diffs add, relabel and remove by id', () => {
+  const before = propertyNodes(inputs);
+  assert.deepEqual(diffNodes(before, before), { added: [], updated: [], removed: [], unchanged: before });
+
+  const switched = diffNodes(before, propertyNodes({ ...inputs, electrode: 'E7018' }));
+  assert.deepEqual(switched.added, []);
+  assert.deepEqual(switched.removed, []);
+  assert.ok(switched.updated.some(node => node.id === 'electrode.current'));
+  assert.ok(switched.updated.every(node => node.category === 'electrode'));
+
+  // Same label, different electrode
+  const e6011 = diffNodes(before, propertyNodes({ ...inputs, electrode: 'E6011' }));
+  assert.ok(e6011.updated.some(node => node.id === 'electrode.penetration' && node.entity === 'electrode:E6011'));
+
+  const cleared = diffNodes(before, propertyNodes({ ...inputs, electrode: 'E9999' }));
+  assert.deepEqual(cleared.removed.map(node => node.id), before.filter(node => node.category === 'electrode').map(node => node.id));
+  assert.deepEqual(diffNodes(propertyNodes({ ...inputs, electrode: 'E9999' }), before).added, cleared.removed);
+});
+
+test('the knowledge graph links entities across tables', () => {
+  const { nodes, edges } = buildKnowledgeGraph();
+  const ids = new Set(nodes.map(node => node.id));
+  assert.equal(ids.size, nodes.length);
+  for (const edge of edges) {
+    assert.ok(ids.has(edge.from) && ids.has(edge.to), `dangling edge ${edge.from} -> ${edge.to}`);
+    assert.ok(Object.values(EdgeType).includes(edge.type));
+  }
+  const has = (from, type, to) => edges.some(edge => edge.from === from && edge.type === type && edge.to === to);
+
+  const e7018 = nodeId(NodeType.ELECTRODE, 'E7018');
+  const whipStep = nodeId(NodeType.TECHNIQUE, 'motionPattern.Whip/Step');
+  assert.ok(has(e7018, EdgeType.SUITABLE_FOR, nodeId(NodeType.POSITION, 'Vertical Up')));
+  assert.ok(!has(nodeId(NodeType.ELECTRODE, 'E7024'), EdgeType.SUITABLE_FOR, nodeId(NodeType.POSITION, 'Vertical Up')));
+  assert.ok(has(whipStep, EdgeType.SUITABLE_FOR, nodeId(NodeType.ELECTRODE, 'E6010')));
+  assert.ok(has(whipStep, EdgeType.SUITABLE_FOR, nodeId(NodeType.POSITION, 'Vertical Up')));
+  assert.ok(has(nodeId(NodeType.ELECTRODE, 'E6010'), EdgeType.USES, whipStep));
+  // "Side-to-side" is a zigzag
+  assert.ok(has(e7018, EdgeType.USES, nodeId(NodeType.TECHNIQUE, 'motionPattern.Zigzag')));
+
+  const sized = edges.find(edge => edge.from === e7018 && edge.to === nodeId(NodeType.ELECTRODE_SIZE, '1/8"'));
+  assert.equal(sized.type, EdgeType.AVAILABLE_IN);
+  assert.deepEqual(sized.amperage, weldingKnowledge.electrodeSize['1/8"'].amperage.E7018);
+
+  const stainless = edges.filter(edge => edge.from === nodeId(NodeType.BASE_METAL, 'Stainless 304/304L'));
+  assert.deepEqual(stainless.map(edge => [edge.to, edge.compatibility]), [
+    [nodeId(NodeType.ELECTRODE, 'E308L-16'), 'recommended'],
+    [nodeId(NodeType.ELECTRODE, 'E316L-16'), 'acceptable'],
+    [nodeId(NodeType.ELECTRODE, 'E309L-16'), 'acceptable']
+  ]);
+
+  // Aliased causes share a node
+  const poorTieIn = nodeId(NodeType.OBSERVATION, 'edgeTie.Poor');
+  assert.ok(has(poorTieIn, EdgeType.INDICATES, nodeId(NodeType.CAUSE, 'Amperage too low')));
+  assert.ok(!ids.has(nodeId(NodeType.CAUSE, 'Insufficient heat at edges')));
+  assert.ok(has(nodeId(NodeType.CAUSE, 'Amperage too low'), EdgeType.CORRECTED_BY, nodeId(NodeType.ADJUSTMENT, 'Increase amperage')));
+
+  // Defects share cause and adjustment nodes with the observations, and a
+  // parameter change points at the technique option it moves to
+  const porosity = nodeId(NodeType.DEFECT, 'Porosity');
+  assert.equal(nodes.find(node => node.id === porosity).source, 'defects.Porosity');
+  assert.ok(has(porosity, EdgeType.INDICATES, nodeId(NodeType.CAUSE, 'Arc too long')));
+  assert.ok(has(nodeId(NodeType.DEFECT, 'Cold lap'), EdgeType.INDICATES, nodeId(NodeType.CAUSE, 'Amperage too low')));
+  assert.ok(has(nodeId(NodeType.ADJUSTMENT, 'Shorten arc'), EdgeType.SETS, nodeId(NodeType.TECHNIQUE, 'arcGap.Short')));
+  assert.ok(!edges.some(edge => edge.type === EdgeType.SETS && edge.from === nodeId(NodeType.ADJUSTMENT, 'Switch to AC')));
+
+  assert.deepEqual(buildKnowledgeGraph(), { nodes, edges });
+});
+
+test('a defect chain keeps just the causes and fixes the troubleshooting chose', () => {
+  const troubleshooting = troubleshootDefects(['Undercut'], { ...inputs, jointType: 'T' });
+  const { nodes, edges } = defectChain(troubleshooting);
+  const layer = type => nodes.filter(node => node.type === type).map(node => node.layer);
+
+  assert.deepEqual(layer(NodeType.DEFECT), [0]);
+  assert.deepEqual(layer(NodeType.CAUSE), troubleshooting.causes.map(() => 1));
+  assert.deepEqual(layer(NodeType.ADJUSTMENT), troubleshooting.adjustments.map(() => 2));
+  assert.ok(layer(NodeType.TECHNIQUE).every(value => value === 3));
+  const poorAngle = nodes.find(node => node.id === nodeId(NodeType.CAUSE, 'Poor angle'));
+  assert.equal(poorAngle.weight, troubleshooting.causes[0].confidence);
+
+  const ids = new Set(nodes.map(node => node.id));
+  assert.ok(edges.every(edge => ids.has(edge.from) && ids.has(edge.to)));
+  assert.ok(edges.some(edge => edge.type === EdgeType.SETS && edge.to === nodeId(NodeType.TECHNIQUE, 'rodAngle.45°')));
+  // The full graph also corrects a poor angle by weaving
+  const fixes = edges.filter(edge => edge.from === nodeId(NodeType.CAUSE, 'Poor angle'));
+  assert.deepEqual(fixes.map(edge => edge.to), [nodeId(NodeType.ADJUSTMENT, 'Point the rod into the joint at 45°')]);
+
+  assert.deepEqual(defectChain({ defects: [], causes: [], adjustments: [] }), { nodes: [], edges: [] });
+});
+
+test('scenario inputs select knowledge graph nodes', () => {
+  const ids = scenarioNodeIds({ ...inputs, thickness: 10, lengthUnit: 'mm', observedPuddle: 'Stiff' });
+  assert.deepEqual(ids, [
+    'electrode:E6010',
+    'electrodeSize:1/8"',
+    'position:Flat',
+    'metalThickness:Thick (>3/16")',
+    'baseMetal:Mild steel',
+    'jointType:Butt',
+    'observation:puddleFluid.Stiff'
+  ]);
+  const graphIds = new Set(buildKnowledgeGraph().nodes.map(node => node.id));
+  assert.ok(ids.every(id => graphIds.has(id)));
+});
+
+test('node inspection lists the entry, its relations and the input it sets', () => {
+  const position = inspectNode('position:Vertical Up');
+  assert.equal(position.node.label, 'Vertical Up');
+  assert.deepEqual(position.input, { field: 'position', value: 'Vertical Up' });
+  assert.deepEqual(position.fields.find(field => field.key === 'rodAngle'),
+    { key: 'rodAngle', label: 'Rod angle', value: 'Angle up to prevent blowout' });
+  const electrodes = position.related.filter(r => r.direction === 'in' && r.node.type === NodeType.ELECTRODE);
+  assert.ok(electrodes.some(r => r.node.name === 'E7018'));
+  assert.ok(!electrodes.some(r => r.node.name === 'E7024'));
+
+  assert.deepEqual(inspectNode('observation:puddleFluid.VeryFluid').input, { field: 'observedPuddle', value: 'VeryFluid' });
+  const cause = inspectNode('cause:Amperage too low');
+  assert.deepEqual(cause.fields, []);
+  assert.equal(cause.input, null);
+  assert.ok(cause.related.some(r => r.direction === 'out' && r.edge.type === EdgeType.CORRECTED_BY));
+  assert.equal(inspectNode('electrode:E9999'), undefined);
+
+  const size = inspectNode('electrodeSize:1/8"');
+  assert.equal(formatKnowledgeValue(size.fields.find(field => field.key === 'amperage').value).split('; ')[0], 'E6010: 75-130');
+  assert.equal(formatKnowledgeValue({ min: 0.1875, max: Infinity, nominal: 0.25 }), '0.1875+');
+  assert.equal(formatKnowledgeValue(['Flat', 'Overhead']), 'Flat, Overhead');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildKnowledgeGraph, forceLayout } from '../src/index.js';
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+test('layout is deterministic and centred', () => {
+  const graph = buildKnowledgeGraph();
+  const positions = forceLayout(graph);
+  assert.deepEqual(forceLayout(graph), positions);
+  assert.notDeepEqual(forceLayout(graph, { seed: 2 }), positions);
+
+  assert.equal(positions.size, graph.nodes.length);
+  const all = [...positions.values()];
+  assert.ok(all.every(p => [p.x, p.y, p.z].every(Number.isFinite)));
+  for (const axis of ['x', 'y', 'z']) {
+    assert.ok(Math.abs(mean(all.map(p => p[axis]))) < 1e-9);
+  }
+});
+
+test('linked nodes end up closer than unlinked ones', () => {
+  const graph = buildKnowledgeGraph();
+  const positions = forceLayout(graph);
+  const linked = graph.edges.map(edge => distance(positions.get(edge.from), positions.get(edge.to)));
+  const pairs = [];
+  graph.nodes.forEach((a, i) => graph.nodes.slice(i + 1).forEach(b => {
+    pairs.push(distance(positions.get(a.id), positions.get(b.id)));
+  }));
+  assert.ok(mean(linked) * 2 < mean(pairs));
+  assert.ok(Math.min(...pairs) > 0.5, 'nodes overlap');
+});
+
+test('small graphs lay out', () => {
+  assert.equal(forceLayout({ nodes: [], edges: [] }).size, 0);
+  const single = forceLayout({ nodes: [{ id: 'a' }], edges: [] });
+  assert.deepEqual(single.get('a'), { x: 0, y: 0, z: 0 });
+  const pair = forceLayout({ nodes: [{ id: 'a' }, { id: 'b' }], edges: [{ from: 'a', to: 'b' }, { from: 'a', to: 'missing' }] });
+  assert.ok(distance(pair.get('a'), pair.get('b')) > 0);
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  heatInput,
+  coolingTime,
+  estimateHeat,
+  arcVoltage,
+  getRecommendations,
+  weldingKnowledge,
+  ValidationCode
+} from '../src/index.js';
+
+const THIN = 'Thin (<1/8")';
+const MEDIUM = 'Medium (1/8"-3/16")';
+const CHROME_MOLY = 'Chrome-moly (1¼Cr-½Mo)';
+
+// 1/8" E7018 at 120 A, medium arc and travel
+const SETTINGS = { amperage: 120, travelSpeed: 6.5, arcLength: 1, diameter: 0.125, thickness: 1, jointType: 'T' };
+
+test('heat input is arc power over travel speed, scaled by the arc efficiency', () => {
+  assert.equal(heatInput({ voltage: 25, amperage: 120, travelSpeed: 6 }), 30);
+  assert.equal(heatInput({ voltage: 25, amperage: 120, travelSpeed: 6 }, 0.8), 24);
+  assert.throws(() => heatInput({ voltage: 25, amperage: 120, travelSpeed: 0 }), /above 0 in\/min/);
+});
+
+test('thick plate cools in 3D regardless of thickness; thin plate cools slower the thinner it is', () => {
+  const thick = coolingTime(25, 1);
+  assert.equal(thick.flow, '3D');
+  assert.ok(thick.transitionThickness < 1);
+  assert.equal(coolingTime(25, 2).seconds, thick.seconds);
+
+  const quarter = coolingTime(25, 0.25);
+  const eighth = coolingTime(25, 0.125);
+  assert.equal(quarter.flow, '2D');
+  assert.ok(quarter.seconds > thick.seconds);
+  assert.ok(Math.abs(eighth.seconds / quarter.seconds - 4) < 1e-9);
+});
+
+test('preheat and a joint that sheds heat slowly both lengthen the cooling time', () => {
+  const cold = coolingTime(25, 1);
+  assert.ok(coolingTime(25, 1, { preheat: 300 }).seconds > cold.seconds);
+  assert.ok(coolingTime(25, 1, { jointFactor: { thin: 0.67, thick: 0.67 } }).seconds < cold.seconds);
+});
+
+test('the estimate runs from the arc voltage model through the knowledge base efficiency', () => {
+  const estimate = estimateHeat(SETTINGS);
+  const voltage = arcVoltage(120, 1, 0.125);
+
+  assert.equal(estimate.arcVoltage, voltage);
+  assert.equal(estimate.efficiency, weldingKnowledge.thermalModel.arcEfficiency);
+  assert.equal(estimate.heatInput, heatInput({ voltage, amperage: 120, travelSpeed: 6.5 }, estimate.efficiency));
+  assert.equal(estimate.coolingRate, 540 / estimate.coolingTime);
+  assert.equal(estimate.carbonEquivalent, null);
+  assert.equal(estimate.preheat, null);
+  assert.throws(() => estimateHeat({ ...SETTINGS, thickness: 0 }), /Thickness must be above 0/);
+});
+
+test('higher carbon equivalents need preheat in 25°F steps, up to the maximum', () => {
+  const mild = estimateHeat({ ...SETTINGS, carbonEquivalent: 0.4 });
+  assert.equal(mild.preheat, null);
+  assert.ok(mild.coolingTime >= mild.criticalCoolingTime);
+
+  const alloy = estimateHeat({ ...SETTINGS, carbonEquivalent: 0.55 });
+  assert.ok(alloy.preheat > 70 && alloy.preheat % 25 === 0);
+  assert.equal(alloy.preheatReached, true);
+  const preheated = estimateHeat({ ...SETTINGS, carbonEquivalent: 0.55, preheat: alloy.preheat });
+  assert.ok(preheated.coolingTime >= alloy.criticalCoolingTime);
+  assert.ok(estimateHeat({ ...SETTINGS, carbonEquivalent: 0.55, preheat: alloy.preheat - 25 }).coolingTime <
+    alloy.criticalCoolingTime);
+
+  const castIron = estimateHeat({ ...SETTINGS, carbonEquivalent: 1.2 });
+  assert.equal(castIron.preheat, weldingKnowledge.thermalModel.maxPreheat);
+  assert.equal(castIron.preheatReached, false);
+});
+
+test('recommendations carry the heat estimate for the nominal settings', () => {
+  const result = getRecommendations({
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt'
+  });
+  const { heat } = result;
+
+  const amperage = (result.amperage.min + result.amperage.max) / 2;
+  assert.equal(heat.arcVoltage, Math.round(arcVoltage(amperage, result.arcLength.nominal, 0.125) * 10) / 10);
+  assert.equal(heat.heatInput.unit, 'kJ/in');
+  assert.equal(heat.coolingRate.unit, 'degF/s');
+  assert.equal(heat.flow, '2D');
+  assert.equal(heat.carbonEquivalent, 0.4);
+  assert.equal(heat.preheat, null);
+  assert.ok(heat.burnThrough < 1);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.display.heat, `${heat.heatInput.value} kJ/in at ${heat.arcVoltage} V, ` +
+    `t8/5 ${Math.round(heat.coolingTime)} s`);
+
+  const metric = getRecommendations({
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt'
+  }, { units: 'metric' }).heat;
+  assert.equal(metric.heatInput.unit, 'kJ/mm');
+  assert.ok(Math.abs(metric.heatInput.value * 25.4 - heat.heatInput.value) < 0.2);
+  assert.equal(metric.coolingRate.unit, 'degC/s');
+});
+
+test('too much heat for thin plate warns of burn-through and suggests a smaller rod', () => {
+  const base = { electrode: 'E6013', electrodeSize: '1/8"', position: 'Flat', metalThickness: THIN, jointType: 'Butt' };
+
+  const thin = getRecommendations(base);
+  const warning = thin.warnings.find(w => w.code === ValidationCode.BURN_THROUGH_RISK);
+  assert.equal(thin.valid, true);
+  assert.ok(thin.heat.burnThrough >= 1);
+  assert.equal(warning.field, 'electrodeSize');
+  assert.match(warning.message, /burn through/);
+  assert.deepEqual(warning.suggestions, [{ field: 'electrodeSize', value: '3/32"' }]);
+
+  const medium = getRecommendations({ ...base, metalThickness: MEDIUM });
+  assert.ok(!medium.warnings.some(w => w.code === ValidationCode.BURN_THROUGH_RISK));
+});
+
+test('thick hardenable steel raises the preheat above the base metal rules, with a trace step', () => {
+  const base = { electrode: 'E8018-B2', electrodeSize: '1/8"', position: 'Flat', thickness: 1, jointType: 'T',
+    baseMetal: CHROME_MOLY };
+
+  const result = getRecommendations(base, { trace: true });
+  const step = result.trace.find(s => s.kind === 'estimate');
+  assert.ok(result.thermal.preheatMin > 300);
+  assert.equal(result.thermal.interpassMax, 600);
+  assert.equal(result.heat.preheat, result.thermal.preheatMin);
+  assert.equal(step.field, 'thermal.preheatMin');
+  assert.equal(step.before, 300);
+  assert.equal(step.after, result.thermal.preheatMin);
+  assert.equal(step.source, 'thermalModel.criticalCoolingTime');
+  const warning = result.warnings.find(w => w.code === ValidationCode.PREHEAT_NEEDED);
+  assert.equal(warning.field, 'baseMetal');
+  assert.match(warning.message, new RegExp(`Preheat to ${result.thermal.preheatMin}°F`));
+
+  // A butt joint sheds heat more slowly and needs less
+  const butt = getRecommendations({ ...base, jointType: 'Butt' });
+  assert.ok(butt.thermal.preheatMin < result.thermal.preheatMin);
+
+  // The same plate in mild steel needs none
+  const mild = getRecommendations({ ...base, electrode: 'E7018', baseMetal: 'Mild steel' });
+  assert.equal(mild.thermal.preheatMin, null);
+  assert.ok(!mild.warnings.some(w => w.code === ValidationCode.PREHEAT_NEEDED));
+});
+
+test('a carbon equivalent input overrides the base metal and is range checked', () => {
+  const base = { electrode: 'E7018', electrodeSize: '5/32"', position: 'Flat', thickness: 1.5, jointType: 'T' };
+
+  const given = getRecommendations({ ...base, carbonEquivalent: 0.5 }, { units: 'metric' });
+  assert.equal(given.heat.carbonEquivalent, 0.5);
+  assert.equal(given.thermal.unit, 'degC');
+  assert.equal(given.heat.preheat, given.thermal.preheatMin);
+  assert.ok(given.warnings.some(w => w.code === ValidationCode.PREHEAT_NEEDED && w.message.includes('°C')));
+
+  const bad = getRecommendations({ ...base, carbonEquivalent: 3 });
+  assert.equal(bad.valid, false);
+  assert.equal(bad.errors[0].code, ValidationCode.OUT_OF_RANGE);
+  assert.equal(bad.errors[0].field, 'carbonEquivalent');
+  assert.equal(bad.heat, null);
+  assert.equal(bad.display.heat, '');
+});
+
+test('metals without a carbon equivalent get heat input but no preheat estimate', () => {
+  const result = getRecommendations({
+    electrode: 'E308L-16', electrodeSize: '1/8"', position: 'Flat', thickness: 1, jointType: 'T',
+    baseMetal: 'Stainless 304/304L'
+  });
+  assert.equal(result.heat.carbonEquivalent, null);
+  assert.equal(result.heat.preheat, null);
+  assert.equal(result.thermal.preheatMin, null);
+});
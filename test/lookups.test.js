@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  weldingKnowledge,
+  getElectrode,
+  getElectrodeSize,
+  getPosition,
+  getThickness,
+  getJoint,
+  getBaseMetal,
+  getElectrodeCompatibility,
+  getAmperageRange,
+  getKnowledgeEntry,
+  listElectrodes,
+  listElectrodeSizes,
+  listPositions,
+  listThicknesses,
+  listBaseMetals,
+  listJointTypes,
+  listMachineTypes,
+  listObservationValues,
+  listDefects
+} from '../src/index.js';
+
+test('lookups return knowledge base entries', () => {
+  assert.equal(getElectrode('E7018'), weldingKnowledge.electrodes.E7018);
+  assert.equal(getElectrodeSize('1/8"').control, 'Good');
+  assert.equal(getPosition('Vertical Up').amperage, 'Slightly lower');
+  assert.equal(getThickness('Thin (<1/8")').rodSelection, 'Smaller diameter');
+  assert.equal(getJoint('Corner').rodAngle, 'Bisect the angle');
+  assert.deepEqual(getAmperageRange('E7024', '5/32"'), { min: 180, max: 250 });
+});
+
+test('lookups return undefined for unknown values', () => {
+  assert.equal(getElectrode('E9999'), undefined);
+  assert.equal(getElectrodeSize('1/4"'), undefined);
+  assert.equal(getPosition('Sideways'), undefined);
+  assert.equal(getThickness('Huge'), undefined);
+  assert.equal(getJoint('Edge'), undefined);
+  assert.equal(getAmperageRange('E6010', '1/4"'), undefined);
+});
+
+test('enumerations list valid input values', () => {
+  assert.deepEqual(listElectrodes(), [
+    'E6010', 'E6011', 'E6013', 'E7018', 'E7024',
+    'E308L-16', 'E309L-16', 'E316L-16', 'ENi-CI', 'ENiFe-CI', 'E8018-B2', 'E9018-M'
+  ]);
+  assert.deepEqual(listElectrodeSizes(), ['3/32"', '1/8"', '5/32"']);
+  assert.deepEqual(listPositions(), ['Flat', 'Horizontal', 'Vertical Down', 'Vertical Up', 'Overhead']);
+  assert.deepEqual(listThicknesses(), ['Thin (<1/8")', 'Medium (1/8"-3/16")', 'Thick (>3/16")']);
+  assert.deepEqual(listJointTypes(), ['Butt', 'Lap', 'T', 'Corner']);
+  assert.deepEqual(listMachineTypes(), ['AC', 'DC+', 'DC-']);
+  assert.equal(listBaseMetals()[0], 'Mild steel');
+  assert.ok(listBaseMetals().includes('Cast iron'));
+  assert.deepEqual(listDefects(), [
+    'Porosity', 'Undercut', 'Slag inclusions', 'Cold lap', 'Cracking', 'Excess spatter', 'Arc blow'
+  ]);
+});
+
+test('base metals list their matching electrodes', () => {
+  assert.equal(getBaseMetal('Stainless 304/304L').family, 'Stainless');
+  assert.equal(getElectrodeCompatibility('E308L-16', 'Stainless 304/304L'), 'recommended');
+  assert.equal(getElectrodeCompatibility('E316L-16', 'Stainless 304/304L'), 'acceptable');
+  assert.equal(getElectrodeCompatibility('E7018', 'Stainless 304/304L'), 'incompatible');
+  assert.equal(getElectrodeCompatibility('ENi-CI', 'Cast iron'), 'recommended');
+  assert.equal(getElectrodeCompatibility('E7018', 'Titanium'), undefined);
+
+  // Every listed electrode exists and has an amperage range at every size
+  for (const metal of listBaseMetals()) {
+    const { recommended, acceptable } = getBaseMetal(metal).electrodes;
+    for (const electrode of [...recommended, ...acceptable]) {
+      assert.ok(getElectrode(electrode), `${metal} lists unknown electrode ${electrode}`);
+      for (const size of listElectrodeSizes()) {
+        assert.ok(getAmperageRange(electrode, size), `no ${size} amperage for ${electrode}`);
+      }
+    }
+  }
+});
+
+test('observation values come from the observables table', () => {
+  assert.deepEqual(listObservationValues('observedPuddle'), ['Stiff', 'Moderate', 'VeryFluid']);
+  assert.deepEqual(listObservationValues('observedSpread'), ['Narrow', 'Moderate', 'Wide']);
+  assert.deepEqual(listObservationValues('observedTieIn'), ['Poor', 'Adequate', 'Excellent']);
+  assert.deepEqual(listObservationValues('observedStability'), ['Unstable', 'Stable']);
+  assert.deepEqual(listObservationValues('observedColour'), []);
+});
+
+test('knowledge paths resolve to entries', () => {
+  assert.equal(getKnowledgeEntry('positions.Vertical Up.amperage'), 'Slightly lower');
+  assert.equal(getKnowledgeEntry('observables.puddleFluid.Stiff.causes[1]'), 'Travel too fast');
+  assert.deepEqual(getKnowledgeEntry('electrodeSize.1/8".amperage.E6010'), { min: 75, max: 130 });
+  assert.equal(getKnowledgeEntry('positions.Sideways.amperage'), undefined);
+});
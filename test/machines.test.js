@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkMachine,
+  withMachines,
+  dutyCycleAt,
+  machineSettings,
+  machineOutput,
+  assessMachine,
+  getRecommendations,
+  validateInputs,
+  troubleshootDefects,
+  getMachine,
+  getElectrode,
+  listMachines,
+  ValidationCode
+} from '../src/index.js';
+
+const THICK = 'Thick (>3/16")';
+const MEDIUM = 'Medium (1/8"-3/16")';
+const e7024 = { electrode: 'E7024', electrodeSize: '5/32"', position: 'Flat', metalThickness: THICK, jointType: 'T' };
+const e7018 = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt' };
+
+// A small 120 V inverter, as a user would describe it
+const hobby = {
+  outputs: ['DC+', 'DC-'],
+  amperage: { min: 20, max: 140 },
+  dutyCycle: { percent: 20, amperage: 90 },
+  openCircuitVoltage: 60
+};
+
+test('the built-in machines cover AC only, DC only and both', () => {
+  assert.deepEqual(listMachines(), ['AC buzz box', 'Inverter', 'Engine drive']);
+  assert.deepEqual(getMachine('AC buzz box').outputs, ['AC']);
+  assert.deepEqual(getMachine('Inverter').outputs, ['DC+', 'DC-']);
+  assert.equal(getMachine('Engine drive').dutyCycle.percent, 100);
+  assert.equal(getMachine('Plasma cutter'), undefined);
+});
+
+test('duty cycle rises below the rated amperage and is worked out for the run', () => {
+  const buzzBox = getMachine('AC buzz box');
+  assert.equal(dutyCycleAt(buzzBox, 225), 20);
+  assert.equal(dutyCycleAt(buzzBox, 112.5), 80);
+  assert.equal(dutyCycleAt(buzzBox, 90), 100);
+
+  const long = assessMachine('AC buzz box', { electrode: 'E7024', amperage: 215 });
+  assert.equal(long.dutyCycle, 21.9);
+  assert.equal(long.weldMinutes, 2.2);
+  assert.equal(long.arcMinutes, 5);
+  assert.equal(long.overloaded, true);
+  assert.equal(long.output, 'AC');
+  assert.equal(long.source, 'machines.AC buzz box');
+
+  const short = assessMachine('AC buzz box', { electrode: 'E7024', amperage: 215, runMinutes: 1.5 });
+  assert.equal(short.arcMinutes, 1.5);
+  assert.equal(short.overloaded, false);
+  assert.throws(() => assessMachine('Welder', { electrode: 'E7018', amperage: 100 }), /Unknown machine "Welder"/);
+});
+
+test('arc force and hot start follow the electrode, on machines that have the dials', () => {
+  assert.deepEqual(machineSettings(getMachine('Inverter'), getElectrode('E6010')), { arcForce: 70, hotStart: 30 });
+  assert.deepEqual(machineSettings(getMachine('Inverter'), getElectrode('E7018')), { arcForce: 30, hotStart: 50 });
+  assert.deepEqual(machineSettings(getMachine('AC buzz box'), getElectrode('E7018')), { arcForce: null, hotStart: null });
+  // Scaled onto the machine's own dial
+  const dial = { ...hobby, arcForce: { min: 1, max: 10 }, hotStart: null };
+  assert.deepEqual(machineSettings(dial, getElectrode('E6010')), { arcForce: 7, hotStart: null });
+
+  assert.equal(machineOutput(getMachine('Engine drive'), getElectrode('E6010')), 'DC+');
+  assert.equal(machineOutput(getMachine('Engine drive'), getElectrode('E7018'), 'DC-'), 'DC-');
+  assert.equal(machineOutput(getMachine('AC buzz box'), getElectrode('E6010')), undefined);
+});
+
+test('recommendations stay within the machine and warn when a long run outlasts its duty cycle', () => {
+  const free = getRecommendations(e7024, { trace: true });
+  assert.equal(free.machine, null);
+  assert.equal(free.display.machine, 'No machine profile');
+  assert.ok(!free.trace.some(step => step.kind === 'limit'));
+
+  const inverter = getRecommendations({ ...e7024, machine: 'Inverter' }, { trace: true });
+  assert.equal(inverter.valid, true);
+  assert.deepEqual([inverter.amperage.min, inverter.amperage.max], [200, 200]);
+  const limit = inverter.trace.find(step => step.kind === 'limit');
+  assert.deepEqual(limit.before, { min: free.amperage.min, max: free.amperage.max });
+  assert.equal(limit.source, 'machines.Inverter.amperage');
+  const limited = inverter.warnings.find(w => w.code === ValidationCode.AMPERAGE_LIMITED);
+  assert.match(limited.message, /but the Inverter only delivers 10-200 A/);
+  assert.deepEqual(limited.suggestions, [{ field: 'machine', value: 'Engine drive' }]);
+  assert.equal(inverter.display.machine, 'Inverter on DC+: 35% duty cycle at 200 A, arc force 30%, hot start 50%');
+  // The heat estimate is for what the machine actually puts out
+  assert.ok(inverter.heat.heatInput.value < free.heat.heatInput.value);
+
+  const buzzBox = getRecommendations({ ...e7024, machine: 'AC buzz box' });
+  const duty = buzzBox.warnings.find(w => w.code === ValidationCode.DUTY_CYCLE_EXCEEDED);
+  assert.equal(duty.field, 'machine');
+  assert.match(duty.message, /can weld 2 of every 10 min \(20\.2% duty cycle\), and this run keeps the arc lit for 5/);
+  assert.deepEqual(duty.suggestions, [
+    { field: 'electrodeSize', value: '1/8"' },
+    { field: 'electrodeSize', value: '3/32"' },
+    { field: 'machine', value: 'Engine drive' }
+  ]);
+
+  // A short run at medium travel speed fits within the duty cycle
+  const short = getRecommendations({ ...e7024, machine: 'AC buzz box', runLength: 6 });
+  assert.equal(short.machine.arcMinutes, 0.9);
+  assert.ok(!short.warnings.some(w => w.code === ValidationCode.DUTY_CYCLE_EXCEEDED));
+  const metric = getRecommendations({ ...e7024, machine: 'AC buzz box', runLength: 6 * 25.4, lengthUnit: 'mm' });
+  assert.equal(metric.machine.arcMinutes, 0.9);
+
+  const engine = getRecommendations({ ...e7024, machine: 'Engine drive' });
+  assert.deepEqual(engine.amperage, free.amperage);
+  assert.deepEqual(engine.warnings, free.warnings);
+});
+
+test('machines that cannot run the electrode, output or size are errors', () => {
+  const dcRod = validateInputs({ ...e7018, electrode: 'E6010', machine: 'AC buzz box' });
+  assert.equal(dcRod.errors[0].code, ValidationCode.CURRENT_NOT_SUPPORTED);
+  assert.equal(dcRod.errors[0].field, 'machine');
+  assert.equal(dcRod.errors[0].message, 'E6010 requires DC+; the AC buzz box only supplies AC');
+  assert.ok(dcRod.errors[0].suggestions.some(s => s.field === 'electrode' && s.value === 'E6011'));
+  assert.ok(dcRod.errors[0].suggestions.some(s => s.field === 'machine' && s.value === 'Inverter'));
+
+  const output = validateInputs({ ...e7018, machine: 'Inverter', machineType: 'AC' });
+  assert.equal(output.errors[0].code, ValidationCode.OUTPUT_NOT_AVAILABLE);
+  assert.deepEqual(output.errors[0].suggestions, [{ field: 'machineType', value: 'DC+' }]);
+
+  const knowledge = withMachines({ Hobby: hobby });
+  const reach = getRecommendations({ ...e7024, machine: 'Hobby', machineType: 'DC+' }, { knowledge });
+  assert.equal(reach.valid, false);
+  assert.equal(reach.errors[0].code, ValidationCode.AMPERAGE_NOT_AVAILABLE);
+  assert.match(reach.errors[0].message, /5\/32" E7024 runs at 180-250 A, out of the Hobby's 20-140 A/);
+  assert.deepEqual(reach.errors[0].suggestions, [{ field: 'electrodeSize', value: '3/32"' }, { field: 'electrodeSize', value: '1/8"' }]);
+
+  const unknown = validateInputs({ ...e7018, machine: 'Hobby' });
+  assert.equal(unknown.errors[0].code, ValidationCode.UNKNOWN_VALUE);
+  assert.equal(validateInputs({ ...e7018, runLength: 0 }).errors[0].field, 'runLength');
+
+  // A switch to AC is no fix on a DC-only machine
+  const arcBlow = troubleshootDefects(['Arc blow'], { ...e7018, machineType: 'DC+' });
+  const onInverter = troubleshootDefects(['Arc blow'], { ...e7018, machineType: 'DC+', machine: 'Inverter' });
+  assert.equal(arcBlow.adjustments[0].action, 'Switch to AC');
+  assert.ok(!onInverter.adjustments.some(a => a.action === 'Switch to AC'));
+});
+
+test('user-defined machines are checked and join the built-in ones', () => {
+  const knowledge = withMachines({ Hobby: hobby, 'Weak AC': { ...hobby, outputs: ['AC'], openCircuitVoltage: 50 } });
+  assert.deepEqual(Object.keys(knowledge.machines), ['AC buzz box', 'Inverter', 'Engine drive', 'Hobby', 'Weak AC']);
+  assert.deepEqual(knowledge.machines.Hobby, { ...hobby, arcForce: null, hotStart: null, description: '' });
+  assert.equal(listMachines().length, 3);
+
+  const hobbyRun = getRecommendations({ ...e7018, machine: 'Hobby' }, { knowledge });
+  assert.equal(hobbyRun.machine.output, 'DC+');
+  assert.equal(hobbyRun.display.machine, 'Hobby on DC+: 11% duty cycle at 120 A');
+  assert.ok(hobbyRun.warnings.some(w => w.code === ValidationCode.DUTY_CYCLE_EXCEEDED));
+
+  // E7018 needs a stronger AC arc to strike than 50 V
+  const weak = getRecommendations({ ...e7018, electrodeSize: '3/32"', metalThickness: 'Thin (<1/8")', machine: 'Weak AC' }, { knowledge });
+  const ocv = weak.warnings.find(w => w.code === ValidationCode.OPEN_CIRCUIT_VOLTAGE_LOW);
+  assert.match(ocv.message, /E7018 on AC wants 70 V open-circuit; the Weak AC's 50 V/);
+  assert.ok(!getRecommendations({ ...e7018, machine: 'AC buzz box' }).warnings
+    .some(w => w.code === ValidationCode.OPEN_CIRCUIT_VOLTAGE_LOW));
+
+  assert.throws(() => withMachines({ Inverter: hobby }), /Machine "Inverter" is already defined/);
+  assert.throws(() => checkMachine('', hobby), /needs a name/);
+  assert.throws(() => checkMachine('X', { ...hobby, outputs: ['DC'] }), /Machine "X" needs "outputs" from AC, DC\+, DC-/);
+  assert.throws(() => checkMachine('X', { ...hobby, amperage: { min: 150, max: 100 } }), /"amperage" range/);
+  assert.throws(() => checkMachine('X', { ...hobby, dutyCycle: { percent: 120, amperage: 90 } }), /"dutyCycle" percent/);
+  assert.throws(() => checkMachine('X', { ...hobby, dutyCycle: { percent: 20, amperage: 200 } }),
+    /rated for its duty cycle at 200 A, outside its 20-140 A output/);
+  assert.throws(() => checkMachine('X', { ...hobby, openCircuitVoltage: 0 }), /"openCircuitVoltage"/);
+  assert.throws(() => checkMachine('X', { ...hobby, hotStart: 50 }), /"hotStart" that is neither null nor/);
+});
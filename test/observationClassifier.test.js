@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createObservationClassifier,
+  syntheticSamples,
+  syntheticArcWaveform,
+  minimumSampleRate
+} from '../src/index.js';
+
+const reference = { current: 120, travelSpeed: 6.5, puddleWidth: 0.3 };
+
+// Steady samples every 100 ms from a start time, with voltage alternating by
+// the given swing around its level
+function run(classifier, { from = 0, to, current = 120, travelSpeed = 6.5, puddleWidth = 0.3, level = 24, swing = 0 }) {
+  let result;
+  for (let time = from; time < to; time += 100) {
+    const voltage = level + (time / 100 % 2 ? swing : -swing);
+    result = classifier.update({ time, voltage, current, travelSpeed, puddleWidth });
+  }
+  return result;
+}
+
+// A sampled arc waveform's voltage and current, one sample at a time from a
+// start time
+function feed(classifier, from, { sampleRate, voltage, current }) {
+  let result;
+  for (let i = 0; i < voltage.length; i++) {
+    result = classifier.update({ time: from + i * 1000 / sampleRate, voltage: voltage[i], current: current[i] });
+  }
+  return result;
+}
+
+test('signals on the reference classify as the middle categories', () => {
+  const classifier = createObservationClassifier({ reference });
+
+  const { observations, signals } = run(classifier, { to: 2000 });
+
+  assert.deepEqual(observations, {
+    observedPuddle: 'Moderate',
+    observedSpread: 'Moderate',
+    observedTieIn: 'Excellent',
+    observedStability: 'Stable'
+  });
+  assert.ok(Math.abs(signals.heat - 1) < 1e-9);
+  assert.ok(Math.abs(signals.width - 1) < 1e-9);
+});
+
+test('running hot and slow reads as a fluid, wide puddle', () => {
+  const classifier = createObservationClassifier({ reference, initial: { observedPuddle: 'Moderate', observedSpread: 'Moderate' } });
+
+  const { observations } = run(classifier, { to: 5000, current: 150, travelSpeed: 4.9, puddleWidth: 0.4 });
+
+  assert.equal(observations.observedPuddle, 'VeryFluid');
+  assert.equal(observations.observedSpread, 'Wide');
+});
+
+test('running cold and fast reads as stiff, narrow and poorly tied in', () => {
+  const classifier = createObservationClassifier({ reference });
+
+  const { observations } = run(classifier, { to: 5000, current: 95, travelSpeed: 9, puddleWidth: 0.22 });
+
+  assert.equal(observations.observedPuddle, 'Stiff');
+  assert.equal(observations.observedSpread, 'Narrow');
+  assert.equal(observations.observedTieIn, 'Poor');
+});
+
+test('an erratic arc voltage reads as unstable', () => {
+  const classifier = createObservationClassifier({ reference });
+
+  const { observations } = run(classifier, { to: 5000, swing: 4 });
+
+  assert.equal(observations.observedStability, 'Unstable');
+});
+
+test('an arc waveform is analysed for the stability and the arc gap', () => {
+  const classifier = createObservationClassifier({ reference: { ...reference, electrodeSize: '1/8"' } });
+  const waveform = (from, options) => feed(classifier, from, syntheticArcWaveform({ sampleRate: 2000, ...options }));
+
+  // Nothing until the first second of voltage and current is in
+  assert.equal(feed(classifier, 0, syntheticArcWaveform({ sampleRate: 2000, duration: 900 })).observations.observedArcGap,
+    undefined);
+  const short = waveform(900, { arcLength: 0.8, seed: 1 });
+  assert.equal(short.observations.observedStability, 'Stable');
+  assert.equal(short.observations.observedArcGap, 'Short');
+
+  const medium = waveform(1900, { arcLength: 1.25, seed: 2, duration: 2000 });
+  assert.equal(medium.observations.observedArcGap, 'Medium');
+  const shorting = waveform(3900, { arcLength: 1.25, shortCircuitRate: 8, seed: 3, duration: 2000 });
+  assert.equal(shorting.observations.observedStability, 'Unstable');
+
+  // A new reference starts a new window
+  classifier.setReference({ ...reference, electrodeSize: '5/32"' });
+  const { observations, changed } = classifier.update({ time: 6000, voltage: 30, current: 120 });
+  assert.equal(observations.observedArcGap, 'Medium');
+  assert.deepEqual(changed, []);
+});
+
+test('sensor samples too slow to be a waveform are not analysed, so one outlier changes nothing', () => {
+  assert.equal(minimumSampleRate(), 1000);
+  assert.equal(minimumSampleRate({ minShortCircuit: 0.5 }), 2000);
+  const classifier = createObservationClassifier({ reference: { ...reference, electrodeSize: '1/8"' } });
+  const changed = [];
+  for (let time = 0; time < 6000; time += 100) {
+    // One reading with no current, which analysed as a waveform is a 100 ms outage
+    const current = time === 3000 ? 0 : 120;
+    const result = classifier.update({ time, voltage: 24, current, travelSpeed: 6.5, puddleWidth: 0.3 });
+    changed.push(...result.changed);
+  }
+  const { observations } = classifier.update({ time: 6000, voltage: 24, current: 120, travelSpeed: 6.5, puddleWidth: 0.3 });
+
+  // Stability is classified once, from the steadiness signal, and holds
+  assert.equal(observations.observedStability, 'Stable');
+  assert.equal(changed.filter(field => field === 'observedStability').length, 1);
+  assert.ok(!changed.includes('observedArcGap'));
+});
+
+test('a signal just past a threshold stays inside the hysteresis band', () => {
+  const classifier = createObservationClassifier({ reference, initial: { observedPuddle: 'Moderate' } });
+
+  // 1.28 is over the 1.25 threshold but short of 1.25 × 1.05
+  const { observations, signals } = run(classifier, { to: 5000, current: 120 * 1.28 });
+
+  assert.ok(signals.heat > 1.25);
+  assert.equal(observations.observedPuddle, 'Moderate');
+});
+
+test('a new category is only taken once it has held', () => {
+  const classifier = createObservationClassifier({ reference, smoothing: 1, hold: 600 });
+  run(classifier, { to: 1000 });
+
+  // Smoothing is near instant here, so the change is pending from 1000 ms
+  const early = run(classifier, { from: 1000, to: 1600, current: 180 });
+  const later = run(classifier, { from: 1600, to: 1700, current: 180 });
+
+  assert.equal(early.observations.observedPuddle, 'Moderate');
+  assert.deepEqual(early.changed, []);
+  assert.equal(later.observations.observedPuddle, 'VeryFluid');
+  assert.ok(later.changed.includes('observedPuddle'));
+});
+
+test('a brief spike does not change the category', () => {
+  const classifier = createObservationClassifier({ reference, smoothing: 1 });
+  run(classifier, { to: 1000 });
+  run(classifier, { from: 1000, to: 1300, current: 180 });
+
+  const { observations } = run(classifier, { from: 1300, to: 3000 });
+
+  assert.equal(observations.observedPuddle, 'Moderate');
+});
+
+test('a new reference changes what counts as hot', () => {
+  const classifier = createObservationClassifier({ reference });
+  const before = run(classifier, { to: 2000, current: 160 });
+
+  classifier.setReference({ ...reference, current: 160 });
+  const after = run(classifier, { from: 2000, to: 5000, current: 160 });
+
+  assert.equal(before.observations.observedPuddle, 'VeryFluid');
+  assert.equal(after.observations.observedPuddle, 'Moderate');
+});
+
+test('without a reference width only the puddle and stability are classified', () => {
+  const classifier = createObservationClassifier({ reference: { current: 120, travelSpeed: 6.5 } });
+
+  const { observations } = run(classifier, { to: 1000 });
+
+  assert.deepEqual(Object.keys(observations).sort(), ['observedPuddle', 'observedStability']);
+});
+
+test('reset forgets the smoothed signals and returns to the initial observations', () => {
+  const initial = { observedPuddle: 'Stiff' };
+  const classifier = createObservationClassifier({ reference, initial, smoothing: 1 });
+  run(classifier, { to: 2000 });
+
+  classifier.reset();
+  const { observations } = classifier.update({ time: 5000, current: 120 });
+
+  assert.deepEqual(observations, initial);
+});
+
+test('the made-up run passes through every kind of observation', () => {
+  const classifier = createObservationClassifier({ reference: { current: 120, travelSpeed: 6.5, puddleWidth: 0.3 } });
+  const seen = new Set();
+
+  syntheticSamples().forEach(sample => {
+    const { observations } = classifier.update(sample);
+    Object.entries(observations).forEach(([field, category]) => seen.add(`${field}:${category}`));
+  });
+
+  ['observedPuddle:VeryFluid', 'observedPuddle:Stiff', 'observedSpread:Wide', 'observedSpread:Narrow',
+    'observedTieIn:Poor', 'observedStability:Unstable'].forEach(state => assert.ok(seen.has(state), state));
+});
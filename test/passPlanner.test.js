@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planPasses, PassType, ValidationCode } from '../src/index.js';
+
+const beveled = {
+  electrode: 'E7018',
+  electrodeSize: '1/8"',
+  position: 'Flat',
+  jointType: 'Butt',
+  machineType: 'DC+',
+  thickness: 0.375,
+  bevelAngle: 30,
+  rootOpening: 0.125,
+  rootFace: 0.0625
+};
+
+test('a beveled butt joint gets an E6010 root and hot pass, then E7018 fill and cap', () => {
+  const plan = planPasses(beveled);
+
+  assert.equal(plan.valid, true);
+  assert.deepEqual(plan.passes.map(p => [p.type, p.electrode]), [
+    [PassType.ROOT, 'E6010'],
+    [PassType.HOT, 'E6010'],
+    [PassType.FILL, 'E7018'],
+    [PassType.FILL, 'E7018'],
+    [PassType.FILL, 'E7018'],
+    [PassType.CAP, 'E7018'],
+    [PassType.CAP, 'E7018']
+  ]);
+  assert.deepEqual(plan.passes.map(p => p.number), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(plan.passes.map(p => p.layer), [1, 2, 3, 4, 4, 5, 5]);
+
+  // Beads deposit at least the joint's cross-section
+  const deposited = plan.passes.reduce((sum, p) => sum + p.beadArea.value, 0);
+  assert.ok(deposited >= plan.jointArea.value);
+});
+
+test('each pass has its own amperage and motion', () => {
+  const [root, hot, fill] = planPasses(beveled).passes;
+
+  assert.deepEqual(root.amperage, { min: 86, max: 105, nominal: 96, unit: 'A' });
+  assert.ok(hot.amperage.min >= root.amperage.max);
+  assert.equal(root.motionPattern, 'WHIP_STEP');
+  assert.equal(fill.motionPattern, 'SIDE_TO_SIDE');
+  // Split layers are run as straight stringers
+  assert.equal(planPasses(beveled).passes[3].motionPattern, 'STRAIGHT');
+});
+
+test('the same inputs always give the same plan', () => {
+  assert.deepEqual(planPasses(beveled), planPasses({ ...beveled }));
+});
+
+test('the root electrode suits the machine and base metal', () => {
+  assert.equal(planPasses({ ...beveled, machineType: 'AC' }).passes[0].electrode, 'E6011');
+
+  const stainless = planPasses({ ...beveled, electrode: 'E308L-16', baseMetal: 'Stainless 304/304L' });
+  assert.equal(stainless.passes[0].electrode, 'E308L-16');
+  assert.ok(!stainless.passes.some(p => p.type === PassType.HOT));
+  assert.ok(stainless.notes.some(note => note.includes('350°F')));
+});
+
+test('a small fillet is a single pass', () => {
+  const plan = planPasses({ ...beveled, jointType: 'T', thickness: undefined, metalThickness: 'Medium (1/8"-3/16")' });
+  assert.deepEqual(plan.passes.map(p => [p.type, p.electrode]), [[PassType.ROOT, 'E7018']]);
+});
+
+test('metric plans report areas in mm²', () => {
+  const plan = planPasses({ ...beveled, lengthUnit: 'mm', thickness: 9.525, rootOpening: 3.175, rootFace: 1.5875 },
+    { units: 'metric' });
+  assert.equal(plan.jointArea.unit, 'mm²');
+  assert.equal(plan.passes[0].beadArea.value, 12.9);
+  assert.equal(plan.passes.length, 7);
+});
+
+test('invalid inputs give no plan', () => {
+  const plan = planPasses({ ...beveled, electrode: 'E7024', position: 'Overhead' });
+  assert.equal(plan.valid, false);
+  assert.equal(plan.errors[0].code, ValidationCode.POSITION_NOT_SUPPORTED);
+  assert.deepEqual(plan.passes, []);
+});
+
+test('a square-edged butt is welded from both sides once one pass cannot fuse it', () => {
+  const squareButt = { ...beveled, bevelAngle: undefined, rootOpening: undefined, rootFace: undefined };
+
+  const sheet = planPasses({ ...squareButt, thickness: 0.125 });
+  assert.deepEqual(sheet.passes.map(p => p.type), [PassType.ROOT]);
+  assert.ok(!sheet.warnings.some(w => w.code === ValidationCode.PARTIAL_PENETRATION));
+
+  const plate = planPasses({ ...squareButt, thickness: 1 });
+  assert.equal(plate.valid, true);
+  assert.deepEqual(plate.passes.map(p => [p.type, p.layer]), [[PassType.ROOT, 1], [PassType.BACK, 1]]);
+  const warning = plate.warnings.find(w => w.code === ValidationCode.PARTIAL_PENETRATION);
+  assert.equal(warning.field, 'bevelAngle');
+  assert.match(warning.message, /short of 1" plate/);
+});
+
+test('a joint past the pass limit is rejected, suggesting a larger rod', () => {
+  const plan = planPasses({ ...beveled, thickness: 4, bevelAngle: 60 });
+  assert.equal(plan.valid, false);
+  assert.equal(plan.errors[0].code, ValidationCode.TOO_MANY_PASSES);
+  assert.deepEqual(plan.errors[0].suggestions, [{ field: 'electrodeSize', value: '5/32"' }]);
+  assert.deepEqual(plan.passes, []);
+});
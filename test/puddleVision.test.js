@@ -0,0 +1,169 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import {
+  analyzePuddleFrame,
+  summarizePuddleFrames,
+  puddleOverlay,
+  decodeNetpbm,
+  encodePpm,
+  syntheticPuddleFrame
+} from '../src/index.js';
+
+// The fixture frames and the settings they were made with; regenerate one with
+// encodePpm(syntheticPuddleFrame({...FRAME, ...FIXTURES[name]}))
+const FRAME = { width: 96, height: 72, puddleWidth: 24, puddleLength: 34 };
+const FIXTURES = {
+  nominal: {},
+  'hot-wide': { brightness: 0.97, puddleWidth: 31 },
+  'cold-narrow': { brightness: 0.55, puddleWidth: 18, edgeSoftness: 0.05 },
+  wetted: { edgeSoftness: 0.45 },
+  'slag-ahead': { slagAhead: 0.6 }
+};
+
+// 80 px to the inch puts the nominal 24 px puddle at the 0.3" reference
+const camera = { pixelsPerInch: 80, reference: { puddleWidth: 0.3 } };
+
+const fixture = async name =>
+  decodeNetpbm(await readFile(new URL(`./fixtures/puddle-frames/${name}.ppm`, import.meta.url)));
+
+test('the fixture frames are the synthetic frames they were made from', async () => {
+  for (const [name, settings] of Object.entries(FIXTURES)) {
+    const expected = syntheticPuddleFrame({ ...FRAME, ...settings });
+    assert.deepEqual(await fixture(name), expected, name);
+  }
+});
+
+test('a good puddle measures at the reference and reads as the middle categories', async () => {
+  const analysis = analyzePuddleFrame(await fixture('nominal'), camera);
+
+  assert.ok(analysis.found);
+  assert.deepEqual(analysis.width, { px: 24, in: 0.3 });
+  assert.ok(analysis.length.px > analysis.width.px);
+  assert.ok(Math.abs(analysis.signals.heat - 1) < 0.05);
+  assert.deepEqual(analysis.observations, {
+    observedPuddle: 'Moderate',
+    observedSpread: 'Moderate',
+    observedTieIn: 'Adequate'
+  });
+  assert.equal(analysis.slagAhead.detected, false);
+});
+
+test('a bright, wide puddle reads as very fluid and wide', async () => {
+  const { observations } = analyzePuddleFrame(await fixture('hot-wide'), camera);
+
+  assert.equal(observations.observedPuddle, 'VeryFluid');
+  assert.equal(observations.observedSpread, 'Wide');
+});
+
+test('a dim, narrow puddle with hard edges reads as stiff, narrow and poorly tied in', async () => {
+  const analysis = analyzePuddleFrame(await fixture('cold-narrow'), camera);
+
+  assert.ok(analysis.edgeContrast > 0.7);
+  assert.deepEqual(analysis.observations, {
+    observedPuddle: 'Stiff',
+    observedSpread: 'Narrow',
+    observedTieIn: 'Poor'
+  });
+});
+
+test('sides that fade into the plate read as excellent tie-in', async () => {
+  const { observations } = analyzePuddleFrame(await fixture('wetted'), camera);
+
+  assert.equal(observations.observedTieIn, 'Excellent');
+});
+
+test('slag running ahead of the puddle is reported with the advice against it', async () => {
+  const { slagAhead } = analyzePuddleFrame(await fixture('slag-ahead'), camera);
+
+  assert.equal(slagAhead.detected, true);
+  assert.ok(slagAhead.coverage > 0.4);
+  assert.equal(slagAhead.advice, "Keep arc in puddle, don't let slag get ahead");
+  assert.equal(slagAhead.source, 'electrodes.E7018.slag');
+});
+
+test('spread needs a scale and a reference width', async () => {
+  const { observations, width } = analyzePuddleFrame(await fixture('nominal'));
+
+  assert.equal(width.in, null);
+  assert.deepEqual(Object.keys(observations), ['observedPuddle', 'observedTieIn']);
+});
+
+test('the travel direction turns the measurements with the frame', () => {
+  const frame = syntheticPuddleFrame(FRAME);
+  // Transpose so the puddle travels down the frame
+  const data = new Uint8ClampedArray(frame.data.length);
+  for (let y = 0; y < 96; y++) {
+    for (let x = 0; x < 72; x++) {
+      data.set(frame.data.subarray((x * 96 + y) * 4, (x * 96 + y) * 4 + 4), (y * 72 + x) * 4);
+    }
+  }
+  const turned = { width: 72, height: 96, data };
+  const straight = analyzePuddleFrame(frame);
+
+  const down = analyzePuddleFrame(turned, { travel: 'down' });
+
+  assert.equal(down.width.px, straight.width.px);
+  assert.equal(down.length.px, straight.length.px);
+  assert.throws(() => analyzePuddleFrame(turned, { travel: 'sideways' }), /Unknown travel direction "sideways"/);
+});
+
+test('grey and RGB frames analyse like RGBA ones', async () => {
+  const rgba = await fixture('nominal');
+  const rgb = { ...rgba, data: rgba.data.filter((value, i) => i % 4 !== 3) };
+  const grey = { ...rgba, data: rgba.data.filter((value, i) => i % 4 === 1) };
+
+  const { mask, slagMask, ...expected } = analyzePuddleFrame(rgba);
+  assert.deepEqual(analyzePuddleFrame(rgb), { mask, slagMask, ...expected });
+  assert.ok(Math.abs(analyzePuddleFrame(grey).width.px - expected.width.px) <= 1);
+  assert.throws(() => analyzePuddleFrame({ width: 10, height: 10, data: new Uint8Array(7) }), /doesn't fit 10×10 pixels/);
+});
+
+test('a frame with no puddle finds nothing', () => {
+  const analysis = analyzePuddleFrame(syntheticPuddleFrame({ ...FRAME, brightness: 0 }));
+
+  assert.equal(analysis.found, false);
+  assert.deepEqual(analysis.observations, {});
+});
+
+test('a run of frames settles on what most of them show', async () => {
+  const hot = analyzePuddleFrame(await fixture('hot-wide'), camera);
+  const nominal = analyzePuddleFrame(await fixture('nominal'), camera);
+  const slag = analyzePuddleFrame(await fixture('slag-ahead'), camera);
+  const empty = analyzePuddleFrame(syntheticPuddleFrame({ ...FRAME, brightness: 0 }), camera);
+
+  const summary = summarizePuddleFrames([hot, slag, hot, empty, nominal, hot]);
+  assert.equal(summary.frames, 5);
+  assert.equal(summary.observations.observedPuddle, 'VeryFluid');
+  assert.equal(summary.slagAhead, false);
+
+  // A tie goes to the later frame
+  assert.equal(summarizePuddleFrames([hot, nominal]).observations.observedPuddle, 'Moderate');
+  assert.deepEqual(summarizePuddleFrames([empty]), { observations: {}, slagAhead: false, frames: 0 });
+});
+
+test('the overlay outlines the puddle, marks its width and paints the slag', async () => {
+  const frame = await fixture('slag-ahead');
+  const analysis = analyzePuddleFrame(frame, camera);
+
+  const overlay = puddleOverlay(frame, analysis);
+  const colour = (x, y) => [...overlay.data.subarray((y * 96 + x) * 4, (y * 96 + x) * 4 + 3)];
+  const pixels = [...Array(96 * 72).keys()].map(i => colour(i % 96, Math.floor(i / 96)).join());
+
+  assert.equal(overlay.data.length, 96 * 72 * 4);
+  assert.ok(pixels.includes('0,255,0'));
+  assert.ok(pixels.includes('255,0,255'));
+  assert.deepEqual(colour(...analysis.widest.from), [0, 255, 255]);
+});
+
+test('PPM frames round-trip, and PGM decodes to grey', () => {
+  const frame = syntheticPuddleFrame({ width: 8, height: 6 });
+  assert.deepEqual(decodeNetpbm(encodePpm(frame)), frame);
+
+  const pgm = new Uint8Array([...new TextEncoder().encode('P5\n# a comment\n2 1\n255\n'), 0, 200]);
+  assert.deepEqual([...decodeNetpbm(pgm).data], [0, 0, 0, 255, 200, 200, 200, 255]);
+
+  assert.throws(() => decodeNetpbm(new TextEncoder().encode('P3\n1 1\n255\n0 0 0')), /Unsupported image format "P3"/);
+  assert.throws(() => decodeNetpbm(new TextEncoder().encode('P6\n4 4\n255\n\0\0')), /shorter than 4×4/);
+});
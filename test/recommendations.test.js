@@ -0,0 +1,398 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  weldingKnowledge,
+  getRecommendations,
+  getAmperageRange,
+  listElectrodes,
+  listElectrodeSizes,
+  listPositions,
+  listThicknesses,
+  listBaseMetals,
+  listJointTypes,
+  listMachineTypes,
+  MotionPattern,
+  ValidationCode
+} from '../src/index.js';
+
+const THIN = 'Thin (<1/8")';
+const MEDIUM = 'Medium (1/8"-3/16")';
+const THICK = 'Thick (>3/16")';
+
+function* allScenarios() {
+  for (const electrode of listElectrodes()) {
+    for (const electrodeSize of listElectrodeSizes()) {
+      for (const position of listPositions()) {
+        for (const metalThickness of listThicknesses()) {
+          for (const jointType of listJointTypes()) {
+            for (const machineType of listMachineTypes()) {
+              for (const baseMetal of listBaseMetals()) {
+                yield { electrode, electrodeSize, position, metalThickness, jointType, machineType, baseMetal };
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+function assertRange(range, unit, label) {
+  assert.equal(range.unit, unit, label);
+  for (const key of ['min', 'max', 'nominal']) {
+    assert.equal(typeof range[key], 'number', `${key} for ${label}`);
+  }
+  assert.ok(range.min <= range.nominal && range.nominal <= range.max, `nominal outside range for ${label}`);
+}
+
+test('every electrode x size x position x thickness x joint x machine x base metal is recommended or blocked', () => {
+  let count = 0;
+  let blocked = 0;
+
+  for (const inputs of allScenarios()) {
+    const label = JSON.stringify(inputs);
+    const result = getRecommendations(inputs);
+    count++;
+
+    if (!result.valid) {
+      assert.ok(result.errors.length > 0, `blocked without an error for ${label}`);
+      assert.ok(result.errors.every(e => Object.values(ValidationCode).includes(e.code)), label);
+      assert.equal(result.amperage, null, `blocked recommendation has amperage for ${label}`);
+      assert.deepEqual(result.motionPatterns, []);
+      blocked++;
+      continue;
+    }
+    assert.deepEqual(result.errors, []);
+
+    const table = getAmperageRange(inputs.electrode, inputs.electrodeSize);
+    assertRange(result.amperage, 'A', label);
+    assert.ok(result.amperage.min >= table.min && result.amperage.max <= table.max,
+      `amperage outside table range for ${label}`);
+
+    assertRange(result.arcLength, 'xCore', label);
+    assertRange(result.workAngle, 'deg', label);
+    assertRange(result.travelAngle, 'deg', label);
+    assertRange(result.travelSpeed, 'in/min', label);
+    assert.ok(result.motionPatterns.length > 0, `missing motion pattern for ${label}`);
+    assert.ok(result.motionPatterns.every(p => Object.values(MotionPattern).includes(p)), label);
+
+    // Each technique dimension points at an entry in the techniques table
+    for (const [dimension, option] of Object.entries(result.technique)) {
+      assert.ok(weldingKnowledge.techniques[dimension][option], `unknown ${dimension} "${option}" for ${label}`);
+    }
+
+    for (const [field, text] of Object.entries(result.display)) {
+      assert.ok(text, `missing ${field} display for ${label}`);
+    }
+  }
+
+  assert.equal(count, 12 * 3 * 5 * 3 * 4 * 3 * 7);
+  assert.ok(blocked > 0 && blocked < count);
+});
+
+test('base metal rules set thermal limits and procedure notes', () => {
+  const base = { electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt' };
+
+  const mild = getRecommendations({ ...base, electrode: 'E7018' });
+  assert.deepEqual(mild.thermal, { preheatMin: null, interpassMax: null, unit: 'degF' });
+  assert.deepEqual(mild.notes, []);
+  assert.equal(mild.display.thermal, 'No preheat or interpass limit');
+
+  const stainless = getRecommendations({ ...base, electrode: 'E308L-16', baseMetal: 'Stainless 304/304L' });
+  assert.equal(stainless.thermal.interpassMax, 350);
+  assert.deepEqual(stainless.amperage, { min: 75, max: 100, nominal: 88, unit: 'A' });
+  assert.deepEqual(stainless.motionPatterns, [MotionPattern.STRAIGHT, MotionPattern.SLIGHT_SIDE_TO_SIDE]);
+
+  const castIron = getRecommendations({ ...base, electrode: 'ENi-CI', baseMetal: 'Cast iron', position: 'Vertical Up' });
+  assert.deepEqual(castIron.motionPatterns, [MotionPattern.STRAIGHT]);
+  assert.deepEqual(castIron.amperage, { min: 65, max: 80, nominal: 73, unit: 'A' });
+  assert.ok(castIron.notes.some(note => note.startsWith('Peen')));
+
+  const chromeMoly = getRecommendations({ ...base, electrode: 'E8018-B2', baseMetal: 'Chrome-moly (1¼Cr-½Mo)' },
+    { units: 'metric' });
+  assert.deepEqual(chromeMoly.thermal, { preheatMin: 150, interpassMax: 315, unit: 'degC' });
+  assert.equal(chromeMoly.display.thermal, 'Preheat 150°C min, interpass 315°C max');
+
+  const thickHsla = getRecommendations({ ...base, electrode: 'E9018-M', baseMetal: 'High-strength low-alloy',
+    metalThickness: THICK });
+  assert.equal(thickHsla.thermal.preheatMin, 225);
+  assert.ok(thickHsla.rules.overridden.some(o => o.ruleId === 'material.hsla.thermal' && o.field === 'thermal.preheatMin'));
+});
+
+test('numeric thickness interpolates amperage and electrode size', () => {
+  const base = { electrode: 'E7018', electrodeSize: '5/32"', position: 'Flat', jointType: 'Butt' };
+
+  const quarter = getRecommendations({ ...base, thickness: 0.25 });
+  const half = getRecommendations({ ...base, thickness: 12.7, lengthUnit: 'mm', bevelAngle: 30 });
+  assert.deepEqual(quarter.amperage, { min: 185, max: 215, nominal: 200, unit: 'A' });
+  assert.deepEqual(half.amperage, { min: 204, max: 215, nominal: 210, unit: 'A' });
+  assert.deepEqual(half.thickness, { value: 0.5, unit: 'in', preset: THICK, source: 'input' });
+  assert.deepEqual(half.electrodeSizes.recommended, ['5/32"']);
+
+  const thin = getRecommendations({ ...base, thickness: 0.1 });
+  assert.equal(thin.valid, false);
+  assert.equal(thin.errors[0].code, ValidationCode.ELECTRODE_TOO_LARGE);
+});
+
+test('presets give the same amperage as their nominal thickness', () => {
+  const base = { electrode: 'E6010', electrodeSize: '1/8"', position: 'Flat', jointType: 'Butt' };
+  for (const metalThickness of listThicknesses()) {
+    const { nominal } = weldingKnowledge.metalThickness[metalThickness].thickness;
+    assert.deepEqual(getRecommendations({ ...base, thickness: nominal }).amperage,
+      getRecommendations({ ...base, metalThickness }).amperage, metalThickness);
+  }
+});
+
+test('joint geometry adjusts amperage and adds notes', () => {
+  const base = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', jointType: 'Butt', thickness: 0.375 };
+
+  const square = getRecommendations(base, { trace: true });
+  assert.ok(square.rules.fired.includes('geometry.square-groove.bevel'));
+  assert.equal(square.trace[1].kind, 'interpolation');
+
+  const gap = getRecommendations({ ...base, bevelAngle: 30, rootOpening: 0.125 });
+  assert.ok(!gap.rules.fired.includes('geometry.square-groove.bevel'));
+  assert.ok(gap.amperage.max < square.amperage.max);
+
+  const fillet = getRecommendations({ ...base, jointType: 'T', filletLeg: 0.375 });
+  assert.ok(fillet.notes.some(note => note.includes('fillet legs')));
+  assert.equal(fillet.warnings[0].code, ValidationCode.ELECTRODE_SIZE_NOT_IDEAL);
+});
+
+test('thickness narrows the amperage window to the low or high end', () => {
+  const base = { electrode: 'E6010', electrodeSize: '1/8"', position: 'Flat', jointType: 'Butt' };
+
+  assert.deepEqual(getRecommendations({ ...base, metalThickness: THIN }).amperage,
+    { min: 75, max: 97, nominal: 86, unit: 'A' });
+  assert.deepEqual(getRecommendations({ ...base, metalThickness: MEDIUM }).amperage,
+    { min: 75, max: 130, nominal: 103, unit: 'A' });
+  assert.equal(getRecommendations({ ...base, metalThickness: THICK }).display.amperage, '108-130A');
+});
+
+test('vertical up and overhead lower the top of the range', () => {
+  const base = { electrode: 'E7018', electrodeSize: '1/8"', metalThickness: MEDIUM, jointType: 'T' };
+
+  assert.equal(getRecommendations({ ...base, position: 'Vertical Up' }).display.amperage, '100-145A');
+  assert.equal(getRecommendations({ ...base, position: 'Overhead' }).display.amperage, '100-147A');
+});
+
+test('vertical up motion pattern depends on electrode', () => {
+  const base = { electrodeSize: '1/8"', position: 'Vertical Up', metalThickness: MEDIUM, jointType: 'Butt' };
+
+  assert.deepEqual(getRecommendations({ ...base, electrode: 'E7018' }).motionPatterns,
+    [MotionPattern.SIDE_TO_SIDE]);
+  assert.deepEqual(getRecommendations({ ...base, electrode: 'E6010' }).motionPatterns,
+    [MotionPattern.WHIP_STEP, MotionPattern.CIRCULAR]);
+});
+
+test('angles, arc length and travel speed are numeric', () => {
+  const result = getRecommendations({
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'T'
+  });
+
+  assert.equal(result.workAngle.nominal, 45);
+  assert.equal(result.travelAngle.nominal, 10);
+  assert.equal(result.arcLength.category, 'Short');
+  assert.deepEqual(result.arcLength.coreDiameter, { value: 0.125, unit: 'in' });
+  assert.equal(result.travelSpeed.category, 'Medium');
+  assert.deepEqual(result.technique, {
+    arcGap: 'Short', rodAngle: '45°', travelSpeed: 'Medium', motionPattern: 'Straight'
+  });
+  assert.equal(result.display.rodAngle, '45° into corner (work 40-50°, 5-15° drag)');
+  assert.equal(result.display.arcLength, 'Short (0.5-1× core, 0.06-0.13 in)');
+  assert.equal(result.display.motionPattern, 'Straight, Side-to-side');
+});
+
+test('vertical up pushes, vertical down drags', () => {
+  const base = { electrode: 'E6011', electrodeSize: '1/8"', metalThickness: MEDIUM, jointType: 'Butt' };
+
+  assert.ok(getRecommendations({ ...base, position: 'Vertical Up' }).travelAngle.nominal < 0);
+  assert.ok(getRecommendations({ ...base, position: 'Vertical Down' }).travelAngle.nominal > 0);
+  assert.equal(getRecommendations({ ...base, position: 'Vertical Down' }).technique.travelSpeed, 'Fast');
+});
+
+test('metric units report travel speed in mm/s', () => {
+  const inputs = { electrode: 'E6013', electrodeSize: '3/32"', position: 'Flat', metalThickness: THIN, jointType: 'Lap' };
+  const imperial = getRecommendations(inputs);
+  const metric = getRecommendations(inputs, { units: 'metric' });
+
+  assert.equal(metric.travelSpeed.unit, 'mm/s');
+  assert.equal(metric.travelSpeed.nominal, Math.round(imperial.travelSpeed.nominal * 25.4 / 6) / 10);
+  assert.deepEqual(metric.arcLength.coreDiameter, { value: 2.38, unit: 'mm' });
+  assert.equal(metric.display.travelSpeed, 'Medium (2.1-3.4 mm/s)');
+});
+
+test('observations produce real-time adjustments', () => {
+  const result = getRecommendations({
+    electrode: 'E6010',
+    electrodeSize: '1/8"',
+    position: 'Flat',
+    metalThickness: MEDIUM,
+    jointType: 'Butt',
+    machineType: 'DC+',
+    observedPuddle: 'Stiff',
+    observedSpread: 'Wide',
+    observedTieIn: 'Poor',
+    observedStability: 'Unstable'
+  });
+
+  assert.deepEqual(result.adjustments.slice(0, 4), [
+    'Increase amperage',
+    'Slow travel speed',
+    'Decrease amperage',
+    'Check polarity'
+  ]);
+  assert.deepEqual(result.adjustments, result.diagnosis.adjustments.map(a => a.action));
+});
+
+test('electrode tips come before diagnosis adjustments', () => {
+  const result = getRecommendations({
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'T',
+    observedPuddle: 'VeryFluid'
+  });
+
+  assert.deepEqual(result.adjustments, [
+    "Keep arc in puddle, don't let slag get ahead",
+    'Decrease amperage',
+    'Increase travel speed',
+    'Shorten arc'
+  ]);
+});
+
+test('the diagnosed causes move the technique to aim for off the recommended one', () => {
+  const inputs = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'T' };
+  const steady = getRecommendations(inputs);
+  assert.deepEqual(steady.techniqueTargets, steady.technique);
+  assert.equal(steady.techniqueTargets.travelSpeed, 'Medium');
+
+  // Travelling too slowly is the likeliest cause of a very fluid puddle that
+  // changes technique; the rules' technique stays as it was
+  const fluid = getRecommendations({ ...inputs, observedPuddle: 'VeryFluid' });
+  assert.deepEqual(fluid.technique, steady.technique);
+  assert.deepEqual(fluid.techniqueTargets, { ...steady.technique, travelSpeed: 'Fast', arcGap: 'Short' });
+
+  const stiff = getRecommendations({ ...inputs, observedPuddle: 'Stiff', observedSpread: 'Narrow' });
+  assert.deepEqual(stiff.techniqueTargets, {
+    ...steady.technique, travelSpeed: 'Slow', arcGap: 'Medium', rodAngle: 'Perpendicular'
+  });
+  assert.deepEqual(getRecommendations({ ...inputs, observedArcGap: 'Huge' }).techniqueTargets, {});
+});
+
+test('a measured arc gap off the recommended one is corrected before the diagnosis', () => {
+  const inputs = {
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'T',
+    observedPuddle: 'VeryFluid'
+  };
+
+  const long = getRecommendations({ ...inputs, observedArcGap: 'Long' }, { trace: true });
+  const held = getRecommendations({ ...inputs, observedArcGap: long.arcLength.category });
+
+  assert.equal(long.arcLength.category, 'Short');
+  assert.deepEqual(long.adjustments.slice(0, 3), [
+    "Keep arc in puddle, don't let slag get ahead",
+    'Shorten the arc to a short gap',
+    'Decrease amperage'
+  ]);
+  const measured = long.trace.find(step => step.kind === 'measurement');
+  assert.equal(measured.source, 'techniques.arcGap.Long.effect');
+  assert.equal(measured.sourceText, 'More distributed heat, less penetration');
+  assert.deepEqual(held.adjustments, getRecommendations(inputs).adjustments);
+
+  const huge = getRecommendations({ ...inputs, observedArcGap: 'Huge' });
+  assert.equal(huge.valid, false);
+  assert.deepEqual(huge.errors.map(e => [e.code, e.field]), [[ValidationCode.UNKNOWN_VALUE, 'observedArcGap']]);
+});
+
+test('invalid inputs block the recommendation', () => {
+  const result = getRecommendations({ electrode: 'E9999', electrodeSize: '1/4"', position: 'Flat', jointType: 'Edge' });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(e => e.field), ['electrode', 'electrodeSize', 'metalThickness', 'jointType']);
+  assert.equal(result.amperage, null);
+  assert.equal(result.arcLength, null);
+  assert.equal(result.workAngle, null);
+  assert.deepEqual(result.motionPatterns, []);
+  assert.equal(result.display.amperage, '');
+});
+
+test('warnings accompany a valid recommendation', () => {
+  const result = getRecommendations({
+    electrode: 'E6013', electrodeSize: '1/8"', position: 'Flat', metalThickness: THIN, jointType: 'Lap'
+  });
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings.map(w => w.code),
+    [ValidationCode.ELECTRODE_SIZE_NOT_IDEAL, ValidationCode.BURN_THROUGH_RISK]);
+  assert.ok(result.amperage);
+});
+
+test('an alternate knowledge base can be supplied', () => {
+  const result = getRecommendations(
+    { electrode: 'E6010', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt' },
+    { knowledge: { ...weldingKnowledge, electrodeSize: { '1/8"': { diameter: 0.125, amperage: { E6010: { min: 90, max: 100 } } } } } }
+  );
+
+  assert.equal(result.display.amperage, '90-100A');
+});
+
+test('trace is only returned when asked for', () => {
+  const inputs = { electrode: 'E6010', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Butt' };
+  assert.equal(getRecommendations(inputs).trace, undefined);
+  assert.ok(Array.isArray(getRecommendations(inputs, { trace: true }).trace));
+});
+
+test('trace explains every step of the amperage', () => {
+  const result = getRecommendations({
+    electrode: 'E7018', electrodeSize: '1/8"', position: 'Vertical Up', metalThickness: THIN, jointType: 'Butt'
+  }, { trace: true });
+
+  const amperage = result.trace.filter(step => step.field.startsWith('amperage'));
+  assert.deepEqual(amperage.map(step => [step.kind, step.before, step.after]), [
+    ['base', null, { min: 100, max: 150 }],
+    ['rule', { min: 100, max: 150 }, { min: 100, max: 120 }],
+    ['rule', 120, 115]
+  ]);
+  assert.equal(amperage[0].source, 'electrodeSize.1/8".amperage.E7018');
+  assert.equal(amperage[1].ruleId, 'thickness.thin.amperage');
+  assert.equal(amperage[1].sourceText, 'Lower end of range');
+  assert.equal(amperage[2].sourceText, 'Slightly lower');
+  assert.deepEqual(result.amperage, { min: 100, max: 115, nominal: 108, unit: 'A' });
+});
+
+test('trace marks overridden steps', () => {
+  const result = getRecommendations({
+    electrode: 'E6011', electrodeSize: '1/8"', position: 'Horizontal', metalThickness: THICK, jointType: 'Butt'
+  }, { trace: true });
+
+  const rodAngle = result.trace.filter(step => step.field === 'rodAngle');
+  assert.deepEqual(rodAngle.map(step => [step.after, step.overriddenBy]), [
+    ['DRAG_45', 'position.horizontal.technique'],
+    ['CONTROL_PUDDLE', undefined]
+  ]);
+  assert.equal(result.trace.find(step => step.kind === 'rounding'), undefined);
+});
+
+test('trace records rounding to whole amps', () => {
+  const knowledge = structuredClone(weldingKnowledge);
+  knowledge.electrodeSize['1/8"'].amperage.E6013 = { min: 70, max: 111 };
+
+  const result = getRecommendations({
+    electrode: 'E6013', electrodeSize: '1/8"', position: 'Flat', metalThickness: THIN, jointType: 'Lap'
+  }, { trace: true, knowledge });
+
+  const rounding = result.trace.find(step => step.kind === 'rounding');
+  assert.equal(rounding.before.max.toFixed(1), '86.4');
+  assert.deepEqual(rounding.after, { min: 70, max: 86 });
+});
+
+test('trace cites the observables entry behind each diagnosed adjustment', () => {
+  const result = getRecommendations({
+    electrode: 'E6013', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Lap',
+    observedSpread: 'Wide'
+  }, { trace: true });
+
+  const diagnosed = result.trace.filter(step => step.kind === 'diagnosis');
+  assert.deepEqual(diagnosed.map(step => step.after), ['Decrease amperage', 'Speed up travel', 'Adjust angle']);
+  assert.equal(diagnosed[0].source, 'observables.puddleSpread.Wide.adjustments[0]');
+});
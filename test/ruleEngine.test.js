@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+
+import {
+  evaluateRules,
+  matchesCondition,
+  parseRules,
+  getRecommendations,
+  recommendationRules
+} from '../src/index.js';
+import { loadRuleFile } from '../src/node/loadRuleFile.js';
+
+const MEDIUM = 'Medium (1/8"-3/16")';
+
+test('conditions match scalars, lists and operators', () => {
+  const facts = { electrode: 'E7018', thickness: 0.25 };
+
+  assert.equal(matchesCondition({ electrode: 'E7018' }, facts), true);
+  assert.equal(matchesCondition({ electrode: ['E6010', 'E6011'] }, facts), false);
+  assert.equal(matchesCondition({ thickness: { gte: 0.1875, lt: 0.5 } }, facts), true);
+  assert.equal(matchesCondition({ position: { exists: false } }, facts), true);
+  assert.equal(matchesCondition({ any: [{ electrode: 'E6010' }, { thickness: { gt: 0.2 } }] }, facts), true);
+  assert.equal(matchesCondition({ not: { electrode: 'E7018' } }, facts), false);
+  assert.equal(matchesCondition({}, facts), true);
+});
+
+test('effects apply in priority order and higher priority sets win', () => {
+  const rules = [
+    { id: 'high', priority: 20, when: {}, then: [{ field: 'speed', op: 'set', value: 'FAST' }] },
+    { id: 'low', priority: 10, when: {}, then: [{ field: 'speed', op: 'set', value: 'SLOW' }] },
+    { id: 'window', priority: 10, when: {}, then: [{ field: 'amps', op: 'window', value: [0, 0.5] }] },
+    { id: 'derate', priority: 20, when: {}, then: [{ field: 'amps.max', op: 'add', value: -5 }] },
+    { id: 'tip', priority: 5, when: {}, then: [{ field: 'tips', op: 'append', value: 'one' }] },
+    { id: 'never', when: { electrode: 'E6010' }, then: [{ field: 'speed', op: 'set', value: 'NONE' }] }
+  ];
+
+  const result = evaluateRules(rules, { electrode: 'E7018' }, { amps: { min: 100, max: 200 }, tips: [] });
+
+  assert.deepEqual(result.state, { amps: { min: 100, max: 145 }, speed: 'FAST', tips: ['one'] });
+  assert.deepEqual(result.fired, ['tip', 'low', 'window', 'high', 'derate']);
+  assert.deepEqual(result.overridden, [{ ruleId: 'low', field: 'speed', by: 'high' }]);
+  assert.deepEqual(result.steps.find(s => s.ruleId === 'derate'), {
+    ruleId: 'derate', field: 'amps.max', op: 'add', value: -5, before: 150, after: 145, source: undefined
+  });
+});
+
+test('the initial state is not mutated', () => {
+  const initial = { list: ['a'] };
+  evaluateRules([{ id: 'x', then: [{ field: 'list', op: 'append', value: 'b' }] }], {}, initial);
+  assert.deepEqual(initial, { list: ['a'] });
+});
+
+test('malformed rules are rejected with the rule id', () => {
+  assert.throws(() => parseRules('[{"then": []}]'), /needs a string "id"/);
+  assert.throws(() => parseRules('[{"id": "a", "then": []}]'), /Rule "a" needs a non-empty "then"/);
+  assert.throws(() => parseRules('[{"id": "a", "then": [{"field": "x", "op": "multiply"}]}]'), /unknown op "multiply"/);
+  assert.throws(() => parseRules('[{"id": "a", "when": {"x": {"like": 1}}, "then": [{"field": "x", "op": "set"}]}]'),
+    /unknown condition operator "like"/);
+  assert.throws(() => parseRules('{"id": "a"}'), /list of rules/);
+});
+
+test('the built-in rule set is well formed', () => {
+  assert.deepEqual(parseRules(JSON.stringify(recommendationRules)), recommendationRules);
+  const ids = recommendationRules.map(rule => rule.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('recommendations report fired and overridden rules', () => {
+  const result = getRecommendations({
+    electrode: 'E6011', electrodeSize: '1/8"', position: 'Horizontal', metalThickness: MEDIUM, jointType: 'Butt'
+  });
+
+  assert.ok(result.rules.fired.includes('joint.butt.other.rod-angle'));
+  assert.ok(result.rules.fired.includes('position.horizontal.technique'));
+  assert.deepEqual(result.rules.overridden, [
+    { ruleId: 'joint.butt.other.rod-angle', field: 'rodAngle', by: 'position.horizontal.technique' }
+  ]);
+});
+
+test('YAML rule files extend the built-in rules without code changes', async () => {
+  const extra = await loadRuleFile(fileURLToPath(new URL('./fixtures/extra-rules.yaml', import.meta.url)));
+  const inputs = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Overhead', metalThickness: MEDIUM, jointType: 'T' };
+
+  const result = getRecommendations(inputs, { rules: [...recommendationRules, ...extra] });
+
+  assert.deepEqual(result.motionPatterns, ['STRAIGHT']);
+  assert.ok(result.adjustments.includes('Keep stringers short and let each bead freeze before the next'));
+  assert.deepEqual(result.rules.overridden, [
+    { ruleId: 'electrode.e7018.technique', field: 'motionPatterns', by: 'video.e7018.overhead.short-stringers' }
+  ]);
+});
+
+test('unknown presets named by a rule are reported', () => {
+  const rules = [{ id: 'typo', then: [{ field: 'arcLength', op: 'set', value: 'MEDUM' }] }];
+  const inputs = { electrode: 'E6013', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'Lap' };
+
+  assert.throws(() => getRecommendations(inputs, { rules }), /Unknown arcLength preset "MEDUM"/);
+});
@@ -0,0 +1,230 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { request } from 'node:http';
+
+import {
+  normalizeSample,
+  parseSensorLog,
+  createReplayAdapter,
+  createJsonLinesAdapter,
+  syntheticSamples
+} from '../src/index.js';
+import { startSensorStandIn, textFrame } from '../src/node/sensorStandIn.js';
+
+// Timers that only move when told to
+function fakeTimers() {
+  let now = 0;
+  let nextId = 1;
+  const pending = new Map();
+  return {
+    setTimeout(callback, wait) {
+      pending.set(nextId, { callback, at: now + wait });
+      return nextId++;
+    },
+    clearTimeout(id) {
+      pending.delete(id);
+    },
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        const [id, due] = [...pending].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!due || due.at > until) break;
+        pending.delete(id);
+        now = due.at;
+        due.callback();
+      }
+      now = until;
+    },
+    get pending() {
+      return pending.size;
+    }
+  };
+}
+
+// Stand-in for the browser's WebSocket: records the URL and lets the test
+// deliver messages and close it
+class FakeSocket {
+  static last = null;
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeSocket.last = this;
+  }
+  close() {
+    this.closed = true;
+  }
+}
+
+test('samples are coerced to numbers and blank readings left out', () => {
+  assert.deepEqual(normalizeSample({ time: '100', voltage: '24.5', current: 120, travelSpeed: '' }),
+    { time: 100, voltage: 24.5, current: 120 });
+  assert.throws(() => normalizeSample({ voltage: 24 }), /needs a numeric "time"/);
+  assert.throws(() => normalizeSample({ time: 0, current: 'high' }), /non-numeric "current"/);
+  assert.throws(() => normalizeSample({ time: 0 }), /has none of voltage, current/);
+});
+
+test('a recorded CSV log parses into samples in time order', async () => {
+  const text = await readFile(new URL('./fixtures/sensor-log.csv', import.meta.url), 'utf8');
+
+  const samples = parseSensorLog(text);
+
+  assert.equal(samples.length, 5);
+  assert.deepEqual(samples[2], { time: 200, voltage: 24, current: 120.1, puddleWidth: 0.302 });
+  assert.equal(samples[4].current, 151);
+});
+
+test('JSON and JSON-lines logs parse the same samples', () => {
+  const samples = [{ time: 100, current: 121 }, { time: 0, current: 120, voltage: 24 }];
+  const lines = samples.map(sample => JSON.stringify(sample)).join('\n');
+
+  const expected = [{ time: 0, current: 120, voltage: 24 }, { time: 100, current: 121 }];
+  assert.deepEqual(parseSensorLog(JSON.stringify(samples)), expected);
+  assert.deepEqual(parseSensorLog(JSON.stringify({ samples })), expected);
+  assert.deepEqual(parseSensorLog(lines), expected);
+  assert.deepEqual(parseSensorLog(lines, 'jsonl'), expected);
+});
+
+test('malformed logs are reported with where they went wrong', () => {
+  assert.throws(() => parseSensorLog('voltage,current\n24,120', 'csv'), /needs a "time" column/);
+  assert.throws(() => parseSensorLog('time,current\n0,120,7', 'csv'), /line 2 has more cells/);
+  assert.throws(() => parseSensorLog('{"time":0,"current":120}\n{"time":', 'jsonl'), /line 2/);
+  assert.throws(() => parseSensorLog('{"readings":[]}', 'json'), /"samples" list/);
+  assert.throws(() => parseSensorLog('', 'xml'), /Unknown sensor log format "xml"/);
+});
+
+test('a replay delivers samples at their recorded pace, scaled by speed', () => {
+  const timers = fakeTimers();
+  const samples = [{ time: 0, current: 120 }, { time: 100, current: 121 }, { time: 300, current: 122 }];
+  const received = [];
+  let ended = false;
+
+  createReplayAdapter(samples, { speed: 2, timers })
+    .start({ sample: sample => received.push(sample), end: () => { ended = true; } });
+
+  timers.advance(0);
+  assert.equal(received.length, 1);
+  timers.advance(49);
+  assert.equal(received.length, 1);
+  timers.advance(1);
+  assert.equal(received.length, 2);
+  timers.advance(100);
+  assert.deepEqual(received, samples);
+  assert.ok(ended);
+});
+
+test('a looped replay keeps its times increasing, and stops when told', () => {
+  const timers = fakeTimers();
+  const samples = [{ time: 0, current: 120 }, { time: 100, current: 121 }];
+  const received = [];
+  const replay = createReplayAdapter(samples, { loop: true, timers });
+
+  replay.start({ sample: sample => received.push(sample.time) });
+  timers.advance(350);
+  replay.stop();
+  timers.advance(1000);
+
+  assert.deepEqual(received, [0, 100, 200, 300]);
+  assert.equal(timers.pending, 0);
+});
+
+test('the JSON-lines adapter parses each line of each message and skips bad ones', () => {
+  const received = [];
+  const errors = [];
+  let ended = false;
+  const adapter = createJsonLinesAdapter('ws://localhost:8765', { WebSocket: FakeSocket });
+
+  adapter.start({
+    sample: sample => received.push(sample),
+    error: error => errors.push(error.message),
+    end: () => { ended = true; }
+  });
+  const socket = FakeSocket.last;
+  socket.onmessage({ data: '{"time":0,"voltage":24}\n{"time":100,"voltage":"x"}\n\n{"time":200,"voltage":25}' });
+
+  assert.equal(socket.url, 'ws://localhost:8765');
+  assert.deepEqual(received, [{ time: 0, voltage: 24 }, { time: 200, voltage: 25 }]);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /Bad sensor sample from ws:\/\/localhost:8765: .*non-numeric "voltage"/);
+
+  socket.onclose();
+  assert.ok(ended);
+});
+
+test('stopping the JSON-lines adapter closes the socket without calling back', () => {
+  let ended = false;
+  const adapter = createJsonLinesAdapter('ws://localhost:8765', { WebSocket: FakeSocket });
+
+  adapter.start({ sample: () => {}, end: () => { ended = true; } });
+  const socket = FakeSocket.last;
+  adapter.stop();
+
+  assert.ok(socket.closed);
+  assert.equal(socket.onclose, null);
+  assert.equal(ended, false);
+});
+
+test('without a WebSocket the adapter reports it and ends', () => {
+  const errors = [];
+  let ended = false;
+
+  createJsonLinesAdapter('ws://localhost:8765', { WebSocket: null })
+    .start({ sample: () => {}, error: error => errors.push(error.message), end: () => { ended = true; } });
+
+  assert.deepEqual(errors, ['WebSocket is not available here']);
+  assert.ok(ended);
+});
+
+test('the made-up run is repeatable and drifts hot, then cold', () => {
+  const samples = syntheticSamples({ duration: 4000, interval: 100 });
+  const average = (from, to, field) => {
+    const slice = samples.filter(sample => sample.time >= from && sample.time < to);
+    return slice.reduce((sum, sample) => sum + sample[field], 0) / slice.length;
+  };
+
+  assert.deepEqual(syntheticSamples({ duration: 4000, interval: 100 }), samples);
+  assert.equal(samples.length, 41);
+  assert.ok(average(1000, 2000, 'current') > 1.15 * average(0, 1000, 'current'));
+  assert.ok(average(2000, 3000, 'travelSpeed') > 1.3 * average(0, 1000, 'travelSpeed'));
+});
+
+test('text frames use the extended length encodings past 125 bytes', () => {
+  assert.deepEqual([...textFrame('hi')], [0x81, 2, 0x68, 0x69]);
+  const medium = textFrame('x'.repeat(300));
+  assert.deepEqual([medium[1], medium.readUInt16BE(2)], [126, 300]);
+  const large = textFrame('x'.repeat(70000));
+  assert.deepEqual([large[1], Number(large.readBigUInt64BE(2))], [127, 70000]);
+});
+
+test('the stand-in process streams samples to a WebSocket client as JSON lines', async () => {
+  const samples = [{ time: 0, voltage: 24, current: 120 }, { time: 50, voltage: 24.2, current: 121 }];
+  const standIn = await startSensorStandIn({ samples, port: 0 });
+  try {
+    const { socket, accept, frame } = await new Promise((resolve, reject) => {
+      const upgrade = request({
+        port: standIn.port,
+        headers: {
+          Connection: 'Upgrade',
+          Upgrade: 'websocket',
+          'Sec-WebSocket-Version': '13',
+          'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ=='
+        }
+      });
+      upgrade.on('upgrade', (response, socket, head) => {
+        const first = data => resolve({ socket, accept: response.headers['sec-websocket-accept'], frame: data });
+        if (head.length) first(head);
+        else socket.once('data', first);
+      });
+      upgrade.on('error', reject);
+      upgrade.end();
+    });
+
+    // The RFC 6455 example key and its expected answer
+    assert.equal(accept, 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    assert.equal(frame[0], 0x81);
+    assert.deepEqual(JSON.parse(frame.subarray(2, 2 + frame[1]).toString()), samples[0]);
+    socket.destroy();
+  } finally {
+    await standIn.close();
+  }
+});
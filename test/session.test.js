@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createSessionRecorder,
+  getRecommendations,
+  sessionStateAt,
+  sessionDuration,
+  serializeSession,
+  parseSession,
+  SessionEntryType,
+  ValidationCode,
+  withMachines
+} from '../src/index.js';
+
+const settings = {
+  electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: 'Medium (1/8"-3/16")',
+  jointType: 'T', units: 'imperial', observedPuddle: 'Moderate', observedSpread: 'Moderate'
+};
+
+// A short practice run on a clock the test sets: the puddle runs hot at 4 s,
+// the welder turns the amperage setting down at 6 s by changing electrode size
+function practiceRun() {
+  let clock = 10000;
+  const recorder = createSessionRecorder({ now: () => clock });
+  const values = { ...settings };
+  const step = (time, changes, source) => {
+    clock = 10000 + time;
+    Object.assign(values, changes);
+    return recorder.record({ ...values }, getRecommendations(values), source && { source });
+  };
+  step(0, {});
+  step(2000, {});
+  step(4000, { observedPuddle: 'VeryFluid', observedSpread: 'Wide' }, 'Demo run');
+  step(6000, { electrodeSize: '3/32"' });
+  step(9000, { observedPuddle: 'Moderate', observedSpread: 'Moderate' });
+  return recorder;
+}
+
+test('a recording keeps the starting values and one entry per kind of change', () => {
+  const session = practiceRun().session();
+
+  assert.deepEqual(session.initial, settings);
+  assert.equal(session.startedAt, new Date(10000).toISOString());
+  assert.deepEqual(session.entries.map(entry => [entry.time, entry.type]), [
+    [0, SessionEntryType.RECOMMENDATION],
+    [4000, SessionEntryType.OBSERVATION],
+    [4000, SessionEntryType.RECOMMENDATION],
+    [6000, SessionEntryType.PARAMETERS],
+    [6000, SessionEntryType.RECOMMENDATION],
+    [9000, SessionEntryType.OBSERVATION],
+    [9000, SessionEntryType.RECOMMENDATION]
+  ]);
+  assert.deepEqual(session.entries[1], {
+    time: 4000,
+    type: SessionEntryType.OBSERVATION,
+    changes: { observedPuddle: 'VeryFluid', observedSpread: 'Wide' },
+    source: 'Demo run'
+  });
+  assert.equal(session.entries[5].source, 'manual');
+});
+
+test('each recommendation entry holds the advice that was shown', () => {
+  const session = practiceRun().session();
+  const hot = session.entries[2].recommendation;
+
+  assert.ok(hot.valid);
+  assert.ok(hot.adjustments.includes('Decrease amperage'));
+  assert.equal(hot.display.amperage, '100-150A');
+  assert.equal(session.entries[4].recommendation.display.amperage, '65-110A');
+});
+
+test('an invalid recommendation records its error messages', () => {
+  const recorder = createSessionRecorder({ now: () => 0 });
+  const values = { ...settings, electrode: 'E7024', position: 'Vertical Up' };
+
+  const [entry] = recorder.record(values, getRecommendations(values));
+
+  assert.equal(entry.recommendation.valid, false);
+  assert.match(entry.recommendation.errors[0], /E7024/);
+});
+
+test('the state at any moment replays the entries up to it', () => {
+  const session = practiceRun().session();
+
+  const before = sessionStateAt(session, 3999);
+  const during = sessionStateAt(session, 4500);
+  const after = sessionStateAt(session, 60000);
+
+  assert.equal(before.values.observedPuddle, 'Moderate');
+  assert.equal(before.entry.time, 0);
+  assert.equal(during.values.observedPuddle, 'VeryFluid');
+  assert.ok(during.recommendation.adjustments.includes('Decrease amperage'));
+  assert.equal(during.entry.type, SessionEntryType.RECOMMENDATION);
+  assert.equal(after.values.electrodeSize, '3/32"');
+  assert.equal(after.values.observedPuddle, 'Moderate');
+  assert.equal(sessionDuration(session), 9000);
+});
+
+test('rod exposure is recorded, so a replay recommends from it alone', () => {
+  let clock = 0;
+  const recorder = createSessionRecorder({ now: () => clock });
+  const dry = { ...settings, rodExposure: 1 };
+  recorder.record(dry, getRecommendations(dry));
+  clock = 5000;
+  const damp = { ...settings, rodExposure: 5 };
+  recorder.record(damp, getRecommendations(damp));
+  const session = parseSession(serializeSession(recorder.session()));
+
+  assert.deepEqual(session.entries[1].changes, { rodExposure: 5 });
+  const { values, recommendation } = sessionStateAt(session, 5000);
+  const replayed = getRecommendations(values);
+  assert.deepEqual(replayed.warnings.map(w => w.message), recommendation.warnings);
+  assert.ok(replayed.warnings.some(w => w.code === ValidationCode.ROD_OVER_EXPOSED));
+});
+
+test('the moment the puddle went very fluid can be found', () => {
+  const { entries } = practiceRun().session();
+
+  const entry = entries.find(({ changes }) => changes && changes.observedPuddle === 'VeryFluid');
+
+  assert.equal(entry.time, 4000);
+});
+
+test('a session survives a JSON round trip', () => {
+  const session = practiceRun().session();
+
+  const text = serializeSession(session);
+
+  assert.deepEqual(parseSession(text), session);
+  assert.deepEqual(JSON.parse(text), session);
+  assert.equal(text.split('\n').filter(line => line.startsWith('    {"time"')).length, session.entries.length);
+  assert.deepEqual(parseSession(serializeSession({ ...session, entries: [] })).entries, []);
+});
+
+test('broken session files say what is wrong', () => {
+  const session = practiceRun().session();
+  const broken = changes => JSON.stringify({ ...session, ...changes });
+
+  assert.throws(() => parseSession('{"version":'), /not valid JSON/);
+  assert.throws(() => parseSession(broken({ version: 2 })), /Unsupported session version 2/);
+  assert.throws(() => parseSession(broken({ initial: null })), /needs an "initial" object/);
+  assert.throws(() => parseSession(broken({ entries: {} })), /needs an "entries" list/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 0, type: 'note' }] })), /entry 1 has unknown type "note"/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 5, type: 'parameters', changes: {} }, { time: 1, type: 'parameters', changes: {} }] })),
+    /entry 2 is earlier than the one before it/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 0, type: 'observation' }] })), /entry 1 needs "changes"/);
+});
+
+test('imported sessions may only hold values the inputs can take', () => {
+  const session = practiceRun().session();
+  const broken = changes => JSON.stringify({ ...session, ...changes });
+  const markup = '<img src=x onerror=alert(1)>';
+
+  assert.throws(() => parseSession(broken({ initial: { ...session.initial, machine: markup } })),
+    /Session start has machine "<img src=x onerror=alert\(1\)>", which is not a value it can take/);
+  assert.throws(() => parseSession(broken({ initial: { ...session.initial, colour: 'red' } })),
+    /Session start records unknown field "colour"/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 0, type: 'parameters', changes: { rootOpening: '1/8' } }] })),
+    /entry 1 has rootOpening "1\/8"/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 0, type: 'observation', changes: { observedPuddle: 'Runny' }, source: 'manual' }] })),
+    /entry 1 has observedPuddle "Runny"/);
+  assert.throws(() => parseSession(broken({ entries: [{ time: 0, type: 'recommendation', recommendation: { valid: true } }] })),
+    /entry 1 needs a "recommendation" with valid/);
+
+  // A user-defined machine is known once the knowledge base has it
+  const knowledge = withMachines({
+    Hobby: { outputs: ['DC+'], amperage: { min: 20, max: 140 }, dutyCycle: { percent: 20, amperage: 90 }, openCircuitVoltage: 60 }
+  });
+  const hobby = broken({ initial: { ...session.initial, machine: 'Hobby', rodExposure: null } });
+  assert.throws(() => parseSession(hobby), /machine "Hobby"/);
+  assert.equal(parseSession(hobby, { knowledge }).initial.machine, 'Hobby');
+});
+
+test('clearing starts a new session on the next record', () => {
+  let clock = 0;
+  const recorder = createSessionRecorder({ now: () => clock });
+  recorder.record(settings, getRecommendations(settings));
+
+  recorder.clear();
+  assert.equal(recorder.session(), null);
+  clock = 5000;
+  recorder.record({ ...settings, electrode: 'E6013' }, getRecommendations({ ...settings, electrode: 'E6013' }));
+
+  const session = recorder.session();
+  assert.equal(session.initial.electrode, 'E6013');
+  assert.equal(session.entries[0].time, 0);
+});
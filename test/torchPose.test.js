@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { torchPose } from '../src/index.js';
+
+const close = (actual, expected) => actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-3,
+  `${JSON.stringify(actual)} is not ${JSON.stringify(expected)}`));
+const length = v => Math.hypot(...v);
+
+test('a flat butt joint at 90° work and no travel angle has the rod straight up', () => {
+  const pose = torchPose({ jointType: 'Butt', position: 'Flat', workAngle: 90, travelAngle: 0 });
+
+  close(pose.electrode.direction, [0, 1, 0]);
+  close(pose.travel, [1, 0, 0]);
+  assert.equal(pose.plates.length, 2);
+  // The plates sit either side of the root, below its surface
+  assert.ok(pose.plates.every(plate => plate.center[1] < 0));
+  assert.ok(pose.plates[0].center[2] < 0 && pose.plates[1].center[2] > 0);
+  assert.deepEqual(pose.arcs.map(arc => arc.label), ['Work 90°']);
+});
+
+test('dragging leans the rod back over the finished weld, pushing leans it forward', () => {
+  const drag = torchPose({ jointType: 'Butt', position: 'Flat', workAngle: 90, travelAngle: 15 });
+  const push = torchPose({ jointType: 'Butt', position: 'Flat', workAngle: 90, travelAngle: -15 });
+
+  assert.ok(drag.electrode.direction[0] < 0);
+  assert.ok(push.electrode.direction[0] > 0);
+  assert.equal(drag.arcs[1].label, 'Travel 15° drag');
+  assert.equal(push.arcs[1].label, 'Travel 15° push');
+  close(drag.electrode.direction, [-Math.sin(Math.PI / 12), Math.cos(Math.PI / 12), 0]);
+});
+
+test('45° into a flat fillet bisects the corner, which faces up', () => {
+  const pose = torchPose({ jointType: 'T', position: 'Flat', workAngle: 45, travelAngle: 0 });
+  close(pose.electrode.direction, [0, 1, 0]);
+});
+
+test('a horizontal fillet keeps its flange level and the rod points up into the corner', () => {
+  const pose = torchPose({ jointType: 'T', position: 'Horizontal', workAngle: 45, travelAngle: 0 });
+
+  close(pose.basis[1], [0, 1, 0]);
+  close(pose.electrode.direction, [0, Math.SQRT1_2, Math.SQRT1_2]);
+  assert.equal(pose.gravity.description, 'Causes puddle to sag downward');
+  assert.equal(pose.gravity.source, 'positions.Horizontal.gravity');
+});
+
+test('vertical positions travel along gravity or against it', () => {
+  const up = torchPose({ jointType: 'Butt', position: 'Vertical Up', workAngle: 90, travelAngle: -10 });
+  const down = torchPose({ jointType: 'Butt', position: 'Vertical Down', workAngle: 90, travelAngle: 10 });
+
+  close(up.travel, [0, 1, 0]);
+  close(down.travel, [0, -1, 0]);
+  close(up.gravity.direction, [0, -1, 0]);
+  // Both angle the rod up, towards the top of the joint
+  assert.ok(up.electrode.direction[1] > 0);
+  assert.ok(down.electrode.direction[1] > 0);
+});
+
+test('overhead welds face down', () => {
+  const pose = torchPose({ jointType: 'Butt', position: 'Overhead', workAngle: 90, travelAngle: 5 });
+  assert.ok(pose.electrode.direction[1] < -0.9);
+  assert.ok(pose.plates.every(plate => plate.center[1] > 0));
+});
+
+test('the electrode starts an arc gap from the root and the arcs sweep their angles', () => {
+  const pose = torchPose({ jointType: 'Lap', position: 'Flat', workAngle: 45, travelAngle: 20 });
+  const { tip, end } = pose.electrode;
+
+  assert.ok(length(tip) > 0 && length(tip) < 1);
+  assert.ok(length(end) > 5);
+  pose.arcs.forEach(arc => {
+    const radius = length(arc.points[0]);
+    arc.points.forEach(point => assert.ok(Math.abs(length(point) - radius) < 1e-3));
+    const [first, last] = [arc.points[0], arc.points.at(-1)];
+    const sweep = Math.acos((first[0] * last[0] + first[1] * last[1] + first[2] * last[2]) / radius ** 2) * 180 / Math.PI;
+    assert.ok(Math.abs(sweep - Math.abs(arc.degrees)) < 0.1, `${arc.angle} sweeps ${sweep}°`);
+  });
+});
+
+test('unknown joint types and positions throw', () => {
+  assert.throws(() => torchPose({ jointType: 'Edge', position: 'Flat', workAngle: 90, travelAngle: 0 }), /joint type "Edge"/);
+  assert.throws(() => torchPose({ jointType: 'Butt', position: 'Sideways', workAngle: 90, travelAngle: 0 }), /position "Sideways"/);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { troubleshootDefects, getRecommendations, MotionPattern } from '../src/index.js';
+
+const MEDIUM = 'Medium (1/8"-3/16")';
+const CHROME_MOLY = 'Chrome-moly (1¼Cr-½Mo)';
+const scenario = { electrode: 'E7018', electrodeSize: '1/8"', position: 'Flat', metalThickness: MEDIUM, jointType: 'T' };
+
+test('defects that share a cause rank it first, citing each defect', () => {
+  const result = troubleshootDefects(['Porosity', 'Undercut'], scenario);
+
+  assert.deepEqual(result.defects.map(d => d.source), ['defects.Porosity', 'defects.Undercut']);
+  assert.match(result.defects[0].appearance, /gas holes/);
+  assert.equal(result.causes[0].cause, 'Arc too long');
+  assert.deepEqual(result.causes[0].defects, ['Porosity', 'Undercut']);
+  assert.deepEqual(result.causes[0].sources, ['defects.Porosity.causes[0]', 'defects.Undercut.causes[1]']);
+  for (let i = 1; i < result.causes.length; i++) {
+    assert.ok(result.causes[i].confidence <= result.causes[i - 1].confidence);
+  }
+
+  const actions = result.adjustments.map(a => a.action);
+  assert.equal(actions[0], 'Shorten arc');
+  assert.equal(new Set(actions).size, actions.length);
+});
+
+test('corrections carry the parameter change and a target within the recommendation', () => {
+  const { adjustments } = troubleshootDefects(['Porosity', 'Cold lap'], scenario);
+  const find = action => adjustments.find(a => a.action === action);
+  const { amperage } = getRecommendations(scenario);
+
+  assert.deepEqual(find('Shorten arc').change, { field: 'arcGap', to: 'Short' });
+  assert.equal(find('Shorten arc').target.category, 'Short');
+  assert.equal(find('Slow travel speed').target.category, 'Medium');
+  assert.equal(find('Pause at each side of the weave').target, MotionPattern.ZIGZAG);
+  assert.equal(find('Adjust to more perpendicular angle').target, undefined);
+
+  const decrease = find('Decrease amperage').target;
+  const increase = find('Increase amperage').target;
+  assert.deepEqual([decrease.min, decrease.max], [amperage.min, amperage.nominal]);
+  assert.deepEqual([increase.min, increase.max], [amperage.nominal, amperage.max]);
+  assert.ok(decrease.nominal < amperage.nominal && increase.nominal > amperage.nominal);
+
+  // No electrode size, no recommendation to aim within
+  const bare = troubleshootDefects(['Cold lap'], { electrode: 'E7018' });
+  assert.equal(bare.adjustments.find(a => a.action === 'Increase amperage').target, undefined);
+});
+
+test('the scenario moves causes it makes likelier to the front', () => {
+  const butt = troubleshootDefects(['Undercut'], { ...scenario, jointType: 'Butt' });
+  const tee = troubleshootDefects(['Undercut'], scenario);
+  assert.equal(butt.causes[0].cause, 'Amperage too high');
+  assert.equal(tee.causes[0].cause, 'Poor angle');
+  assert.equal(tee.causes[0].likely, true);
+  assert.equal(butt.causes.find(c => c.cause === 'Poor angle').likely, false);
+
+  const cracking = troubleshootDefects(['Cracking'], { electrode: 'E8018-B2', thickness: 1, baseMetal: CHROME_MOLY });
+  assert.deepEqual(cracking.causes.slice(0, 2).map(c => [c.cause, c.likely]), [
+    ['Cooling too fast for the steel', true],
+    ['Hydrogen from damp rods', true]
+  ]);
+});
+
+test('causes and fixes that cannot apply to the scenario are left out', () => {
+  const has = (result, cause) => result.causes.some(c => c.cause === cause);
+  assert.ok(!has(troubleshootDefects(['Cracking'], scenario), 'Filler does not match the base metal'));
+  assert.ok(has(troubleshootDefects(['Cracking'], { ...scenario, baseMetal: CHROME_MOLY }), 'Filler does not match the base metal'));
+  assert.ok(!has(troubleshootDefects(['Arc blow'], { machineType: 'AC' }), 'Magnetic arc blow'));
+
+  // E6010 won't run on AC, so there is no switching to it
+  const acRod = troubleshootDefects(['Arc blow'], { electrode: 'E6013', machineType: 'DC+' });
+  const dcRod = troubleshootDefects(['Arc blow'], { electrode: 'E6010', machineType: 'DC+' });
+  assert.deepEqual(acRod.adjustments[0], {
+    action: 'Switch to AC',
+    cause: 'Magnetic arc blow',
+    confidence: 1,
+    source: 'defects.Arc blow.causes[0]',
+    change: { field: 'machineType', to: 'AC' }
+  });
+  assert.equal(dcRod.causes[0].cause, 'Magnetic arc blow');
+  assert.ok(!dcRod.adjustments.some(a => a.action === 'Switch to AC'));
+});
+
+test('unknown defects are rejected and no defects give nothing', () => {
+  assert.throws(() => troubleshootDefects(['Wormholes']), /Unknown defect "Wormholes"; expected one of Porosity, /);
+  assert.deepEqual(troubleshootDefects([]), { defects: [], causes: [], adjustments: [] });
+});
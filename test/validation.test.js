@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateInputs, ValidationCode, currentTypes, supportsPosition, weldingKnowledge } from '../src/index.js';
+
+const base = {
+  electrode: 'E7018',
+  electrodeSize: '1/8"',
+  position: 'Flat',
+  metalThickness: 'Medium (1/8"-3/16")',
+  jointType: 'T',
+  machineType: 'DC+'
+};
+
+test('a compatible scenario is valid', () => {
+  assert.deepEqual(validateInputs(base), { valid: true, errors: [], warnings: [] });
+});
+
+test('missing and unknown values are errors', () => {
+  const result = validateInputs({ ...base, electrode: undefined, position: 'Sideways', machineType: 'DC' });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors.map(e => [e.code, e.field]), [
+    [ValidationCode.MISSING_VALUE, 'electrode'],
+    [ValidationCode.UNKNOWN_VALUE, 'position'],
+    [ValidationCode.UNKNOWN_VALUE, 'machineType']
+  ]);
+  assert.ok(result.errors[1].suggestions.some(s => s.value === 'Vertical Up'));
+});
+
+test('unknown observations are errors that list the states there are', () => {
+  const result = validateInputs({ ...base, observedPuddle: 'Wobbly', observedStability: 'Stable', observedArcGap: 'Huge' });
+
+  assert.deepEqual(result.errors.map(e => [e.code, e.field]), [
+    [ValidationCode.UNKNOWN_VALUE, 'observedPuddle'],
+    [ValidationCode.UNKNOWN_VALUE, 'observedArcGap']
+  ]);
+  assert.deepEqual(result.errors[0].suggestions.map(s => s.value), ['Stiff', 'Moderate', 'VeryFluid']);
+  assert.deepEqual(result.errors[1].suggestions.map(s => s.value), ['Short', 'Medium', 'Long']);
+  assert.equal(validateInputs({ ...base, observedArcGap: '' }).valid, true);
+});
+
+test('E7024 out of position suggests E7018 first', () => {
+  for (const position of ['Vertical Up', 'Overhead']) {
+    const result = validateInputs({ ...base, electrode: 'E7024', position });
+    const [error] = result.errors;
+
+    assert.equal(error.code, ValidationCode.POSITION_NOT_SUPPORTED);
+    assert.equal(error.field, 'position');
+    assert.deepEqual(error.suggestions[0], { field: 'electrode', value: 'E7018' });
+  }
+});
+
+test('E7018 cannot run vertical down', () => {
+  const result = validateInputs({ ...base, position: 'Vertical Down' });
+  assert.equal(result.errors[0].code, ValidationCode.POSITION_NOT_SUPPORTED);
+  assert.ok(result.errors[0].suggestions.every(s => s.value !== 'E7024'));
+});
+
+test('E7024 horizontal is limited to fillet joints', () => {
+  assert.equal(validateInputs({ ...base, electrode: 'E7024', position: 'Horizontal', jointType: 'T' }).valid, true);
+
+  const butt = validateInputs({ ...base, electrode: 'E7024', position: 'Horizontal', jointType: 'Butt' });
+  assert.equal(butt.errors[0].code, ValidationCode.POSITION_NOT_SUPPORTED);
+  assert.match(butt.errors[0].message, /fillet/);
+});
+
+test('E6010 on AC suggests E6011 or a DC+ machine', () => {
+  const result = validateInputs({ ...base, electrode: 'E6010', jointType: 'Butt', machineType: 'AC' });
+  const [error] = result.errors;
+
+  assert.equal(error.code, ValidationCode.CURRENT_NOT_SUPPORTED);
+  assert.equal(error.field, 'machineType');
+  assert.deepEqual(error.suggestions[0], { field: 'electrode', value: 'E6011' });
+  assert.deepEqual(error.suggestions.at(-1), { field: 'machineType', value: 'DC+' });
+});
+
+test('electrode size is checked against metal thickness', () => {
+  const tooLarge = validateInputs({ ...base, electrodeSize: '5/32"', metalThickness: 'Thin (<1/8")' });
+  assert.equal(tooLarge.errors[0].code, ValidationCode.ELECTRODE_TOO_LARGE);
+  assert.deepEqual(tooLarge.errors[0].suggestions, [{ field: 'electrodeSize', value: '3/32"' }]);
+
+  const small = validateInputs({ ...base, electrodeSize: '3/32"', metalThickness: 'Thick (>3/16")' });
+  assert.equal(small.valid, true);
+  assert.equal(small.warnings[0].code, ValidationCode.ELECTRODE_SIZE_NOT_IDEAL);
+});
+
+test('current types and position ratings are read from the electrode table', () => {
+  assert.deepEqual(currentTypes(weldingKnowledge.electrodes.E6013), ['AC', 'DC+', 'DC-']);
+  assert.deepEqual(currentTypes(weldingKnowledge.electrodes.E6010), ['DC+']);
+  assert.equal(supportsPosition(weldingKnowledge.electrodes.E7024, 'Horizontal', 'Lap'), true);
+  assert.equal(supportsPosition(weldingKnowledge.electrodes.E7024, 'Horizontal', 'Corner'), false);
+});
+
+test('electrodes are checked against the base metal', () => {
+  const mismatch = validateInputs({ ...base, baseMetal: 'Stainless 304/304L' });
+  assert.equal(mismatch.valid, false);
+  assert.equal(mismatch.errors[0].code, ValidationCode.ELECTRODE_NOT_COMPATIBLE);
+  assert.deepEqual(mismatch.errors[0].suggestions.map(s => s.value), ['E308L-16', 'E316L-16', 'E309L-16']);
+
+  const acceptable = validateInputs({ ...base, electrode: 'E316L-16', baseMetal: 'Stainless 304/304L' });
+  assert.equal(acceptable.valid, true);
+  assert.equal(acceptable.warnings[0].code, ValidationCode.ELECTRODE_NOT_IDEAL);
+
+  // Without a base metal the scenario is mild steel, where stainless rod doesn't belong
+  assert.equal(validateInputs({ ...base, electrode: 'E308L-16' }).errors[0].code,
+    ValidationCode.ELECTRODE_NOT_COMPATIBLE);
+
+  const unknown = validateInputs({ ...base, baseMetal: 'Titanium' });
+  assert.deepEqual(unknown.errors.map(e => [e.code, e.field]), [[ValidationCode.UNKNOWN_VALUE, 'baseMetal']]);
+});
+
+test('position substitutes stay compatible with the base metal', () => {
+  const result = validateInputs({ ...base, electrode: 'E7018', position: 'Vertical Down', baseMetal: 'Cast iron' });
+  const position = result.errors.find(e => e.code === ValidationCode.POSITION_NOT_SUPPORTED);
+
+  assert.deepEqual(position.suggestions, []);
+  assert.ok(result.errors.some(e => e.code === ValidationCode.ELECTRODE_NOT_COMPATIBLE));
+});
+
+test('numeric thickness replaces the preset and geometry is range-checked', () => {
+  const { metalThickness, ...numeric } = base;
+  assert.equal(validateInputs({ ...numeric, thickness: 4, lengthUnit: 'mm' }).valid, true);
+
+  const result = validateInputs({ ...numeric, thickness: 0, bevelAngle: 75, rootFace: 0.3, lengthUnit: 'yd' });
+  assert.deepEqual(result.errors.map(e => [e.code, e.field]), [
+    [ValidationCode.UNKNOWN_VALUE, 'lengthUnit'],
+    [ValidationCode.OUT_OF_RANGE, 'thickness'],
+    [ValidationCode.OUT_OF_RANGE, 'bevelAngle'],
+    [ValidationCode.OUT_OF_RANGE, 'rootFace']
+  ]);
+});
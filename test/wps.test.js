@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildWps, formatWps } from '../src/index.js';
+
+const inputs = {
+  electrode: 'E8018-B2',
+  electrodeSize: '1/8"',
+  position: 'Vertical Up',
+  jointType: 'Butt',
+  machineType: 'DC+',
+  baseMetal: 'Chrome-moly (1¼Cr-½Mo)',
+  thickness: 0.375,
+  bevelAngle: 30,
+  rootOpening: 0.125,
+  rootFace: 0.0625
+};
+
+test('the WPS record collects process, materials, electrical, technique and thermal data', () => {
+  const wps = buildWps(inputs, { wpsNumber: 'CM-01', date: '2026-10-19' });
+
+  assert.equal(wps.process.code, 'SMAW');
+  assert.equal(wps.joint.bevelAngle, 30);
+  assert.deepEqual(wps.joint.rootOpening, { value: 0.125, unit: 'in' });
+  assert.equal(wps.joint.filletLeg, null);
+  assert.deepEqual(wps.baseMetal, { name: 'Chrome-moly (1¼Cr-½Mo)', family: 'Low-alloy' });
+  assert.equal(wps.fillerMetal.classification, 'E8018-B2');
+  assert.deepEqual(wps.electrical.polarity, ['DCEP']);
+  assert.equal(wps.electrical.amperage.unit, 'A');
+  assert.equal(wps.technique.beadType, 'Weave');
+  assert.deepEqual(wps.thermal, { preheatMin: 300, interpassMax: 600, unit: 'degF' });
+  assert.ok(wps.notes.some(note => note.startsWith('Post-weld heat treat')));
+  assert.equal(wps.passes[0].type, 'root');
+});
+
+test('without a machine type every polarity the electrode runs on is listed', () => {
+  const { machineType, ...rest } = inputs;
+  assert.deepEqual(buildWps({ ...rest, electrode: 'E6013', baseMetal: 'Mild steel' }).electrical.polarity,
+    ['AC', 'DCEP', 'DCEN']);
+});
+
+test('a WPS is written as Markdown, HTML or JSON', () => {
+  const wps = buildWps(inputs, { wpsNumber: 'CM-01' });
+
+  const markdown = formatWps(wps, 'markdown');
+  assert.match(markdown, /^# Welding Procedure Specification/);
+  assert.match(markdown, /\| AWS classification \| E8018-B2 \|/);
+  assert.match(markdown, /\| Temperatures \| Preheat 300°F min, interpass 600°F max \|/);
+  assert.match(markdown, /## Passes/);
+
+  const html = formatWps(wps, 'html');
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<td>Polarity<\/td><td>DCEP<\/td>/);
+  assert.match(html, /Chrome-moly \(1¼Cr-½Mo\)/);
+  assert.match(html, /@media print/);
+
+  assert.deepEqual(JSON.parse(formatWps(wps, 'json')), JSON.parse(JSON.stringify(wps)));
+  assert.throws(() => formatWps(wps, 'pdf'), /Unknown WPS format "pdf"/);
+});
+
+test('no WPS is written for inputs that fail validation', () => {
+  assert.throws(() => buildWps({ ...inputs, electrode: 'E7024' }), /Cannot write a WPS/);
+});
+
+test('no WPS is written for a joint with too many passes to plan', () => {
+  assert.throws(() => buildWps({ ...inputs, thickness: 4, bevelAngle: 60, rootOpening: 0.125 }),
+    /Cannot plan the passes/);
+});
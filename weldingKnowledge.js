@@ -6,496 +6,204 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { GUI } from 'three/examples/jsm/libs/lil-gui.module.min.js';
+import {
+  weldingKnowledge,
+  getRecommendations,
+  listElectrodes,
+  listElectrodeSizes,
+  listPositions,
+  listThicknesses,
+  listBaseMetals,
+  listJointTypes,
+  listMachineTypes,
+  listMachines,
+  withMachines,
+  listObservationValues,
+  listDefects,
+  troubleshootDefects,
+  createElectrodeInventory,
+  serializeInventory,
+  parseInventory,
+  StorageState,
+  RodCondition,
+  formatTraceValue,
+  formatAmperage,
+  formatMotionPatterns,
+  formatKnowledgeValue,
+  propertyNodes,
+  diffNodes,
+  buildKnowledgeGraph,
+  scenarioNodeIds,
+  inspectNode,
+  defectChain,
+  nodeId,
+  forceLayout,
+  NodeType,
+  EdgeType,
+  simulateBead,
+  BeadDefect,
+  torchPose,
+  resolveGeometry,
+  MotionPattern,
+  MOTION_PATTERNS,
+  MM_PER_SEC_PER_IN_PER_MIN,
+  MM_PER_IN,
+  planPasses,
+  buildWps,
+  formatWps,
+  WPS_FORMATS,
+  LENGTH_UNITS,
+  OBSERVATION_FIELDS,
+  createObservationClassifier,
+  createJsonLinesAdapter,
+  createReplayAdapter,
+  parseSensorLog,
+  syntheticSamples,
+  SENSOR_LOG_FORMATS,
+  createSessionRecorder,
+  sessionStateAt,
+  sessionDuration,
+  serializeSession,
+  parseSession,
+  SessionEntryType,
+  analyzePuddleFrame,
+  summarizePuddleFrames,
+  puddleOverlay,
+  decodeNetpbm,
+  DEFAULT_PUDDLE_REFERENCE
+} from './src/index.js';
 
-// WELDING KNOWLEDGE BASE
-// Structured data from Steve Bleile's videos
-const weldingKnowledge = {
-  electrodes: {
-    "E6010": {
-      current: "DC+",
-      penetration: "Deep",
-      slag: "Light, fast-freeze",
-      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
-      bestUse: "Root passes, dirty metal, repair work",
-      tensileStrength: "60,000 psi",
-      arcForce: "Strong",
-      puddleVisibility: "Excellent",
-      techniqueOptions: ["Circular", "Zigzag", "Whip/Step"]
-    },
-    "E6011": {
-      current: "AC or DC+",
-      penetration: "Deep",
-      slag: "Light, fast-freeze",
-      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
-      bestUse: "Similar to 6010 but works on AC",
-      tensileStrength: "60,000 psi",
-      arcForce: "Strong",
-      puddleVisibility: "Excellent",
-      techniqueOptions: ["Circular", "Zigzag", "Whip/Step"]
-    },
-    "E6013": {
-      current: "AC, DC+ or DC-",
-      penetration: "Moderate",
-      slag: "Medium",
-      positions: ["Flat", "Horizontal", "Vertical Up", "Vertical Down", "Overhead"],
-      bestUse: "General purpose, sheet metal, easier to use",
-      tensileStrength: "60,000 psi",
-      arcForce: "Mild",
-      puddleVisibility: "Partial (top edge covered)",
-      techniqueOptions: ["Straight", "Slight side-to-side"]
-    },
-    "E7018": {
-      current: "AC or DC+",
-      penetration: "Moderate",
-      slag: "Heavy with iron powder",
-      positions: ["Flat", "Horizontal", "Vertical Up", "Overhead"],
-      bestUse: "High quality, low hydrogen, stress applications",
-      tensileStrength: "70,000 psi",
-      arcForce: "Mild",
-      puddleVisibility: "Limited (mostly covered by slag)",
-      techniqueOptions: ["Straight", "Side-to-side"]
-    },
-    "E7024": {
-      current: "AC or DC+",
-      penetration: "Shallow",
-      slag: "Very heavy",
-      positions: ["Flat", "Horizontal fillet"],
-      bestUse: "High deposition rate, flat work",
-      tensileStrength: "70,000 psi",
-      arcForce: "Mild",
-      puddleVisibility: "Limited",
-      techniqueOptions: ["Straight"]
-    }
-  },
-  
-  electrodeSize: {
-    "3/32\"": {
-      amperage: {
-        "E6010": "40-80A",
-        "E6011": "40-80A",
-        "E6013": "40-80A",
-        "E7018": "65-110A",
-        "E7024": "100-145A"
-      },
-      control: "Excellent",
-      deposition: "Low",
-      bestFor: "Thin metal, out-of-position, root passes"
-    },
-    "1/8\"": {
-      amperage: {
-        "E6010": "75-130A",
-        "E6011": "75-130A",
-        "E6013": "70-110A",
-        "E7018": "100-150A",
-        "E7024": "140-190A"
-      },
-      control: "Good",
-      deposition: "Medium",
-      bestFor: "General purpose, most common size"
-    },
-    "5/32\"": {
-      amperage: {
-        "E6010": "110-170A",
-        "E6011": "100-160A",
-        "E6013": "110-160A",
-        "E7018": "140-215A",
-        "E7024": "180-250A"
-      },
-      control: "Fair",
-      deposition: "High",
-      bestFor: "Thicker metal, flat position, filling passes"
-    }
-  },
-  
-  positions: {
-    "Flat": {
-      gravity: "Helps control puddle",
-      amperage: "Standard/high range",
-      techniques: "All techniques viable",
-      challenges: "Minimal",
-      rodAngle: "45-90° from horizontal"
-    },
-    "Horizontal": {
-      gravity: "Causes puddle to sag downward",
-      amperage: "Standard range",
-      techniques: "Control puddle with angle and speed",
-      challenges: "Preventing excessive buildup on bottom",
-      rodAngle: "Point up slightly, nearly perpendicular to weld"
-    },
-    "Vertical Down": {
-      gravity: "Pulls puddle in direction of travel",
-      amperage: "Standard/slightly higher",
-      techniques: "Fast travel, control with angle",
-      challenges: "Ensuring adequate penetration",
-      rodAngle: "Angle up slightly"
-    },
-    "Vertical Up": {
-      gravity: "Pulls puddle against direction of travel",
-      amperage: "Slightly lower",
-      techniques: "Side-to-side, step, or weave",
-      challenges: "Preventing puddle fallout",
-      rodAngle: "Angle up to prevent blowout"
-    },
-    "Overhead": {
-      gravity: "Pulls puddle away from workpiece",
-      amperage: "Standard range",
-      techniques: "Short arc, consistent motion",
-      challenges: "Keeping puddle in place, spatter",
-      rodAngle: "Nearly perpendicular, slight angle into travel"
-    }
-  },
-  
-  metalThickness: {
-    "Thin (<1/8\")": {
-      amperage: "Lower end of range",
-      penetration: "Watch for burn-through",
-      heatDissipation: "Quick to overheat",
-      rodSelection: "Smaller diameter",
-      technique: "Fast travel, possibly vertical down"
-    },
-    "Medium (1/8\"-3/16\")": {
-      amperage: "Mid-range",
-      penetration: "Good balance available",
-      heatDissipation: "Moderate",
-      rodSelection: "Standard 1/8\" works well",
-      technique: "Standard approach for position"
-    },
-    "Thick (>3/16\")": {
-      amperage: "Upper range",
-      penetration: "May require beveling/multiple passes",
-      heatDissipation: "Slow, acts as heat sink",
-      rodSelection: "Larger diameter advantageous",
-      technique: "Slower travel, possible weave"
-    }
-  },
-  
-  jointTypes: {
-    "Butt": {
-      preparation: "Square edges or beveled for thick metal",
-      penetration: "Critical for strength",
-      technique: "Focus on root fusion",
-      commonIssues: "Burn-through, lack of penetration",
-      rodAngle: "Nearly perpendicular"
-    },
-    "Lap": {
-      preparation: "Clean mating surfaces",
-      penetration: "Focus on fusing to bottom piece",
-      technique: "Balance heat between pieces",
-      commonIssues: "Insufficient fusion to bottom piece",
-      rodAngle: "45° pointing into corner"
-    },
-    "T": {
-      preparation: "Clean mating surfaces",
-      penetration: "Focus on root fusion",
-      technique: "Angle to balance heat",
-      commonIssues: "Lack of fusion at root",
-      rodAngle: "45° pointing into corner"
-    },
-    "Corner": {
-      preparation: "Can be open or closed corner",
-      penetration: "Must reach inner corner",
-      technique: "Balance heat between pieces",
-      commonIssues: "Inside corner penetration",
-      rodAngle: "Bisect the angle"
-    }
-  },
-  
-  // Dynamic factors - adjustable during welding
-  techniques: {
-    "arcGap": {
-      "Short": {
-        effect: "More direct heat, deeper penetration",
-        puddle: "Less fluid, more directed",
-        suitable: "Root passes, harder to reach spots",
-        appearance: "Narrower bead, higher crown"
-      },
-      "Medium": {
-        effect: "Balanced heat distribution",
-        puddle: "Moderate fluidity and spread",
-        suitable: "General purpose",
-        appearance: "Even bead formation"
-      },
-      "Long": {
-        effect: "More distributed heat, less penetration",
-        puddle: "More fluid, wider spread",
-        suitable: "Thin metals, wider coverage",
-        appearance: "Flatter, wider bead"
-      }
-    },
-    
-    "travelSpeed": {
-      "Slow": {
-        effect: "More heat input to base metal",
-        puddle: "Wider, more fluid",
-        suitable: "Thick metal, needs preheat",
-        issues: "Excessive build-up, potential burn-through"
-      },
-      "Medium": {
-        effect: "Balanced heat input",
-        puddle: "Controlled spread and fluidity",
-        suitable: "Most general welding",
-        issues: "Minimal if other parameters balanced"
-      },
-      "Fast": {
-        effect: "Less heat input, quicker cooling",
-        puddle: "Narrower, less fluid",
-        suitable: "Thin metals, vertical down",
-        issues: "Potential lack of fusion, undercut"
-      }
-    },
-    
-    "rodAngle": {
-      "Perpendicular": {
-        effect: "Maximum penetration, less build-up",
-        puddle: "Penetrates deeper, spreads wider",
-        suitable: "Root passes, butt joints, flat position",
-        appearance: "Flatter bead profile"
-      },
-      "45°": {
-        effect: "Balanced penetration and build-up",
-        puddle: "Moderate penetration and stacking",
-        suitable: "General purpose, fillet welds",
-        appearance: "Moderate crown"
-      },
-      "Shallow": {
-        effect: "Less penetration, more build-up",
-        puddle: "Stacks more, penetrates less",
-        suitable: "Fill passes, building up metal",
-        appearance: "Higher crown, potentially less fusion"
-      }
-    },
-    
-    "motionPattern": {
-      "Straight": {
-        effect: "Consistent heat input, uniform bead",
-        puddle: "Even, predictable formation",
-        suitable: "Simple joints, production work, E7018/E7024",
-        appearance: "Even, uniform bead"
-      },
-      "Circular": {
-        effect: "Controls puddle width, moderate heat",
-        puddle: "Contained spread, good edge tie-in",
-        suitable: "General purpose, all positions",
-        appearance: "Slightly scalloped edges"
-      },
-      "Zigzag": {
-        effect: "Wider heat distribution, good control",
-        puddle: "Wider bead, controlled fluidity",
-        suitable: "Wider joints, good edge tie-in",
-        appearance: "Wide bead with even edges"
-      },
-      "Whip/Step": {
-        effect: "Controls heat input, cools between steps",
-        puddle: "Solidifies between movements",
-        suitable: "E6010/E6011, vertical, poor fit-up",
-        appearance: "Distinct ripple pattern"
-      }
-    }
-  },
-  
-  // Observable feedback during welding
-  observables: {
-    "puddleFluid": {
-      "Stiff": {
-        diagnosis: "Insufficient heat",
-        causes: ["Amperage too low", "Travel too fast", "Arc too short"],
-        adjustments: ["Increase amperage", "Slow travel speed", "Lengthen arc slightly"]
-      },
-      "Moderate": {
-        diagnosis: "Proper heat input",
-        causes: ["Parameters balanced"],
-        adjustments: ["Maintain settings"]
-      },
-      "VeryFluid": {
-        diagnosis: "Excessive heat",
-        causes: ["Amperage too high", "Travel too slow", "Arc too long"],
-        adjustments: ["Decrease amperage", "Increase travel speed", "Shorten arc"]
-      }
-    },
-    
-    "puddleSpread": {
-      "Narrow": {
-        diagnosis: "Insufficient heat or distribution",
-        causes: ["Amperage too low", "Travel too fast", "Angle too shallow"],
-        adjustments: ["Increase amperage", "Slow travel", "Adjust to more perpendicular angle"]
-      },
-      "Moderate": {
-        diagnosis: "Good heat distribution",
-        causes: ["Parameters balanced"],
-        adjustments: ["Maintain settings"]
-      },
-      "Wide": {
-        diagnosis: "Excessive heat input",
-        causes: ["Amperage too high", "Travel too slow", "Angle too perpendicular for application"],
-        adjustments: ["Decrease amperage", "Speed up travel", "Adjust angle"]
-      }
-    },
-    
-    "edgeTie": {
-      "Poor": {
-        diagnosis: "Inadequate fusion at edges",
-        causes: ["Insufficient heat at edges", "Travel too fast", "Poor angle"],
-        adjustments: ["Adjust angle to direct more heat to edges", "Slow travel", "Weave slightly"]
-      },
-      "Adequate": {
-        diagnosis: "Sufficient edge fusion",
-        causes: ["Heat distribution adequate"],
-        adjustments: ["Maintain settings"]
-      },
-      "Excellent": {
-        diagnosis: "Perfect edge fusion",
-        causes: ["Ideal parameter balance"],
-        adjustments: ["Maintain settings"]
-      }
-    },
-    
-    "arcStability": {
-      "Unstable": {
-        diagnosis: "Poor arc control",
-        causes: ["Wrong current type for electrode", "Inconsistent arc gap", "Damaged coating"],
-        adjustments: ["Check polarity", "Maintain steady hand", "Check electrode condition"]
-      },
-      "Stable": {
-        diagnosis: "Good arc control",
-        causes: ["Correct parameters"],
-        adjustments: ["Maintain settings"]
-      }
-    }
-  },
-  
-  // Recommendation logic
-  getRecommendations: function(inputs) {
-    // Input parameters
-    const {
-      electrode,
-      electrodeSize,
-      position,
-      metalThickness,
-      jointType,
-      machineType,
-      observedPuddle = "Moderate",
-      observedSpread = "Moderate",
-      observedTieIn = "Adequate",
-      observedStability = "Stable"
-    } = inputs;
-    
-    // Initialize recommendations
-    const recommendations = {
-      amperage: "",
-      arcGap: "",
-      rodAngle: "",
-      travelSpeed: "",
-      motionPattern: [],
-      adjustments: []
-    };
-    
-    // Get electrode data
-    const electrodeData = this.electrodes[electrode];
-    const sizeData = this.electrodeSize[electrodeSize];
-    const positionData = this.positions[position];
-    const thicknessData = this.metalThickness[metalThickness];
-    const jointData = this.jointTypes[jointType];
-    
-    // Calculate base amperage range
-    if (sizeData && sizeData.amperage[electrode]) {
-      let [min, max] = sizeData.amperage[electrode].split('-').map(a => parseInt(a));
-      
-      // Adjust for metal thickness
-      if (metalThickness === "Thin (<1/8\")") {
-        max = min + (max - min) * 0.4; // Lower part of range
-      } else if (metalThickness === "Thick (>3/16\")") {
-        min = min + (max - min) * 0.6; // Upper part of range
-      }
-      
-      // Adjust for position
-      if (position === "Vertical Up") {
-        max -= 5; // Slightly lower for vertical up
-      } else if (position === "Overhead") {
-        max -= 3; // Slightly lower for overhead
-      }
-      
-      recommendations.amperage = `${Math.round(min)}-${Math.round(max)}A`;
-    }
-    
-    // Rod angle recommendation
-    if (jointType === "Butt") {
-      recommendations.rodAngle = position === "Flat" ? "Perpendicular" : 
-                                 position === "Vertical Up" ? "45° angled up slightly" :
-                                 position === "Overhead" ? "Nearly perpendicular" : "45°";
-    } else if (jointType === "Lap" || jointType === "T") {
-      recommendations.rodAngle = "45° into corner";
-    } else if (jointType === "Corner") {
-      recommendations.rodAngle = "Bisect the corner angle";
-    }
-    
-    // Position-specific adjustments
-    if (position === "Vertical Down") {
-      recommendations.travelSpeed = "Fast";
-      recommendations.rodAngle = "Angle up slightly to hold puddle";
-    } else if (position === "Vertical Up") {
-      recommendations.travelSpeed = "Medium-slow, steady";
-      if (electrode === "E7018") {
-        recommendations.motionPattern.push("Side-to-side");
-      } else if (electrode === "E6010" || electrode === "E6011") {
-        recommendations.motionPattern.push("Step/Whip");
-        recommendations.motionPattern.push("Circular");
-      }
-    } else if (position === "Horizontal") {
-      recommendations.rodAngle = "Angle up slightly to control puddle";
-      recommendations.travelSpeed = "Medium-fast to prevent sagging";
-    }
-    
-    // Electrode-specific recommendations
-    if (electrode === "E6010" || electrode === "E6011") {
-      recommendations.arcGap = "Medium";
-      if (!recommendations.motionPattern.length) {
-        recommendations.motionPattern.push("Circular", "Zigzag", "Whip/Step");
-      }
-    } else if (electrode === "E6013") {
-      recommendations.arcGap = "Short to medium";
-      if (!recommendations.motionPattern.length) {
-        recommendations.motionPattern.push("Straight", "Slight side-to-side");
-      }
-    } else if (electrode === "E7018") {
-      recommendations.arcGap = "Short";
-      recommendations.adjustments.push("Keep arc in puddle, don't let slag get ahead");
-      if (!recommendations.motionPattern.length) {
-        recommendations.motionPattern.push("Straight", "Side-to-side");
-      }
-    } else if (electrode === "E7024") {
-      recommendations.arcGap = "Short";
-      recommendations.motionPattern.push("Straight");
-    }
-    
-    // Adjust based on observed puddle behavior
-    if (observedPuddle === "Stiff") {
-      recommendations.adjustments.push("Increase heat: try higher amperage or slower travel");
-    } else if (observedPuddle === "VeryFluid") {
-      recommendations.adjustments.push("Reduce heat: try lower amperage or faster travel");
-    }
-    
-    if (observedSpread === "Narrow") {
-      recommendations.adjustments.push("Widen puddle: slow down slightly or increase amperage");
-    } else if (observedSpread === "Wide") {
-      recommendations.adjustments.push("Narrow puddle: speed up slightly or decrease amperage");
-    }
-    
-    if (observedTieIn === "Poor") {
-      recommendations.adjustments.push("Improve edge tie-in: direct more heat to edges, adjust angle");
-    }
-    
-    if (observedStability === "Unstable") {
-      if (electrode === "E6010" && machineType === "AC") {
-        recommendations.adjustments.push("E6010 requires DC+, switch to E6011 for AC");
-      } else {
-        recommendations.adjustments.push("Maintain consistent arc length, check machine settings");
-      }
-    }
-    
-    return recommendations;
-  }
+// Categories around the central node; each fans its property nodes out
+// starting at subNodeAngle. Technique fans away from the centre to leave room
+// for the options around each dimension.
+const GRAPH_CATEGORIES = [
+  { name: 'Electrode', color: 0xe74c3c, subNodeAngle: 0 },
+  { name: 'Position', color: 0x2ecc71, subNodeAngle: Math.PI / 2 },
+  { name: 'Metal', color: 0xf39c12, subNodeAngle: Math.PI },
+  { name: 'Joint', color: 0x9b59b6, subNodeAngle: Math.PI * 3 / 2 },
+  { name: 'Technique', color: 0x1abc9c, subNodeAngle: -Math.PI * 3 / 4 }
+];
+
+// How quickly nodes ease towards their targets, per second
+const GRAPH_EASING = 6;
+
+// Full knowledge-base view: node colours by entity type, edge colours by
+// relationship type. The labels head the inspector; an edge's inverse label
+// is used when looking from its far end.
+const NODE_STYLES = {
+  [NodeType.ELECTRODE]: { color: 0xe74c3c, label: 'Electrode' },
+  [NodeType.ELECTRODE_SIZE]: { color: 0xe67e22, label: 'Electrode size' },
+  [NodeType.POSITION]: { color: 0x2ecc71, label: 'Position' },
+  [NodeType.THICKNESS]: { color: 0xf39c12, label: 'Metal thickness' },
+  [NodeType.BASE_METAL]: { color: 0xf1c40f, label: 'Base metal' },
+  [NodeType.JOINT]: { color: 0x9b59b6, label: 'Joint type' },
+  [NodeType.TECHNIQUE]: { color: 0x1abc9c, label: 'Technique' },
+  [NodeType.OBSERVATION]: { color: 0x3498db, label: 'Observation' },
+  [NodeType.CAUSE]: { color: 0x95a5a6, label: 'Cause' },
+  [NodeType.ADJUSTMENT]: { color: 0xbdc3c7, label: 'Adjustment' },
+  [NodeType.DEFECT]: { color: 0xc0392b, label: 'Defect' }
+};
+
+const EDGE_STYLES = {
+  [EdgeType.SUITABLE_FOR]: { color: 0x2ecc71, label: 'Suitable for', inverse: 'Suited by' },
+  [EdgeType.USES]: { color: 0x1abc9c, label: 'Uses technique', inverse: 'Used by' },
+  [EdgeType.AVAILABLE_IN]: { color: 0xe67e22, label: 'Available in size', inverse: 'Size of' },
+  [EdgeType.WELDED_WITH]: { color: 0xf1c40f, label: 'Welded with', inverse: 'Welds' },
+  [EdgeType.INDICATES]: { color: 0x3498db, label: 'Indicates', inverse: 'Indicated by' },
+  [EdgeType.CORRECTED_BY]: { color: 0xe74c3c, label: 'Corrected by', inverse: 'Corrects' },
+  [EdgeType.SETS]: { color: 0x9b59b6, label: 'Sets technique', inverse: 'Set by' }
+};
+
+const GRAPH_VIEWS = {
+  'Current scenario': 'scenario',
+  'Entire knowledge base': 'knowledge',
+  'Electrode pose': 'pose',
+  'Defect troubleshooting': 'defects'
+};
+
+// Camera position for each view: the full graph is several times wider than
+// the scenario, and the pose is seen from above and in front of the joint
+const VIEW_CAMERAS = { scenario: [0, 0, 30], knowledge: [0, 0, 75], pose: [9, 9, 16], defects: [0, 0, 45] };
+
+// Defect troubleshooting view: columns of defects, causes, adjustments and
+// the technique options they set, left to right, and the tallest a column gets
+const DEFECT_LAYOUT = { columnSpacing: 14, rowSpacing: 3, height: 36 };
+
+// Electrode pose colours: work and travel angle arcs, and the direction arrows
+const POSE_COLORS = { work: 0xf1c40f, travel: 0xe74c3c, travelArrow: 0x1abc9c, gravity: 0x3498db };
+
+// Bead simulator canvas, CSS pixels: a top view above a cross-section
+const BEAD_CANVAS = { width: 340, height: 280, topView: 130 };
+
+// Defect labels and marker colours in the bead simulator
+const DEFECT_STYLES = {
+  [BeadDefect.BURN_THROUGH]: { label: 'Burn-through', color: '#e74c3c' },
+  [BeadDefect.UNDERCUT]: { label: 'Undercut', color: '#e67e22' },
+  [BeadDefect.LACK_OF_FUSION]: { label: 'Lack of fusion', color: '#3498db' },
+  [BeadDefect.INCOMPLETE_PENETRATION]: { label: 'Incomplete penetration', color: '#9b59b6' },
+  [BeadDefect.EXCESS_REINFORCEMENT]: { label: 'Excess reinforcement', color: '#f1c40f' }
+};
+
+// Techniques dimension headings for the simulator's effect list
+const EFFECT_LABELS = {
+  arcGap: 'Arc gap',
+  travelSpeed: 'Travel speed',
+  rodAngle: 'Rod angle',
+  motionPattern: 'Motion',
+  metalThickness: 'Thickness'
+};
+
+// Camera frames are scaled down to this width before analysis, and a video is
+// sampled every CAMERA_INTERVAL ms, its observations settling over the last
+// CAMERA_WINDOW frames
+const CAMERA_FRAME_WIDTH = 320;
+const CAMERA_INTERVAL = 200;
+const CAMERA_WINDOW = 5;
+
+// Timeline marker colours by session entry type; recommendations aren't marked
+const TIMELINE_COLORS = {
+  [SessionEntryType.PARAMETERS]: '#f39c12',
+  [SessionEntryType.OBSERVATION]: '#3498db'
+};
+
+// Rod inventory: where it is kept in the browser, how often the exposure
+// clocks are re-read, and the colour each condition is shown in
+const ROD_INVENTORY_KEY = 'weldingKnowledge.rodInventory';
+const ROD_REFRESH_INTERVAL = 60000;
+const ROD_CONDITION_COLORS = {
+  [RodCondition.DRY]: '#2ecc71',
+  [RodCondition.EXPOSED]: '#f1c40f',
+  [RodCondition.NEEDS_REBAKE]: '#e67e22',
+  [RodCondition.DISCARD]: '#e74c3c'
+};
+const STORAGE_STATE_LABELS = {
+  [StorageState.SEALED]: 'Sealed can',
+  [StorageState.OVEN]: 'Holding oven',
+  [StorageState.OPEN]: 'Out'
 };
 
+// User-defined machine profiles: where they are kept in the browser, and the
+// outputs the profile form offers
+const MACHINE_PROFILES_KEY = 'weldingKnowledge.machines';
+const MACHINE_OUTPUTS = { 'AC only': ['AC'], 'DC only': ['DC+', 'DC-'], 'AC and DC': ['AC', 'DC+', 'DC-'] };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function downloadText(text, type, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)} s`;
+}
+
 // THREE.JS VISUALIZATION
 class WeldingKnowledgeVisualization {
   constructor(containerElement) {
@@ -508,8 +216,90 @@ class WeldingKnowledgeVisualization {
     this.controls = null;
     this.gui = null;
     this.nodeObjects = {};
+    // Removed property nodes, kept until they have faded out
+    this.fadingNodes = [];
     this.relationshipLines = [];
+    this.clock = new THREE.Clock();
+    // Node under the pointer or keyboard focus, and the one being inspected
+    this.hoveredNode = null;
+    this.selectedNode = null;
+    this.inspectedId = null;
+    // Joint, electrode and angle arcs of the electrode pose view
+    this.poseGroup = null;
     this.currentRecommendations = {};
+    this.displayOptions = { units: 'imperial', graphView: 'scenario' };
+    // Bead simulator settings; while following, they track the recommendation
+    this.beadSettings = {
+      follow: true,
+      amperage: 100,
+      arcLength: 1,
+      travelSpeed: 6.5,
+      travelAngle: 5,
+      workAngle: 90,
+      motionPattern: MotionPattern.STRAIGHT
+    };
+    // Sensor input: the running adapter with its classifier, if any, and the
+    // Sensors folder's fields. onSensorChange, when set, is called with
+    // whether a sensor is running each time the status changes.
+    this.sensor = null;
+    this.sensorOptions = { url: 'ws://localhost:8765', status: 'Not connected' };
+    this.onSensorChange = null;
+    // Session recording. While a session is being replayed, replay holds it
+    // with the scrubber's time and the live values to return to, and nothing
+    // is recorded.
+    this.sessionRecorder = createSessionRecorder();
+    this.sessionOptions = { recording: true, status: 'Recording' };
+    this.replay = null;
+    // Camera input: the video being analysed, if any, the latest frame
+    // analyses, and the Camera folder's fields. A pixels-per-inch of zero
+    // means the scale is unknown, so spread isn't judged.
+    this.cameraFeed = null;
+    this.cameraFrames = [];
+    this.lastCameraAnalysis = null;
+    this.cameraOptions = {
+      pixelsPerInch: 0,
+      travel: 'right',
+      referenceBrightness: DEFAULT_PUDDLE_REFERENCE.brightness,
+      status: 'No frames'
+    };
+    // Defects ticked in the Defect Troubleshooting folder, and what they trace
+    // back to for the current inputs; null while none are ticked
+    this.defectOptions = Object.fromEntries(listDefects(this.weldingKnowledge).map(defect => [defect, false]));
+    this.troubleshooting = null;
+    this.defectGraphKey = null;
+    // Rod lots, saved in the browser as they change. The lot in use, if any,
+    // supplies the rodExposure input; rodExposure is the value last used, so
+    // the clock only re-runs the recommendation when it moves.
+    this.rodInventory = null;
+    this.rodOptions = { electrode: 'E7018', size: '1/8"', lotNumber: '', quantity: 10, status: '' };
+    this.rodLotInUse = null;
+    this.rodExposure = null;
+    // Machines the user has defined, by name, added to the built-in ones in
+    // this.weldingKnowledge; and the Machine Profiles folder's form
+    this.customMachines = {};
+    this.machineForm = {
+      name: 'My welder',
+      outputs: 'DC only',
+      minAmperage: 20,
+      maxAmperage: 140,
+      dutyCycle: 20,
+      ratedAmperage: 90,
+      openCircuitVoltage: 60,
+      arcForce: false,
+      hotStart: false,
+      status: ''
+    };
+    // Numeric thickness and joint geometry; zero means "not given", and the
+    // thickness is only used once numericThickness is ticked
+    this.geometry = {
+      numericThickness: false,
+      thickness: 0.25,
+      lengthUnit: 'in',
+      bevelAngle: 0,
+      rootOpening: 0,
+      rootFace: 0,
+      filletLeg: 0
+    };
     
     // Input parameters
     this.params = {
@@ -517,12 +307,17 @@ class WeldingKnowledgeVisualization {
       electrodeSize: "1/8\"",
       position: "Flat",
       metalThickness: "Medium (1/8\"-3/16\")",
+      baseMetal: "Mild steel",
       jointType: "Butt",
       machineType: "DC+",
+      // A machines table key, or empty for no particular machine
+      machine: "",
       observedPuddle: "Moderate",
       observedSpread: "Moderate",
       observedTieIn: "Adequate",
-      observedStability: "Stable"
+      observedStability: "Stable",
+      // Measured rather than seen; empty until arc analytics supply it
+      observedArcGap: ""
     };
     
     this.init();
@@ -531,6 +326,7 @@ class WeldingKnowledgeVisualization {
   init() {
     this.setupScene();
     this.setupGUI();
+    this.setupInteraction();
     this.createKnowledgeGraph();
     this.animate();
     this.updateRecommendations();
@@ -587,53 +383,128 @@ class WeldingKnowledgeVisualization {
     // Input parameters folder
     const inputFolder = this.gui.addFolder('Welding Parameters');
     
-    inputFolder.add(this.params, 'electrode', Object.keys(this.weldingKnowledge.electrodes))
+    inputFolder.add(this.params, 'electrode', listElectrodes(this.weldingKnowledge))
       .name('Electrode Type')
       .onChange(() => this.updateRecommendations());
       
-    inputFolder.add(this.params, 'electrodeSize', Object.keys(this.weldingKnowledge.electrodeSize))
+    inputFolder.add(this.params, 'electrodeSize', listElectrodeSizes(this.weldingKnowledge))
       .name('Electrode Size')
       .onChange(() => this.updateRecommendations());
       
-    inputFolder.add(this.params, 'position', Object.keys(this.weldingKnowledge.positions))
+    inputFolder.add(this.params, 'position', listPositions(this.weldingKnowledge))
       .name('Weld Position')
       .onChange(() => this.updateRecommendations());
       
-    inputFolder.add(this.params, 'metalThickness', Object.keys(this.weldingKnowledge.metalThickness))
+    inputFolder.add(this.params, 'metalThickness', listThicknesses(this.weldingKnowledge))
       .name('Metal Thickness')
       .onChange(() => this.updateRecommendations());
       
-    inputFolder.add(this.params, 'jointType', Object.keys(this.weldingKnowledge.jointTypes))
+    inputFolder.add(this.params, 'baseMetal', listBaseMetals(this.weldingKnowledge))
+      .name('Base Metal')
+      .onChange(() => this.updateRecommendations());
+      
+    inputFolder.add(this.params, 'jointType', listJointTypes(this.weldingKnowledge))
       .name('Joint Type')
       .onChange(() => this.updateRecommendations());
       
-    inputFolder.add(this.params, 'machineType', ['AC', 'DC+', 'DC-'])
+    this.machineTypeController = inputFolder.add(this.params, 'machineType', listMachineTypes())
       .name('Machine Type')
       .onChange(() => this.updateRecommendations());
     
+    this.loadMachineProfiles();
+    this.machineController = inputFolder.add(this.params, 'machine', this.machineChoices())
+      .name('Machine')
+      .onChange(() => this.updateRecommendations());
+    
+    inputFolder.add(this.displayOptions, 'units', ['imperial', 'metric'])
+      .name('Units')
+      .onChange(() => this.updateRecommendations());
+    
     inputFolder.open();
     
+    // Numeric thickness and joint geometry folder
+    const geometryFolder = this.gui.addFolder('Joint Geometry');
+    
+    geometryFolder.add(this.geometry, 'numericThickness')
+      .name('Use Numeric Thickness')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'thickness', 0.01, 40, 0.01)
+      .name('Thickness')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'lengthUnit', LENGTH_UNITS)
+      .name('Length Unit')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'bevelAngle', 0, 60, 2.5)
+      .name('Bevel Angle (°)')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'rootOpening', 0, 10, 0.01)
+      .name('Root Opening')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'rootFace', 0, 10, 0.01)
+      .name('Root Face')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.add(this.geometry, 'filletLeg', 0, 25, 0.01)
+      .name('Fillet Leg')
+      .onChange(() => this.updateRecommendations());
+    
+    geometryFolder.close();
+    
+    // Knowledge graph view
+    const graphFolder = this.gui.addFolder('Knowledge Graph');
+    graphFolder.add(this.displayOptions, 'graphView', GRAPH_VIEWS)
+      .name('View')
+      .onChange(() => {
+        this.camera.position.set(...VIEW_CAMERAS[this.displayOptions.graphView]);
+        this.controls.target.set(0, 0, 0);
+        this.createKnowledgeGraph();
+      });
+    
+    // WPS export
+    const exportOptions = { format: 'html', export: () => this.exportWps(exportOptions.format) };
+    const exportFolder = this.gui.addFolder('Export');
+    exportFolder.add(exportOptions, 'format', WPS_FORMATS).name('Format');
+    exportFolder.add(exportOptions, 'export').name('Export WPS');
+    
     // Observable feedback folder
     const observableFolder = this.gui.addFolder('Real-time Observations');
     
-    observableFolder.add(this.params, 'observedPuddle', ['Stiff', 'Moderate', 'VeryFluid'])
+    observableFolder.add(this.params, 'observedPuddle', listObservationValues('observedPuddle', this.weldingKnowledge))
       .name('Puddle Fluidity')
       .onChange(() => this.updateRecommendations());
       
-    observableFolder.add(this.params, 'observedSpread', ['Narrow', 'Moderate', 'Wide'])
+    observableFolder.add(this.params, 'observedSpread', listObservationValues('observedSpread', this.weldingKnowledge))
       .name('Puddle Spread')
       .onChange(() => this.updateRecommendations());
       
-    observableFolder.add(this.params, 'observedTieIn', ['Poor', 'Adequate', 'Excellent'])
+    observableFolder.add(this.params, 'observedTieIn', listObservationValues('observedTieIn', this.weldingKnowledge))
       .name('Edge Tie-in')
       .onChange(() => this.updateRecommendations());
       
-    observableFolder.add(this.params, 'observedStability', ['Unstable', 'Stable'])
+    observableFolder.add(this.params, 'observedStability', listObservationValues('observedStability', this.weldingKnowledge))
       .name('Arc Stability')
       .onChange(() => this.updateRecommendations());
     
+    const arcGaps = Object.keys(this.weldingKnowledge.techniques.arcGap);
+    observableFolder.add(this.params, 'observedArcGap',
+      { 'Not measured': '', ...Object.fromEntries(arcGaps.map(gap => [gap, gap])) })
+      .name('Arc Gap (measured)')
+      .onChange(() => this.updateRecommendations());
+    
     observableFolder.open();
     
+    this.setupMachineProfiles();
+    this.setupTroubleshooting();
+    this.setupRodInventory();
+    this.setupSensors();
+    this.setupCamera();
+    this.setupSession();
+    
     // Create recommendations display element
     this.recommendationsElement = document.createElement('div');
     this.recommendationsElement.style.position = 'absolute';
@@ -646,218 +517,1114 @@ class WeldingKnowledgeVisualization {
     this.recommendationsElement.style.maxWidth = '400px';
     this.recommendationsElement.style.fontFamily = 'Arial, sans-serif';
     this.container.appendChild(this.recommendationsElement);
+    
+    // Bottom-right column for the graph legend and the bead simulator
+    this.dockElement = document.createElement('div');
+    this.dockElement.style.position = 'absolute';
+    this.dockElement.style.bottom = '10px';
+    this.dockElement.style.right = '10px';
+    this.dockElement.style.display = 'flex';
+    this.dockElement.style.flexDirection = 'column';
+    this.dockElement.style.alignItems = 'flex-end';
+    this.dockElement.style.gap = '10px';
+    this.container.appendChild(this.dockElement);
+    
+    // Edge colour key for the full knowledge graph
+    this.legendElement = document.createElement('div');
+    this.legendElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.legendElement.style.color = 'white';
+    this.legendElement.style.padding = '10px 15px';
+    this.legendElement.style.borderRadius = '5px';
+    this.legendElement.style.fontFamily = 'Arial, sans-serif';
+    this.legendElement.style.fontSize = '12px';
+    this.legendElement.style.display = 'none';
+    this.legendElement.innerHTML = Object.values(EDGE_STYLES).map(style => `
+      <div><span style="display:inline-block;width:20px;height:3px;vertical-align:middle;margin-right:6px;background:#${new THREE.Color(style.color).getHexString()}"></span>${style.label}</div>
+    `).join('');
+    this.dockElement.appendChild(this.legendElement);
+    this.dockElement.appendChild(this.troubleshootingElement);
+    this.dockElement.appendChild(this.rodInventoryElement);
+    this.dockElement.appendChild(this.cameraElement);
+    
+    this.setupBeadSimulator();
+    this.setupTimeline();
   }
   
-  createKnowledgeGraph() {
-    this.clearGraph();
-    
-    // Create central node for current parameters
-    const centralNode = this.createNode(0, 0, 0, 0x3498db, 'Current Settings');
-    this.nodeObjects.central = centralNode;
-    
-    // Create category nodes around central node
-    const categories = [
-      { name: 'Electrode', color: 0xe74c3c },
-      { name: 'Position', color: 0x2ecc71 },
-      { name: 'Metal', color: 0xf39c12 },
-      { name: 'Joint', color: 0x9b59b6 },
-      { name: 'Technique', color: 0x1abc9c }
-    ];
-    
-    const radius = 8;
-    categories.forEach((cat, i) => {
-      const angle = (i / categories.length) * Math.PI * 2;
-      const x = Math.cos(angle) * radius;
-      const y = Math.sin(angle) * radius;
-      const node = this.createNode(x, y, 0, cat.color, cat.name);
-      this.nodeObjects[cat.name.toLowerCase()] = node;
-      this.createRelationship(centralNode, node);
+  // Bead simulator: its own technique controls, which follow the
+  // recommendation until one of them is moved, and a panel drawing the bead
+  setupBeadSimulator() {
+    const beadFolder = this.gui.addFolder('Bead Simulator');
+    // The electrode pose view shows the same angles
+    const update = () => {
+      this.updateBeadSimulator();
+      if (this.displayOptions.graphView === 'pose') this.updatePoseScene();
+    };
+    const manual = () => {
+      this.beadSettings.follow = false;
+      this.followController.updateDisplay();
+      update();
+    };
+    this.followController = beadFolder.add(this.beadSettings, 'follow')
+      .name('Follow Recommendation')
+      .onChange(update);
+    beadFolder.add(this.beadSettings, 'amperage', 20, 300, 1).name('Amperage (A)').onChange(manual);
+    beadFolder.add(this.beadSettings, 'arcLength', 0.5, 2.5, 0.05).name('Arc Gap (× core)').onChange(manual);
+    beadFolder.add(this.beadSettings, 'travelSpeed', 2, 16, 0.1).name('Travel Speed (in/min)').onChange(manual);
+    beadFolder.add(this.beadSettings, 'workAngle', 30, 90, 1).name('Work Angle (°)').onChange(manual);
+    beadFolder.add(this.beadSettings, 'travelAngle', -30, 75, 1).name('Travel Angle (° from perp.)').onChange(manual);
+    beadFolder.add(this.beadSettings, 'motionPattern',
+      Object.fromEntries(Object.entries(MOTION_PATTERNS).map(([pattern, { label }]) => [label, pattern])))
+      .name('Motion Pattern')
+      .onChange(manual);
+    this.beadControllers = beadFolder.controllers;
+    beadFolder.open();
+    
+    this.beadElement = document.createElement('div');
+    this.beadElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.beadElement.style.color = 'white';
+    this.beadElement.style.padding = '10px';
+    this.beadElement.style.borderRadius = '5px';
+    this.beadElement.style.fontFamily = 'Arial, sans-serif';
+    this.beadElement.style.fontSize = '12px';
+    this.beadElement.style.width = `${BEAD_CANVAS.width}px`;
+    
+    this.beadCanvas = document.createElement('canvas');
+    const ratio = window.devicePixelRatio || 1;
+    this.beadCanvas.width = BEAD_CANVAS.width * ratio;
+    this.beadCanvas.height = BEAD_CANVAS.height * ratio;
+    this.beadCanvas.style.width = `${BEAD_CANVAS.width}px`;
+    this.beadCanvas.style.height = `${BEAD_CANVAS.height}px`;
+    this.beadCanvas.style.display = 'block';
+    this.beadCanvas.setAttribute('role', 'img');
+    this.beadCanvas.getContext('2d').scale(ratio, ratio);
+    
+    this.beadTitleElement = document.createElement('h3');
+    this.beadTitleElement.style.margin = '0 0 6px';
+    this.beadInfoElement = document.createElement('div');
+    this.beadElement.append(this.beadTitleElement, this.beadCanvas, this.beadInfoElement);
+    this.dockElement.appendChild(this.beadElement);
+  }
+  
+  // Defect Troubleshooting folder: tick the defects found in a finished weld
+  // to see their likely causes, and the fixes for them, in a docked panel
+  setupTroubleshooting() {
+    const defectFolder = this.gui.addFolder('Defect Troubleshooting');
+    const update = () => {
+      this.updateTroubleshooting();
+      this.updateKnowledgeGraph();
+      this.highlightRecommendedNodes();
+    };
+    Object.keys(this.defectOptions).forEach(defect => {
+      defectFolder.add(this.defectOptions, defect).onChange(update);
     });
-    
-    // Add electrode type nodes
-    const electrodeNode = this.nodeObjects.electrode;
-    const selectedElectrode = this.weldingKnowledge.electrodes[this.params.electrode];
-    
-    if (selectedElectrode) {
-      // Create nodes for electrode properties
-      const properties = [
-        { name: 'Current: ' + selectedElectrode.current, key: 'current' },
-        { name: 'Penetration: ' + selectedElectrode.penetration, key: 'penetration' },
-        { name: 'Positions: ' + selectedElectrode.positions.length, key: 'positions' },
-        { name: 'Arc Force: ' + selectedElectrode.arcForce, key: 'arcForce' },
-        { name: 'Puddle Vis: ' + selectedElectrode.puddleVisibility, key: 'puddleVisibility' }
-      ];
-      
-      this.createSubNodes(electrodeNode, properties, 0xe74c3c, 5, 0);
+    defectFolder.add({
+      clear: () => {
+        Object.keys(this.defectOptions).forEach(defect => { this.defectOptions[defect] = false; });
+        defectFolder.controllers.forEach(controller => controller.updateDisplay());
+        update();
+      }
+    }, 'clear').name('Clear');
+    defectFolder.close();
+    
+    this.troubleshootingElement = document.createElement('div');
+    this.troubleshootingElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.troubleshootingElement.style.color = 'white';
+    this.troubleshootingElement.style.padding = '10px 15px';
+    this.troubleshootingElement.style.borderRadius = '5px';
+    this.troubleshootingElement.style.fontFamily = 'Arial, sans-serif';
+    this.troubleshootingElement.style.fontSize = '12px';
+    this.troubleshootingElement.style.width = '340px';
+    this.troubleshootingElement.style.maxHeight = '320px';
+    this.troubleshootingElement.style.overflowY = 'auto';
+    this.troubleshootingElement.style.display = 'none';
+  }
+  
+  // Saved user-defined machines join the built-in ones before the Machine
+  // dropdown is built
+  loadMachineProfiles() {
+    try {
+      const saved = window.localStorage.getItem(MACHINE_PROFILES_KEY);
+      if (saved) {
+        const profiles = JSON.parse(saved);
+        this.weldingKnowledge = withMachines(profiles, weldingKnowledge);
+        this.customMachines = profiles;
+      }
+    } catch (error) {
+      this.machineForm.status = `Saved machines ignored: ${error.message}`;
     }
-    
-    // Add position nodes
-    const positionNode = this.nodeObjects.position;
-    const selectedPosition = this.weldingKnowledge.positions[this.params.position];
-    
-    if (selectedPosition) {
-      const properties = [
-        { name: 'Rod Angle: ' + selectedPosition.rodAngle, key: 'rodAngle' },
-        { name: 'Challenges: ' + selectedPosition.challenges, key: 'challenges' },
-        { name: 'Techniques: ' + selectedPosition.techniques, key: 'techniques' }
-      ];
-      
-      this.createSubNodes(positionNode, properties, 0x2ecc71, 5, Math.PI/2);
+  }
+  
+  machineChoices() {
+    return { 'Any machine': '', ...Object.fromEntries(listMachines(this.weldingKnowledge).map(name => [name, name])) };
+  }
+  
+  // Machine Profiles folder: describe a power source from its rating plate
+  // and save it alongside the built-in ones
+  setupMachineProfiles() {
+    const machineFolder = this.gui.addFolder('Machine Profiles');
+    machineFolder.add(this.machineForm, 'name').name('Name');
+    machineFolder.add(this.machineForm, 'outputs', Object.keys(MACHINE_OUTPUTS)).name('Outputs');
+    machineFolder.add(this.machineForm, 'minAmperage', 5, 100, 5).name('Min Output (A)');
+    machineFolder.add(this.machineForm, 'maxAmperage', 50, 600, 5).name('Max Output (A)');
+    machineFolder.add(this.machineForm, 'dutyCycle', 5, 100, 5).name('Duty Cycle (%)');
+    machineFolder.add(this.machineForm, 'ratedAmperage', 50, 600, 5).name('Rated At (A)');
+    machineFolder.add(this.machineForm, 'openCircuitVoltage', 20, 100, 1).name('Open-circuit (V)');
+    machineFolder.add(this.machineForm, 'arcForce').name('Arc Force Dial');
+    machineFolder.add(this.machineForm, 'hotStart').name('Hot Start Dial');
+    machineFolder.add({ save: () => this.saveMachineProfile() }, 'save').name('Save Profile');
+    machineFolder.add({ remove: () => this.removeMachineProfile() }, 'remove').name('Delete Selected Machine');
+    this.machineStatusController = machineFolder.add(this.machineForm, 'status').name('Status').disable();
+    machineFolder.close();
+  }
+  
+  saveMachineProfile() {
+    const form = this.machineForm;
+    const dial = enabled => (enabled ? { min: 0, max: 100 } : null);
+    const profile = {
+      outputs: MACHINE_OUTPUTS[form.outputs],
+      amperage: { min: form.minAmperage, max: form.maxAmperage },
+      dutyCycle: { percent: form.dutyCycle, amperage: form.ratedAmperage },
+      openCircuitVoltage: form.openCircuitVoltage,
+      arcForce: dial(form.arcForce),
+      hotStart: dial(form.hotStart),
+      description: 'User-defined'
+    };
+    // Saving under a name already used replaces that profile
+    const { [form.name]: replaced, ...others } = this.customMachines;
+    try {
+      this.setMachineProfiles({ ...others, [form.name]: profile });
+    } catch (error) {
+      this.setMachineStatus(error.message);
+      return;
     }
-    
-    // Add metal nodes
-    const metalNode = this.nodeObjects.metal;
-    const selectedThickness = this.weldingKnowledge.metalThickness[this.params.metalThickness];
-    
-    if (selectedThickness) {
-      const properties = [
-        { name: 'Recommended A: ' + selectedThickness.amperage, key: 'amperage' },
-        { name: 'Heat: ' + selectedThickness.heatDissipation, key: 'heatDissipation' },
-        { name: 'Rod: ' + selectedThickness.rodSelection, key: 'rodSelection' }
-      ];
-      
-      this.createSubNodes(metalNode, properties, 0xf39c12, 5, Math.PI);
+    this.setMachineStatus(replaced ? `Updated ${form.name}` : `Saved ${form.name}`);
+    this.applyParameter('machine', form.name);
+  }
+  
+  removeMachineProfile() {
+    const name = this.params.machine;
+    if (!this.customMachines[name]) {
+      this.setMachineStatus(name ? `${name} is built in` : 'Select a saved machine first');
+      return;
     }
-    
-    // Add joint nodes
-    const jointNode = this.nodeObjects.joint;
-    const selectedJoint = this.weldingKnowledge.jointTypes[this.params.jointType];
-    
-    if (selectedJoint) {
-      const properties = [
-        { name: 'Prep: ' + selectedJoint.preparation, key: 'preparation' },
-        { name: 'Focus: ' + selectedJoint.penetration, key: 'penetration' },
-        { name: 'Rod Angle: ' + selectedJoint.rodAngle, key: 'rodAngle' }
-      ];
-      
-      this.createSubNodes(jointNode, properties, 0x9b59b6, 5, Math.PI * 3/2);
+    const others = { ...this.customMachines };
+    delete others[name];
+    this.setMachineProfiles(others);
+    this.setMachineStatus(`Deleted ${name}`);
+    this.applyParameter('machine', '');
+  }
+  
+  // Rebuild the knowledge base and the Machine dropdown around a new set of
+  // user-defined profiles, and keep them in the browser
+  setMachineProfiles(profiles) {
+    this.weldingKnowledge = withMachines(profiles, weldingKnowledge);
+    this.customMachines = profiles;
+    try {
+      window.localStorage.setItem(MACHINE_PROFILES_KEY, JSON.stringify(profiles));
+    } catch (error) {
+      this.setMachineStatus(`Not saved: ${error.message}`);
     }
-    
-    // Add technique nodes
-    const techniqueNode = this.nodeObjects.technique;
-    // Create nodes for adjustable parameters during welding
-    const techniques = [
-      { name: 'Arc Gap', key: 'arcGap' },
-      { name: 'Rod Angle', key: 'rodAngle' },
-      { name: 'Travel Speed', key: 'travelSpeed' },
-      { name: 'Motion Pattern', key: 'motionPattern' }
-    ];
-    
-    this.createSubNodes(techniqueNode, techniques, 0x1abc9c, 5, Math.PI * 2);
-    
-    // Highlight nodes based on recommendations
-    this.highlightRecommendedNodes();
+    // options() adds the new dropdown at the end of the folder; put it back
+    this.machineController = this.machineController.options(this.machineChoices())
+      .onChange(() => this.updateRecommendations());
+    this.machineTypeController.domElement.after(this.machineController.domElement);
   }
   
-  createNode(x, y, z, color, label) {
-    // Create sphere for node
-    const geometry = new THREE.SphereGeometry(1, 32, 32);
-    const material = new THREE.MeshStandardMaterial({ 
-      color: color,
-      metalness: 0.3,
-      roughness: 0.4,
-      emissive: color,
-      emissiveIntensity: 0.2
+  setMachineStatus(status) {
+    this.machineForm.status = status;
+    this.machineStatusController.updateDisplay();
+  }
+  
+  // Rod Inventory folder: add lots of rods, then move them between can, oven
+  // and bench in the docked list, which times each lot's exposure and marks
+  // the one being welded with
+  setupRodInventory() {
+    let lots = [];
+    try {
+      const saved = window.localStorage.getItem(ROD_INVENTORY_KEY);
+      if (saved) lots = parseInventory(saved, { knowledge: this.weldingKnowledge });
+    } catch (error) {
+      this.rodOptions.status = `Saved inventory ignored: ${error.message}`;
+    }
+    this.rodInventory = createElectrodeInventory({ knowledge: this.weldingKnowledge, lots });
+    
+    const rodFolder = this.gui.addFolder('Rod Inventory');
+    rodFolder.add(this.rodOptions, 'electrode', listElectrodes(this.weldingKnowledge)).name('Electrode');
+    rodFolder.add(this.rodOptions, 'size', listElectrodeSizes(this.weldingKnowledge)).name('Size');
+    rodFolder.add(this.rodOptions, 'lotNumber').name('Lot Number');
+    rodFolder.add(this.rodOptions, 'quantity', 0, 100, 1).name('Quantity (lb)');
+    rodFolder.add({
+      add: () => {
+        const { electrode, size, lotNumber, quantity } = this.rodOptions;
+        this.rodInventory.addLot({ electrode, size, lotNumber, quantity });
+        this.setRodStatus('');
+        this.saveRodInventory();
+      }
+    }, 'add').name('Add Sealed Lot');
+    this.rodStatusController = rodFolder.add(this.rodOptions, 'status').name('Status').disable();
+    rodFolder.close();
+    
+    this.rodInventoryElement = document.createElement('div');
+    this.rodInventoryElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.rodInventoryElement.style.color = 'white';
+    this.rodInventoryElement.style.padding = '10px 15px';
+    this.rodInventoryElement.style.borderRadius = '5px';
+    this.rodInventoryElement.style.fontFamily = 'Arial, sans-serif';
+    this.rodInventoryElement.style.fontSize = '12px';
+    this.rodInventoryElement.style.width = '340px';
+    this.rodInventoryElement.style.maxHeight = '240px';
+    this.rodInventoryElement.style.overflowY = 'auto';
+    this.rodInventoryElement.addEventListener('change', event => {
+      const { lot } = event.target.dataset;
+      if (lot) this.rodAction(() => this.rodInventory.setState(lot, event.target.value));
     });
-    const sphere = new THREE.Mesh(geometry, material);
-    sphere.position.set(x, y, z);
-    this.scene.add(sphere);
-    
-    // Add glow effect
-    const glowMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        'c': { value: 0.1 },
-        'p': { value: 1.2 },
-        glowColor: { value: new THREE.Color(color) },
-        viewVector: { value: new THREE.Vector3() }
-      },
-      vertexShader: `
-        uniform vec3 viewVector;
-        uniform float c;
-        uniform float p;
-        varying float intensity;
-        void main() {
-          vec3 vNormal = normalize(normalMatrix * normal);
-          vec3 vNormel = normalize(normalMatrix * viewVector);
-          intensity = pow(c - dot(vNormal, vNormel), p);
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform vec3 glowColor;
-        varying float intensity;
-        void main() {
-          vec3 glow = glowColor * intensity;
-          gl_FragColor = vec4(glow, 1.0);
-        }
-      `,
-      side: THREE.BackSide,
-      blending: THREE.AdditiveBlending,
-      transparent: true
+    this.rodInventoryElement.addEventListener('click', event => {
+      const { lot, action } = event.target.dataset;
+      if (!lot || !action) return;
+      if (action === 'use') this.useRodLot(lot);
+      else if (action === 'rebake') this.rodAction(() => this.rodInventory.rebake(lot));
+      else if (action === 'remove') this.rodAction(() => this.rodInventory.remove(lot));
     });
+    this.updateRodInventory();
     
-    const glowSphere = new THREE.Mesh(
-      new THREE.SphereGeometry(1.2, 32, 32),
-      glowMaterial
-    );
-    glowSphere.position.set(x, y, z);
-    this.scene.add(glowSphere);
-    
-    // Add label
-    const labelDiv = document.createElement('div');
-    labelDiv.className = 'node-label';
-    labelDiv.textContent = label;
-    labelDiv.style.color = '#ffffff';
-    labelDiv.style.fontSize = '12px';
-    labelDiv.style.fontWeight = 'bold';
-    labelDiv.style.padding = '2px 6px';
-    labelDiv.style.backgroundColor = `rgba(${new THREE.Color(color).r * 255}, ${new THREE.Color(color).g * 255}, ${new THREE.Color(color).b * 255}, 0.7)`;
-    labelDiv.style.borderRadius = '4px';
-    labelDiv.style.pointerEvents = 'none';
-    
-    const nodeLabel = new CSS2DObject(labelDiv);
-    nodeLabel.position.set(0, 1.5, 0);
-    sphere.add(nodeLabel);
-    
-    // Store additional data
-    sphere.userData = {
-      label: label,
-      color: color,
-      glowSphere: glowSphere,
-      nodeLabel: nodeLabel,
-      originalColor: color,
-      originalScale: 1
+    // Exposure clocks keep running between changes
+    setInterval(() => this.refreshRodInventory(), ROD_REFRESH_INTERVAL);
+  }
+  
+  // Run an inventory change from the list, reporting what it refuses
+  rodAction(change) {
+    try {
+      change();
+      this.setRodStatus('');
+    } catch (error) {
+      this.setRodStatus(error.message);
+    }
+    this.saveRodInventory();
+  }
+  
+  // Weld with a lot: its electrode and size become the inputs, and its
+  // exposure is checked from now on. Using it again stops that.
+  useRodLot(id) {
+    if (this.rodLotInUse === id) {
+      this.rodLotInUse = null;
+    } else {
+      const lot = this.rodInventory.lots().find(entry => entry.id === id);
+      this.rodLotInUse = id;
+      this.params.electrode = lot.electrode;
+      if (lot.size) this.params.electrodeSize = lot.size;
+      this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    }
+    this.updateRodInventory();
+    this.updateRecommendations();
+  }
+  
+  saveRodInventory() {
+    const lots = this.rodInventory.lots();
+    if (!lots.some(lot => lot.id === this.rodLotInUse)) this.rodLotInUse = null;
+    try {
+      window.localStorage.setItem(ROD_INVENTORY_KEY, serializeInventory(lots));
+    } catch (error) {
+      this.setRodStatus(`Not saved: ${error.message}`);
+    }
+    this.refreshRodInventory(true);
+  }
+  
+  // Redraw the list, and re-run the recommendation when the exposure of the
+  // lot in use has moved (or always, when forced)
+  refreshRodInventory(force = false) {
+    this.updateRodInventory();
+    const exposure = this.rodLotExposure();
+    if (force || exposure !== this.rodExposure) this.updateRecommendations();
+  }
+  
+  // Hours the lot in use has been out, if it is one of the rods being welded with
+  rodLotExposure() {
+    const lot = this.rodLotInUse && this.rodInventory.lots().find(entry => entry.id === this.rodLotInUse);
+    if (!lot || lot.electrode !== this.params.electrode) return null;
+    return this.rodInventory.assess(lot.id).exposure;
+  }
+  
+  updateRodInventory() {
+    const lots = this.rodInventory.lots();
+    this.rodInventoryElement.style.display = lots.length ? 'block' : 'none';
+    const button = (lot, action, label, color) =>
+      `<button data-lot="${lot.id}" data-action="${action}" style="margin-left:4px;padding:1px 6px;border:none;color:white;border-radius:3px;cursor:pointer;background:${color}">${label}</button>`;
+    
+    this.rodInventoryElement.innerHTML = `
+      <h3 style="margin:0 0 6px;color:#f1c40f">Rod Inventory</h3>
+      ${lots.map(lot => {
+        const assessment = this.rodInventory.assess(lot.id);
+        const inUse = lot.id === this.rodLotInUse;
+        const states = Object.values(StorageState)
+          .filter(state => state === lot.state || state !== StorageState.SEALED)
+          .map(state => `<option value="${state}"${state === lot.state ? ' selected' : ''}>${STORAGE_STATE_LABELS[state]}</option>`)
+          .join('');
+        return `
+          <div style="padding:4px 0;border-top:1px solid rgba(255,255,255,0.2)${inUse ? ';font-weight:bold' : ''}">
+            ${escapeHtml(lot.electrode)} ${escapeHtml(lot.size || '')}
+            ${lot.lotNumber ? `· ${escapeHtml(lot.lotNumber)}` : ''}
+            ${lot.quantity ? `· ${lot.quantity} lb` : ''}
+            ${inUse ? '· in use' : ''}
+            <div style="display:flex;align-items:center;margin-top:2px">
+              <select data-lot="${lot.id}" style="font-size:11px">${states}</select>
+              ${button(lot, 'use', inUse ? 'Stop Using' : 'Use', '#3498db')}
+              ${assessment.condition === RodCondition.NEEDS_REBAKE ? button(lot, 'rebake', 'Rebake', '#e67e22') : ''}
+              ${button(lot, 'remove', '×', '#7f8c8d')}
+            </div>
+            <div title="${escapeHtml(assessment.source)}" style="color:${ROD_CONDITION_COLORS[assessment.condition]}">${escapeHtml(assessment.message)}</div>
+          </div>
+        `;
+      }).join('')}
+    `;
+  }
+  
+  setRodStatus(status) {
+    this.rodOptions.status = status;
+    this.rodStatusController.updateDisplay();
+  }
+  
+  // Sensors folder: stream samples from a WebSocket, replay a recorded log or
+  // the made-up demonstration run, and stop
+  setupSensors() {
+    const sensorFolder = this.gui.addFolder('Sensors');
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = SENSOR_LOG_FORMATS.map(format => `.${format}`).join(',');
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) this.replaySensorLog(file);
+    });
+    const actions = {
+      connect: () => this.connectSensor(createJsonLinesAdapter(this.sensorOptions.url), this.sensorOptions.url),
+      replayLog: () => fileInput.click(),
+      replayDemo: () => this.startDemoSensor(),
+      disconnect: () => this.disconnectSensor()
+    };
+    sensorFolder.add(this.sensorOptions, 'url').name('WebSocket URL');
+    sensorFolder.add(actions, 'connect').name('Connect');
+    sensorFolder.add(actions, 'replayLog').name('Replay Log File…');
+    sensorFolder.add(actions, 'replayDemo').name('Replay Demo Run');
+    sensorFolder.add(actions, 'disconnect').name('Disconnect');
+    this.sensorStatusController = sensorFolder.add(this.sensorOptions, 'status').name('Status').disable();
+    sensorFolder.close();
+  }
+  
+  // Camera folder: analyse a still frame or play a recorded video through the
+  // puddle analysis, with a debug overlay of what it found
+  setupCamera() {
+    const cameraFolder = this.gui.addFolder('Camera');
+    const imageInput = document.createElement('input');
+    imageInput.type = 'file';
+    imageInput.accept = 'image/*,.ppm,.pgm';
+    imageInput.addEventListener('change', () => {
+      const [file] = imageInput.files;
+      imageInput.value = '';
+      if (file) this.analyzeImageFile(file);
+    });
+    const videoInput = document.createElement('input');
+    videoInput.type = 'file';
+    videoInput.accept = 'video/*';
+    videoInput.addEventListener('change', () => {
+      const [file] = videoInput.files;
+      videoInput.value = '';
+      if (file) this.analyzeVideoFile(file);
+    });
+    const actions = {
+      image: () => imageInput.click(),
+      video: () => videoInput.click(),
+      stop: () => this.stopCameraVideo(),
+      reference: () => this.useFrameAsReference()
     };
+    cameraFolder.add(actions, 'image').name('Analyze Image…');
+    cameraFolder.add(actions, 'video').name('Analyze Video…');
+    cameraFolder.add(actions, 'stop').name('Stop Video');
+    cameraFolder.add(this.cameraOptions, 'pixelsPerInch', 0, 1000, 1).name('Pixels per Inch');
+    cameraFolder.add(this.cameraOptions, 'travel', ['right', 'left', 'up', 'down']).name('Travel Direction');
+    cameraFolder.add(this.cameraOptions, 'referenceBrightness', 0.05, 1, 0.01).name('Reference Brightness');
+    cameraFolder.add(actions, 'reference').name('Use Frame as Reference');
+    this.cameraStatusController = cameraFolder.add(this.cameraOptions, 'status').name('Status').disable();
+    cameraFolder.close();
+    
+    // Debug overlay, docked bottom right once there is a frame to show
+    this.cameraElement = document.createElement('div');
+    this.cameraElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.cameraElement.style.color = 'white';
+    this.cameraElement.style.padding = '10px';
+    this.cameraElement.style.borderRadius = '5px';
+    this.cameraElement.style.fontFamily = 'Arial, sans-serif';
+    this.cameraElement.style.fontSize = '12px';
+    this.cameraElement.style.width = '240px';
+    this.cameraElement.style.display = 'none';
+    this.cameraCanvas = document.createElement('canvas');
+    this.cameraCanvas.style.width = '100%';
+    this.cameraCanvas.style.display = 'block';
+    this.cameraInfoElement = document.createElement('div');
+    this.cameraInfoElement.style.marginTop = '6px';
+    this.cameraElement.append(this.cameraCanvas, this.cameraInfoElement);
+  }
+  
+  // Session folder: record the run, start over, and save or load a session
+  // to go through on the timeline
+  setupSession() {
+    const sessionFolder = this.gui.addFolder('Session');
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files;
+      fileInput.value = '';
+      if (file) this.importSession(file);
+    });
+    const actions = {
+      restart: () => this.restartSession(),
+      export: () => this.exportSession(),
+      import: () => fileInput.click()
+    };
+    sessionFolder.add(this.sessionOptions, 'recording').name('Record')
+      .onChange(recording => {
+        if (recording) this.recordSession();
+        this.setSessionStatus();
+      });
+    sessionFolder.add(actions, 'restart').name('New Session');
+    sessionFolder.add(actions, 'export').name('Export Session');
+    sessionFolder.add(actions, 'import').name('Import Session…');
+    this.sessionStatusController = sessionFolder.add(this.sessionOptions, 'status').name('Status').disable();
+    sessionFolder.close();
+  }
+  
+  // Timeline across the top: play and scrub through a session, with a marker
+  // for each parameter change and observation and the advice shown at the
+  // scrubbed moment
+  setupTimeline() {
+    this.timelineElement = document.createElement('div');
+    this.timelineElement.style.position = 'absolute';
+    this.timelineElement.style.top = '10px';
+    this.timelineElement.style.left = '50%';
+    this.timelineElement.style.transform = 'translateX(-50%)';
+    this.timelineElement.style.width = '460px';
+    this.timelineElement.style.backgroundColor = 'rgba(0,0,0,0.7)';
+    this.timelineElement.style.color = 'white';
+    this.timelineElement.style.padding = '10px 15px';
+    this.timelineElement.style.borderRadius = '5px';
+    this.timelineElement.style.fontFamily = 'Arial, sans-serif';
+    this.timelineElement.style.fontSize = '12px';
+    this.timelineElement.style.display = 'none';
+    this.timelineElement.innerHTML = `
+      <div style="position:relative;height:10px;margin:0 88px 2px 32px" data-role="markers"></div>
+      <div style="display:flex;align-items:center;gap:8px">
+        <button data-role="play" style="width:24px;background:#3498db;border:none;color:white;border-radius:3px;cursor:pointer">▶</button>
+        <input data-role="scrubber" type="range" min="0" step="100" style="flex:1">
+        <span data-role="time" style="width:80px;text-align:right"></span>
+      </div>
+      <div data-role="event" style="margin-top:6px"></div>
+      <button data-role="live" style="margin-top:6px;padding:4px 8px;background:#2ecc71;border:none;color:white;border-radius:3px;cursor:pointer">Back to Live</button>
+    `;
+    const part = role => this.timelineElement.querySelector(`[data-role="${role}"]`);
+    this.timeline = {
+      markers: part('markers'),
+      play: part('play'),
+      scrubber: part('scrubber'),
+      time: part('time'),
+      event: part('event'),
+      live: part('live')
+    };
+    this.timeline.scrubber.addEventListener('input', () => {
+      this.seekSession(this.timelineSession(), Number(this.timeline.scrubber.value));
+    });
+    this.timeline.play.addEventListener('click', () => {
+      const session = this.timelineSession();
+      if (this.replay && this.replay.playing) {
+        this.replay.playing = false;
+      } else {
+        const from = this.replay && this.replay.time < sessionDuration(session) ? this.replay.time : 0;
+        this.seekSession(session, from);
+        this.replay.playing = true;
+      }
+      this.updateTimeline();
+    });
+    this.timeline.live.addEventListener('click', () => this.exitReplay());
+    this.container.appendChild(this.timelineElement);
+  }
+  
+  // Hover and click on the node spheres, an inspector for the knowledge entry
+  // behind the selected node, and keyboard navigation between nodes
+  setupInteraction() {
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    
+    // The label layer sits on top and receives the pointer events
+    const surface = this.labelRenderer.domElement;
+    surface.tabIndex = 0;
+    surface.setAttribute('role', 'application');
+    surface.setAttribute('aria-label', 'Welding knowledge graph. Arrow keys move between nodes, Enter inspects the focused node, Escape closes the inspector.');
+    
+    let pressed = null;
+    surface.addEventListener('pointermove', event => this.setHoveredNode(this.pickNode(event)));
+    surface.addEventListener('pointerleave', () => this.setHoveredNode(null));
+    surface.addEventListener('pointerdown', event => {
+      pressed = { x: event.clientX, y: event.clientY };
+    });
+    surface.addEventListener('pointerup', event => {
+      // A drag orbits the camera rather than selecting
+      const click = pressed && Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) < 5;
+      pressed = null;
+      if (click) this.selectNode(this.pickNode(event));
+    });
+    surface.addEventListener('keydown', event => this.handleGraphKey(event));
+    
+    // Screen reader announcement of the focused node
+    this.graphStatusElement = document.createElement('div');
+    this.graphStatusElement.setAttribute('aria-live', 'polite');
+    this.graphStatusElement.style.position = 'absolute';
+    this.graphStatusElement.style.width = '1px';
+    this.graphStatusElement.style.height = '1px';
+    this.graphStatusElement.style.overflow = 'hidden';
+    this.graphStatusElement.style.clip = 'rect(0 0 0 0)';
+    this.container.appendChild(this.graphStatusElement);
+    
+    this.inspectorElement = document.createElement('div');
+    this.inspectorElement.setAttribute('role', 'dialog');
+    this.inspectorElement.setAttribute('aria-label', 'Node inspector');
+    this.inspectorElement.tabIndex = -1;
+    this.inspectorElement.style.position = 'absolute';
+    this.inspectorElement.style.top = '10px';
+    this.inspectorElement.style.right = '320px';
+    this.inspectorElement.style.width = '320px';
+    this.inspectorElement.style.maxHeight = '70vh';
+    this.inspectorElement.style.overflowY = 'auto';
+    this.inspectorElement.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    this.inspectorElement.style.color = 'white';
+    this.inspectorElement.style.padding = '15px';
+    this.inspectorElement.style.borderRadius = '5px';
+    this.inspectorElement.style.fontFamily = 'Arial, sans-serif';
+    this.inspectorElement.style.fontSize = '13px';
+    this.inspectorElement.style.display = 'none';
+    this.inspectorElement.addEventListener('keydown', event => {
+      if (event.key !== 'Escape') return;
+      this.closeInspector();
+      surface.focus();
+    });
+    this.container.appendChild(this.inspectorElement);
+  }
+  
+  // Node sphere under the pointer, if any
+  pickNode(event) {
+    const rect = this.labelRenderer.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(Object.values(this.nodeObjects), false)[0];
+    return hit ? hit.object : null;
+  }
+  
+  // Full-graph id of the knowledge entry a node shows; null for the central
+  // and category nodes, which stand for no single entry
+  nodeEntity(node) {
+    const { knowledgeNode, propertyNode } = node.userData;
+    if (knowledgeNode) return knowledgeNode.id;
+    if (!propertyNode) return null;
+    if (propertyNode.entity) return propertyNode.entity;
+    
+    // Technique nodes show the option to aim for
+    const value = (this.currentRecommendations.techniqueTargets || {})[propertyNode.key];
+    return value ? nodeId(NodeType.TECHNIQUE, `${propertyNode.key}.${value}`) : null;
+  }
+  
+  setHoveredNode(node) {
+    if (node === this.hoveredNode) return;
+    this.hoveredNode = node;
+    this.labelRenderer.domElement.style.cursor = node && this.nodeEntity(node) ? 'pointer' : '';
+    this.markInteractiveNodes();
+  }
+  
+  // Select a node and inspect its entry; anything without one clears the selection
+  selectNode(node) {
+    const entity = node && this.nodeEntity(node);
+    if (!entity) {
+      this.closeInspector();
+      return;
+    }
+    this.selectedNode = node;
+    this.markInteractiveNodes();
+    this.showInspector(entity);
+  }
+  
+  // Outline the labels of the hovered and selected nodes, and open the
+  // details of those and of the recommended options
+  markInteractiveNodes() {
+    Object.values(this.nodeObjects).forEach(node => {
+      const style = node.userData.nodeLabel.element.style;
+      const active = node === this.selectedNode || node === this.hoveredNode;
+      if (node === this.selectedNode) style.outline = '2px solid #ffffff';
+      else if (node === this.hoveredNode) style.outline = '1px solid rgba(255,255,255,0.7)';
+      else style.outline = '';
+      if (node.userData.detailsElement) {
+        node.userData.detailsElement.style.display = active || node.userData.recommended ? 'block' : 'none';
+      }
+    });
+  }
+  
+  handleGraphKey(event) {
+    const nodes = Object.values(this.nodeObjects).filter(node => this.nodeEntity(node));
+    if (!nodes.length) return;
+    const index = nodes.indexOf(this.hoveredNode);
+    
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        this.focusNode(nodes[(index + 1) % nodes.length]);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        this.focusNode(nodes[index <= 0 ? nodes.length - 1 : index - 1]);
+        break;
+      case 'Enter':
+      case ' ':
+        if (this.hoveredNode) this.selectNode(this.hoveredNode);
+        break;
+      case 'Escape':
+        this.closeInspector();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  }
+  
+  focusNode(node) {
+    this.setHoveredNode(node);
+    this.graphStatusElement.textContent = node.userData.label;
+  }
+  
+  showInspector(id) {
+    const detail = inspectNode(id, this.weldingKnowledge);
+    if (!detail) {
+      this.closeInspector();
+      return;
+    }
+    const { node, fields, related, input } = detail;
+    this.inspectedId = id;
+    // Re-rendering drops focus from a button inside; keep it in the panel
+    const hadFocus = this.inspectorElement.contains(document.activeElement);
+    const color = `#${new THREE.Color(NODE_STYLES[node.type].color).getHexString()}`;
+    
+    // Related entities grouped by relationship, read from this node's side
+    const groups = new Map();
+    related.forEach(({ node: other, edge, direction }) => {
+      const style = EDGE_STYLES[edge.type];
+      const heading = direction === 'out' ? style.label : style.inverse;
+      if (!groups.has(heading)) groups.set(heading, []);
+      groups.get(heading).push(other);
+    });
     
-    return sphere;
+    let applyHTML = '';
+    if (input) {
+      const controller = this.gui.controllersRecursive().find(c => c.property === input.field);
+      const name = controller ? controller.$name.textContent : input.field;
+      const current = this.scenarioInputs()[input.field] === input.value;
+      applyHTML = `
+        <button data-apply ${current ? 'disabled' : ''}
+          style="margin:8px 0;padding:4px 10px;background:${current ? '#7f8c8d' : '#3498db'};border:none;color:white;border-radius:4px;cursor:${current ? 'default' : 'pointer'}">
+          ${escapeHtml(current ? `Current ${name}` : `Set ${name} to ${input.value}`)}
+        </button>
+      `;
+    }
+    
+    this.inspectorElement.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:start">
+        <h3 style="margin:0;color:${color}">${escapeHtml(node.label)}</h3>
+        <button data-close aria-label="Close inspector"
+          style="background:none;border:none;color:white;font-size:18px;cursor:pointer;line-height:1">×</button>
+      </div>
+      <div style="opacity:0.7;font-size:0.85em">${NODE_STYLES[node.type].label}${node.source ? ` · ${escapeHtml(node.source)}` : ''}</div>
+      ${applyHTML}
+      ${fields.length ? `
+        <dl style="margin:8px 0">
+          ${fields.map(field => `
+            <dt style="font-weight:bold">${escapeHtml(field.label)}</dt>
+            <dd style="margin:0 0 6px 0">${escapeHtml(formatKnowledgeValue(field.value))}</dd>
+          `).join('')}
+        </dl>
+      ` : ''}
+      ${[...groups].map(([heading, nodes]) => `
+        <div style="font-weight:bold;margin-top:10px;border-top:1px solid rgba(255,255,255,0.3);padding-top:8px">${heading}</div>
+        <div>
+          ${nodes.map(other => `
+            <button data-node-id="${escapeHtml(other.id)}"
+              style="margin:2px;padding:2px 6px;background:#${new THREE.Color(NODE_STYLES[other.type].color).getHexString()};border:none;color:white;border-radius:3px;cursor:pointer">
+              ${escapeHtml(other.label)}
+            </button>
+          `).join('')}
+        </div>
+      `).join('')}
+    `;
+    
+    this.inspectorElement.querySelector('[data-close]').addEventListener('click', () => this.closeInspector());
+    const apply = this.inspectorElement.querySelector('[data-apply]');
+    if (apply) {
+      apply.addEventListener('click', () => {
+        this.applyParameter(input.field, input.value);
+        this.showInspector(id);
+      });
+    }
+    this.inspectorElement.querySelectorAll('[data-node-id]').forEach(button => {
+      button.addEventListener('click', () => {
+        // Follow the link in the graph too when the node is on screen
+        const target = this.nodeObjects[button.dataset.nodeId];
+        if (target) this.selectNode(target);
+        else this.showInspector(button.dataset.nodeId);
+      });
+    });
+    this.inspectorElement.style.display = 'block';
+    if (hadFocus) this.inspectorElement.focus();
   }
   
-  createSubNodes(parentNode, properties, baseColor, radius, startAngle) {
-    const parentPos = parentNode.position;
-    const count = properties.length;
+  closeInspector() {
+    this.inspectorElement.style.display = 'none';
+    this.inspectedId = null;
+    this.selectedNode = null;
+    this.markInteractiveNodes();
+  }
+  
+  createKnowledgeGraph() {
+    this.clearGraph();
     
-    properties.forEach((prop, i) => {
-      const angle = startAngle + (i / count) * Math.PI * 0.75;
-      const x = parentPos.x + Math.cos(angle) * radius;
-      const y = parentPos.y + Math.sin(angle) * radius;
-      const z = parentPos.z + (Math.random() - 0.5) * 2;
+    if (this.displayOptions.graphView === 'knowledge') {
+      this.createFullGraph();
+    } else if (this.displayOptions.graphView === 'scenario') {
+      this.createScenarioGraph();
+    }
+    this.legendElement.style.display = ['knowledge', 'defects'].includes(this.displayOptions.graphView) ? 'block' : 'none';
+    
+    this.updateKnowledgeGraph();
+    
+    // Highlight nodes based on recommendations
+    this.highlightRecommendedNodes();
+  }
+  
+  // Current settings at the centre, one node per category around them; the
+  // property nodes hanging off the categories follow the inputs
+  createScenarioGraph() {
+    // Create central node for current parameters
+    const centralNode = this.createNode(0, 0, 0, 0x3498db, 'Current Settings');
+    this.nodeObjects.central = centralNode;
+    
+    // Create category nodes around central node
+    const radius = 8;
+    GRAPH_CATEGORIES.forEach((cat, i) => {
+      const angle = (i / GRAPH_CATEGORIES.length) * Math.PI * 2;
+      const x = Math.cos(angle) * radius;
+      const y = Math.sin(angle) * radius;
+      const node = this.createNode(x, y, 0, cat.color, cat.name);
+      this.nodeObjects[cat.name.toLowerCase()] = node;
+      this.createRelationship(centralNode, node);
+    });
+  }
+  
+  // Every entity in the knowledge base and the relationships between them,
+  // spreading out from the centre into a force-directed layout
+  createFullGraph() {
+    const graph = buildKnowledgeGraph(this.weldingKnowledge);
+    const layout = forceLayout(graph);
+    
+    graph.nodes.forEach(knowledgeNode => {
+      const node = this.createNode(0, 0, 0, NODE_STYLES[knowledgeNode.type].color, knowledgeNode.label);
+      node.userData.knowledgeNode = knowledgeNode;
+      node.userData.originalScale = 0.5;
+      node.userData.nodeLabel.element.style.fontSize = '10px';
+      node.userData.targetPosition.copy(layout.get(knowledgeNode.id));
+      node.scale.setScalar(0);
+      this.setNodeOpacity(node, 0);
+      this.nodeObjects[knowledgeNode.id] = node;
+    });
+    
+    graph.edges.forEach(edge => {
+      this.createRelationship(this.nodeObjects[edge.from], this.nodeObjects[edge.to], 0.35, EDGE_STYLES[edge.type].color);
+    });
+  }
+  
+  // Bring the property nodes in line with the current inputs: new ones grow
+  // out of their category, changed ones are relabelled in place and stale
+  // ones fade out, to be disposed once they are gone. The full graph only
+  // enlarges the nodes the inputs select, and those on the causal chain of
+  // any ticked defects by how likely they are.
+  updateKnowledgeGraph() {
+    if (this.displayOptions.graphView === 'pose') {
+      this.updatePoseScene();
+      return;
+    }
+    if (this.displayOptions.graphView === 'defects') {
+      this.updateDefectGraph();
+      return;
+    }
+    if (this.displayOptions.graphView === 'knowledge') {
+      const selected = new Set(scenarioNodeIds(this.scenarioInputs(), this.weldingKnowledge));
+      const chain = new Map(this.troubleshooting
+        ? defectChain(this.troubleshooting, this.weldingKnowledge).nodes.map(node => [node.id, node.weight])
+        : []);
+      Object.values(this.nodeObjects).forEach(node => {
+        const { id } = node.userData.knowledgeNode;
+        if (selected.has(id)) node.userData.originalScale = 1.1;
+        else if (chain.has(id)) node.userData.originalScale = 0.6 + 0.6 * chain.get(id);
+        else node.userData.originalScale = 0.5;
+      });
+      return;
+    }
+    
+    const current = Object.values(this.nodeObjects)
+      .map(node => node.userData.propertyNode)
+      .filter(Boolean);
+    const next = propertyNodes(this.scenarioInputs(), this.weldingKnowledge);
+    const { added, updated, removed } = diffNodes(current, next);
+    
+    removed.forEach(({ id }) => {
+      const node = this.nodeObjects[id];
+      delete this.nodeObjects[id];
+      if (node === this.hoveredNode) this.hoveredNode = null;
+      if (node === this.selectedNode) this.selectedNode = null;
+      node.userData.targetScale = 0;
+      node.userData.targetOpacity = 0;
+      this.fadingNodes.push(node);
+    });
+    
+    updated.forEach(propertyNode => {
+      const node = this.nodeObjects[propertyNode.id];
+      node.userData.propertyNode = propertyNode;
+      node.userData.label = propertyNode.label;
+      (node.userData.titleElement || node.userData.nodeLabel.element).textContent = propertyNode.label;
+      // Pulse so the change is noticed; animate() eases it back
+      node.scale.multiplyScalar(1.3);
+    });
+    
+    added.forEach(propertyNode => {
+      const parentNode = this.nodeObjects[propertyNode.parent || propertyNode.category];
+      const { x, y, z } = parentNode.position;
       
       // Create slightly varied color
       const colorVariation = 0.15;
-      const variedColor = new THREE.Color(baseColor);
+      const variedColor = new THREE.Color(parentNode.userData.originalColor);
       variedColor.r += (Math.random() - 0.5) * colorVariation;
       variedColor.g += (Math.random() - 0.5) * colorVariation;
       variedColor.b += (Math.random() - 0.5) * colorVariation;
       
-      const node = this.createNode(x, y, z, variedColor.getHex(), prop.name);
-      node.userData.property = prop.key;
-      node.scale.setScalar(0.7);
+      const node = this.createNode(x, y, z, variedColor.getHex(), propertyNode.label);
+      node.userData.propertyNode = propertyNode;
+      node.userData.originalScale = 0.7;
+      node.userData.depth = (Math.random() - 0.5) * 2;
+      node.scale.setScalar(0);
+      this.setNodeOpacity(node, 0);
+      node.userData.relationship = this.createRelationship(parentNode, node, 0.4);
+      if (propertyNode.details) this.addOptionDetails(node, propertyNode.details);
+      this.nodeObjects[propertyNode.id] = node;
+    });
+    
+    this.layoutPropertyNodes(next);
+    
+    // A selected property node now shows another entry: follow it
+    const entity = this.selectedNode && this.nodeEntity(this.selectedNode);
+    if (entity && entity !== this.inspectedId) this.showInspector(entity);
+  }
+  
+  // Defect troubleshooting view: the ticked defects on the left, through
+  // their causes and fixes to the technique options on the right, each node
+  // sized by how likely its cause is. Rebuilt only when the chain changes, so
+  // unrelated input changes leave the selection alone.
+  updateDefectGraph() {
+    const chain = this.troubleshooting
+      ? defectChain(this.troubleshooting, this.weldingKnowledge)
+      : { nodes: [], edges: [] };
+    const key = JSON.stringify(chain.nodes.map(node => [node.id, node.weight]));
+    if (key === this.defectGraphKey && Object.keys(this.nodeObjects).length) return;
+    this.clearGraph();
+    this.defectGraphKey = key;
+    
+    if (!chain.nodes.length) {
+      this.nodeObjects.central = this.createNode(0, 0, 0, NODE_STYLES[NodeType.DEFECT].color, 'Tick defects under Defect Troubleshooting');
+      return;
+    }
+    
+    const columns = [0, 1, 2, 3].map(layer => chain.nodes.filter(node => node.layer === layer));
+    const likely = new Set(this.troubleshooting.causes.filter(cause => cause.likely).map(cause => nodeId(NodeType.CAUSE, cause.cause)));
+    columns.forEach((column, layer) => {
+      const spacing = Math.min(DEFECT_LAYOUT.rowSpacing, DEFECT_LAYOUT.height / column.length);
+      column.forEach((chainNode, row) => {
+        const x = (layer - 1.5) * DEFECT_LAYOUT.columnSpacing;
+        const y = ((column.length - 1) / 2 - row) * spacing;
+        const label = chainNode.type === NodeType.CAUSE
+          ? `${chainNode.label} ${Math.round(chainNode.weight * 100)}%${likely.has(chainNode.id) ? ' ★' : ''}`
+          : chainNode.label;
+        const node = this.createNode(x, y, 0, NODE_STYLES[chainNode.type].color, label);
+        node.userData.knowledgeNode = chainNode;
+        node.userData.originalScale = 0.4 + 0.6 * chainNode.weight;
+        node.userData.nodeLabel.element.style.fontSize = '11px';
+        node.scale.setScalar(0);
+        this.nodeObjects[chainNode.id] = node;
+      });
+    });
+    
+    chain.edges.forEach(edge => {
+      const to = chain.nodes.find(node => node.id === edge.to);
+      this.createRelationship(this.nodeObjects[edge.from], this.nodeObjects[edge.to], 0.3 + 0.5 * to.weight,
+        EDGE_STYLES[edge.type].color);
+    });
+  }
+  
+  // Fan each category's property nodes out around it, and any child nodes
+  // (technique options) out beyond their parent
+  layoutPropertyNodes(nodes) {
+    GRAPH_CATEGORIES.forEach(cat => {
+      const category = cat.name.toLowerCase();
+      const parentPos = this.nodeObjects[category].position;
+      const siblings = nodes.filter(propertyNode => propertyNode.category === category && !propertyNode.parent);
+      const radius = 5;
       
-      this.createRelationship(parentNode, node, 0.4);
+      siblings.forEach((propertyNode, i) => {
+        const node = this.nodeObjects[propertyNode.id];
+        const angle = cat.subNodeAngle + (i / siblings.length) * Math.PI * 0.75;
+        node.userData.targetPosition.set(
+          parentPos.x + Math.cos(angle) * radius,
+          parentPos.y + Math.sin(angle) * radius,
+          parentPos.z + node.userData.depth
+        );
+        
+        const children = nodes.filter(child => child.parent === propertyNode.id);
+        const parentTarget = node.userData.targetPosition;
+        children.forEach((child, j) => {
+          const childAngle = angle + (j - (children.length - 1) / 2) * 0.7;
+          this.nodeObjects[child.id].userData.targetPosition.set(
+            parentTarget.x + Math.cos(childAngle) * 2.5,
+            parentTarget.y + Math.sin(childAngle) * 2.5,
+            parentTarget.z + this.nodeObjects[child.id].userData.depth / 2
+          );
+        });
+      });
+    });
+  }
+  
+  // A technique option's label: its name, with its effect, puddle and
+  // appearance underneath while it is recommended, hovered or selected
+  addOptionDetails(node, details) {
+    const element = node.userData.nodeLabel.element;
+    element.textContent = '';
+    
+    const title = document.createElement('div');
+    title.textContent = node.userData.label;
+    element.appendChild(title);
+    
+    const detailsElement = document.createElement('div');
+    detailsElement.style.fontSize = '10px';
+    detailsElement.style.fontWeight = 'normal';
+    detailsElement.style.maxWidth = '180px';
+    detailsElement.style.marginTop = '2px';
+    detailsElement.style.display = 'none';
+    Object.entries(details).forEach(([key, text]) => {
+      const line = document.createElement('div');
+      line.textContent = `${key[0].toUpperCase() + key.slice(1)}: ${text}`;
+      detailsElement.appendChild(line);
+    });
+    element.appendChild(detailsElement);
+    
+    node.userData.titleElement = title;
+    node.userData.detailsElement = detailsElement;
+    node.userData.originalScale = 0.45;
+  }
+  
+  createNode(x, y, z, color, label) {
+    // Create sphere for node
+    const geometry = new THREE.SphereGeometry(1, 32, 32);
+    const material = new THREE.MeshStandardMaterial({ 
+      color: color,
+      metalness: 0.3,
+      roughness: 0.4,
+      emissive: color,
+      emissiveIntensity: 0.2,
+      transparent: true
+    });
+    const sphere = new THREE.Mesh(geometry, material);
+    sphere.position.set(x, y, z);
+    this.scene.add(sphere);
+    
+    // Add glow effect
+    const glowMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        'c': { value: 0.1 },
+        'p': { value: 1.2 },
+        glowColor: { value: new THREE.Color(color) },
+        viewVector: { value: new THREE.Vector3() }
+      },
+      vertexShader: `
+        uniform vec3 viewVector;
+        uniform float c;
+        uniform float p;
+        varying float intensity;
+        void main() {
+          vec3 vNormal = normalize(normalMatrix * normal);
+          vec3 vNormel = normalize(normalMatrix * viewVector);
+          intensity = pow(c - dot(vNormal, vNormel), p);
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 glowColor;
+        varying float intensity;
+        void main() {
+          vec3 glow = glowColor * intensity;
+          gl_FragColor = vec4(glow, 1.0);
+        }
+      `,
+      side: THREE.BackSide,
+      blending: THREE.AdditiveBlending,
+      transparent: true
     });
+    
+    const glowSphere = new THREE.Mesh(
+      new THREE.SphereGeometry(1.2, 32, 32),
+      glowMaterial
+    );
+    glowSphere.position.set(x, y, z);
+    this.scene.add(glowSphere);
+    
+    // Add label
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'node-label';
+    labelDiv.textContent = label;
+    labelDiv.style.color = '#ffffff';
+    labelDiv.style.fontSize = '12px';
+    labelDiv.style.fontWeight = 'bold';
+    labelDiv.style.padding = '2px 6px';
+    labelDiv.style.backgroundColor = `rgba(${new THREE.Color(color).r * 255}, ${new THREE.Color(color).g * 255}, ${new THREE.Color(color).b * 255}, 0.7)`;
+    labelDiv.style.borderRadius = '4px';
+    labelDiv.style.pointerEvents = 'none';
+    
+    const nodeLabel = new CSS2DObject(labelDiv);
+    nodeLabel.position.set(0, 1.5, 0);
+    sphere.add(nodeLabel);
+    
+    // Store additional data
+    sphere.userData = {
+      label: label,
+      color: color,
+      glowSphere: glowSphere,
+      nodeLabel: nodeLabel,
+      originalColor: color,
+      originalScale: 1,
+      // Whether the node is the recommended technique option
+      recommended: false,
+      // animate() eases the node towards these
+      targetPosition: sphere.position.clone(),
+      targetScale: 1,
+      targetEmissive: 0.2,
+      opacity: 1,
+      targetOpacity: 1
+    };
+    
+    return sphere;
   }
   
-  createRelationship(nodeA, nodeB, opacity = 0.6) {
+  createRelationship(nodeA, nodeB, opacity = 0.6, color = 0xffffff) {
     const posA = nodeA.position;
     const posB = nodeB.position;
     
@@ -868,12 +1635,15 @@ class WeldingKnowledgeVisualization {
     
     const geometry = new THREE.BufferGeometry().setFromPoints(points);
     const material = new THREE.LineBasicMaterial({
-      color: 0xffffff,
+      color: color,
       transparent: true,
       opacity: opacity
     });
     
     const line = new THREE.Line(geometry, material);
+    line.userData = { from: nodeA, to: nodeB, opacity: opacity };
+    // Its ends move with the nodes, so the bounding sphere goes stale
+    line.frustumCulled = false;
     this.scene.add(line);
     this.relationshipLines.push(line);
     
@@ -881,67 +1651,227 @@ class WeldingKnowledgeVisualization {
   }
   
   clearGraph() {
-    // Remove existing nodes
-    Object.values(this.nodeObjects).forEach(node => {
-      if (node.userData.glowSphere) {
-        this.scene.remove(node.userData.glowSphere);
-      }
-      this.scene.remove(node);
-    });
+    [...Object.values(this.nodeObjects), ...this.fadingNodes].forEach(node => this.disposeNode(node));
     
-    // Remove existing relationships
-    this.relationshipLines.forEach(line => {
-      this.scene.remove(line);
-    });
+    // Category links have no property node to take them down
+    this.relationshipLines.forEach(line => this.disposeRelationship(line));
     
     this.nodeObjects = {};
+    this.fadingNodes = [];
     this.relationshipLines = [];
+    this.hoveredNode = null;
+    this.selectedNode = null;
+    this.clearPoseScene();
   }
   
-  updateRecommendations() {
+  // Electrode pose view: the joint in its position, gravity, and the
+  // electrode at the simulator's work and travel angles (the recommended ones
+  // unless the simulator is set by hand). Rebuilt whenever they change.
+  updatePoseScene() {
+    this.clearPoseScene();
+    const { workAngle, travelAngle, follow } = this.beadSettings;
+    let pose;
+    try {
+      pose = torchPose({ jointType: this.params.jointType, position: this.params.position, workAngle, travelAngle },
+        { knowledge: this.weldingKnowledge });
+    } catch (error) {
+      // Say why in the view, as the bead and recommendation panels do
+      this.poseGroup = new THREE.Group();
+      this.poseGroup.add(this.poseLabel(`No electrode pose: ${error.message}`, 0xe74c3c, new THREE.Vector3(0, 0, 0)));
+      this.scene.add(this.poseGroup);
+      return;
+    }
+    
+    const group = new THREE.Group();
+    const vector = values => new THREE.Vector3(...values);
+    const rotation = new THREE.Quaternion().setFromRotationMatrix(
+      new THREE.Matrix4().makeBasis(...pose.basis.map(vector)));
+    // Cylinders are built along +y; turn one onto a direction
+    const along = direction => new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), vector(direction));
+    
+    pose.plates.forEach(plate => {
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(...plate.size),
+        new THREE.MeshStandardMaterial({ color: 0x8c959f, metalness: 0.6, roughness: 0.5 })
+      );
+      mesh.position.copy(vector(plate.center));
+      mesh.quaternion.copy(rotation);
+      group.add(mesh);
+    });
+    
+    // Finished bead behind the arc, and the arc itself
+    const bead = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.25, 0.25, 5, 12),
+      new THREE.MeshStandardMaterial({ color: 0xa0a7b0, metalness: 0.5, roughness: 0.6 })
+    );
+    bead.position.copy(vector(pose.travel).multiplyScalar(-2.5));
+    bead.quaternion.copy(along(pose.travel));
+    group.add(bead);
+    const arc = new THREE.Mesh(
+      new THREE.SphereGeometry(0.35, 16, 16),
+      new THREE.MeshBasicMaterial({ color: 0xffc15e })
+    );
+    arc.position.copy(vector(pose.electrode.tip).multiplyScalar(0.5));
+    group.add(arc);
+    
+    // Flux-coated electrode from the tip to the holder
+    const tip = vector(pose.electrode.tip);
+    const end = vector(pose.electrode.end);
+    const electrode = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.15, 0.15, tip.distanceTo(end), 12),
+      new THREE.MeshStandardMaterial({ color: 0xd9c8a0, roughness: 0.8 })
+    );
+    electrode.position.copy(tip).add(end).multiplyScalar(0.5);
+    electrode.quaternion.copy(along(pose.electrode.direction));
+    group.add(electrode);
+    const holder = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.4, 0.4, 2, 12),
+      new THREE.MeshStandardMaterial({ color: 0x222222 })
+    );
+    holder.position.copy(end).addScaledVector(vector(pose.electrode.direction), 1);
+    holder.quaternion.copy(along(pose.electrode.direction));
+    group.add(holder);
+    const note = follow && this.currentRecommendations.valid
+      ? this.currentRecommendations.display.rodAngle
+      : 'Set in the Bead Simulator';
+    group.add(this.poseLabel(note, 0x7f8c8d, holder.position.clone().addScaledVector(vector(pose.electrode.direction), 1.5)));
+    
+    // Angle arcs with their degrees
+    pose.arcs.forEach(angleArc => {
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(angleArc.points.map(vector)),
+        new THREE.LineBasicMaterial({ color: POSE_COLORS[angleArc.angle] })
+      );
+      group.add(line);
+      group.add(this.poseLabel(angleArc.label, POSE_COLORS[angleArc.angle], vector(angleArc.labelPosition)));
+    });
+    
+    // Travel along the joint, ahead of the arc; gravity off to one side
+    const travelStart = vector(pose.travel).multiplyScalar(1.5).addScaledVector(vector(pose.basis[1]), 1.2);
+    const travelArrow = new THREE.ArrowHelper(vector(pose.travel), travelStart, 4, POSE_COLORS.travelArrow, 0.8, 0.5);
+    group.add(travelArrow);
+    group.add(this.poseLabel('Travel', POSE_COLORS.travelArrow, travelStart.clone().addScaledVector(vector(pose.travel), 4.8)));
+    const gravityStart = new THREE.Vector3(-8, 5, 0);
+    group.add(new THREE.ArrowHelper(vector(pose.gravity.direction), gravityStart, 3, POSE_COLORS.gravity, 0.8, 0.5));
+    const gravityLabel = this.poseLabel(`Gravity: ${pose.gravity.description || this.params.position}`,
+      POSE_COLORS.gravity, gravityStart.clone().add(new THREE.Vector3(0, -3.8, 0)));
+    gravityLabel.element.title = pose.gravity.source;
+    group.add(gravityLabel);
+    
+    this.poseGroup = group;
+    this.scene.add(group);
+  }
+  
+  poseLabel(text, color, position) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    element.style.color = '#ffffff';
+    element.style.fontSize = '12px';
+    element.style.padding = '2px 6px';
+    element.style.backgroundColor = `#${new THREE.Color(color).getHexString()}b3`;
+    element.style.borderRadius = '4px';
+    element.style.pointerEvents = 'none';
+    const label = new CSS2DObject(element);
+    label.position.copy(position);
+    return label;
+  }
+  
+  clearPoseScene() {
+    if (!this.poseGroup) return;
+    this.scene.remove(this.poseGroup);
+    // Only the group hears it was removed, so its labels leave the DOM by hand
+    this.poseGroup.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+      if (object.isCSS2DObject) object.element.remove();
+    });
+    this.poseGroup = null;
+  }
+  
+  // Remove a node from the scene and free its GPU resources and label
+  disposeNode(node) {
+    const { glowSphere, nodeLabel, relationship } = node.userData;
+    // Removing the CSS2DObject also takes its element out of the DOM
+    node.remove(nodeLabel);
+    this.scene.remove(node, glowSphere);
+    [node, glowSphere].forEach(mesh => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    if (relationship) this.disposeRelationship(relationship);
+  }
+  
+  disposeRelationship(line) {
+    this.scene.remove(line);
+    line.geometry.dispose();
+    line.material.dispose();
+    this.relationshipLines = this.relationshipLines.filter(other => other !== line);
+  }
+  
+  setNodeOpacity(node, opacity) {
+    node.userData.opacity = opacity;
+    node.material.opacity = opacity;
+    node.userData.nodeLabel.element.style.opacity = opacity;
+    // The additive glow fades by shrinking into the node
+    node.userData.glowSphere.scale.setScalar(opacity);
+  }
+  
+  // source names who changed the observations: 'manual' for the GUI, or the
+  // sensor's name
+  updateRecommendations(source = 'manual') {
+    this.rodExposure = this.rodLotExposure();
     // Get recommendations based on current inputs
-    this.currentRecommendations = this.weldingKnowledge.getRecommendations(this.params);
+    this.currentRecommendations = getRecommendations(this.scenarioInputs(), {
+      knowledge: this.weldingKnowledge,
+      units: this.displayOptions.units,
+      trace: true
+    });
     
-    // Display recommendations
-    let recommendationsHTML = `
-      <h3 style="margin-top:0;color:#3498db">Welding Recommendations</h3>
-      <div style="display:grid;grid-template-columns:auto 1fr;grid-gap:10px;align-items:start">
-    `;
+    if (!this.replay) this.recordSession(source);
     
-    if (this.currentRecommendations.amperage) {
-      recommendationsHTML += `
-        <div style="font-weight:bold">Amperage:</div>
-        <div>${this.currentRecommendations.amperage}</div>
-      `;
-    }
+    // The causes of any ticked defects depend on the inputs too
+    this.updateTroubleshooting();
     
-    if (this.currentRecommendations.arcGap) {
-      recommendationsHTML += `
-        <div style="font-weight:bold">Arc Gap:</div>
-        <div>${this.currentRecommendations.arcGap}</div>
-      `;
+    // New inputs change what the sensor readings are measured against
+    if (this.sensor) {
+      const reference = this.sensorReference();
+      if (reference) this.sensor.classifier.setReference(reference);
     }
     
-    if (this.currentRecommendations.rodAngle) {
-      recommendationsHTML += `
-        <div style="font-weight:bold">Rod Angle:</div>
-        <div>${this.currentRecommendations.rodAngle}</div>
+    // The graph and the bead show the inputs even when they cannot be
+    // recommended. The bead goes first: the electrode pose takes its angles.
+    this.updateBeadSimulator();
+    this.updateKnowledgeGraph();
+    
+    // Blocking errors replace the recommendation card entirely
+    if (!this.currentRecommendations.valid) {
+      this.recommendationsElement.innerHTML = `
+        <h3 style="margin-top:0;color:#e74c3c">Cannot Recommend These Settings</h3>
+        ${this.issueListHTML(this.currentRecommendations.errors, '#e74c3c')}
+        ${this.issueListHTML(this.currentRecommendations.warnings, '#f39c12')}
       `;
+      this.bindSuggestionButtons();
+      this.highlightRecommendedNodes();
+      return;
     }
     
-    if (this.currentRecommendations.travelSpeed) {
-      recommendationsHTML += `
-        <div style="font-weight:bold">Travel Speed:</div>
-        <div>${this.currentRecommendations.travelSpeed}</div>
-      `;
-    }
+    // Display recommendations
+    let recommendationsHTML = `
+      <h3 style="margin-top:0;color:#3498db">Welding Recommendations</h3>
+      <div style="display:grid;grid-template-columns:auto 1fr;grid-gap:10px;align-items:start">
+    `;
     
-    if (this.currentRecommendations.motionPattern && this.currentRecommendations.motionPattern.length) {
+    // Each row expands to show how its value was derived
+    this.recommendationRows(this.currentRecommendations).forEach(row => {
       recommendationsHTML += `
-        <div style="font-weight:bold">Motion Pattern:</div>
-        <div>${this.currentRecommendations.motionPattern.join(', ')}</div>
+        <div style="font-weight:bold">${row.label}:</div>
+        <details>
+          <summary style="cursor:pointer">${escapeHtml(row.value)}</summary>
+          ${row.detail ? `<div style="opacity:0.7;font-size:0.85em">${escapeHtml(row.detail)}</div>` : ''}
+          ${this.traceHTML(row.field)}
+        </details>
       `;
-    }
+    });
     
     if (this.currentRecommendations.adjustments && this.currentRecommendations.adjustments.length) {
       recommendationsHTML += `
@@ -951,83 +1881,696 @@ class WeldingKnowledgeVisualization {
         <ul style="grid-column:span 2;margin:5px 0;padding-left:20px">
       `;
       
+      // Diagnosed adjustments show their likely cause and confidence
+      const diagnosed = new Map(this.currentRecommendations.diagnosis.adjustments.map(a => [a.action, a]));
       this.currentRecommendations.adjustments.forEach(adjustment => {
-        recommendationsHTML += `<li>${adjustment}</li>`;
+        const diagnosis = diagnosed.get(adjustment);
+        recommendationsHTML += diagnosis
+          ? `<li title="${escapeHtml(diagnosis.source)}">${escapeHtml(adjustment)}
+              <span style="opacity:0.7;font-size:0.85em">(${escapeHtml(diagnosis.cause)}, ${Math.round(diagnosis.confidence * 100)}%)</span></li>`
+          : `<li>${escapeHtml(adjustment)}</li>`;
       });
       
       recommendationsHTML += `</ul>`;
     }
     
+    recommendationsHTML += this.passPlanHTML();
+    
+    if (this.currentRecommendations.notes.length) {
+      recommendationsHTML += `
+        <div style="font-weight:bold;grid-column:span 2;margin-top:10px;border-top:1px solid rgba(255,255,255,0.3);padding-top:10px">
+          Procedure Notes:
+        </div>
+        <ul style="grid-column:span 2;margin:5px 0;padding-left:20px">
+          ${this.currentRecommendations.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}
+        </ul>
+      `;
+    }
+    
     recommendationsHTML += `</div>`;
+    recommendationsHTML += this.issueListHTML(this.currentRecommendations.warnings, '#f39c12');
     this.recommendationsElement.innerHTML = recommendationsHTML;
+    this.bindSuggestionButtons();
     
     // Update visualization to highlight recommended settings
     this.highlightRecommendedNodes();
   }
   
+  // Trace the ticked defects back to their causes for the current inputs and
+  // list them, with the fixes, in the docked panel
+  updateTroubleshooting() {
+    const defects = Object.keys(this.defectOptions).filter(defect => this.defectOptions[defect]);
+    this.troubleshooting = defects.length
+      ? troubleshootDefects(defects, this.scenarioInputs(), { knowledge: this.weldingKnowledge })
+      : null;
+    if (!this.troubleshooting) {
+      this.troubleshootingElement.style.display = 'none';
+      return;
+    }
+    
+    const { causes, adjustments } = this.troubleshooting;
+    this.troubleshootingElement.style.display = 'block';
+    this.troubleshootingElement.innerHTML = `
+      <h3 style="margin:0 0 6px;color:#e67e22">Defect Troubleshooting</h3>
+      ${this.troubleshooting.defects.map(({ defect, appearance }) => `
+        <div><b>${escapeHtml(defect)}</b> <span style="opacity:0.7">${escapeHtml(appearance)}</span></div>
+      `).join('')}
+      <div style="font-weight:bold;margin-top:8px">Likely Causes:</div>
+      <ol style="margin:4px 0;padding-left:20px">
+        ${causes.map(cause => `
+          <li title="${escapeHtml(cause.sources.join(', '))}">${escapeHtml(cause.cause)}
+            <span style="opacity:0.7">${Math.round(cause.confidence * 100)}% · ${escapeHtml(cause.defects.join(', '))}${cause.likely ? ' · likely with these settings' : ''}</span></li>
+        `).join('')}
+      </ol>
+      <div style="font-weight:bold;margin-top:8px">Corrections:</div>
+      <ul style="margin:4px 0;padding-left:20px">
+        ${adjustments.map((adjustment, i) => `
+          <li title="${escapeHtml(adjustment.source)}">${escapeHtml(adjustment.action)}
+            ${adjustment.target ? `<span style="opacity:0.7">(${escapeHtml(this.adjustmentTargetText(adjustment))})</span>` : ''}
+            ${this.adjustmentButtonHTML(adjustment, i)}</li>
+        `).join('')}
+      </ul>
+    `;
+    this.troubleshootingElement.querySelectorAll('button[data-field]').forEach(button => {
+      button.addEventListener('click', () => this.applyParameter(button.dataset.field, button.dataset.value));
+    });
+    this.troubleshootingElement.querySelectorAll('button[data-adjustment]').forEach(button => {
+      button.addEventListener('click', () => this.tryAdjustment(adjustments[Number(button.dataset.adjustment)]));
+    });
+  }
+  
+  // What a correction aims for, e.g. "aim for 100-113A" or "Short arc, 0.75× core"
+  adjustmentTargetText({ change, target }) {
+    if (change.field === 'amperage') return `aim for ${formatAmperage(target)}`;
+    if (change.field === 'arcGap') return `${target.category} arc, ${target.nominal}× core`;
+    if (change.field === 'travelSpeed') return `${target.nominal} in/min`;
+    return MOTION_PATTERNS[target].label;
+  }
+  
+  // A machine change is an input and is applied as one; the changes with a
+  // target can be tried in the bead simulator
+  adjustmentButtonHTML({ change, target }, index) {
+    const style = 'margin-left:4px;padding:1px 6px;border:none;color:white;border-radius:3px;cursor:pointer';
+    if (change && change.field === 'machineType') {
+      return `<button data-field="machineType" data-value="${escapeHtml(change.to)}" style="${style};background:#3498db">Apply</button>`;
+    }
+    if (target) {
+      return `<button data-adjustment="${index}" style="${style};background:#2ecc71">Try in Simulator</button>`;
+    }
+    return '';
+  }
+  
+  // Move the bead simulator to a correction's target, off the recommendation
+  tryAdjustment({ change, target }) {
+    if (change.field === 'amperage') this.beadSettings.amperage = target.nominal;
+    else if (change.field === 'arcGap') this.beadSettings.arcLength = target.nominal;
+    else if (change.field === 'travelSpeed') this.beadSettings.travelSpeed = target.nominal;
+    else if (change.field === 'motionPattern') this.beadSettings.motionPattern = target;
+    this.beadSettings.follow = false;
+    this.beadControllers.forEach(controller => controller.updateDisplay());
+    this.updateBeadSimulator();
+    if (this.displayOptions.graphView === 'pose') this.updatePoseScene();
+  }
+  
+  // Write a WPS for the current settings: HTML opens ready to print,
+  // Markdown and JSON download as files
+  exportWps(format) {
+    if (!this.currentRecommendations.valid) {
+      window.alert('Resolve the errors in the recommendation panel before exporting a WPS.');
+      return;
+    }
+    
+    const wps = buildWps(this.scenarioInputs(), {
+      knowledge: this.weldingKnowledge,
+      units: this.displayOptions.units,
+      date: new Date().toISOString().slice(0, 10)
+    });
+    const text = formatWps(wps, format);
+    
+    if (format === 'html') {
+      const printWindow = window.open('', '_blank');
+      if (!printWindow) {
+        window.alert('Allow pop-ups for this page to print the WPS.');
+        return;
+      }
+      printWindow.document.write(text);
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+      return;
+    }
+    
+    downloadText(text, format === 'json' ? 'application/json' : 'text/markdown',
+      `wps-${this.params.electrode}.${format === 'json' ? 'json' : 'md'}`);
+  }
+  
+  // Pass sequence for joints that need more than one bead, after any issue
+  // the plan raises beyond the recommendation's own
+  passPlanHTML() {
+    const plan = planPasses(this.scenarioInputs(), {
+      knowledge: this.weldingKnowledge,
+      units: this.displayOptions.units
+    });
+    const shown = this.currentRecommendations.warnings.map(warning => warning.code);
+    const issuesHTML = this.issueListHTML(plan.errors, '#e74c3c') +
+      this.issueListHTML(plan.warnings.filter(warning => !shown.includes(warning.code)), '#f39c12');
+    const planIssues = issuesHTML ? `<div style="grid-column:span 2">${issuesHTML}</div>` : '';
+    if (!plan.valid || plan.passes.length < 2) return planIssues;
+    
+    return planIssues + `
+      <div style="font-weight:bold;grid-column:span 2;margin-top:10px;border-top:1px solid rgba(255,255,255,0.3);padding-top:10px">
+        Pass Plan (${plan.jointArea.value} ${plan.jointArea.unit}):
+      </div>
+      <ol style="grid-column:span 2;margin:5px 0;padding-left:20px">
+        ${plan.passes.map(pass => `
+          <li>${pass.type[0].toUpperCase() + pass.type.slice(1)}, layer ${pass.layer}:
+            ${pass.electrode} ${pass.electrodeSize}, ${formatAmperage(pass.amperage)}, ${formatMotionPatterns([pass.motionPattern])}</li>
+        `).join('')}
+      </ol>
+    `;
+  }
+  
+  // Provenance of one recommended value: every step that changed it, with the
+  // knowledge entry behind it. Overridden steps are struck through.
+  traceHTML(field) {
+    const steps = (this.currentRecommendations.trace || [])
+      .filter(step => step.field === field || step.field.startsWith(`${field}.`));
+    if (!steps.length) return '';
+    
+    return `
+      <ol style="margin:6px 0;padding-left:18px;font-size:0.8em;opacity:0.85">
+        ${steps.map(step => `
+          <li style="margin-bottom:4px;${step.overriddenBy ? 'text-decoration:line-through;opacity:0.6' : ''}"
+            title="${escapeHtml(step.overriddenBy ? `Overridden by ${step.overriddenBy}` : step.ruleId || step.kind)}">
+            ${escapeHtml(step.description)}: ${escapeHtml(formatTraceValue(step.before))} → ${escapeHtml(formatTraceValue(step.after))}
+            ${step.source ? `<div style="opacity:0.7">${escapeHtml(step.source)}${typeof step.sourceText === 'string' ? ` — "${escapeHtml(step.sourceText)}"` : ''}</div>` : ''}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+  
+  // Validation errors or warnings, each with buttons for its suggested substitutes
+  issueListHTML(issues, color) {
+    if (!issues.length) return '';
+    
+    return issues.map(issue => `
+      <div style="margin-top:10px;padding:8px;border-left:4px solid ${color};background:rgba(255,255,255,0.05)">
+        <div>${escapeHtml(issue.message)}</div>
+        ${issue.suggestions.length ? `
+          <div style="margin-top:6px;font-size:0.85em">
+            Try:
+            ${issue.suggestions.map(suggestion => `
+              <button data-field="${escapeHtml(suggestion.field)}" data-value="${escapeHtml(suggestion.value)}"
+                style="margin:2px;padding:2px 6px;background:${color};border:none;color:white;border-radius:3px;cursor:pointer">
+                ${escapeHtml(suggestion.value)}
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+  
+  bindSuggestionButtons() {
+    this.recommendationsElement.querySelectorAll('button[data-field]').forEach(button => {
+      button.addEventListener('click', () => this.applyParameter(button.dataset.field, button.dataset.value));
+    });
+  }
+  
+  // GUI parameters plus whichever geometry values have been given, and how
+  // long the rods in use have been out: as recorded, during a replay
+  scenarioInputs() {
+    const { numericThickness, thickness, lengthUnit, ...joint } = this.geometry;
+    const inputs = { ...this.params, lengthUnit };
+    if (numericThickness) inputs.thickness = thickness;
+    const rodExposure = this.replay ? this.replay.state.values.rodExposure : this.rodLotExposure();
+    if (typeof rodExposure === 'number') inputs.rodExposure = rodExposure;
+    Object.entries(joint).forEach(([field, value]) => {
+      if (value > 0) inputs[field] = value;
+    });
+    return inputs;
+  }
+  
+  // Set an input parameter from outside the GUI and keep the controls in sync
+  applyParameter(field, value) {
+    // Choosing a preset replaces a numeric thickness
+    if (field === 'metalThickness') this.geometry.numericThickness = false;
+    const target = field in this.geometry ? this.geometry : this.params;
+    target[field] = value;
+    this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    this.updateRecommendations();
+  }
+  
+  // Panel rows for a structured recommendation: the derived display string
+  // plus the nominal setpoint a welder would dial in
+  recommendationRows(recommendation) {
+    const { display } = recommendation;
+    const rows = [];
+    
+    if (recommendation.thickness) {
+      rows.push({
+        label: 'Plate',
+        field: 'thickness',
+        value: display.thickness,
+        detail: `Suits ${recommendation.electrodeSizes.recommended.join(' or ')} rod`
+      });
+    }
+    
+    if (recommendation.amperage) {
+      rows.push({
+        label: 'Amperage',
+        field: 'amperage',
+        value: display.amperage,
+        detail: `Nominal ${recommendation.amperage.nominal}${recommendation.amperage.unit}`
+      });
+    }
+    
+    if (recommendation.arcLength) {
+      rows.push({ label: 'Arc Length', field: 'arcLength', value: display.arcLength });
+    }
+    
+    if (recommendation.workAngle) {
+      rows.push({
+        label: 'Rod Angle',
+        field: 'rodAngle',
+        value: display.rodAngle,
+        detail: `Work ${recommendation.workAngle.nominal}°, travel ${recommendation.travelAngle.nominal}°`
+      });
+    }
+    
+    if (recommendation.travelSpeed) {
+      rows.push({
+        label: 'Travel Speed',
+        field: 'travelSpeed',
+        value: display.travelSpeed,
+        detail: `Nominal ${recommendation.travelSpeed.nominal} ${recommendation.travelSpeed.unit}`
+      });
+    }
+    
+    if (recommendation.motionPatterns.length) {
+      rows.push({ label: 'Motion Pattern', field: 'motionPatterns', value: display.motionPattern });
+    }
+    
+    if (recommendation.thermal) {
+      rows.push({ label: 'Temperatures', field: 'thermal', value: display.thermal });
+    }
+
+    if (recommendation.machine) {
+      const { name, weldMinutes, periodMinutes, arcMinutes, openCircuitVoltage } = recommendation.machine;
+      rows.push({
+        label: 'Machine',
+        field: 'machine',
+        value: display.machine,
+        detail: `Welds ${weldMinutes} of every ${periodMinutes} min, run needs ${arcMinutes}; ` +
+          `${openCircuitVoltage} V open-circuit. ${escapeHtml(this.weldingKnowledge.machines[name].description)}`
+      });
+    }
+
+    if (recommendation.heat) {
+      const { coolingRate, flow, burnThrough, carbonEquivalent } = recommendation.heat;
+      rows.push({
+        label: 'Heat Input',
+        field: 'heat',
+        value: display.heat,
+        detail: `Cooling ${coolingRate.value}°${coolingRate.unit[3]}/s (${flow} flow), burn-through index ${burnThrough}` +
+          (carbonEquivalent === null ? '' : `, CE ${carbonEquivalent}`)
+      });
+    }
+
+    return rows;
+  }
+  
   highlightRecommendedNodes() {
-    // Reset all nodes to original state
+    // Reset all nodes to original state; animate() eases them there
     Object.values(this.nodeObjects).forEach(node => {
       if (node.userData.originalColor) {
         node.material.color.setHex(node.userData.originalColor);
         node.material.emissive.setHex(node.userData.originalColor);
-        node.material.emissiveIntensity = 0.2;
+        node.userData.targetEmissive = 0.2;
+        node.userData.recommended = false;
         node.userData.glowSphere.material.uniforms.glowColor.value.setHex(node.userData.originalColor);
-        node.scale.setScalar(node.userData.originalScale);
+        node.userData.glowSphere.material.uniforms.c.value = 0.1;
+        node.userData.glowSphere.material.uniforms.p.value = 1.2;
+        node.userData.targetScale = node.userData.originalScale;
       }
     });
     
     // Highlight central node
     const centralNode = this.nodeObjects.central;
     if (centralNode) {
-      centralNode.material.emissiveIntensity = 0.5;
-      centralNode.scale.setScalar(1.2);
+      centralNode.userData.targetEmissive = 0.5;
+      centralNode.userData.targetScale = 1.2;
     }
     
-    // Highlight nodes based on recommendations
-    if (this.currentRecommendations.arcGap) {
-      this.highlightTechniqueNode('arcGap', this.currentRecommendations.arcGap);
-    }
+    // Highlight the technique to aim for, which the observations' diagnosis
+    // moves off the rules' choice
+    const technique = this.currentRecommendations.techniqueTargets || {};
+    Object.entries(technique).forEach(([key, value]) => {
+      if (value) {
+        this.highlightTechniqueNode(key, value);
+      }
+    });
+    
+    this.markInteractiveNodes();
+  }
+  
+  // Light up the recommended option of a technique dimension, matched by the
+  // knowledge entry it stands for rather than its label, and the dimension
+  // node it hangs off
+  highlightTechniqueNode(dimension, option) {
+    const entity = nodeId(NodeType.TECHNIQUE, `${dimension}.${option}`);
     
-    if (this.currentRecommendations.rodAngle) {
-      this.highlightTechniqueNode('rodAngle', this.currentRecommendations.rodAngle);
+    Object.values(this.nodeObjects).forEach(node => {
+      const { propertyNode, knowledgeNode } = node.userData;
+      const id = knowledgeNode ? knowledgeNode.id : propertyNode && propertyNode.entity;
+      
+      if (id === entity) {
+        node.userData.recommended = true;
+        node.userData.targetEmissive = 0.8;
+        node.userData.targetScale = 1.4 * (node.userData.originalScale || 1);
+        
+        // Make glow stronger
+        const glowColor = new THREE.Color(node.userData.originalColor);
+        glowColor.r += 0.2;
+        glowColor.g += 0.2;
+        glowColor.b += 0.2;
+        node.userData.glowSphere.material.uniforms.glowColor.value.copy(glowColor);
+        node.userData.glowSphere.material.uniforms.c.value = 0.2;
+        node.userData.glowSphere.material.uniforms.p.value = 1.5;
+      } else if (propertyNode && propertyNode.category === 'technique' &&
+          propertyNode.key === dimension && !propertyNode.option) {
+        // Regular highlight
+        node.userData.targetEmissive = 0.5;
+        node.userData.targetScale = 1.2 * (node.userData.originalScale || 1);
+      }
+    });
+  }
+  
+  // Take the recommendation's nominal setpoints, where it gives them
+  followRecommendation() {
+    const recommendation = this.currentRecommendations;
+    if (!recommendation.valid) return;
+    Object.assign(this.beadSettings, this.recommendedBeadSettings(recommendation));
+    this.beadControllers.forEach(controller => controller.updateDisplay());
+  }
+  
+  // Bead simulator settings for a valid recommendation's nominal setpoints;
+  // the ones it doesn't give are left out
+  recommendedBeadSettings(recommendation) {
+    const settings = {
+      amperage: recommendation.amperage.nominal,
+      motionPattern: recommendation.motionPatterns[0] || MotionPattern.STRAIGHT
+    };
+    if (recommendation.arcLength) settings.arcLength = recommendation.arcLength.nominal;
+    if (recommendation.travelSpeed) {
+      const { nominal, unit } = recommendation.travelSpeed;
+      settings.travelSpeed = Math.round((unit === 'mm/s' ? nominal / MM_PER_SEC_PER_IN_PER_MIN : nominal) * 10) / 10;
+    }
+    if (recommendation.workAngle) settings.workAngle = recommendation.workAngle.nominal;
+    if (recommendation.travelAngle) settings.travelAngle = recommendation.travelAngle.nominal;
+    return settings;
+  }
+  
+  // Re-run the bead model for the current electrode, plate and simulator
+  // settings, and redraw
+  updateBeadSimulator() {
+    if (this.beadSettings.follow) this.followRecommendation();
+    this.beadTitleElement.innerHTML = `Bead Simulator <span style="font-size:0.7em;opacity:0.7">(${this.beadSettings.follow ? 'following recommendation' : 'manual'})</span>`;
+    const { follow, ...settings } = this.beadSettings;
+    let profile;
+    let thickness;
+    try {
+      thickness = resolveGeometry(this.scenarioInputs(), this.weldingKnowledge).thickness;
+      profile = simulateBead({
+        ...settings,
+        electrode: this.params.electrode,
+        electrodeSize: this.params.electrodeSize,
+        thickness
+      }, { knowledge: this.weldingKnowledge });
+    } catch (error) {
+      const ctx = this.beadCanvas.getContext('2d');
+      ctx.fillStyle = '#1a1a2e';
+      ctx.fillRect(0, 0, BEAD_CANVAS.width, BEAD_CANVAS.height);
+      this.beadCanvas.setAttribute('aria-label', 'No simulated bead');
+      this.beadInfoElement.innerHTML = `<div style="color:#e74c3c;margin-top:6px">${escapeHtml(error.message)}</div>`;
+      return;
     }
     
-    if (this.currentRecommendations.travelSpeed) {
-      this.highlightTechniqueNode('travelSpeed', this.currentRecommendations.travelSpeed);
+    const ctx = this.beadCanvas.getContext('2d');
+    this.drawBeadTopView(ctx, profile);
+    this.drawBeadSection(ctx, profile, thickness);
+    const defects = profile.defects.map(defect => DEFECT_STYLES[defect.type].label);
+    this.beadCanvas.setAttribute('aria-label', `Simulated bead ${this.beadLength(profile.width)} wide, ` +
+      `${this.beadLength(profile.reinforcement)} crown, ${this.beadLength(profile.penetration)} penetration. ` +
+      (defects.length ? `Defects: ${defects.join(', ')}.` : 'No defects.'));
+    this.beadInfoElement.innerHTML = this.beadInfoHTML(profile);
+  }
+  
+  beadLength(inches) {
+    return this.displayOptions.units === 'metric'
+      ? `${(inches * MM_PER_IN).toFixed(1)} mm`
+      : `${inches.toFixed(3)} in`;
+  }
+  
+  // Readings, defects and the techniques entries behind the bead; each line's
+  // tooltip is the knowledge path it comes from
+  beadInfoHTML(profile) {
+    const heatInput = this.displayOptions.units === 'metric'
+      ? `${(profile.heatInput / MM_PER_IN).toFixed(2)} kJ/mm`
+      : `${profile.heatInput} kJ/in`;
+    const defects = profile.defects.map(defect => {
+      const style = DEFECT_STYLES[defect.type];
+      return `<div title="${escapeHtml(defect.source)}" style="color:${style.color}">
+        ● ${style.label} <span style="opacity:0.7">(${Math.round(defect.severity * 100)}%)</span>:
+        <span style="color:white">${escapeHtml(defect.message)}</span></div>`;
+    }).join('');
+    const effects = profile.effects.map(effect => `
+      <div title="${escapeHtml(effect.source)}"><b>${EFFECT_LABELS[effect.dimension]} · ${escapeHtml(effect.option)}:</b>
+        ${escapeHtml(Object.values(effect.notes).join('; '))}</div>
+    `).join('');
+    
+    return `
+      <div style="margin-top:6px">Width ${this.beadLength(profile.width)} · Crown ${this.beadLength(profile.reinforcement)} ·
+        Penetration ${this.beadLength(profile.penetration)}</div>
+      <div>Heat input ${heatInput} · Puddle ${profile.puddle.fluidity}</div>
+      <div style="margin-top:6px">${defects || '<span style="color:#2ecc71">No defects</span>'}</div>
+      <details style="margin-top:6px">
+        <summary style="cursor:pointer">Technique effects</summary>
+        ${effects}
+      </details>
+    `;
+  }
+  
+  // Top view: the bead cooling from the puddle back, with ripples at the
+  // model's spacing and toe and burn-through markers
+  drawBeadTopView(ctx, profile) {
+    const { width: W, topView: H } = BEAD_CANVAS;
+    const severity = new Map(profile.defects.map(defect => [defect.type, defect.severity]));
+    ctx.fillStyle = '#5d6470';
+    ctx.fillRect(0, 0, W, H);
+    
+    // Pixels per inch, so the widest bead still fits
+    const scale = Math.min(160, (H - 30) / Math.max(profile.width, 0.1));
+    const cy = H / 2 + 8;
+    const half = (profile.width * scale) / 2;
+    const puddleLength = profile.puddle.length * scale;
+    const puddleX = W - 14 - puddleLength / 2;
+    const start = 8;
+    const spacing = Math.max(profile.rippleSpacing * scale, 3);
+    // Weaves scallop the bead edges at the ripple spacing
+    const scallop = {
+      [MotionPattern.CIRCULAR]: 0.08,
+      [MotionPattern.WHIP_STEP]: 0.06,
+      [MotionPattern.ZIGZAG]: 0.03,
+      [MotionPattern.SIDE_TO_SIDE]: 0.03,
+      [MotionPattern.SLIGHT_SIDE_TO_SIDE]: 0.03
+    }[this.beadSettings.motionPattern] || 0;
+    const edge = x => half * (1 - scallop + scallop * Math.abs(Math.sin((Math.PI * x) / spacing)));
+    
+    // Bead, cooling from orange at the puddle to grey
+    const gradient = ctx.createLinearGradient(start, 0, puddleX, 0);
+    gradient.addColorStop(0, '#50555e');
+    gradient.addColorStop(0.6, '#8d939c');
+    gradient.addColorStop(0.85, '#c9a46a');
+    gradient.addColorStop(1, '#ff8c1a');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    for (let x = start; x <= puddleX; x += 1) ctx.lineTo(x, cy - edge(x));
+    for (let x = puddleX; x >= start; x -= 1) ctx.lineTo(x, cy + edge(x));
+    ctx.closePath();
+    ctx.fill();
+    
+    // Ripples bow towards the direction of travel
+    ctx.strokeStyle = 'rgba(20,20,20,0.35)';
+    ctx.lineWidth = this.beadSettings.motionPattern === MotionPattern.WHIP_STEP ? 1.5 : 1;
+    for (let x = puddleX - spacing; x > start + half * 0.5; x -= spacing) {
+      ctx.beginPath();
+      ctx.moveTo(x - half * 0.5, cy - edge(x) * 0.95);
+      ctx.quadraticCurveTo(x + half * 0.5, cy, x - half * 0.5, cy + edge(x) * 0.95);
+      ctx.stroke();
     }
     
-    if (this.currentRecommendations.motionPattern && this.currentRecommendations.motionPattern.length) {
-      this.highlightTechniqueNode('motionPattern', this.currentRecommendations.motionPattern[0]);
+    // Toe defects run along both edges
+    const toes = (color, lineWidth, offset, dash) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dash);
+      [-1, 1].forEach(side => {
+        ctx.beginPath();
+        for (let x = start; x <= puddleX - puddleLength / 2; x += 2) ctx.lineTo(x, cy + side * (edge(x) + offset));
+        ctx.stroke();
+      });
+      ctx.setLineDash([]);
+    };
+    if (severity.has(BeadDefect.UNDERCUT)) {
+      const s = severity.get(BeadDefect.UNDERCUT);
+      toes(`rgba(25,15,10,${0.4 + 0.5 * s})`, 1 + 2 * s, 1 + s, []);
     }
+    if (severity.has(BeadDefect.LACK_OF_FUSION)) {
+      toes(DEFECT_STYLES[BeadDefect.LACK_OF_FUSION].color, 1.5, 0, [4, 3]);
+    }
+    if (severity.has(BeadDefect.BURN_THROUGH)) {
+      const s = severity.get(BeadDefect.BURN_THROUGH);
+      const holes = 1 + Math.round(s * 3);
+      for (let i = 0; i < holes; i++) {
+        const x = puddleX - puddleLength - ((i + 0.5) * (puddleX - puddleLength - start)) / holes;
+        ctx.beginPath();
+        ctx.ellipse(x, cy, half * 0.3 * (0.5 + s), half * 0.25 * (0.5 + s), 0, 0, Math.PI * 2);
+        ctx.fillStyle = '#0b0b12';
+        ctx.fill();
+        ctx.strokeStyle = DEFECT_STYLES[BeadDefect.BURN_THROUGH].color;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    }
+    
+    // Puddle, brighter the more fluid it runs
+    const glow = { Stiff: ['#ffd08a', '#e0701a'], Moderate: ['#fff1c2', '#ff8c1a'], VeryFluid: ['#ffffff', '#ffb347'] }[profile.puddle.fluidity];
+    const puddle = ctx.createRadialGradient(puddleX, cy, 0, puddleX, cy, Math.max(puddleLength / 2, half));
+    puddle.addColorStop(0, glow[0]);
+    puddle.addColorStop(1, glow[1]);
+    ctx.fillStyle = puddle;
+    ctx.beginPath();
+    ctx.ellipse(puddleX, cy, puddleLength / 2, half * 1.02, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = 'white';
+    ctx.font = '11px Arial, sans-serif';
+    ctx.fillText('Top view (travel →)', 8, 14);
   }
   
-  highlightTechniqueNode(propertyKey, value) {
-    Object.values(this.nodeObjects).forEach(node => {
-      if (node.userData.property === propertyKey || 
-          (node.userData.label && node.userData.label.toLowerCase().includes(propertyKey.toLowerCase()))) {
-        
-        // Highlight more if the label contains the recommended value
-        if (node.userData.label && 
-            node.userData.label.toLowerCase().includes(value.toLowerCase())) {
-          node.material.emissiveIntensity = 0.8;
-          node.scale.setScalar(1.4 * (node.userData.originalScale || 1));
-          
-          // Make glow stronger
-          const glowColor = new THREE.Color(node.userData.originalColor);
-          glowColor.r += 0.2;
-          glowColor.g += 0.2;
-          glowColor.b += 0.2;
-          node.userData.glowSphere.material.uniforms.glowColor.value = glowColor;
-          node.userData.glowSphere.material.uniforms.c.value = 0.2;
-          node.userData.glowSphere.material.uniforms.p.value = 1.5;
-        } else {
-          // Regular highlight
-          node.material.emissiveIntensity = 0.5;
-          node.scale.setScalar(1.2 * (node.userData.originalScale || 1));
-        }
-      }
-    });
+  // Cross-section: crown above the plate, fusion zone and heat-affected zone
+  // below it, with the defects drawn where they sit
+  drawBeadSection(ctx, profile, thickness) {
+    const { width: W, height: H, topView } = BEAD_CANVAS;
+    const severity = new Map(profile.defects.map(defect => [defect.type, defect.severity]));
+    const background = '#1a1a2e';
+    ctx.fillStyle = background;
+    ctx.fillRect(0, topView, W, H - topView);
+    
+    const plate = thickness || Math.max(profile.penetration * 2, 0.25);
+    const scale = Math.min((H - topView - 50) / (plate + profile.reinforcement), (W - 60) / (profile.width * 1.5));
+    const cx = W / 2;
+    const surface = topView + 24 + profile.reinforcement * scale;
+    const bottom = surface + plate * scale;
+    const half = (profile.width * scale) / 2;
+    const depth = Math.min(profile.penetration, plate) * scale;
+    const fused = half * 0.8;
+    const halfEllipse = (rx, ry, up) => {
+      ctx.beginPath();
+      ctx.ellipse(cx, surface, rx, ry, 0, up ? Math.PI : 0, up ? Math.PI * 2 : Math.PI);
+      ctx.closePath();
+    };
+    
+    ctx.fillStyle = '#7f8c8d';
+    ctx.fillRect(10, surface, W - 20, plate * scale);
+    
+    // Heat-affected and fusion zones stay inside the plate
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(10, surface, W - 20, plate * scale);
+    ctx.clip();
+    halfEllipse(half * 1.35, depth * 1.6 + 4, false);
+    ctx.fillStyle = 'rgba(230,126,34,0.35)';
+    ctx.fill();
+    halfEllipse(fused, depth, false);
+    ctx.fillStyle = '#b0b6bd';
+    ctx.fill();
+    ctx.restore();
+    
+    // Crown
+    halfEllipse(half, profile.reinforcement * scale, true);
+    ctx.fillStyle = '#b0b6bd';
+    ctx.fill();
+    if (severity.has(BeadDefect.EXCESS_REINFORCEMENT)) {
+      ctx.strokeStyle = DEFECT_STYLES[BeadDefect.EXCESS_REINFORCEMENT].color;
+      ctx.lineWidth = 1 + severity.get(BeadDefect.EXCESS_REINFORCEMENT);
+      ctx.stroke();
+    }
+    
+    // Undercut notches at the toes
+    if (severity.has(BeadDefect.UNDERCUT)) {
+      const s = severity.get(BeadDefect.UNDERCUT);
+      ctx.fillStyle = background;
+      [-1, 1].forEach(side => {
+        const toe = cx + side * half;
+        ctx.beginPath();
+        ctx.moveTo(toe, surface);
+        ctx.lineTo(toe + side * (4 + 6 * s), surface);
+        ctx.lineTo(toe + side * 2, surface + 2 + 6 * s);
+        ctx.closePath();
+        ctx.fill();
+      });
+    }
+    
+    // Crown resting on unfused plate beyond the fusion zone
+    if (severity.has(BeadDefect.LACK_OF_FUSION)) {
+      ctx.strokeStyle = DEFECT_STYLES[BeadDefect.LACK_OF_FUSION].color;
+      ctx.lineWidth = 2;
+      [-1, 1].forEach(side => {
+        ctx.beginPath();
+        ctx.moveTo(cx + side * fused * 0.7, surface);
+        ctx.lineTo(cx + side * half, surface);
+        ctx.stroke();
+      });
+    }
+    
+    // Unfused root below the fusion zone
+    if (severity.has(BeadDefect.INCOMPLETE_PENETRATION)) {
+      ctx.strokeStyle = DEFECT_STYLES[BeadDefect.INCOMPLETE_PENETRATION].color;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.moveTo(cx, surface + depth);
+      ctx.lineTo(cx, bottom);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    
+    // Burn-through: the root opens and metal sags out of the back
+    if (severity.has(BeadDefect.BURN_THROUGH)) {
+      const s = severity.get(BeadDefect.BURN_THROUGH);
+      const gap = fused * 0.3 * (0.5 + s);
+      ctx.fillStyle = background;
+      ctx.fillRect(cx - gap, bottom - Math.min(depth, 6), gap * 2, Math.min(depth, 6) + 1);
+      ctx.fillStyle = '#b0b6bd';
+      ctx.beginPath();
+      ctx.ellipse(cx, bottom + 2, gap * 0.7, 4 + 8 * s, 0, 0, Math.PI);
+      ctx.fill();
+      ctx.strokeStyle = DEFECT_STYLES[BeadDefect.BURN_THROUGH].color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+    
+    ctx.fillStyle = 'white';
+    ctx.font = '11px Arial, sans-serif';
+    ctx.fillText('Cross-section', 8, topView + 14);
+    ctx.textAlign = 'center';
+    ctx.fillText(`${this.beadLength(profile.width)} wide`, cx, surface - profile.reinforcement * scale - 6);
+    ctx.textAlign = 'left';
+    ctx.fillText(`crown ${this.beadLength(profile.reinforcement)}`, cx + half + 8, surface - 4);
+    ctx.fillText(`penetration ${this.beadLength(profile.penetration)}`, cx + half + 8, surface + Math.max(depth, 12));
   }
   
   animate() {
@@ -1036,12 +2579,45 @@ class WeldingKnowledgeVisualization {
     // Update controls
     this.controls.update();
     
-    // Update glow effects
-    Object.values(this.nodeObjects).forEach(node => {
-      if (node.userData.glowSphere) {
-        node.userData.glowSphere.material.uniforms.viewVector.value = 
-          new THREE.Vector3().subVectors(this.camera.position, node.position);
+    const delta = this.clock.getDelta();
+    if (this.replay && this.replay.playing) this.advanceReplay(delta * 1000);
+    
+    // Ease nodes towards their targets
+    const ease = 1 - Math.exp(-delta * GRAPH_EASING);
+    [...Object.values(this.nodeObjects), ...this.fadingNodes].forEach(node => {
+      const { userData } = node;
+      node.position.lerp(userData.targetPosition, ease);
+      const emphasis = node === this.selectedNode || node === this.hoveredNode ? 1.25 : 1;
+      node.scale.setScalar(node.scale.x + (userData.targetScale * emphasis - node.scale.x) * ease);
+      // Recommended options pulse for as long as they stay recommended
+      const pulse = userData.recommended ? 0.2 * Math.sin(this.clock.elapsedTime * 4) : 0;
+      const emissive = node.material.emissiveIntensity;
+      node.material.emissiveIntensity = emissive + (userData.targetEmissive + pulse - emissive) * ease;
+      if (userData.opacity !== userData.targetOpacity) {
+        const opacity = userData.opacity + (userData.targetOpacity - userData.opacity) * ease;
+        this.setNodeOpacity(node, Math.abs(opacity - userData.targetOpacity) < 0.01 ? userData.targetOpacity : opacity);
       }
+      userData.glowSphere.position.copy(node.position);
+      
+      // Update glow effects
+      userData.glowSphere.material.uniforms.viewVector.value.subVectors(this.camera.position, node.position);
+    });
+    
+    // Dispose of nodes that have faded out
+    this.fadingNodes = this.fadingNodes.filter(node => {
+      if (node.userData.opacity > 0) return true;
+      this.disposeNode(node);
+      return false;
+    });
+    
+    // Keep relationship lines attached to their nodes
+    this.relationshipLines.forEach(line => {
+      const { from, to, opacity } = line.userData;
+      const positions = line.geometry.attributes.position;
+      positions.setXYZ(0, from.position.x, from.position.y, from.position.z);
+      positions.setXYZ(1, to.position.x, to.position.y, to.position.z);
+      positions.needsUpdate = true;
+      line.material.opacity = opacity * to.userData.opacity;
     });
     
     // Render scene
@@ -1049,32 +2625,418 @@ class WeldingKnowledgeVisualization {
     this.labelRenderer.render(this.scene, this.camera);
   }
   
-  // Method to simulate real-time welding input
-  simulateRealTimeInput() {
-    // This could be connected to actual sensors or camera input
-    // For demonstration, we'll cycle through different puddle states
-    const puddleStates = ['Stiff', 'Moderate', 'VeryFluid'];
-    const spreadStates = ['Narrow', 'Moderate', 'Wide'];
-    const tieInStates = ['Poor', 'Adequate', 'Excellent'];
-    
-    let currentIndex = 0;
-    
-    const simulationInterval = setInterval(() => {
-      currentIndex = (currentIndex + 1) % 3;
-      
-      this.params.observedPuddle = puddleStates[currentIndex];
-      this.params.observedSpread = spreadStates[(currentIndex + 1) % 3];
-      this.params.observedTieIn = tieInStates[(currentIndex + 2) % 3];
-      
-      // Update GUI controllers
-      for (const controller of this.gui.controllers) {
-        controller.updateDisplay();
+  // What sensor readings are measured against: the recommended setpoints
+  // for these inputs with nothing observed yet, so the observations the
+  // readings produce can't shift their own reference, and the width of the
+  // bead those setpoints lay down, plus the electrode size the arc voltage is
+  // read against. Null when the inputs can't be recommended.
+  sensorReference() {
+    const inputs = this.scenarioInputs();
+    [...Object.keys(OBSERVATION_FIELDS), 'observedArcGap'].forEach(field => delete inputs[field]);
+    const baseline = getRecommendations(inputs, { knowledge: this.weldingKnowledge });
+    if (!baseline.valid) return null;
+    const { follow, ...current } = this.beadSettings;
+    const settings = { ...current, ...this.recommendedBeadSettings(baseline) };
+    const profile = simulateBead({
+      ...settings,
+      electrode: this.params.electrode,
+      electrodeSize: this.params.electrodeSize,
+      thickness: resolveGeometry(inputs, this.weldingKnowledge).thickness
+    }, { knowledge: this.weldingKnowledge });
+    return {
+      current: settings.amperage,
+      travelSpeed: settings.travelSpeed,
+      puddleWidth: profile.width,
+      electrodeSize: this.params.electrodeSize
+    };
+  }
+  
+  // Let an adapter's samples set the observations, starting from the current
+  // ones, until it ends or is disconnected
+  connectSensor(adapter, name) {
+    if (this.replay) this.exitReplay();
+    this.disconnectSensor();
+    const reference = this.sensorReference();
+    if (!reference) {
+      this.setSensorStatus('Sensors need settings that can be recommended');
+      return;
+    }
+    const initial = Object.fromEntries([...Object.keys(OBSERVATION_FIELDS), 'observedArcGap']
+      .map(field => [field, this.params[field]]));
+    const classifier = createObservationClassifier({ reference, initial, knowledge: this.weldingKnowledge });
+    const sensor = { adapter, classifier, name, samples: 0, lastError: null };
+    const status = () => `${name}: ${sensor.samples} samples` +
+      (sensor.lastError ? ` (last error: ${sensor.lastError})` : '');
+    this.sensor = sensor;
+    
+    adapter.start({
+      sample: sample => {
+        sensor.samples++;
+        const { observations, changed } = classifier.update(sample);
+        if (changed.length) {
+          Object.assign(this.params, observations);
+          this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+          this.updateRecommendations(name);
+        }
+        this.setSensorStatus(status());
+      },
+      error: error => {
+        sensor.lastError = error.message;
+        this.setSensorStatus(status());
+      },
+      end: () => {
+        this.sensor = null;
+        this.setSensorStatus(`${status()}, ended`);
       }
-      
+    });
+    if (this.sensor === sensor) this.setSensorStatus(`${name}: connected`);
+  }
+  
+  disconnectSensor() {
+    if (!this.sensor) return;
+    const { adapter, name, samples } = this.sensor;
+    this.sensor = null;
+    adapter.stop();
+    this.setSensorStatus(`${name}: stopped after ${samples} samples`);
+  }
+  
+  setSensorStatus(status) {
+    this.sensorOptions.status = status;
+    this.sensorStatusController.updateDisplay();
+    if (this.onSensorChange) this.onSensorChange(this.sensor !== null);
+  }
+  
+  async replaySensorLog(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let samples;
+    try {
+      samples = parseSensorLog(await file.text(), SENSOR_LOG_FORMATS.includes(extension) ? extension : undefined);
+    } catch (error) {
+      this.setSensorStatus(`${file.name}: ${error.message}`);
+      return;
+    }
+    this.connectSensor(createReplayAdapter(samples), file.name);
+  }
+  
+  // The made-up run, centred on the current settings so it starts out steady
+  startDemoSensor() {
+    const reference = this.sensorReference();
+    const setpoint = reference && { voltage: 24, current: reference.current,
+      travelSpeed: reference.travelSpeed, puddleWidth: reference.puddleWidth };
+    const samples = setpoint ? syntheticSamples({ setpoint }) : [];
+    this.connectSensor(createReplayAdapter(samples, { loop: true }), 'Demo run');
+  }
+  
+  // Scale an image or video frame down to the analysis width and read its
+  // pixels; the scale goes with it so widths can still be given in inches
+  grabCameraFrame(source, width, height) {
+    const scale = Math.min(1, CAMERA_FRAME_WIDTH / width);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return { frame: ctx.getImageData(0, 0, canvas.width, canvas.height), scale };
+  }
+  
+  async analyzeImageFile(file) {
+    this.stopCameraVideo();
+    let grabbed;
+    try {
+      if (/\.p[gp]m$/i.test(file.name)) {
+        grabbed = { frame: decodeNetpbm(new Uint8Array(await file.arrayBuffer())), scale: 1 };
+      } else {
+        const bitmap = await createImageBitmap(file);
+        grabbed = this.grabCameraFrame(bitmap, bitmap.width, bitmap.height);
+        bitmap.close();
+      }
+    } catch (error) {
+      this.setCameraStatus(`${file.name}: ${error.message}`);
+      return;
+    }
+    this.cameraFrames = [];
+    this.analyzeCameraFrame(grabbed.frame, grabbed.scale, file.name);
+  }
+  
+  // Play a recorded video, analysing a frame every CAMERA_INTERVAL ms
+  analyzeVideoFile(file) {
+    this.stopCameraVideo();
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.src = url;
+    const feed = { video, url, timer: null, frames: 0 };
+    this.cameraFeed = feed;
+    this.cameraFrames = [];
+    video.addEventListener('error', () => {
+      if (this.cameraFeed !== feed) return;
+      this.stopCameraVideo();
+      this.setCameraStatus(`${file.name}: can't be played here`);
+    });
+    video.addEventListener('ended', () => {
+      if (this.cameraFeed !== feed) return;
+      this.stopCameraVideo();
+      this.setCameraStatus(`${file.name}: ended after ${feed.frames} frames`);
+    });
+    video.addEventListener('loadeddata', () => {
+      if (this.cameraFeed !== feed) return;
+      feed.timer = setInterval(() => {
+        if (video.paused || !video.videoWidth) return;
+        feed.frames++;
+        const { frame, scale } = this.grabCameraFrame(video, video.videoWidth, video.videoHeight);
+        this.analyzeCameraFrame(frame, scale, `${file.name} @ ${video.currentTime.toFixed(1)} s`);
+      }, CAMERA_INTERVAL);
+      video.play().catch(error => this.setCameraStatus(`${file.name}: ${error.message}`));
+    });
+    this.setCameraStatus(`${file.name}: loading`);
+  }
+  
+  stopCameraVideo() {
+    if (!this.cameraFeed) return;
+    const { video, url, timer } = this.cameraFeed;
+    this.cameraFeed = null;
+    clearInterval(timer);
+    video.pause();
+    video.removeAttribute('src');
+    URL.revokeObjectURL(url);
+    this.setCameraStatus('Stopped');
+  }
+  
+  // Analyse a frame, show the overlay, and let the last few frames of a
+  // video (or a single still) set the puddle observations
+  analyzeCameraFrame(frame, scale, name) {
+    if (this.replay) this.exitReplay();
+    const { pixelsPerInch, travel, referenceBrightness } = this.cameraOptions;
+    const reference = this.sensorReference();
+    let analysis;
+    try {
+      analysis = analyzePuddleFrame(frame, {
+        pixelsPerInch: pixelsPerInch ? pixelsPerInch * scale : undefined,
+        travel,
+        reference: { brightness: referenceBrightness, puddleWidth: reference ? reference.puddleWidth : undefined },
+        electrode: this.params.electrode,
+        knowledge: this.weldingKnowledge
+      });
+    } catch (error) {
+      this.setCameraStatus(`${name}: ${error.message}`);
+      return;
+    }
+    this.lastCameraAnalysis = analysis;
+    this.cameraFrames = [...this.cameraFrames, analysis].slice(-CAMERA_WINDOW);
+    this.drawCameraOverlay(frame, analysis);
+    
+    const { observations, slagAhead } = summarizePuddleFrames(this.cameraFrames);
+    const changed = Object.keys(observations).filter(field => this.params[field] !== observations[field]);
+    this.setCameraStatus(`${name}: ${analysis.found ? 'puddle found' : 'no puddle'}${slagAhead ? ', slag ahead' : ''}`);
+    if (changed.length) {
+      changed.forEach(field => { this.params[field] = observations[field]; });
+      this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+      this.updateRecommendations('Camera');
+    }
+  }
+  
+  drawCameraOverlay(frame, analysis) {
+    const overlay = puddleOverlay(frame, analysis);
+    this.cameraCanvas.width = overlay.width;
+    this.cameraCanvas.height = overlay.height;
+    this.cameraCanvas.getContext('2d').putImageData(new ImageData(overlay.data, overlay.width, overlay.height), 0, 0);
+    this.cameraElement.style.display = 'block';
+    
+    if (!analysis.found) {
+      this.cameraInfoElement.textContent = `No puddle brighter than ${analysis.threshold} found`;
+      return;
+    }
+    const { width, length, brightness, edgeContrast, slagAhead, signals } = analysis;
+    const size = ({ px, in: inches }) => inches === null ? `${px} px` : `${inches} in`;
+    this.cameraInfoElement.innerHTML = `
+      <div>Width ${size(width)}, length ${size(length)}</div>
+      <div>Brightness ${brightness} (heat ${signals.heat}), edge contrast ${edgeContrast === null ? 'n/a' : edgeContrast}</div>
+      <div>${Object.entries(analysis.observations).map(([field, category]) => `${escapeHtml(this.fieldLabel(field))}: ${category}`).join(', ')}</div>
+      ${slagAhead.detected
+        ? `<div style="color:#e67e22" title="${escapeHtml(slagAhead.source)}">Slag ahead (${Math.round(slagAhead.coverage * 100)}%): ${escapeHtml(slagAhead.advice)}</div>`
+        : ''}
+    `;
+  }
+  
+  // Take the last frame's puddle brightness as what a good puddle looks like
+  useFrameAsReference() {
+    const analysis = this.lastCameraAnalysis;
+    if (!analysis || !analysis.found) {
+      this.setCameraStatus('Analyze a frame with a puddle first');
+      return;
+    }
+    this.cameraOptions.referenceBrightness = analysis.brightness;
+    this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+    this.setCameraStatus(`Reference brightness ${analysis.brightness}`);
+  }
+  
+  setCameraStatus(status) {
+    this.cameraOptions.status = status;
+    this.cameraStatusController.updateDisplay();
+  }
+  
+  // Every value a session records: the parameters and observations, the
+  // joint geometry, the units and the rod lot's exposure, null without one
+  sessionValues() {
+    return { ...this.params, ...this.geometry, units: this.displayOptions.units, rodExposure: this.rodLotExposure() };
+  }
+  
+  applySessionValues(values) {
+    Object.entries(values).forEach(([field, value]) => {
+      if (field === 'units') this.displayOptions.units = value;
+      else if (field in this.geometry) this.geometry[field] = value;
+      else if (field in this.params) this.params[field] = value;
+    });
+    this.gui.controllersRecursive().forEach(controller => controller.updateDisplay());
+  }
+  
+  recordSession(source = 'manual') {
+    if (!this.sessionOptions.recording) return;
+    const added = this.sessionRecorder.record(this.sessionValues(), this.currentRecommendations, { source });
+    if (added.length) {
+      this.setSessionStatus();
+      this.updateTimeline();
+    }
+  }
+  
+  restartSession() {
+    if (this.replay) this.exitReplay();
+    this.sessionRecorder.clear();
+    this.recordSession();
+    this.setSessionStatus();
+    this.updateTimeline();
+  }
+  
+  exportSession() {
+    const session = this.timelineSession();
+    if (!session) {
+      window.alert('Record or import a session before exporting it.');
+      return;
+    }
+    downloadText(serializeSession(session), 'application/json', `session-${session.startedAt.slice(0, 10)}.json`);
+  }
+  
+  async importSession(file) {
+    let session;
+    try {
+      session = parseSession(await file.text(), { knowledge: this.weldingKnowledge });
+    } catch (error) {
+      this.setSessionStatus(`${file.name}: ${error.message}`);
+      return;
+    }
+    if (this.replay) this.exitReplay();
+    this.seekSession(session, 0);
+    this.replay.name = file.name;
+    this.setSessionStatus();
+  }
+  
+  setSessionStatus(status) {
+    const recorded = this.sessionRecorder.session();
+    this.sessionOptions.status = status || (this.replay
+      ? `Replaying ${this.replay.name}`
+      : `${this.sessionOptions.recording ? 'Recording' : 'Paused'}, ${recorded ? recorded.entries.length : 0} entries`);
+    this.sessionStatusController.updateDisplay();
+  }
+  
+  // The session on the timeline: the one being replayed, else the recording
+  timelineSession() {
+    return this.replay ? this.replay.session : this.sessionRecorder.session();
+  }
+  
+  // Show a session as it was at a moment. The first seek stops the sensors
+  // and keeps the live values to go back to.
+  seekSession(session, time) {
+    const state = sessionStateAt(session, time);
+    if (!this.replay) {
+      this.disconnectSensor();
+      this.replay = { session, name: 'recording', time, playing: false, entry: undefined, state, live: this.sessionValues() };
+      this.setSessionStatus();
+    }
+    this.replay.time = time;
+    if (state.entry !== this.replay.entry) {
+      this.replay.entry = state.entry;
+      this.replay.state = state;
+      this.applySessionValues(state.values);
       this.updateRecommendations();
-    }, 5000); // Update every 5 seconds
+    }
+    this.updateTimeline();
+  }
+  
+  // Play at the recorded pace, only redrawing the scene when an entry is passed
+  advanceReplay(ms) {
+    const { session, time } = this.replay;
+    const end = sessionDuration(session);
+    this.seekSession(session, Math.min(time + ms, end));
+    if (this.replay.time >= end) {
+      this.replay.playing = false;
+      this.updateTimeline();
+    }
+  }
+  
+  exitReplay() {
+    const { live } = this.replay;
+    this.replay = null;
+    this.applySessionValues(live);
+    this.updateRecommendations();
+    this.setSessionStatus();
+    this.updateTimeline();
+  }
+  
+  // Display name of a recorded field, from the control that sets it
+  fieldLabel(field) {
+    if (field === 'rodExposure') return 'Rod exposure (h)';
+    const controller = this.gui.controllersRecursive()
+      .find(control => control.property === field && control.object !== this.beadSettings);
+    return controller ? controller._name : field;
+  }
+  
+  describeSessionEntry(entry) {
+    const changes = Object.entries(entry.changes)
+      .map(([field, value]) => `${this.fieldLabel(field)}: ${value === '' || value === null ? 'none' : value}`)
+      .join(', ');
+    return entry.type === SessionEntryType.OBSERVATION ? `${changes} (${entry.source})` : changes;
+  }
+  
+  updateTimeline() {
+    const session = this.timelineSession();
+    this.timelineElement.style.display = session ? 'block' : 'none';
+    if (!session) return;
+    const { markers, play, scrubber, time, event, live } = this.timeline;
+    const duration = sessionDuration(session);
+    const at = this.replay ? this.replay.time : duration;
+    
+    // Markers only change with the session itself
+    if (markers.dataset.session !== `${session.startedAt}:${session.entries.length}`) {
+      markers.dataset.session = `${session.startedAt}:${session.entries.length}`;
+      markers.innerHTML = session.entries
+        .filter(entry => entry.type in TIMELINE_COLORS)
+        .map(entry => `<span title="${escapeHtml(`${formatSeconds(entry.time)}: ${this.describeSessionEntry(entry)}`)}"
+          data-time="${entry.time}"
+          style="position:absolute;left:${duration ? entry.time / duration * 100 : 0}%;width:4px;height:10px;margin-left:-2px;cursor:pointer;background:${TIMELINE_COLORS[entry.type]}"></span>`)
+        .join('');
+      markers.querySelectorAll('span').forEach(marker => {
+        marker.addEventListener('click', () => this.seekSession(session, Number(marker.dataset.time)));
+      });
+    }
     
-    return () => clearInterval(simulationInterval); // Return cleanup function
+    scrubber.max = duration;
+    scrubber.value = at;
+    time.textContent = this.replay ? `${formatSeconds(at)} / ${formatSeconds(duration)}` : 'Live';
+    play.textContent = this.replay && this.replay.playing ? '❚❚' : '▶';
+    live.style.display = this.replay ? 'inline-block' : 'none';
+    
+    // What had just happened at the scrubbed moment, and the advice shown
+    const { entry, recommendation } = this.replay ? this.replay.state : sessionStateAt(session, at);
+    const happened = session.entries
+      .filter(next => entry && next.time === entry.time && next.type in TIMELINE_COLORS)
+      .map(next => escapeHtml(this.describeSessionEntry(next)));
+    const advice = !recommendation ? []
+      : recommendation.valid ? recommendation.adjustments : recommendation.errors;
+    event.innerHTML = `
+      <div><b>${entry ? formatSeconds(entry.time) : 'Start'}:</b> ${happened.join('; ') || 'Session start'}</div>
+      ${advice.length ? `<div style="opacity:0.8">${recommendation.valid ? 'Advice shown' : 'Could not recommend'}: ${advice.map(escapeHtml).join('; ')}</div>` : ''}
+    `;
   }
 }
 
@@ -1104,8 +3066,11 @@ function initWeldingVisualization() {
     <p>Use the control panel to:</p>
     <ul>
       <li>Set your welding parameters</li>
-      <li>Input real-time observations</li>
+      <li>Input real-time observations, or take them from sensors or camera frames</li>
       <li>Receive technique recommendations</li>
+      <li>See the bead your settings lay down in the Bead Simulator</li>
+      <li>Record a session and scrub back through it on the timeline</li>
+      <li>Click a node to inspect it, or focus the graph and use the arrow keys and Enter</li>
     </ul>
     <p>Rotate: Left-click + drag<br>
     Pan: Right-click + drag<br>
@@ -1119,20 +3084,16 @@ function initWeldingVisualization() {
   // Initialize visualization
   const visualization = new WeldingKnowledgeVisualization(container);
   
-  // Add simulation button functionality
-  document.getElementById('startSimulation').addEventListener('click', () => {
-    const stopSimulation = visualization.simulateRealTimeInput();
-    
-    const button = document.getElementById('startSimulation');
-    button.textContent = 'Stop Simulation';
-    button.style.background = '#e74c3c';
-    
-    button.addEventListener('click', () => {
-      stopSimulation();
-      button.textContent = 'Simulation Stopped';
-      button.style.background = '#95a5a6';
-      button.disabled = true;
-    }, { once: true });
+  // The simulation button replays the demonstration run through the sensor
+  // pipeline, and stops whatever sensor input is running
+  const button = document.getElementById('startSimulation');
+  visualization.onSensorChange = running => {
+    button.textContent = running ? 'Stop Sensor Input' : 'Simulate Real-time Input';
+    button.style.background = running ? '#e74c3c' : '#3498db';
+  };
+  button.addEventListener('click', () => {
+    if (visualization.sensor) visualization.disconnectSensor();
+    else visualization.startDemoSensor();
   });
   
   return visualization;